@@ -1,24 +1,43 @@
-import logo from './logo.svg';
-import './App.css';
+import { BrowserRouter, Navigate, Route, Routes } from 'react-router-dom';
+import { AuthProvider } from './context/AuthContext';
+import NavBar from './components/NavBar';
+import OfflineBanner from './components/OfflineBanner';
+import RequireAuth from './components/RequireAuth';
+import CollaboratePage from './pages/CollaboratePage';
+import GalleryPage from './pages/GalleryPage';
+import GeneratePage from './pages/GeneratePage';
+import HistoryPage from './pages/HistoryPage';
+import LoginPage from './pages/LoginPage';
+import SignupPage from './pages/SignupPage';
+import TimelinePage from './pages/TimelinePage';
+
+// The routes, without the router, so tests can render them inside a MemoryRouter
+export function AppRoutes() {
+  return (
+    <AuthProvider>
+      <NavBar />
+      <OfflineBanner />
+      <Routes>
+        <Route path="/" element={<GeneratePage />} />
+        <Route path="/gallery" element={<GalleryPage />} />
+        <Route path="/login" element={<LoginPage />} />
+        <Route path="/signup" element={<SignupPage />} />
+        <Route path="/history" element={<RequireAuth><HistoryPage /></RequireAuth>} />
+        <Route path="/timeline" element={<RequireAuth><TimelinePage /></RequireAuth>} />
+        <Route path="/collaborate" element={<RequireAuth><CollaboratePage /></RequireAuth>} />
+        <Route path="*" element={<Navigate to="/" replace />} />
+      </Routes>
+    </AuthProvider>
+  );
+}
 
 function App() {
   return (
-    <div className="App">
-      <header className="App-header">
-        <img src={logo} className="App-logo" alt="logo" />
-        <p>
-          Edit <code>src/App.js</code> and save to reload.
-        </p>
-        <a
-          className="App-link"
-          href="https://reactjs.org"
-          target="_blank"
-          rel="noopener noreferrer"
-        >
-          Learn React
-        </a>
-      </header>
-    </div>
+    <BrowserRouter>
+      <div className="min-h-screen bg-gray-50 text-gray-900">
+        <AppRoutes />
+      </div>
+    </BrowserRouter>
   );
 }
 
@@ -1,8 +1,32 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import { getHistory } from './api/art';
+import { logIn } from './test-utils';
 
-test('renders learn react link', () => {
+jest.mock('./api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+jest.mock('./api/art', () => ({ generateArt: jest.fn(), waitForJob: jest.fn(), getHistory: jest.fn(), getGallery: jest.fn(), voteArt: jest.fn() }));
+jest.mock('./api/collaborations', () => ({ listInvitations: jest.fn() }));
+
+afterEach(() => window.history.pushState({}, '', '/'));
+
+test('opens on the generator', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /turn your mood into art/i })).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Log in' })).toBeInTheDocument();
+  expect(screen.queryByRole('link', { name: 'My art' })).not.toBeInTheDocument();
+});
+
+test('sends logged-out visitors of private screens to the login page', () => {
+  window.history.pushState({}, '', '/history');
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Log in' })).toBeInTheDocument();
+});
+
+test('shows the private screens once logged in', async () => {
+  logIn();
+  getHistory.mockResolvedValue({ items: [], nextCursor: null });
+  window.history.pushState({}, '', '/history');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: 'My art' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Log out' })).toBeInTheDocument();
 });
@@ -0,0 +1,60 @@
+// api/art.js
+// Art generation, history, gallery and voting (/api/art)
+import { get, post, request } from './client';
+import { ensureClaimToken, getSession, saveClaimToken } from './session';
+
+// Job states after which nothing changes any more
+export const FINISHED_STATES = ['done', 'failed'];
+
+// Queues generation of a piece: { mood, prompt, style, colors }. Resolves with
+// { jobId, job, statusUrl, eventsUrl }. Anonymous requests carry a claim token, which is stored
+// so the piece can be attached to an account after signing up. dedupeKey is sent as the
+// Idempotency-Key header: sending the same request again with it returns the first job.
+export async function generateArt(params, { dedupeKey } = {}) {
+  if (!getSession()) ensureClaimToken();
+  const headers = dedupeKey ? { 'Idempotency-Key': dedupeKey } : undefined;
+  const accepted = await request('post', '/art', { data: params, headers });
+  if (accepted.claimToken) saveClaimToken(accepted.claimToken);
+  return accepted;
+}
+
+// The state of a generation job: { id, state, progress, error, artId, art }
+export const getJob = (jobId) => get(`/art/jobs/${jobId}`);
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Polls a job until it is done or failed, calling onUpdate with every state seen.
+// Resolves with the finished job; stops early (resolving null) once isCancelled() returns true.
+export async function waitForJob(jobId, { onUpdate = () => {}, interval = 1500, isCancelled = () => false } = {}) {
+  for (;;) {
+    const job = await getJob(jobId);
+    if (isCancelled()) return null;
+    onUpdate(job);
+    if (FINISHED_STATES.includes(job.state)) return job;
+    await wait(interval);
+    if (isCancelled()) return null;
+  }
+}
+
+// A page of the logged-in user's pieces: { items, nextCursor }
+export const getHistory = ({ cursor, limit } = {}) => get('/art/history', { cursor, limit });
+
+// A page of the public gallery: { items, nextCursor }. Filters: mood, style, color (a color family the
+// piece is rendered in, e.g. 'blue'), q, sort ('newest', 'top', 'trending')
+export const getGallery = ({ cursor, limit, mood, style, color, q, sort } = {}) =>
+  get('/art/gallery', {
+    cursor,
+    limit,
+    mood: mood || undefined,
+    style: style || undefined,
+    color: color || undefined,
+    q: q || undefined,
+    sort: sort || undefined,
+  });
+
+// Rates a piece with 1-5 stars; resolves with the updated piece (including myRating)
+export const voteArt = (artId, stars) => post(`/art/${artId}/vote`, { stars });
+
+// A page of the logged-in user's pieces of one mood, oldest first: { items, nextCursor }
+export const getEvolution = (mood, { cursor, limit } = {}) =>
+  get(`/art/evolution/${encodeURIComponent(mood)}`, { cursor, limit });
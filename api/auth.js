@@ -0,0 +1,49 @@
+// api/auth.js
+// Signup, login and logout (/api/auth). A successful login or signup stores the session and
+// attaches any pieces generated before logging in to the account.
+import { post } from './client';
+import { saveSession, clearSession, getClaimToken, clearClaimToken } from './session';
+import { clearHistoryCache } from '../offline/historyCache';
+
+// Attaches the pieces made with the stored claim token to the account just logged into.
+// Claiming is best effort: a failure never blocks the login.
+async function claimAnonymousPieces() {
+  const claimToken = getClaimToken();
+  if (!claimToken) return 0;
+  try {
+    const { claimed } = await post('/art/claim', { claimToken });
+    clearClaimToken();
+    return claimed;
+  } catch (err) {
+    return 0;
+  }
+}
+
+// Stores the session from a login or signup response; resolves with { userId, avatar, claimed }
+async function startSession(data) {
+  const session = saveSession(data);
+  const claimed = await claimAnonymousPieces();
+  return { userId: session.userId, avatar: session.avatar, claimed };
+}
+
+// Registers a new account: { email, password, mood } (mood picks the starting avatar)
+export async function signup({ email, password, mood }) {
+  return startSession(await post('/auth/signup', { email, password, mood: mood || undefined }));
+}
+
+export async function login({ email, password }) {
+  return startSession(await post('/auth/login', { email, password }));
+}
+
+// Ends the session on the server too; the local session and the history saved for offline use
+// are cleared even if that fails
+export async function logout() {
+  try {
+    await post('/auth/logout');
+  } catch (err) {
+    // The tokens are dropped below either way
+  } finally {
+    clearSession();
+    await clearHistoryCache().catch(() => {});
+  }
+}
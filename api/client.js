@@ -0,0 +1,110 @@
+// api/client.js
+// Shared axios instance for the backend API. It sends the access token as x-auth-token (or, before
+// logging in, the claim token as x-claim-token), refreshes an expired access token once and retries,
+// and turns every failure into an ApiError carrying the backend's { msg }.
+import axios from 'axios';
+import { getSession, saveSession, clearSession, getClaimToken } from './session';
+
+export const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000/api';
+
+// Error thrown by every API call: message is the backend's msg (or a readable fallback),
+// status the HTTP status (0 when the server could not be reached), data the response body.
+export class ApiError extends Error {
+  constructor(message, status = 0, data = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Converts an axios error into an ApiError. The backend answers errors with { msg }, but a few
+// routes send plain text, and a proxy or the dev server may send an HTML page.
+export function toApiError(err) {
+  if (err instanceof ApiError) return err;
+  const { response } = err;
+  if (!response) {
+    return new ApiError('Could not reach the server. Check your connection and try again.');
+  }
+  const { status, data } = response;
+  let message = `Request failed (${status}).`;
+  if (data && typeof data === 'object' && data.msg) {
+    message = data.msg;
+  } else if (typeof data === 'string' && data.trim() && !data.trim().startsWith('<')) {
+    message = data.trim();
+  }
+  return new ApiError(message, status, data);
+}
+
+const client = axios.create({ baseURL: API_URL });
+
+client.interceptors.request.use((config) => {
+  const session = getSession();
+  const claimToken = getClaimToken();
+  if (session) {
+    config.headers['x-auth-token'] = session.token;
+  } else if (claimToken) {
+    config.headers['x-claim-token'] = claimToken;
+  }
+  return config;
+});
+
+// Called when the session can't be refreshed (logged out elsewhere, suspended, expired)
+const sessionEndListeners = new Set();
+
+// Registers a listener for the end of the session; returns a function that removes it
+export function onSessionEnd(listener) {
+  sessionEndListeners.add(listener);
+  return () => sessionEndListeners.delete(listener);
+}
+
+// Exchanges the refresh token for new tokens. Concurrent 401s share one refresh, since the
+// backend only accepts each refresh token once.
+let refreshing = null;
+function refreshSession(refreshToken) {
+  if (!refreshing) {
+    refreshing = axios
+      .post(`${API_URL}/auth/refresh`, { refreshToken })
+      .then(({ data }) => saveSession(data))
+      .finally(() => {
+        refreshing = null;
+      });
+  }
+  return refreshing;
+}
+
+client.interceptors.response.use(
+  (response) => response,
+  async (err) => {
+    const { config, response } = err;
+    const session = getSession();
+    if (!response || response.status !== 401 || !config || config.retried || !session || !session.refreshToken) {
+      throw toApiError(err);
+    }
+    try {
+      const { token } = await refreshSession(session.refreshToken);
+      config.retried = true;
+      config.headers['x-auth-token'] = token;
+      return await client(config);
+    } catch (refreshErr) {
+      if (refreshErr instanceof ApiError) throw refreshErr; // The retried request failed
+      clearSession();
+      sessionEndListeners.forEach((listener) => listener());
+      throw toApiError(err);
+    }
+  }
+);
+
+// Sends a request and resolves with the response body
+export async function request(method, url, { data, params, headers } = {}) {
+  const response = await client.request({ method, url, data, params, headers });
+  return response.data;
+}
+
+export const get = (url, params) => request('get', url, { params });
+export const post = (url, data) => request('post', url, { data });
+export const put = (url, data) => request('put', url, { data });
+export const patch = (url, data) => request('patch', url, { data });
+export const del = (url, params) => request('delete', url, { params });
+
+export default client;
@@ -0,0 +1,83 @@
+import axios from 'axios';
+import client, { ApiError, get, onSessionEnd, toApiError } from './client';
+import { generateArt } from './art';
+import { getSession, saveClaimToken, saveSession } from './session';
+
+// Answers requests with the given responses in order ({ status, data }); records the configs sent
+const respondWith = (...responses) => {
+  const sent = [];
+  client.defaults.adapter = (config) => {
+    sent.push(config);
+    const { status = 200, data = {} } = responses.shift();
+    const response = { status, data, headers: {}, config };
+    if (status < 400) return Promise.resolve(response);
+    return Promise.reject(Object.assign(new Error(`Request failed with status code ${status}`), { config, response }));
+  };
+  return sent;
+};
+
+test('sends the access token as x-auth-token', async () => {
+  saveSession({ token: 'access-token', refreshToken: 'refresh-token' });
+  const sent = respondWith({ data: { items: [] } });
+  await expect(get('/art/history')).resolves.toEqual({ items: [] });
+  expect(sent[0].headers['x-auth-token']).toBe('access-token');
+});
+
+test('sends the claim token when logged out', async () => {
+  saveClaimToken('claim_abc');
+  const sent = respondWith({ data: {} });
+  await get('/art/gallery');
+  expect(sent[0].headers['x-auth-token']).toBeUndefined();
+  expect(sent[0].headers['x-claim-token']).toBe('claim_abc');
+});
+
+test('turns the backend { msg } into an ApiError', async () => {
+  respondWith({ status: 409, data: { msg: 'You have already reported this art piece.' } });
+  const err = await get('/art/1').catch((e) => e);
+  expect(err).toBeInstanceOf(ApiError);
+  expect(err.message).toBe('You have already reported this art piece.');
+  expect(err.status).toBe(409);
+});
+
+test('falls back to plain text bodies and a network message', () => {
+  expect(toApiError({ response: { status: 500, data: 'Server error during login.' } }).message).toBe('Server error during login.');
+  expect(toApiError({ response: { status: 404, data: '<!DOCTYPE html><p>Cannot GET</p>' } }).message).toBe('Request failed (404).');
+  expect(toApiError(new Error('Network Error'))).toMatchObject({ status: 0, message: expect.stringMatching(/could not reach the server/i) });
+});
+
+test('refreshes an expired access token once and retries', async () => {
+  saveSession({ token: 'old-token', refreshToken: 'refresh-token', userId: 'user-1' });
+  jest.spyOn(axios, 'post').mockResolvedValue({ data: { token: 'new-token', refreshToken: 'new-refresh' } });
+  const sent = respondWith({ status: 401, data: { msg: 'Authentication token has expired.' } }, { data: { ok: true } });
+
+  await expect(get('/art/history')).resolves.toEqual({ ok: true });
+  expect(axios.post).toHaveBeenCalledWith(expect.stringMatching(/\/auth\/refresh$/), { refreshToken: 'refresh-token' });
+  expect(sent[1].headers['x-auth-token']).toBe('new-token');
+  expect(getSession()).toMatchObject({ token: 'new-token', refreshToken: 'new-refresh', userId: 'user-1' });
+});
+
+test('ends the session when the refresh token is rejected', async () => {
+  saveSession({ token: 'old-token', refreshToken: 'revoked' });
+  jest.spyOn(axios, 'post').mockRejectedValue(new Error('Request failed with status code 401'));
+  respondWith({ status: 401, data: { msg: 'Authentication token has expired.' } });
+  const listener = jest.fn();
+  const unsubscribe = onSessionEnd(listener);
+
+  await expect(get('/art/history')).rejects.toMatchObject({ status: 401 });
+  expect(getSession()).toBeNull();
+  expect(listener).toHaveBeenCalled();
+  unsubscribe();
+});
+
+test('sends a generation again after refreshing, with the same Idempotency-Key', async () => {
+  // E.g. a request replayed from the offline queue after the access token expired
+  saveSession({ token: 'expired-token', refreshToken: 'refresh-token', userId: 'user-1' });
+  jest.spyOn(axios, 'post').mockResolvedValue({ data: { token: 'new-token', refreshToken: 'new-refresh' } });
+  const sent = respondWith({ status: 401, data: { msg: 'Authentication token has expired.' } }, { status: 202, data: { jobId: 'job-1' } });
+
+  await expect(generateArt({ mood: 'Happy' }, { dedupeKey: 'key-1' })).resolves.toEqual({ jobId: 'job-1' });
+  expect(sent).toHaveLength(2);
+  expect(sent[1].headers['x-auth-token']).toBe('new-token');
+  expect(sent[1].headers['Idempotency-Key']).toBe('key-1');
+  expect(sent[1].headers['x-claim-token']).toBeUndefined();
+});
@@ -0,0 +1,18 @@
+// api/collaborations.js
+// Collaboration invitations (/api/art/collaborate): invite a partner by email with your mood; the
+// piece is generated once they accept with theirs.
+import { get, post, del } from './client';
+
+// Invites a partner: { partnerEmail, mood, message, style, colors }. Resolves with the invitation.
+export const inviteCollaborator = (invitation) => post('/art/collaborate', invitation);
+
+// Your invitations, newest first. box: 'incoming' or 'outgoing'
+export const listInvitations = (box = 'incoming') => get('/art/collaborate/invitations', { box });
+
+// Accepts an invitation with your own mood; resolves with the generation job like generateArt
+export const acceptInvitation = (invitationId, mood) => post(`/art/collaborate/invitations/${invitationId}/accept`, { mood });
+
+export const declineInvitation = (invitationId) => post(`/art/collaborate/invitations/${invitationId}/decline`);
+
+// Cancels a pending invitation you sent
+export const cancelInvitation = (invitationId) => del(`/art/collaborate/invitations/${invitationId}`);
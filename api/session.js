@@ -0,0 +1,62 @@
+// api/session.js
+// The logged-in session, kept in localStorage so it survives reloads: the access token (sent as
+// x-auth-token), the refresh token, the user's id and avatar. Pieces generated before logging in come
+// with a claim token, kept here too until it is used to attach them to the account.
+
+const SESSION_KEY = 'moodArt.session';
+const CLAIM_TOKEN_KEY = 'moodArt.claimToken';
+
+// Reads a JSON value from localStorage (null when missing or unreadable)
+const readJson = (key) => {
+  try {
+    return JSON.parse(window.localStorage.getItem(key));
+  } catch (err) {
+    return null;
+  }
+};
+
+// The current session: { token, refreshToken, userId, avatar }, or null when logged out
+export function getSession() {
+  const session = readJson(SESSION_KEY);
+  return session && session.token ? session : null;
+}
+
+// Stores the tokens (and user details) from a login, signup or refresh response.
+// Fields left out keep their previous values.
+export function saveSession({ token, refreshToken, userId, avatar }) {
+  const session = { ...getSession(), token, refreshToken };
+  if (userId !== undefined) session.userId = userId;
+  if (avatar !== undefined) session.avatar = avatar;
+  window.localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+  return session;
+}
+
+export function clearSession() {
+  window.localStorage.removeItem(SESSION_KEY);
+}
+
+export function getClaimToken() {
+  return window.localStorage.getItem(CLAIM_TOKEN_KEY);
+}
+
+export function saveClaimToken(claimToken) {
+  window.localStorage.setItem(CLAIM_TOKEN_KEY, claimToken);
+}
+
+export function clearClaimToken() {
+  window.localStorage.removeItem(CLAIM_TOKEN_KEY);
+}
+
+const base64url = (bytes) => window.btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+// The claim token for anonymous requests, made here when there is none yet. It has the backend's format
+// (claim_ + 43 base64url characters), so the backend uses it instead of issuing one; that way a request
+// whose response never arrived (e.g., sent again from the offline queue) still attaches to this browser.
+// Returns null when the browser has no secure random numbers; the backend then issues the token.
+export function ensureClaimToken() {
+  const existing = getClaimToken();
+  if (existing || !window.crypto || !window.crypto.getRandomValues) return existing;
+  const claimToken = `claim_${base64url(window.crypto.getRandomValues(new Uint8Array(32)))}`;
+  saveClaimToken(claimToken);
+  return claimToken;
+}
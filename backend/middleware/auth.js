@@ -1,10 +1,30 @@
 // middleware/auth.js
 const jwt = require('jsonwebtoken');
+const { verifyAccessToken } = require('../services/tokens');
+
+// Answers a request whose token failed verification: 401 for expired, invalid or revoked tokens
+// (so the client can refresh its session and retry), 500 for anything unexpected
+function rejectToken(err, res) {
+    // Handle specific JWT errors
+    if (err instanceof jwt.TokenExpiredError) {
+        return res.status(401).json({ msg: 'Authentication token has expired. Please refresh your session or log in again.' });
+    }
+    if (err instanceof jwt.JsonWebTokenError) {
+        return res.status(401).json({ msg: 'Invalid authentication token. Authorization denied.' });
+    }
+    if (err.name === 'AuthError') {
+        return res.status(401).json({ msg: err.message });
+    }
+    // Catch any other unexpected errors during token verification
+    console.error('JWT verification error:', err.message);
+    return res.status(500).json({ msg: 'Server error during token verification.' });
+}
 
 // This middleware function verifies the JWT sent in the request header.
-// If valid, it decodes the token and attaches the user's payload to req.user.
+// If valid (and its session has not been revoked), it attaches the user's payload to req.user
+// and the session id to req.sessionId.
 // If invalid or missing, it sends an appropriate error response.
-module.exports = function (req, res, next) {
+module.exports = async function auth(req, res, next) {
     // Get token from header. Conventionally, it's sent as 'x-auth-token'.
     const token = req.header('x-auth-token');
 
@@ -13,26 +33,21 @@ module.exports = function (req, res, next) {
         return res.status(401).json({ msg: 'No authentication token provided. Authorization denied.' });
     }
 
-    // Verify the token
+    // Verify the token and its session
+    let verified;
     try {
-        // jwt.verify takes the token and the secret key used to sign it.
-        // It throws an error if the token is invalid (e.g., expired, tampered).
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Attach the decoded user payload (which contains user.id) to the request object.
-        // This makes the user's ID available to all subsequent route handlers.
-        req.user = decoded.user;
-        next(); // Call the next middleware or route handler in the chain
+        // jwt.verify (inside verifyAccessToken) throws if the token is invalid (e.g., expired, tampered);
+        // a logged-out or revoked session throws an AuthError.
+        verified = await verifyAccessToken(token);
     } catch (err) {
-        // Handle specific JWT errors
-        if (err.name === 'TokenExpiredError') {
-            return res.status(401).json({ msg: 'Authentication token has expired. Please log in again.' });
-        }
-        if (err.name === 'JsonWebTokenError') {
-            return res.status(401).json({ msg: 'Invalid authentication token. Authorization denied.' });
-        }
-        // Catch any other unexpected errors during token verification
-        console.error('JWT verification error:', err.message);
-        res.status(500).json({ msg: 'Server error during token verification.' });
+        return rejectToken(err, res);
     }
+
+    // Attach the decoded user payload (which contains user.id) to the request object.
+    // This makes the user's ID available to all subsequent route handlers.
+    req.user = verified.user;
+    req.sessionId = verified.sessionId;
+    next(); // Call the next middleware or route handler in the chain
 };
+
+module.exports.rejectToken = rejectToken;
@@ -0,0 +1,28 @@
+// middleware/generationQuota.js
+const { consumeGeneration } = require('../services/quotas');
+
+// Counts the request against the daily generation quotas (see services/quotas.js) and rejects it
+// with 429 and Retry-After when they are used up. Requests that end in an error response
+// (e.g., invalid input) are given back, so only queued generations count.
+// Place it after auth/optionalAuth so the account's tier applies.
+module.exports = async function generationQuota(req, res, next) {
+    let refund;
+    try {
+        refund = await consumeGeneration(req);
+    } catch (err) {
+        if (err.name === 'QuotaError') {
+            res.set('Retry-After', String(err.retryAfterSeconds));
+            return res.status(429).json({ msg: err.message });
+        }
+        // A broken limit store (e.g., Redis is down) shouldn't take generation down with it
+        console.error('Generation quota unavailable, allowing request:', err.message);
+        return next();
+    }
+
+    res.on('finish', () => {
+        if (res.statusCode >= 400) {
+            refund().catch(err => console.error('Could not refund generation quota:', err.message));
+        }
+    });
+    next();
+};
@@ -0,0 +1,44 @@
+// middleware/idempotency.js
+const crypto = require('crypto');
+const Job = require('../models/Job');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// The key as stored on the job, scoped to the account (or to anonymous requests)
+const scopedKey = (req, key) => (req.user ? `user:${req.user.id}:${key}` : `anon:${key}`);
+
+const requestHash = body => crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+
+// Makes a job-creating request safe to retry. When the Idempotency-Key header names a job created
+// before (a week after it finished at most, see models/Job.js), sendExisting(req, res, job) answers
+// with it instead of creating another one, without counting against rate limits or quotas; the same
+// key with a different request body gets a 422. New keys go on to the route as req.idempotency, for
+// enqueueJob. Requests without the header are not affected.
+// Place it after auth/optionalAuth and before rateLimit/generationQuota.
+module.exports = function idempotency(sendExisting) {
+    return async function (req, res, next) {
+        const key = req.get('Idempotency-Key');
+        if (key === undefined) {
+            return next();
+        }
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({ msg: 'Idempotency-Key must be 8 to 100 letters, digits, dashes or underscores.' });
+        }
+
+        try {
+            req.idempotency = { key: scopedKey(req, key), requestHash: requestHash(req.body) };
+            const job = await Job.findOne({ 'idempotency.key': req.idempotency.key });
+            if (!job) {
+                return next();
+            }
+            if (job.idempotency.requestHash !== req.idempotency.requestHash) {
+                return res.status(422).json({ msg: 'This Idempotency-Key was already used for a different request.', code: 'idempotency_key_reused' });
+            }
+            res.set('Idempotent-Replayed', 'true');
+            sendExisting(req, res, job);
+        } catch (err) {
+            console.error('Idempotency check error:', err.message);
+            res.status(500).json({ msg: 'Server error checking the Idempotency-Key.' });
+        }
+    };
+};
@@ -0,0 +1,22 @@
+// middleware/optionalAuth.js
+const { verifyAccessToken } = require('../services/tokens');
+const { rejectToken } = require('./auth');
+
+// Middleware to optionally get user ID from token if present, but not enforce it.
+// This allows both authenticated and unauthenticated requests.
+// A token that is sent but expired, invalid or revoked is refused with a 401 like in auth.js, rather than
+// treating the request as anonymous: the client then refreshes its session and retries, instead of
+// saving the user's new art anonymously or showing them an empty history.
+module.exports = async function optionalAuth(req, res, next) {
+    const token = req.header('x-auth-token');
+    if (token) {
+        try {
+            const verified = await verifyAccessToken(token);
+            req.user = verified.user; // Attach user info if token is valid
+            req.sessionId = verified.sessionId;
+        } catch (err) {
+            return rejectToken(err, res);
+        }
+    }
+    next(); // Without a token the request proceeds as unauthenticated
+};
@@ -0,0 +1,31 @@
+// middleware/rateLimit.js
+const { takeToken } = require('../services/rateLimit');
+
+// Returns middleware that applies the named token-bucket limit (see services/rateLimit) to the route.
+// Every response carries the RateLimit-Limit/-Remaining/-Reset/-Policy headers; when the bucket is
+// empty the request is rejected with 429 and Retry-After.
+// Place it after auth/optionalAuth so logged-in users are limited per account instead of per IP.
+module.exports = function rateLimit(name) {
+    return async function (req, res, next) {
+        let result;
+        try {
+            result = await takeToken(name, req);
+        } catch (err) {
+            // A broken limit store (e.g., Redis is down) shouldn't take the API down with it
+            console.error(`Rate limit "${name}" unavailable, allowing request:`, err.message);
+            return next();
+        }
+
+        res.set({
+            'RateLimit-Limit': String(result.limit),
+            'RateLimit-Remaining': String(result.remaining),
+            'RateLimit-Reset': String(result.resetSeconds),
+            'RateLimit-Policy': result.policy
+        });
+        if (!result.allowed) {
+            res.set('Retry-After', String(result.retryAfterSeconds));
+            return res.status(429).json({ msg: `Too many requests. Please try again in ${result.retryAfterSeconds} seconds.` });
+        }
+        next();
+    };
+};
@@ -0,0 +1,13 @@
+// middleware/requireRole.js
+// Lets only users with at least the given role through ('moderator' also admits admins).
+// Use after the auth middleware; the role comes from the access token (see services/tokens.js).
+const { roleRank } = require('../services/admin');
+
+module.exports = function requireRole(role) {
+    return function (req, res, next) {
+        if (!req.user || roleRank(req.user.role) < roleRank(role)) {
+            return res.status(403).json({ msg: `${role === 'admin' ? 'Admin' : 'Moderator'} access required.` });
+        }
+        next();
+    };
+};
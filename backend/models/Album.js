@@ -0,0 +1,64 @@
+// models/Album.js
+const mongoose = require('mongoose');
+
+// One piece in an album. The array order is the album order.
+const albumItemSchema = new mongoose.Schema({
+    artId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        required: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+// A user-defined collection of art pieces (see services/albums.js). Albums are private by default;
+// like art pieces they can be unlisted (reachable through a share link) or public.
+const albumSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    name: {
+        type: String,
+        required: [true, 'Album name is required'],
+        trim: true,
+        maxlength: [100, 'Album name must be at most 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description must be at most 1000 characters'],
+        default: ''
+    },
+    visibility: {
+        type: String,
+        enum: {
+            values: ['private', 'unlisted', 'public'],
+            message: 'Visibility must be one of: private, unlisted, public'
+        },
+        default: 'private'
+    },
+    shareToken: { // Token of the album's share link (GET /api/albums/shared/:token) while unlisted
+        type: String,
+        default: undefined
+    },
+    items: {
+        type: [albumItemSchema],
+        default: []
+    },
+    coverArtId: { // Cover image; the first piece is used when none was chosen
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        default: null
+    }
+}, { timestamps: true }); // createdAt / updatedAt
+
+albumSchema.index({ userId: 1, updatedAt: -1 });
+albumSchema.index({ 'items.artId': 1 });
+albumSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+
+module.exports = mongoose.model('Album', albumSchema);
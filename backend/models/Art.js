@@ -1,5 +1,11 @@
 // models/Art.js
 const mongoose = require('mongoose');
+const { resolveImageUrl } = require('../services/storage');
+const { MOODS } = require('../services/moodAnalyzer');
+const { dominantMood, toMoodVector } = require('../services/moodBlend');
+
+// Visibility of new pieces: 'public' (gallery), 'unlisted' (only through a share link) or 'private'
+const DEFAULT_VISIBILITY = process.env.DEFAULT_ART_VISIBILITY || 'public';
 
 const artSchema = new mongoose.Schema({
     userId: {
@@ -7,7 +13,7 @@ const artSchema = new mongoose.Schema({
         ref: 'User', // Specifies that this ObjectId refers to the 'User' model
         required: false // CHANGED: userId is now optional
     },
-    mood: {
+    mood: { // The dominant mood; derived from 'moods' when the piece is a weighted blend
         type: String,
         required: [true, 'Mood is required'],
         trim: true,
@@ -17,15 +23,128 @@ const artSchema = new mongoose.Schema({
             message: 'Mood must be one of: Happy, Sad, Calm, Excited, Angry, Inspired, Mixed'
         }
     },
+    moods: [{ // Weighted mood blend, e.g. 60% Happy + 40% Calm. 'mood' above is derived from it (the dominant mood).
+        _id: false,
+        mood: {
+            type: String,
+            required: true,
+            enum: {
+                values: MOODS,
+                message: `Mood must be one of: ${MOODS.join(', ')}`
+            }
+        },
+        weight: { // Share of the blend; weights of a piece sum to 1
+            type: Number,
+            required: true,
+            min: 0,
+            max: 1
+        }
+    }],
+    moodAnalysis: { // Result of analyzing the Mood Diary text (see services/moodAnalyzer.js)
+        inferred: { type: Boolean, default: false }, // true when 'mood' was taken from this analysis
+        mood: { type: String }, // Mood suggested by the analyzer
+        scores: { type: Map, of: Number }, // Normalized score per mood, e.g. { Happy: 0.7, Calm: 0.3 }
+        confidence: { type: Number, min: 0, max: 1 }
+    },
     imageUrl: {
         type: String,
         required: [true, 'Image URL is required'] // URL where the generated art image is hosted
     },
+    storage: { // Where the image is stored, so imageUrl can be resolved (and migrated) through the storage driver
+        driver: { type: String, enum: ['cloudinary', 'local', 's3'] },
+        key: { type: String } // Driver-specific object key (e.g., Cloudinary public_id or S3 object key)
+    },
+    title: { // Optional title and description, editable by the participants (PATCH /api/art/:id)
+        type: String,
+        trim: true,
+        maxlength: [120, 'Title must be at most 120 characters'],
+        default: ''
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Description must be at most 1000 characters'],
+        default: ''
+    },
+    visibility: { // Who can see the piece (see services/artPermissions.js). Records without it are public.
+        type: String,
+        enum: {
+            values: ['private', 'unlisted', 'public'],
+            message: 'Visibility must be one of: private, unlisted, public'
+        },
+        default: DEFAULT_VISIBILITY
+    },
+    shareToken: { // Unguessable token of the piece's share link (GET /api/art/shared/:token); only shown to the owner
+        type: String,
+        default: undefined
+    },
+    claim: { // Anonymous pieces: hash and expiry of the claim token that attaches them to an account later
+        tokenHash: { type: String },
+        expiresAt: { type: Date }
+    },
     prompt: { // The text prompt used to generate the art (e.g., from Mood Diary)
         type: String,
         trim: true,
         default: '' // Default to empty string if no specific prompt beyond mood
     },
+    finalPrompt: { // The full prompt sent to the art provider, built by services/prompts
+        type: String,
+        default: ''
+    },
+    negativePrompt: { // What the provider was asked to avoid
+        type: String,
+        default: ''
+    },
+    promptTemplate: { // Prompt template version used (e.g., 'v2'), for comparing prompt wording (A/B tests)
+        type: String,
+        default: null
+    },
+    preset: { // Preset bundle used, e.g. 'neon-glitch' (see services/prompts/presets.js)
+        type: String,
+        default: null
+    },
+    provenance: { // How the image was made, recorded at generation time (see services/artGeneration.js)
+        provider: { type: String }, // e.g., 'huggingface' or 'procedural'
+        model: { type: String }, // Model id reported by the provider (e.g., 'stabilityai/stable-diffusion-xl-base-1.0')
+        finalPrompt: { type: String }, // Exactly what was sent to the provider
+        negativePrompt: { type: String },
+        seed: { type: Number },
+        params: { type: mongoose.Schema.Types.Mixed }, // Other generation options: mood, moods, style, colors, width, height
+        latencyMs: { type: Number }, // Time the provider took
+        contentHash: { type: String }, // SHA-256 (hex) of the stored image bytes
+        contentType: { type: String }
+    },
+    regeneratedFrom: { // Set on pieces re-generated from another piece's provenance (POST /api/art/:id/regenerate)
+        artId: { type: mongoose.Schema.Types.ObjectId, ref: 'Art' },
+        identical: { type: Boolean } // Whether the new image has the same content hash as the original
+    },
+    width: { type: Number }, // Size of the original image in pixels (set by services/imageProcessing)
+    height: { type: Number },
+    variants: [{ // Resized WebP/AVIF copies of the image, smallest first (see services/imageProcessing)
+        _id: false,
+        width: { type: Number, required: true },
+        height: { type: Number, required: true },
+        format: { type: String, enum: ['webp', 'avif'], required: true },
+        storage: {
+            driver: { type: String, enum: ['cloudinary', 'local', 's3'] },
+            key: { type: String }
+        },
+        url: { type: String } // URL at upload time; resolved through the storage driver when sent to clients
+    }],
+    watermarked: { // Whether the variants carry the watermark (public pieces, when IMAGE_WATERMARK_TEXT is set)
+        type: Boolean,
+        default: false
+    },
+    palette: [{ // Dominant colors actually rendered, most common first
+        _id: false,
+        color: { type: String, required: true }, // '#RRGGBB'
+        family: { type: String }, // e.g. 'blue', what the gallery's color search matches on
+        share: { type: Number, min: 0, max: 1 } // Fraction of the image in this color
+    }],
+    colorMatch: { // How close the palette came to the requested colors (0-1); null without requested colors
+        type: Number,
+        default: null
+    },
     style: { // e.g., 'Abstract', 'Impressionist', chosen from settings
         type: String,
         default: 'Abstract'
@@ -34,19 +153,138 @@ const artSchema = new mongoose.Schema({
         type: [String],
         default: []
     },
-    votes: { // Counter for the "Vote" star rating feature in the gallery
+    votes: { // Number of star ratings (same as rating.count, kept for older clients)
         type: Number,
         default: 0
     },
+    rating: { // Aggregates of the star ratings in the Rating collection (see services/ratings.js)
+        count: { type: Number, default: 0 },
+        sum: { type: Number, default: 0 }, // Total stars, so the average can be updated atomically
+        average: { type: Number, default: 0 }, // 0 when unrated, otherwise 1-5
+        score: { type: Number, default: () => Number(process.env.RATING_PRIOR_MEAN || 3) } // Bayesian average used for ranking (starts at the prior mean)
+    },
     collaborators: [{ // Array of User IDs who collaborated on this art piece
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     }],
+    parentId: { // The piece this one is a remix of (see services/remix.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        default: null
+    },
+    rootId: { // The original piece at the top of the remix lineage (null for originals)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        default: null
+    },
+    depth: { // Remix generation: 0 for originals, 1 for a remix of an original, and so on
+        type: Number,
+        default: 0
+    },
+    credits: [{ // Authors of the pieces this remix builds on (other than the remixer)
+        _id: false,
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        artId: { type: mongoose.Schema.Types.ObjectId, ref: 'Art' } // Their piece in the lineage
+    }],
+    remixCount: { // Number of direct remixes of this piece
+        type: Number,
+        default: 0
+    },
+    hiddenBy: [{ // Participants who hid this piece from their own history (see services/artPermissions.js)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    reportCount: { // Open reports against the piece (see services/reports.js)
+        type: Number,
+        default: 0
+    },
+    moderation: { // Set when a moderator hides the piece (see services/admin.js)
+        hidden: { type: Boolean, default: false },
+        reason: { type: String },
+        at: { type: Date },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
     createdAt: {
         type: Date,
         default: Date.now // Automatically sets the creation timestamp
     }
 });
 
+// Keep 'mood' in sync with the weighted blend: it is always the dominant mood
+artSchema.pre('validate', function (next) {
+    if (this.moods && this.moods.length > 0) {
+        this.mood = dominantMood(this.moods);
+    }
+    next();
+});
+
+// Pieces hidden by a moderator drop out of every read (listings, lookups, counts, aggregations) and
+// single-piece update (votes, reports, remix counts), so no endpoint has to remember to filter them.
+// Queries that need them (the admin API, owners deleting their piece) opt in with
+// .setOptions({ includeModerated: true }) or the includeModerated query option.
+const NOT_MODERATED = { 'moderation.hidden': { $ne: true } };
+artSchema.pre(['find', 'findOne', 'countDocuments', 'distinct', 'findOneAndUpdate', 'updateOne'], function () {
+    if (!this.getOptions().includeModerated) {
+        this.where(NOT_MODERATED);
+    }
+});
+artSchema.pre('aggregate', function () {
+    const pipeline = this.pipeline();
+    // A leading $match (which may hold $text, and $text has to stay in the first stage) gets the condition merged in
+    if (pipeline[0] && pipeline[0].$match) {
+        pipeline[0].$match = { ...pipeline[0].$match, ...NOT_MODERATED };
+    } else {
+        pipeline.unshift({ $match: NOT_MODERATED });
+    }
+});
+
+// Indexes for per-user mood timelines, by dominant mood and by contributing moods
+artSchema.index({ userId: 1, mood: 1, createdAt: 1 });
+artSchema.index({ userId: 1, 'moods.mood': 1, createdAt: 1 });
+// Indexes for the paginated listings (history, gallery sorts and filters)
+artSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+artSchema.index({ createdAt: -1, _id: -1 });
+artSchema.index({ 'rating.score': -1, _id: -1 });
+artSchema.index({ collaborators: 1, createdAt: -1 });
+artSchema.index({ style: 1, createdAt: -1 });
+artSchema.index({ colors: 1 });
+artSchema.index({ 'palette.family': 1, createdAt: -1 });
+// Comparing results (e.g., ratings) per prompt template version
+artSchema.index({ promptTemplate: 1, createdAt: -1 });
+// Remix lineage lookups (children of a piece, whole family trees)
+artSchema.index({ parentId: 1, createdAt: 1 });
+artSchema.index({ rootId: 1 });
+// Share links and claiming anonymous pieces
+artSchema.index({ shareToken: 1 }, { unique: true, partialFilterExpression: { shareToken: { $type: 'string' } } });
+artSchema.index({ 'claim.tokenHash': 1 }, { partialFilterExpression: { 'claim.tokenHash': { $type: 'string' } } });
+// Full-text search over the prompt (Mood Diary text)
+artSchema.index({ prompt: 'text' });
+
+// When an art piece is sent to a client, resolve imageUrl through its storage driver
+// (e.g., to hand out a fresh signed URL) instead of the URL saved at upload time.
+artSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        ret.imageUrl = resolveImageUrl(ret);
+        ret.variants = (ret.variants || []).map(variant => ({ ...variant, url: resolveImageUrl({ storage: variant.storage, imageUrl: variant.url }) }));
+        if (ret.watermarked && ret.variants.length > 0) {
+            // The original carries no watermark, so clients get the largest variant (WebP before AVIF) in its place
+            const largest = ret.variants.reduce((best, variant) => (variant.width > best.width
+                || (variant.width === best.width && variant.format === 'webp') ? variant : best));
+            ret.imageUrl = largest.url;
+            delete ret.storage;
+        }
+        // Expose the blend as a vector, e.g. { Happy: 0.6, Calm: 0.4 }; 'mood' is the dominant mood
+        ret.moods = toMoodVector(ret.moods);
+        ret.visibility = ret.visibility || 'public';
+        // Secrets stay on the server; owners get the share link through the routes that manage it
+        delete ret.shareToken;
+        delete ret.claim;
+        delete ret.moderation; // Moderation details are only shown through the admin API
+        delete ret.reportCount; // Like moderation: only moderators see how often a piece was reported
+        delete ret.hiddenBy; // Which participants hid the piece from their history is their own business
+        return ret;
+    }
+});
+
 // Export the Mongoose model. 'Art' is the name of the collection in MongoDB (will be 'arts').
 module.exports = mongoose.model('Art', artSchema);
@@ -0,0 +1,55 @@
+// models/AuditLog.js
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+    'art.hide', 'art.restore', 'art.delete',
+    'report.dismiss',
+    'user.suspend', 'user.unsuspend', 'user.role',
+    'rule.create', 'rule.update', 'rule.delete',
+    'prompt_log.review'
+];
+
+// One moderation action (see services/audit.js). Entries are append-only: the schema refuses
+// updates and deletes, so the log can't be rewritten through the app.
+const auditLogSchema = new mongoose.Schema({
+    actorId: { // The moderator or admin who acted
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    actorRole: String, // Their role at the time
+    action: {
+        type: String,
+        required: true,
+        enum: ACTIONS
+    },
+    target: {
+        type: { type: String, required: true }, // 'art', 'user', 'report', 'moderation_rule' or 'moderation_log'
+        id: { type: mongoose.Schema.Types.ObjectId, required: true }
+    },
+    reason: {
+        type: String,
+        default: ''
+    },
+    details: { // Action-specific context, e.g. { role: 'moderator', previousRole: 'user' } or the reports it resolved
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+auditLogSchema.index({ createdAt: -1, _id: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+function refuseChange() {
+    throw new Error('Audit log entries cannot be changed or deleted.');
+}
+
+auditLogSchema.pre('save', function () {
+    if (!this.isNew) refuseChange();
+});
+auditLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'], refuseChange);
+auditLogSchema.pre('deleteOne', { document: true, query: false }, refuseChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,78 @@
+// models/Export.js
+const mongoose = require('mongoose');
+
+// A mood journal export (ZIP archive, PDF journal or animated evolution timeline), built by a
+// background 'export' job (see services/exports). The file is removed once the export expires.
+const exportSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    kind: { // 'zip': images plus a manifest, 'pdf': printable journal, 'animation': evolution timeline of one mood
+        type: String,
+        required: true,
+        enum: ['zip', 'pdf', 'animation']
+    },
+    format: { // File format: 'zip', 'pdf', 'gif' or 'webp'
+        type: String,
+        required: true,
+        enum: ['zip', 'pdf', 'gif', 'webp']
+    },
+    options: { // What to export, e.g. { manifest: 'csv', mood: 'Happy', match: 'contributing', from, to, includeHidden }
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    state: {
+        type: String,
+        enum: ['pending', 'ready', 'failed'],
+        default: 'pending'
+    },
+    jobId: { // The background job building the file
+        type: String,
+        ref: 'Job',
+        default: null
+    },
+    fileName: String, // Download name, e.g. 'mood-journal-2025-01-31.pdf'
+    filePath: String, // Location of the file in the export directory (server-side only)
+    contentType: String,
+    size: Number, // Bytes
+    itemCount: { // Art pieces included
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    expiresAt: { // The export and its download links stop working after this date
+        type: Date,
+        required: true
+    }
+}, { timestamps: true }); // createdAt / updatedAt
+
+exportSchema.index({ userId: 1, createdAt: -1 });
+exportSchema.index({ expiresAt: 1 });
+
+// Shape sent to clients (without server-side paths); the download link is added by the routes
+exportSchema.methods.toClient = function () {
+    return {
+        id: this._id,
+        kind: this.kind,
+        format: this.format,
+        options: this.options,
+        state: this.expiresAt <= new Date() ? 'expired' : this.state,
+        jobId: this.jobId,
+        fileName: this.fileName || null,
+        contentType: this.contentType || null,
+        size: this.size || null,
+        itemCount: this.itemCount,
+        error: this.error,
+        expiresAt: this.expiresAt,
+        createdAt: this.createdAt
+    };
+};
+
+exportSchema.set('toJSON', { transform: doc => doc.toClient() });
+
+module.exports = mongoose.model('Export', exportSchema);
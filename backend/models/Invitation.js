@@ -0,0 +1,101 @@
+// models/Invitation.js
+const mongoose = require('mongoose');
+const { MOODS } = require('../services/moodAnalyzer');
+
+// How long an invitation stays open before it expires
+const INVITATION_TTL_DAYS = Number(process.env.INVITATION_TTL_DAYS || 14);
+
+// An invitation to create a collaborative art piece. The inviter proposes the piece with their mood;
+// nothing is generated until the invitee accepts and adds their own mood (see services/collaborations.js).
+const invitationSchema = new mongoose.Schema({
+    inviterId: { // The user who proposed the collaboration (owner of the resulting art piece)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Inviter is required']
+    },
+    inviteeId: { // The invited partner; null until someone signs up with inviteeEmail
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    inviteeEmail: { // The address the invitation was sent to (missing on invitations from before it was stored)
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    inviterMood: {
+        type: String,
+        required: [true, 'Your mood is required'],
+        enum: {
+            values: MOODS,
+            message: `Mood must be one of: ${MOODS.join(', ')}`
+        }
+    },
+    inviteeMood: { // Set when the invitee accepts
+        type: String,
+        enum: {
+            values: MOODS,
+            message: `Mood must be one of: ${MOODS.join(', ')}`
+        }
+    },
+    message: { // Optional note from the inviter
+        type: String,
+        trim: true,
+        maxlength: [500, 'Message must be at most 500 characters'],
+        default: ''
+    },
+    style: String, // Optional style, colors and preset bundle for the piece, chosen by the inviter
+    preset: String,
+    colors: {
+        type: [String],
+        default: []
+    },
+    provider: String, // Optional art provider, validated when the invitation is created
+    state: {
+        type: String,
+        enum: ['pending', 'accepted', 'declined', 'cancelled', 'expired'],
+        default: 'pending'
+    },
+    jobId: { // The generation job queued on acceptance
+        type: String,
+        ref: 'Job',
+        default: null
+    },
+    artId: { // The art piece, once generated
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000)
+    },
+    respondedAt: Date
+}, { timestamps: true }); // createdAt / updatedAt
+
+// Inbox and outbox listings
+invitationSchema.index({ inviteeId: 1, state: 1, createdAt: -1 });
+invitationSchema.index({ inviterId: 1, state: 1, createdAt: -1 });
+// Invitations waiting for their invitee to sign up
+invitationSchema.index({ inviteeEmail: 1, state: 1 });
+
+// Pending invitations past their expiry date read as expired, even before they are updated in the database
+invitationSchema.virtual('effectiveState').get(function () {
+    return this.state === 'pending' && this.expiresAt && this.expiresAt <= new Date() ? 'expired' : this.state;
+});
+
+invitationSchema.set('toJSON', {
+    virtuals: true,
+    transform: (doc, ret) => {
+        ret.state = doc.effectiveState;
+        // The invitee shows as the address the inviter typed. Whether it belongs to an account is never
+        // sent, so invitations can't be used to find out who is registered.
+        ret.inviteeEmail = ret.inviteeEmail || (ret.inviteeId && ret.inviteeId.email) || null;
+        delete ret.inviteeId;
+        delete ret.effectiveState;
+        delete ret.provider; // Server-side detail
+        return ret;
+    }
+});
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,87 @@
+// models/Job.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A background art generation (or export) job. Generation endpoints create a job and return right away;
+// clients follow its progress through GET /api/art/jobs/:id or the Server-Sent Events stream.
+const jobSchema = new mongoose.Schema({
+    _id: { // Random UUID instead of an ObjectId: knowing the job id is what grants access to it
+        type: String,
+        default: () => crypto.randomUUID()
+    },
+    type: { // Which job handler processes this job (see services/artJobs.js and services/exports)
+        type: String,
+        required: [true, 'Job type is required'],
+        enum: ['art', 'collaborate', 'regenerate', 'export']
+    },
+    userId: { // The user who requested the job (optional, like Art.userId)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: false
+    },
+    state: {
+        type: String,
+        enum: ['queued', 'generating', 'uploading', 'done', 'failed'],
+        default: 'queued'
+    },
+    progress: { // Rough completion percentage (0-100) for progress bars and the time-lapse effect
+        type: Number,
+        default: 0
+    },
+    params: { // Everything the handler needs to produce the art piece (moods, prompt, style, colors, provider, ...)
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    attempts: { // How many times the job has been started
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    error: { // Message of the last failure, if any
+        type: String,
+        default: null
+    },
+    artId: { // The art piece produced by the job once it is done
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        default: null
+    },
+    exportId: { // The export built by an 'export' job once it is done
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Export',
+        default: null
+    },
+    idempotency: { // Idempotency-Key of the request that created the job (see middleware/idempotency.js)
+        key: String, // Scoped to the account, e.g. 'user:<id>:<key>' ('anon:<key>' without one)
+        requestHash: String // Hash of the request body, to refuse the same key with a different request
+    },
+    startedAt: Date,
+    finishedAt: Date
+}, { timestamps: true }); // createdAt / updatedAt
+
+// One job per Idempotency-Key; retries of a request find the job it created
+jobSchema.index({ 'idempotency.key': 1 }, { unique: true, partialFilterExpression: { 'idempotency.key': { $type: 'string' } } });
+// Finished jobs are removed automatically after a week to keep the collection small
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+// Shape sent to clients (the raw params stay on the server)
+jobSchema.methods.toClient = function () {
+    return {
+        id: this._id,
+        type: this.type,
+        state: this.state,
+        progress: this.progress,
+        attempts: this.attempts,
+        maxAttempts: this.maxAttempts,
+        error: this.error,
+        artId: this.artId,
+        ...(this.type === 'export' && { exportId: this.exportId }),
+        createdAt: this.createdAt,
+        updatedAt: this.updatedAt
+    };
+};
+
+module.exports = mongoose.model('Job', jobSchema);
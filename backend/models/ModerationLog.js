@@ -0,0 +1,57 @@
+// models/ModerationLog.js
+const mongoose = require('mongoose');
+
+// How long rejected prompts are kept for review
+const MODERATION_LOG_DAYS = Number(process.env.MODERATION_LOG_DAYS || 90);
+
+// A prompt rejected by the moderation layer (see services/moderation), kept for moderators to review
+const moderationLogSchema = new mongoose.Schema({
+    userId: { // Who sent the prompt (null for anonymous requests)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    ip: String,
+    source: { // Where the prompt came from, e.g. 'POST /api/art'
+        type: String,
+        default: ''
+    },
+    field: String, // The prompt field that was rejected (prompt, terms, negativePrompt, style, colors, finalPrompt)
+    text: { // The rejected text, with personal data already scrubbed
+        type: String,
+        default: ''
+    },
+    rule: { // The rule that fired
+        id: String, // ModerationRule id, or the id of a built-in rule (e.g., 'max-length', 'blocklist')
+        type: { type: String }, // 'term', 'pattern', 'length' or 'characters'
+        name: String
+    },
+    matched: String, // The part of the text that matched
+    status: { // Review state
+        type: String,
+        enum: ['open', 'confirmed', 'dismissed'],
+        default: 'open'
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    reviewedAt: Date,
+    reviewNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note must be at most 500 characters'],
+        default: ''
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        expires: MODERATION_LOG_DAYS * 24 * 60 * 60 // Removed automatically after MODERATION_LOG_DAYS
+    }
+});
+
+// Review queue (newest first, by status)
+moderationLogSchema.index({ status: 1, createdAt: -1, _id: -1 });
+
+module.exports = mongoose.model('ModerationLog', moderationLogSchema);
@@ -0,0 +1,66 @@
+// models/ModerationRule.js
+const mongoose = require('mongoose');
+
+// A moderation rule checked against prompt text before it is sent to an art provider
+// (see services/moderation). Rules are edited by admins at runtime through /api/moderation/rules.
+const moderationRuleSchema = new mongoose.Schema({
+    name: { // Short label shown in 422 responses and the rejection log, e.g. 'violence'
+        type: String,
+        required: [true, 'Rule name is required'],
+        trim: true,
+        maxlength: [100, 'Rule name must be at most 100 characters']
+    },
+    type: { // 'term': a blocked word or phrase (whole words, case-insensitive); 'pattern': a regular expression
+        type: String,
+        required: true,
+        enum: {
+            values: ['term', 'pattern'],
+            message: 'Rule type must be "term" or "pattern"'
+        }
+    },
+    value: { // The term, or the regular expression source (matched case-insensitively unless caseSensitive)
+        type: String,
+        required: [true, 'Rule value is required'],
+        maxlength: [500, 'Rule value must be at most 500 characters']
+    },
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    },
+    fields: { // Prompt fields the rule applies to; empty means all (prompt, terms, negativePrompt, style, colors)
+        type: [String],
+        default: []
+    },
+    message: { // Explanation shown to the user when the rule fires
+        type: String,
+        trim: true,
+        maxlength: [300, 'Message must be at most 300 characters'],
+        default: ''
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, { timestamps: true }); // createdAt / updatedAt
+
+// Pattern rules must compile
+moderationRuleSchema.pre('validate', function (next) {
+    if (this.type === 'pattern') {
+        try {
+            new RegExp(this.value, this.caseSensitive ? 'u' : 'iu');
+        } catch (err) {
+            this.invalidate('value', `Invalid regular expression: ${err.message}`);
+        }
+    }
+    next();
+});
+
+module.exports = mongoose.model('ModerationRule', moderationRuleSchema);
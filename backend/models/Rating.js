@@ -0,0 +1,40 @@
+// models/Rating.js
+const mongoose = require('mongoose');
+
+// One star rating of an art piece. Logged-in users are identified by userId; anonymous
+// voters by a fingerprint (a keyed hash of IP address and user agent), so each can rate a piece once.
+const ratingSchema = new mongoose.Schema({
+    artId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        required: [true, 'Art piece is required']
+    },
+    userId: { // Set for logged-in voters
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    fingerprint: { // Set for anonymous voters instead of userId
+        type: String
+    },
+    ipHash: { // Keyed hash of the voter's IP, used to limit anonymous votes per IP
+        type: String
+    },
+    stars: {
+        type: Number,
+        required: [true, 'Star rating is required'],
+        min: [1, 'Rating must be at least 1 star'],
+        max: [5, 'Rating must be at most 5 stars'],
+        validate: {
+            validator: Number.isInteger,
+            message: 'Rating must be a whole number of stars'
+        }
+    }
+}, { timestamps: true }); // createdAt / updatedAt
+
+// One rating per user per piece, and one per anonymous fingerprint per piece
+ratingSchema.index({ artId: 1, userId: 1 }, { unique: true, partialFilterExpression: { userId: { $type: 'objectId' } } });
+ratingSchema.index({ artId: 1, fingerprint: 1 }, { unique: true, partialFilterExpression: { fingerprint: { $type: 'string' } } });
+// For counting recent anonymous votes from one IP
+ratingSchema.index({ ipHash: 1, createdAt: -1 }, { partialFilterExpression: { ipHash: { $type: 'string' } } });
+
+module.exports = mongoose.model('Rating', ratingSchema);
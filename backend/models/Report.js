@@ -0,0 +1,52 @@
+// models/Report.js
+const mongoose = require('mongoose');
+
+const REPORT_REASONS = ['spam', 'harassment', 'hate', 'sexual', 'violence', 'self_harm', 'personal_data', 'copyright', 'other'];
+
+// A user's report of an art piece (see services/reports.js), waiting in the moderators' queue
+// until the piece is hidden or deleted (resolved) or the report is dismissed
+const reportSchema = new mongoose.Schema({
+    artId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        required: true
+    },
+    reporterId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reason: {
+        type: String,
+        required: [true, 'A reason is required'],
+        enum: {
+            values: REPORT_REASONS,
+            message: `Reason must be one of: ${REPORT_REASONS.join(', ')}`
+        }
+    },
+    details: { // Optional explanation from the reporter
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Details must be at most 1000 characters'],
+        default: ''
+    },
+    status: {
+        type: String,
+        enum: ['open', 'resolved', 'dismissed'],
+        default: 'open'
+    },
+    resolution: { // How the report was closed
+        action: { type: String }, // 'hidden', 'deleted' or 'dismissed'
+        note: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        at: { type: Date }
+    }
+}, { timestamps: true }); // createdAt / updatedAt
+
+// The queue (oldest open reports first) and reports per piece
+reportSchema.index({ status: 1, createdAt: 1, _id: 1 });
+reportSchema.index({ artId: 1, status: 1 });
+// One open report per user and piece
+reportSchema.index({ artId: 1, reporterId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+
+module.exports = mongoose.model('Report', reportSchema);
@@ -0,0 +1,116 @@
+// models/Room.js
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { MOODS } = require('../services/moodAnalyzer');
+
+// How long a room stays usable after it was opened
+const ROOM_TTL_HOURS = Number(process.env.ROOM_TTL_HOURS || 24);
+// Join codes avoid easily confused characters (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+// A live collaboration room (see services/rooms.js and services/realtime/roomSocket.js).
+// The host opens it and shares the join code; participants pick a mood (and optionally a diary line)
+// and mark themselves ready. Once everyone is ready, the blend of all moods is generated.
+const participantSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    name: { // Display name when joining, so others can see who picked what
+        type: String,
+        default: ''
+    },
+    mood: {
+        type: String,
+        enum: {
+            values: MOODS,
+            message: `Mood must be one of: ${MOODS.join(', ')}`
+        }
+    },
+    text: { // Optional diary line, added to the piece's prompt
+        type: String,
+        trim: true,
+        maxlength: [280, 'Your diary line must be at most 280 characters'],
+        default: ''
+    },
+    ready: {
+        type: Boolean,
+        default: false
+    },
+    joinedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
+const roomSchema = new mongoose.Schema({
+    code: { // Join code shared by the host, e.g. 'K7PQ2M'
+        type: String,
+        required: true,
+        unique: true,
+        default: () => Array.from(crypto.randomBytes(6), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('')
+    },
+    hostId: { // The user who opened the room (owner of the resulting art piece)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    participants: {
+        type: [participantSchema],
+        default: []
+    },
+    style: String, // Optional style, colors, preset and provider for the piece, chosen by the host
+    colors: {
+        type: [String],
+        default: []
+    },
+    preset: String,
+    provider: String,
+    state: { // 'open': gathering moods; 'generating': the piece is being made; 'done': finished; 'closed': closed by the host
+        type: String,
+        enum: ['open', 'generating', 'done', 'closed'],
+        default: 'open'
+    },
+    jobId: { // The current (or last) generation job
+        type: String,
+        ref: 'Job',
+        default: null
+    },
+    artId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Art',
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + ROOM_TTL_HOURS * 60 * 60 * 1000),
+        expires: 0 // Removed automatically once expired
+    }
+}, { timestamps: true }); // createdAt / updatedAt
+
+// Rooms a user is part of
+roomSchema.index({ 'participants.userId': 1, createdAt: -1 });
+
+// Shape sent to clients. 'online' lists the participants currently connected (from the socket layer).
+roomSchema.methods.toClient = function (online = []) {
+    const onlineIds = new Set(online.map(String));
+    return {
+        id: this._id,
+        code: this.code,
+        hostId: this.hostId,
+        state: this.state,
+        style: this.style || null,
+        colors: this.colors,
+        preset: this.preset || null,
+        participants: this.participants.map(({ userId, name, mood, text, ready, joinedAt }) => ({
+            userId, name, mood: mood || null, text, ready, joinedAt, online: onlineIds.has(String(userId))
+        })),
+        jobId: this.jobId,
+        artId: this.artId,
+        expiresAt: this.expiresAt,
+        createdAt: this.createdAt
+    };
+};
+
+module.exports = mongoose.model('Room', roomSchema);
@@ -0,0 +1,65 @@
+// models/Session.js
+const mongoose = require('mongoose');
+
+// A login session on one device. Access tokens (short-lived JWTs) carry the session id, so revoking
+// the session locks them out immediately; the long-lived refresh token is rotated on every use
+// and only its hash is stored (see services/tokens.js).
+const sessionSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    tokenHash: { // SHA-256 of the current refresh token
+        type: String,
+        required: true
+    },
+    previousTokenHashes: { // Hashes of rotated refresh tokens; presenting one again means the token was stolen
+        type: [String],
+        default: []
+    },
+    userAgent: {
+        type: String,
+        default: ''
+    },
+    ip: {
+        type: String,
+        default: ''
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: { // When the refresh token stops working (pushed forward on every refresh)
+        type: Date,
+        required: true
+    },
+    revokedAt: { // Set on logout, logout from all devices, password change/reset or token reuse
+        type: Date,
+        default: null
+    },
+    revokedReason: String
+}, { timestamps: true }); // createdAt / updatedAt
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Expired sessions are removed automatically a day after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Shape sent to clients (the token hashes stay on the server)
+sessionSchema.methods.toClient = function () {
+    return {
+        id: this._id,
+        userAgent: this.userAgent,
+        ip: this.ip,
+        createdAt: this.createdAt,
+        lastUsedAt: this.lastUsedAt,
+        expiresAt: this.expiresAt
+    };
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
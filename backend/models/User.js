@@ -15,15 +15,63 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters long'] // Minimum length validation
     },
+    pendingEmail: { // New email address waiting for verification (see PUT /api/users/me/email)
+        type: String,
+        trim: true,
+        lowercase: true,
+        default: null
+    },
+    displayName: {
+        type: String,
+        trim: true,
+        maxlength: [50, 'Display name must be at most 50 characters long'],
+        default: ''
+    },
     avatar: { // Stores a string identifier for the user's mood-based avatar
         type: String,
         default: 'default_avatar' // Default avatar if no mood is provided during signup
     },
+    tier: { // Account tier; decides the daily art generation quota (see services/quotas.js)
+        type: String,
+        enum: ['free', 'pro'],
+        default: 'free'
+    },
+    role: { // 'moderator': works the report queue (/api/admin); 'admin': also manages roles and moderation rules
+        type: String,
+        enum: ['user', 'moderator', 'admin'],
+        default: 'user'
+    },
+    suspension: { // Set while the account is suspended (see services/admin.js); suspended users can't log in
+        at: { type: Date },
+        until: { type: Date }, // No end date: suspended until lifted
+        reason: { type: String },
+        by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    },
+    avatarMode: { // 'fixed': avatar only changes when the user picks one; 'mood': follows the mood of their recent art
+        type: String,
+        enum: ['fixed', 'mood'],
+        default: 'fixed'
+    },
+    settings: { // Art preferences applied by POST /api/art when a request leaves them out
+        style: { type: String, default: null },
+        colors: { type: [String], default: [] },
+        moods: [{ // Preferred mood blend, like Art.moods
+            _id: false,
+            mood: { type: String, required: true },
+            weight: { type: Number, required: true, min: 0, max: 1 }
+        }]
+    },
     createdAt: {
         type: Date,
         default: Date.now // Automatically sets the creation date
     }
 });
 
+// Whether the account is suspended right now (suspensions with an end date lapse on their own)
+userSchema.methods.isSuspended = function () {
+    const suspension = this.suspension;
+    return Boolean(suspension && suspension.at) && (!suspension.until || suspension.until > new Date());
+};
+
 // Export the Mongoose model. 'User' is the name of the collection in MongoDB (will be 'users').
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,40 @@
+// models/UserToken.js
+const mongoose = require('mongoose');
+
+// A single-use, expiring token sent to a user out of band (e.g., a password reset or email verification link).
+// Only the SHA-256 hash of the token is stored.
+const userTokenSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    purpose: {
+        type: String,
+        required: true,
+        enum: ['password_reset', 'email_change']
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    data: { // Extra details for the purpose (e.g., the new address for 'email_change')
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    usedAt: { // Set when the token is redeemed; a used token never works again
+        type: Date,
+        default: null
+    }
+}, { timestamps: true });
+
+userTokenSchema.index({ userId: 1, purpose: 1 });
+// Tokens are removed automatically once they have expired
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
@@ -0,0 +1,172 @@
+// routes/adminRoutes.js
+const express = require('express');
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole'); // Moderators work the queue; admins also manage roles and read the audit log
+const { listReports, getReport, dismissReport } = require('../services/reports'); // The report queue
+const { artForModeration, findArt, hideArt, restoreArt, deleteArt, getUser, suspendUser, unsuspendUser, setRole } = require('../services/admin'); // Moderation actions (audited)
+const { recordAudit, listAudit } = require('../services/audit'); // Audit log of moderation actions
+
+const router = express.Router(); // Create an Express router instance
+
+router.use(auth, requireRole('moderator'));
+
+// The moderator's reason for an action (body, or ?reason= for DELETE requests)
+const reasonOf = req => String((req.body && req.body.reason) || req.query.reason || '').slice(0, 1000);
+
+// Sends a 400/403/404/409 for moderation problems, otherwise a 500
+const handleAdminError = (res, err, route, message) => {
+    if (['AdminError', 'ReportError'].includes(err.name)) {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.name === 'QueryError') {
+        return res.status(400).json({ msg: err.message });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// @route   GET /api/admin/reports
+// @desc    The report queue: { items, nextCursor }, each report with its piece (moderation details
+//          included) and reporter. ?status=open (default, oldest first) | resolved | dismissed (newest first),
+//          ?reason=, ?artId=, ?cursor=, ?limit=
+// @access  Moderator
+router.get('/reports', async (req, res) => {
+    try {
+        res.json(await listReports(req.query));
+    } catch (err) {
+        handleAdminError(res, err, 'GET /api/admin/reports', 'Server error fetching reports.');
+    }
+});
+
+// @route   GET /api/admin/reports/:id
+// @desc    One report with its piece and reporter
+// @access  Moderator
+router.get('/reports/:id', async (req, res) => {
+    try {
+        res.json(await getReport(req.params.id));
+    } catch (err) {
+        handleAdminError(res, err, 'GET /api/admin/reports/:id', 'Server error fetching report.');
+    }
+});
+
+// @route   POST /api/admin/reports/:id/dismiss
+// @desc    Dismiss a report, leaving the piece as it is: { reason }
+// @access  Moderator
+router.post('/reports/:id/dismiss', async (req, res) => {
+    try {
+        const reason = reasonOf(req);
+        const report = await dismissReport(req.params.id, req.user.id, reason);
+        await recordAudit(req.user, 'report.dismiss', { type: 'report', id: report._id }, { reason, details: { artId: report.artId } });
+        res.json(report);
+    } catch (err) {
+        handleAdminError(res, err, 'POST /api/admin/reports/:id/dismiss', 'Server error dismissing report.');
+    }
+});
+
+// @route   GET /api/admin/art/:id
+// @desc    An art piece with its moderation details, hidden or not
+// @access  Moderator
+router.get('/art/:id', async (req, res) => {
+    try {
+        res.json(artForModeration(await findArt(req.params.id)));
+    } catch (err) {
+        handleAdminError(res, err, 'GET /api/admin/art/:id', 'Server error fetching art piece.');
+    }
+});
+
+// @route   POST /api/admin/art/:id/hide
+// @desc    Hide an art piece from everyone: { reason }. It drops out of the gallery, histories, albums and
+//          every other listing. Resolves the piece's open reports.
+// @access  Moderator
+router.post('/art/:id/hide', async (req, res) => {
+    try {
+        res.json(await hideArt(req.params.id, req.user, { reason: reasonOf(req) }));
+    } catch (err) {
+        handleAdminError(res, err, 'POST /api/admin/art/:id/hide', 'Server error hiding art piece.');
+    }
+});
+
+// @route   POST /api/admin/art/:id/restore
+// @desc    Make a hidden art piece visible again: { reason }
+// @access  Moderator
+router.post('/art/:id/restore', async (req, res) => {
+    try {
+        res.json(await restoreArt(req.params.id, req.user, { reason: reasonOf(req) }));
+    } catch (err) {
+        handleAdminError(res, err, 'POST /api/admin/art/:id/restore', 'Server error restoring art piece.');
+    }
+});
+
+// @route   DELETE /api/admin/art/:id
+// @desc    Delete an art piece for good, with its stored image: ?reason= (or { reason }).
+//          Resolves the piece's open reports.
+// @access  Moderator
+router.delete('/art/:id', async (req, res) => {
+    try {
+        await deleteArt(req.params.id, req.user, { reason: reasonOf(req) });
+        res.json({ msg: 'Art piece deleted.' });
+    } catch (err) {
+        handleAdminError(res, err, 'DELETE /api/admin/art/:id', 'Server error deleting art piece.');
+    }
+});
+
+// @route   GET /api/admin/users/:id
+// @desc    An account's role and suspension state, with the reports on its pieces ({ reports: { open, total } })
+// @access  Moderator
+router.get('/users/:id', async (req, res) => {
+    try {
+        res.json(await getUser(req.params.id));
+    } catch (err) {
+        handleAdminError(res, err, 'GET /api/admin/users/:id', 'Server error fetching user.');
+    }
+});
+
+// @route   POST /api/admin/users/:id/suspend
+// @desc    Suspend an account: { reason, days } (leave days out to suspend until lifted). The user is logged
+//          out everywhere and can't log in while suspended. Only accounts with a lower role than yours.
+// @access  Moderator
+router.post('/users/:id/suspend', async (req, res) => {
+    try {
+        res.json(await suspendUser(req.params.id, req.user, { reason: reasonOf(req), days: req.body.days }));
+    } catch (err) {
+        handleAdminError(res, err, 'POST /api/admin/users/:id/suspend', 'Server error suspending user.');
+    }
+});
+
+// @route   POST /api/admin/users/:id/unsuspend
+// @desc    Lift a suspension: { reason }
+// @access  Moderator
+router.post('/users/:id/unsuspend', async (req, res) => {
+    try {
+        res.json(await unsuspendUser(req.params.id, req.user, { reason: reasonOf(req) }));
+    } catch (err) {
+        handleAdminError(res, err, 'POST /api/admin/users/:id/unsuspend', 'Server error lifting the suspension.');
+    }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Change an account's role: { role: 'user'|'moderator'|'admin', reason }. Takes effect with the
+//          user's next access token; demoted users are logged out everywhere.
+// @access  Admin
+router.put('/users/:id/role', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await setRole(req.params.id, req.user, { role: req.body.role, reason: reasonOf(req) }));
+    } catch (err) {
+        handleAdminError(res, err, 'PUT /api/admin/users/:id/role', 'Server error changing the role.');
+    }
+});
+
+// @route   GET /api/admin/audit
+// @desc    The audit log of moderation actions, newest first: { items, nextCursor }.
+//          Filters: action (e.g., 'art.hide'), actorId, targetType ('art', 'user', 'report', 'moderation_rule',
+//          'moderation_log'), targetId; paging with cursor and limit.
+// @access  Admin
+router.get('/audit', requireRole('admin'), async (req, res) => {
+    try {
+        res.json(await listAudit(req.query));
+    } catch (err) {
+        handleAdminError(res, err, 'GET /api/admin/audit', 'Server error fetching the audit log.');
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
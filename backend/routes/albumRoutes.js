@@ -0,0 +1,131 @@
+// routes/albumRoutes.js
+const express = require('express');
+const auth = require('../middleware/auth'); // Managing albums needs a login
+const optionalAuth = require('../middleware/optionalAuth'); // Shared and public albums can be opened without one
+const {
+    listAlbums, getAlbum, getSharedAlbum, createAlbum, updateAlbum, deleteAlbum, addToAlbum, removeFromAlbum, reorderAlbum
+} = require('../services/albums'); // User-defined albums
+
+const router = express.Router(); // Create an Express router instance
+
+// Sends the response for an album error from services/albums.js (or a generic 500)
+const handleAlbumError = (res, err, route, message) => {
+    if (err.name === 'AlbumError') {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// @route   GET /api/albums
+// @desc    Your albums, most recently changed first, each with its cover piece and itemCount
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        res.json(await listAlbums(req.user.id));
+    } catch (err) {
+        handleAlbumError(res, err, 'GET /api/albums', 'Server error fetching albums.');
+    }
+});
+
+// @route   POST /api/albums
+// @desc    Create an album: { name, description, visibility } ('private' by default, 'unlisted' or 'public').
+//          Unlisted albums get a share link (shareToken and sharePath in the response).
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const { name, description, visibility } = req.body;
+        res.status(201).json(await createAlbum(req.user.id, { name, description, visibility }));
+    } catch (err) {
+        handleAlbumError(res, err, 'POST /api/albums', 'Server error creating album.');
+    }
+});
+
+// @route   GET /api/albums/shared/:token
+// @desc    Open an unlisted album through its share link
+// @access  Public (the unguessable share token grants access)
+router.get('/shared/:token', optionalAuth, async (req, res) => {
+    try {
+        res.json(await getSharedAlbum(req.params.token, req.user ? req.user.id : null));
+    } catch (err) {
+        handleAlbumError(res, err, 'GET /api/albums/shared/:token', 'Server error fetching album.');
+    }
+});
+
+// @route   GET /api/albums/:id
+// @desc    An album with its pieces in album order ({ ..., items: [{ artId, addedAt, art }] }). Pieces the
+//          viewer can't see are left out. Unlisted albums also open with their share token (?share=).
+// @access  Public (your own albums and public ones; authentication is optional)
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const shareToken = typeof req.query.share === 'string' ? req.query.share : undefined;
+        res.json(await getAlbum(req.params.id, req.user ? req.user.id : null, { shareToken }));
+    } catch (err) {
+        handleAlbumError(res, err, 'GET /api/albums/:id', 'Server error fetching album.');
+    }
+});
+
+// @route   PATCH /api/albums/:id
+// @desc    Change an album's name, description, visibility or cover (coverArtId: one of its pieces,
+//          or null to use the first piece). Making an album unlisted creates a new share link.
+// @access  Private (the album's owner)
+router.patch('/:id', auth, async (req, res) => {
+    try {
+        const { name, description, visibility, coverArtId } = req.body;
+        res.json(await updateAlbum(req.params.id, req.user.id, { name, description, visibility, coverArtId }));
+    } catch (err) {
+        handleAlbumError(res, err, 'PATCH /api/albums/:id', 'Server error updating album.');
+    }
+});
+
+// @route   DELETE /api/albums/:id
+// @desc    Delete an album (the pieces in it are not deleted)
+// @access  Private (the album's owner)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        await deleteAlbum(req.params.id, req.user.id);
+        res.json({ msg: 'Album deleted.' });
+    } catch (err) {
+        handleAlbumError(res, err, 'DELETE /api/albums/:id', 'Server error deleting album.');
+    }
+});
+
+// @route   POST /api/albums/:id/items
+// @desc    Add a piece to an album: { artId, position } (0-based; at the end when left out).
+//          Your own pieces (including collaborations) and public pieces of others can be added.
+// @access  Private (the album's owner)
+router.post('/:id/items', auth, async (req, res) => {
+    try {
+        const { artId, position } = req.body;
+        res.status(201).json(await addToAlbum(req.params.id, req.user.id, { artId, position }));
+    } catch (err) {
+        handleAlbumError(res, err, 'POST /api/albums/:id/items', 'Server error adding to album.');
+    }
+});
+
+// @route   PUT /api/albums/:id/items
+// @desc    Reorder an album: { artIds } listing every piece of the album exactly once, in the new order
+// @access  Private (the album's owner)
+router.put('/:id/items', auth, async (req, res) => {
+    try {
+        res.json(await reorderAlbum(req.params.id, req.user.id, req.body.artIds));
+    } catch (err) {
+        handleAlbumError(res, err, 'PUT /api/albums/:id/items', 'Server error reordering album.');
+    }
+});
+
+// @route   DELETE /api/albums/:id/items/:artId
+// @desc    Take a piece out of an album
+// @access  Private (the album's owner)
+router.delete('/:id/items/:artId', auth, async (req, res) => {
+    try {
+        res.json(await removeFromAlbum(req.params.id, req.user.id, req.params.artId));
+    } catch (err) {
+        handleAlbumError(res, err, 'DELETE /api/albums/:id/items/:artId', 'Server error removing from album.');
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
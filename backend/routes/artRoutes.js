@@ -1,281 +1,740 @@
 // routes/artRoutes.js
 const express = require('express');
-const axios = require('axios'); // For making HTTP requests to external APIs
-const cloudinary = require('cloudinary').v2; // Import Cloudinary SDK
 const Art = require('../models/Art'); // Import the Art Mongoose model
-const User = require('../models/User'); // Import the User Mongoose model for collaborator lookup
-const jwt = require('jsonwebtoken'); // To optionally decode token if present
+const mongoose = require('mongoose');
+const Job = require('../models/Job'); // Import the Job Mongoose model for background generation jobs
+const { resolveProviderOrder } = require('../services/providers'); // To validate a requested provider before queueing
+const { enqueueJob, jobEvents } = require('../services/jobQueue'); // Background job queue for art generation
+const { toMoodVector, moodFilter } = require('../services/moodBlend'); // Weighted multi-mood helpers
+const { planArt } = require('../services/artJobs'); // Mood inference and prompt building shared with the job
+const { listPromptOptions } = require('../services/prompts'); // Prompt templates and presets
+const { getVoterIdentity, rateArt, retractRating, getOwnRating } = require('../services/ratings'); // Star ratings
+const { parseLimit, findPage } = require('../services/pagination'); // Cursor pagination for listings
+const { listGallery } = require('../services/gallery'); // Public gallery queries
+const { createInvitation, listInvitations, acceptInvitation, declineInvitation, cancelInvitation } = require('../services/collaborations'); // Collaboration invitations
+const { roleOf, can, canView, historyFilter, updateArt, rotateShareToken, shareDetails, setHidden, destroyArt, removeForUser } = require('../services/artPermissions'); // Owner/collaborator permissions and visibility
+const { claimTokenFor, claimFor, claimArt } = require('../services/claims'); // Claim tokens for anonymous pieces
+const { createReport } = require('../services/reports'); // Reporting pieces to the moderators
+const { planRemix, getLineage } = require('../services/remix'); // Remixes and their lineage
+const { planRegeneration } = require('../services/regeneration'); // Reproducing a piece from its provenance
+const { createExport } = require('../services/exports'); // Background ZIP/PDF/animation exports
+const { moderateArtParams, moderateFinalPrompt, moderationContext } = require('../services/moderation'); // Prompt moderation (422 on rejection)
+const { getArtDefaults } = require('../services/users'); // Stored art preferences of logged-in users
+const auth = require('../middleware/auth'); // Required authentication for invitations and piece management
+const optionalAuth = require('../middleware/optionalAuth'); // Attaches req.user when a valid token is sent
+const rateLimit = require('../middleware/rateLimit'); // Token-bucket rate limits
+const generationQuota = require('../middleware/generationQuota'); // Daily generation quotas
+const idempotency = require('../middleware/idempotency'); // Idempotency-Key: retried requests get their original job
 
 const router = express.Router(); // Create an Express router instance
 
-// Configure Cloudinary with credentials from .env
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET
-});
-
-// --- Helper function to call the external art generation API and upload to Cloudinary ---
-// This function encapsulates the logic for interacting with the AI art service.
-async function generateArtFromAPI(prompt) {
-    // Basic validation for the prompt
-    if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
-        throw new Error('Art generation prompt cannot be empty or invalid.');
-    }
-
-    const ART_API_URL = process.env.ART_API_URL;
-    const ART_API_TOKEN = process.env.ART_API_TOKEN;
-
-    // --- Fallback to mock images if AI API or Cloudinary credentials are not fully set ---
-    if (!ART_API_URL || !ART_API_TOKEN || !cloudinary.config().cloud_name || !cloudinary.config().api_key || !cloudinary.config().api_secret) {
-        console.warn('AI API or Cloudinary credentials are missing. Using mock image generation for development.');
-        const mockImageUrls = {
-            'happy': 'https://placehold.co/600x450/FFD700/000000?text=Happy+Art',
-            'sad': 'https://placehold.co/600x450/87CEEB/FFFFFF?text=Sad+Art',
-            'calm': 'https://placehold.co/600x450/90EE90/000000?text=Calm+Art',
-            'excited': 'https://placehold.co/600x450/FF6347/FFFFFF?text=Excited+Art',
-            'angry': 'https://placehold.co/600x450/DC143C/FFFFFF?text=Angry+Art',
-            'inspired': 'https://placehold.co/600x450/BA55D3/FFFFFF?text=Inspired+Art',
-            'mixed': 'https://placehold.co/600x450/CCCCCC/000000?text=Mixed+Art',
-            'default': 'https://placehold.co/600x450/A9A9A9/FFFFFF?text=Generated+Art'
-        };
-        const cleanedPrompt = prompt.toLowerCase().split(',')[0].trim(); // Extract first mood for mock
-        const generatedImageUrl = mockImageUrls[cleanedPrompt] || mockImageUrls['default'];
-
-        // Simulate API call delay for time-lapse effect on frontend
-        await new Promise(resolve => setTimeout(resolve, 3000));
-        return generatedImageUrl;
-    }
-    // --- End Fallback ---
+// Sends the 202 Accepted response for a newly queued generation job (with the claim token of anonymous requests)
+const sendJobAccepted = (req, res, job, claimToken = null) => {
+    const statusUrl = `${req.baseUrl}/jobs/${job.id}`;
+    res.status(202)
+        .location(statusUrl)
+        .json({ jobId: job.id, job: job.toClient(), statusUrl, eventsUrl: `${statusUrl}/events`, ...(claimToken && { claimToken }) });
+};
 
-    try {
-        // 1. Call the external AI image generation API (e.g., Hugging Face)
-        const response = await axios.post(
-            ART_API_URL,
-            { inputs: prompt },
-            {
-                headers: {
-                    'Authorization': `Bearer ${ART_API_TOKEN}`,
-                    'Content-Type': 'application/json'
-                },
-                responseType: 'arraybuffer' // Important: Get response as binary data (image)
-            }
-        );
-
-        // 2. Convert the binary image data to a base64 data URI
-        // This format is suitable for uploading to Cloudinary
-        const contentType = response.headers['content-type'] || 'image/png'; // Default to png if not specified
-        const base64Image = Buffer.from(response.data).toString('base64');
-        const dataURI = `data:${contentType};base64,${base64Image}`;
-
-        // 3. Upload the image to Cloudinary
-        const uploadResult = await cloudinary.uploader.upload(dataURI, {
-            folder: 'mood_art_generator', // Optional: organize uploads in a specific folder
-            use_filename: true, // Use original filename (or a generated one)
-            unique_filename: false, // Don't add random string to filename (Cloudinary handles uniqueness)
-            overwrite: false, // Don't overwrite if file with same name exists (Cloudinary handles this)
-            tags: [prompt.toLowerCase().split(',')[0].trim(), 'mood_art'] // Add tags for organization
-        });
+// Job params that let an anonymous request's piece be claimed later; the token goes into the response
+const claimParams = (req) => {
+    if (req.user) return { claimToken: null, params: {} };
+    const claimToken = claimTokenFor(req);
+    return { claimToken, params: { claim: claimFor(claimToken) } };
+};
 
-        // 4. Return the secure URL of the uploaded image from Cloudinary
-        return uploadResult.secure_url;
+// The share token a viewer sent for an unlisted piece (?share=)
+const shareTokenOf = req => (typeof req.query.share === 'string' ? req.query.share : undefined);
+
+// Collects the generation parameters of a POST /api/art (or preview) request. For logged-in users,
+// a missing style or colors comes from their settings, and so do their preferred moods when neither
+// moods nor Mood Diary text are sent.
+const artParamsFromRequest = async (req) => {
+    const defaults = await getArtDefaults(req.user ? req.user.id : null);
+    // 'moods' is a weighted blend such as { Happy: 0.6, Calm: 0.4 }; 'mood' is a single mood name
+    const { mood, prompt, preset, terms, negativePrompt, template, provider, seed } = req.body;
+    return {
+        mood,
+        moods: req.body.moods || (!mood && !prompt ? defaults.moods : undefined),
+        prompt,
+        style: req.body.style || defaults.style,
+        colors: req.body.colors || defaults.colors,
+        preset,
+        terms,
+        negativePrompt,
+        template,
+        provider,
+        seed
+    };
+};
 
-    } catch (error) {
-        console.error('Error generating art from external API or uploading to Cloudinary:', error.response ? error.response.data : error.message);
-        // Provide a more specific error message based on the source of the error
-        if (error.response && error.response.status === 401) {
-            throw new Error('AI API authentication failed. Check your ART_API_TOKEN.');
-        }
-        if (error.response && error.response.status === 429) {
-            throw new Error('AI API rate limit exceeded. Please try again later.');
-        }
-        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-            throw new Error('Could not connect to AI API. Check ART_API_URL or your internet connection.');
-        }
-        throw new Error('Failed to generate art from external service or upload image.');
-    }
-}
-
-// Middleware to optionally get user ID from token if present, but not enforce it.
-// This allows both authenticated and unauthenticated requests.
-const optionalAuth = (req, res, next) => {
-    const token = req.header('x-auth-token');
-    if (token) {
-        try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = decoded.user; // Attach user info if token is valid
-        } catch (err) {
-            // If token is invalid, just log it, don't block the request.
-            // The request will proceed as unauthenticated.
-            console.warn('Optional auth: Invalid token provided, proceeding as unauthenticated.');
-        }
+// Sends a 400 for invalid generation input (moods, provider, prompt options), a 422 for prompts
+// rejected by moderation, otherwise a 500
+const handleGenerationError = (res, err, route, message) => {
+    if (err.name === 'ModerationError') {
+        return res.status(422).json(err.toResponse());
+    }
+    console.error(`Error in ${route}:`, err.message);
+    if (['ProviderError', 'MoodInputError', 'PromptError'].includes(err.name) && err.status === 400) {
+        return res.status(400).json({ msg: err.message });
     }
-    next(); // Always call next, whether token was present/valid or not
+    if (err.name === 'RemixError' || err.name === 'RegenerationError') {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.name === 'IdempotencyConflictError') {
+        return res.status(409).json({ msg: err.message, code: 'idempotency_in_progress' });
+    }
+    res.status(500).json({ msg: err.message || message });
 };
 
-
 // @route   POST /api/art
-// @desc    Generate and save a new art piece based on mood/prompt
+// @desc    Queue generation of a new art piece based on mood/prompt. Responds 202 with a job id;
+//          follow progress with GET /api/art/jobs/:id or its /events stream.
+//          Prompt options: preset (e.g., 'neon-glitch'), terms (extra weighted terms), negativePrompt,
+//          template (prompt template version; by default one is picked from PROMPT_TEMPLATES).
+//          seed (a number, or text that is hashed into one) fixes the randomness; without it a random seed
+//          is picked. Every piece records its provenance (provider, model, final and negative prompt, seed,
+//          parameters, latency and the SHA-256 of the image), see POST /api/art/:id/regenerate, and gets
+//          resized WebP/AVIF variants, its rendered palette and colorMatch (see services/imageProcessing).
+//          For logged-in users, a missing style or colors comes from their settings (PUT /api/users/me),
+//          and so do their preferred moods when neither moods nor Mood Diary text are sent.
+//          Rate limited and counted against the daily generation quota (see GET /api/usage).
+//          Prompts rejected by moderation get a 422 { msg, code: 'prompt_rejected', rule, field, matched };
+//          personal data (emails, card and phone numbers, addresses) is replaced by placeholders in the text sent to the provider.
+//          Anonymous requests get a claimToken in the response: send it back in the x-claim-token header with
+//          later requests, and to POST /api/art/claim after signing up to attach the pieces to the account.
+//          Send an Idempotency-Key header (8-100 letters, digits, - or _) to make retries safe: a request with
+//          a key seen before gets the original job back (202, Idempotent-Replayed: true) instead of a new
+//          piece, and isn't counted again. The same key with a different body gets a 422, and a 409
+//          (code 'idempotency_in_progress') while the first request with the key is still being queued.
 // @access  Public (authentication is optional)
-router.post('/', optionalAuth, async (req, res) => {
-    const { mood, prompt, style, colors } = req.body;
+router.post('/', optionalAuth, idempotency(sendJobAccepted), rateLimit('generate'), generationQuota, async (req, res) => {
     // userId will be present if authenticated, otherwise undefined
     const userId = req.user ? req.user.id : null;
 
     try {
-        // Construct the full prompt string to send to the art generation API
-        let artPrompt = mood;
-        if (prompt) { // If Mood Diary text is provided
-            artPrompt = `${mood ? mood + ', ' : ''}${prompt}`;
+        const params = await artParamsFromRequest(req);
+        if (!params.mood && !params.moods && !params.prompt) {
+            return res.status(400).json({ msg: 'A mood or Mood Diary text is required to generate art.' });
         }
-        if (style) {
-            artPrompt += `, in ${style} style`;
-        }
-        if (colors && colors.length > 0) {
-            artPrompt += `, with colors ${colors.join(', ')}`;
+
+        // Reject invalid moods, prompt options, disallowed content and an unknown or unconfigured provider
+        // now rather than in the background job
+        await moderateArtParams(params, moderationContext(req, 'POST /api/art'));
+        const { moods, built } = planArt(params, { abKey: userId });
+        resolveProviderOrder(params.provider);
+
+        // The job gets the normalized blend and the template version picked now, so retries build the same prompt
+        const { mood, ...rest } = params;
+        const claim = claimParams(req);
+        const job = await enqueueJob('art', { ...rest, moods, template: built.template, ...claim.params }, { userId, idempotency: req.idempotency });
+        sendJobAccepted(req, res, job, claim.claimToken);
+
+    } catch (err) {
+        handleGenerationError(res, err, 'POST /api/art', 'Server error generating art.');
+    }
+});
+
+// @route   GET /api/art/prompt/options
+// @desc    Available prompt templates (with the default A/B split) and preset bundles
+// @access  Public
+router.get('/prompt/options', (req, res) => {
+    res.json(listPromptOptions());
+});
+
+// @route   POST /api/art/prompt/preview
+// @desc    Dry run of POST /api/art: shows the final prompt and negative prompt without generating anything.
+//          Takes the same body; responds { prompt, negativePrompt, template, preset, style, colors, mood, moods, moodAnalysis }.
+// @access  Public (authentication is optional; logged-in users get their settings and A/B template variant)
+router.post('/prompt/preview', optionalAuth, async (req, res) => {
+    try {
+        const params = await artParamsFromRequest(req);
+        await moderateArtParams(params, moderationContext(req, 'POST /api/art/prompt/preview'));
+        const { moods, mood, analysis, inferred, built } = planArt(params, { abKey: req.user ? req.user.id : null });
+        res.json({
+            ...built,
+            mood,
+            moods: toMoodVector(moods),
+            moodAnalysis: analysis && { inferred, mood: analysis.mood, scores: analysis.scores, confidence: analysis.confidence }
+        });
+    } catch (err) {
+        handleGenerationError(res, err, 'POST /api/art/prompt/preview', 'Server error building the prompt preview.');
+    }
+});
+
+// @route   GET /api/art/jobs/:id
+// @desc    Get the state of an art generation job (and the art piece once it is done)
+// @access  Public (the unguessable job id grants access)
+router.get('/jobs/:id', async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id).populate('artId');
+        if (!job) {
+            return res.status(404).json({ msg: 'Job not found.' });
         }
+        res.json({ ...job.toClient(), artId: job.artId ? job.artId._id : null, art: job.artId || null });
+    } catch (err) {
+        console.error('Error in GET /api/art/jobs/:id:', err.message);
+        res.status(500).json({ msg: 'Server error fetching job status.' });
+    }
+});
 
-        const imageUrl = await generateArtFromAPI(artPrompt);
+// @route   GET /api/art/jobs/:id/events
+// @desc    Server-Sent Events stream of a job's progress. Sends a 'progress' event on every change
+//          and a final 'done' or 'failed' event, then closes.
+// @access  Public (the unguessable job id grants access)
+router.get('/jobs/:id/events', async (req, res) => {
+    try {
+        const job = await Job.findById(req.params.id).populate('artId');
+        if (!job) {
+            return res.status(404).json({ msg: 'Job not found.' });
+        }
 
-        // Create a new Art document instance
-        const newArt = new Art({
-            userId, // This will be null if not authenticated, which is now allowed by the schema
-            mood: mood || 'Mixed', // Default to 'Mixed' if only prompt (e.g., from diary)
-            imageUrl,
-            prompt,
-            style,
-            colors
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Stop proxies such as nginx from buffering the stream
         });
+        res.flushHeaders();
+
+        const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        const isFinished = state => state === 'done' || state === 'failed';
+
+        // Send the current state right away; a finished job needs nothing else
+        const current = { ...job.toClient(), artId: job.artId ? job.artId._id : null, art: job.artId || null };
+        if (isFinished(job.state)) {
+            send(job.state, current);
+            return res.end();
+        }
+        send('progress', current);
 
-        // Save the new art piece to the database
-        await newArt.save();
-        // Respond with the newly created art object and a 201 Created status
-        res.status(201).json(newArt);
+        const onUpdate = (update) => {
+            send(isFinished(update.state) ? update.state : 'progress', update);
+            if (isFinished(update.state)) {
+                cleanup();
+                res.end();
+            }
+        };
+        // Comment lines keep idle connections from being closed by proxies
+        const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            jobEvents.removeListener(`job:${job.id}`, onUpdate);
+        };
+
+        jobEvents.on(`job:${job.id}`, onUpdate);
+        req.on('close', cleanup);
 
     } catch (err) {
-        console.error('Error in POST /api/art:', err.message);
-        // Handle Mongoose validation errors or custom errors from generateArtFromAPI
-        if (err.name === 'ValidationError') {
-            const messages = Object.values(err.errors).map(val => val.message);
-            return res.status(400).json({ msg: messages.join(', ') });
+        console.error('Error in GET /api/art/jobs/:id/events:', err.message);
+        if (!res.headersSent) {
+            res.status(500).json({ msg: 'Server error streaming job progress.' });
+        } else {
+            res.end();
         }
-        res.status(500).json({ msg: err.message || 'Server error generating art.' });
+    }
+});
+
+// Sends a 400 for invalid query input (cursor, filters, moods), otherwise a 500 with the given message
+const handleListError = (res, err, route, message) => {
+    if (['QueryError', 'MoodInputError'].includes(err.name)) {
+        return res.status(400).json({ msg: err.message });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// @route   GET /api/art/gallery
+// @desc    Public gallery, one page at a time: { items, nextCursor }.
+//          Filters: mood (+ moodMatch=dominant|contributing), style, colors (comma-separated, the requested
+//          colors), color (a color actually rendered: a family such as 'blue', a color name or hex),
+//          from/to (dates), collaborator (user id), q (full-text search over the prompt).
+//          sort: newest (default), top (Bayesian rating), trending (rating with time decay), relevance (with q).
+//          Paging: limit (max 100) and cursor (the nextCursor of the previous page).
+// @access  Public
+router.get('/gallery', async (req, res) => {
+    try {
+        res.json(await listGallery(req.query));
+    } catch (err) {
+        handleListError(res, err, 'GET /api/art/gallery', 'Server error fetching the gallery.');
     }
 });
 
 // @route   GET /api/art/history
-// @desc    Get all art pieces for the authenticated user (or none if not logged in)
-// @access  Public (authentication is optional)
+// @desc    Get the authenticated user's art pieces (including collaborations), newest first, one page at a time:
+//          { items, nextCursor }. Pass ?cursor=<nextCursor> for the next page, ?limit= for the page size.
+//          Pieces you hid are left out unless ?includeHidden=true.
+// @access  Public (authentication is optional; returns an empty page when not logged in)
 router.get('/history', optionalAuth, async (req, res) => {
     try {
         const userId = req.user ? req.user.id : null;
-        let userArt = [];
+        const limit = parseLimit(req.query.limit);
+        let page = { items: [], nextCursor: null };
         if (userId) {
             // Only fetch art if a user is logged in
-            userArt = await Art.find({ userId }).sort({ createdAt: -1 });
+            const filter = historyFilter(userId, { includeHidden: req.query.includeHidden === 'true' });
+            page = await findPage(Art, filter, { sortField: 'createdAt', direction: -1, cursor: req.query.cursor, limit });
         }
-        // If not logged in, return an empty array or a message
-        res.json(userArt);
+        res.json(page);
     } catch (err) {
-        console.error('Error in GET /api/art/history:', err.message);
-        res.status(500).json({ msg: 'Server error fetching art history.' });
+        handleListError(res, err, 'GET /api/art/history', 'Server error fetching art history.');
     }
 });
 
+// Sends the 202 Accepted response for a newly queued export; the export's status (and its
+// download link once ready) is at /api/exports/:id
+const sendExportAccepted = (req, res, { export: exp, job }) => {
+    const statusUrl = `/api/exports/${exp.id}`;
+    res.status(202)
+        .location(statusUrl)
+        .json({ exportId: exp.id, export: exp.toClient(), jobId: job.id, job: job.toClient(), statusUrl, eventsUrl: `${req.baseUrl}/jobs/${job.id}/events` });
+};
+
+// Sends the response for an export error from services/exports (or a generic 500)
+const handleExportError = (res, err, route) => {
+    if (['ExportError', 'MoodInputError'].includes(err.name)) {
+        return res.status(err.status || 400).json({ msg: err.message });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: 'Server error queueing the export.' });
+};
+
+// @route   POST /api/art/history/export
+// @desc    Export your history in the background: { type: 'zip' } for the images plus a manifest
+//          (manifest: 'json' or 'csv') with mood, prompt, style, colors and date, or { type: 'pdf' } for a
+//          printable mood journal with one page per piece. Optional from/to dates and includeHidden.
+//          Responds 202 with the export and its job; the download link is at GET /api/exports/:id once ready.
+// @access  Private
+router.post('/history/export', auth, rateLimit('export'), async (req, res) => {
+    try {
+        const { type = 'zip', ...options } = req.body;
+        if (!['zip', 'pdf'].includes(type)) {
+            return res.status(400).json({ msg: 'type must be "zip" or "pdf".' });
+        }
+        sendExportAccepted(req, res, await createExport(req.user.id, type, options));
+    } catch (err) {
+        handleExportError(res, err, 'POST /api/art/history/export');
+    }
+});
+
+// Sends the response for a rating error from services/ratings.js (or a generic 500)
+const handleRatingError = (res, err, route) => {
+    if (err.name === 'RatingError') {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: 'Server error processing vote.' });
+};
+
 // @route   POST /api/art/:id/vote
-// @desc    Increment vote count for an art piece
+// @desc    Rate an art piece with 1-5 stars ({ stars }). Voting again changes the rating.
+//          Anonymous votes are tracked per IP/browser fingerprint and limited per hour.
+//          Unlisted pieces can be rated with their share token (?share=).
 // @access  Public (authentication is optional)
 router.post('/:id/vote', optionalAuth, async (req, res) => {
     try {
-        // Find the art piece by its ID from the URL parameters
-        const art = await Art.findById(req.params.id);
-        if (!art) {
-            return res.status(404).json({ msg: 'Art piece not found.' });
-        }
+        const stars = Number(req.body.stars);
+        const art = await rateArt(req.params.id, getVoterIdentity(req), stars, { shareToken: shareTokenOf(req) });
+        res.json({ ...art.toJSON(), myRating: stars }); // Respond with the updated art object
+    } catch (err) {
+        handleRatingError(res, err, 'POST /api/art/:id/vote');
+    }
+});
 
-        // You might want to track who voted to prevent multiple votes from one user
-        // For simplicity, we just increment.
-        art.votes += 1;
-        // Save the updated art piece back to the database
-        await art.save();
-        res.json(art); // Respond with the updated art object
+// @route   GET /api/art/:id/vote
+// @desc    Get the caller's own rating of an art piece ({ stars } or { stars: null })
+// @access  Public (authentication is optional)
+router.get('/:id/vote', optionalAuth, async (req, res) => {
+    try {
+        res.json({ stars: await getOwnRating(req.params.id, getVoterIdentity(req)) });
+    } catch (err) {
+        handleRatingError(res, err, 'GET /api/art/:id/vote');
+    }
+});
 
+// @route   DELETE /api/art/:id/vote
+// @desc    Retract the caller's rating of an art piece
+// @access  Public (authentication is optional)
+router.delete('/:id/vote', optionalAuth, async (req, res) => {
+    try {
+        const art = await retractRating(req.params.id, getVoterIdentity(req));
+        res.json({ ...art.toJSON(), myRating: null });
     } catch (err) {
-        console.error('Error in POST /api/art/:id/vote:', err.message);
-        res.status(500).json({ msg: 'Server error processing vote.' });
+        handleRatingError(res, err, 'DELETE /api/art/:id/vote');
+    }
+});
+
+// @route   POST /api/art/:id/report
+// @desc    Report an art piece to the moderators: { reason, details }. reason is one of spam, harassment,
+//          hate, sexual, violence, self_harm, personal_data, copyright, other. One open report per piece
+//          and user; unlisted pieces can be reported with their share token (?share=). Responds 201.
+// @access  Private
+router.post('/:id/report', auth, rateLimit('report'), async (req, res) => {
+    try {
+        const { reason, details } = req.body;
+        const report = await createReport(req.params.id, req.user.id, { reason, details, shareToken: shareTokenOf(req) });
+        res.status(201).json({ id: report._id, status: report.status, msg: 'Thanks, the moderators will look into it.' });
+    } catch (err) {
+        if (err.name === 'ReportError') {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+        }
+        console.error('Error in POST /api/art/:id/report:', err.message);
+        res.status(500).json({ msg: 'Server error reporting art piece.' });
     }
 });
 
 // @route   GET /api/art/evolution/:mood
-// @desc    Get art pieces for a specific mood, ordered by creation time (for timeline)
+// @desc    Get art pieces for a specific mood, ordered by creation time (for timeline).
+//          ?match=dominant (default) matches pieces whose dominant mood it is;
+//          ?match=contributing also matches blends it is part of (optionally with ?minWeight=0.2).
+//          Paginated like /history: { items, nextCursor } with ?cursor= and ?limit=.
 // @access  Public (authentication is optional)
 router.get('/evolution/:mood', optionalAuth, async (req, res) => {
     try {
         const userId = req.user ? req.user.id : null;
         const mood = req.params.mood; // Get mood from URL parameter
+        const { match, minWeight } = req.query;
+        const limit = parseLimit(req.query.limit);
 
-        let artEvolution = [];
+        let page = { items: [], nextCursor: null };
         if (userId) {
             // Only fetch evolution if a user is logged in
-            artEvolution = await Art.find({ userId, mood }).sort({ createdAt: 1 });
+            page = await findPage(Art, { $and: [historyFilter(userId), moodFilter(mood, { match, minWeight })] }, { sortField: 'createdAt', direction: 1, cursor: req.query.cursor, limit });
         }
-        res.json(artEvolution);
+        res.json(page);
     } catch (err) {
-        console.error('Error in GET /api/art/evolution/:mood:', err.message);
-        res.status(500).json({ msg: 'Server error fetching art evolution data.' });
+        handleListError(res, err, 'GET /api/art/evolution/:mood', 'Server error fetching art evolution data.');
     }
 });
 
-// @route   POST /api/art/collaborate
-// @desc    Generate a collaborative art piece from two moods
+// @route   POST /api/art/evolution/:mood/export
+// @desc    Render the evolution timeline of a mood as an animated GIF (default) or WebP in the background.
+//          Body: format ('gif' or 'webp'), frameDelay (ms per frame, default 800), match/minWeight as for
+//          GET /evolution/:mood, optional from/to dates. Responds 202 like POST /history/export.
+// @access  Private
+router.post('/evolution/:mood/export', auth, rateLimit('export'), async (req, res) => {
+    try {
+        sendExportAccepted(req, res, await createExport(req.user.id, 'animation', { ...req.body, mood: req.params.mood }));
+    } catch (err) {
+        handleExportError(res, err, 'POST /api/art/evolution/:mood/export');
+    }
+});
+
+// @route   POST /api/art/:id/remix
+// @desc    Queue a remix of an art piece: a new piece with the original's moods, Mood Diary text, style,
+//          colors and preset, changed by whatever the body sends (same fields as POST /api/art).
+//          The remix records its parent and credits the authors it builds on. Responds 202 like POST /api/art.
+//          Rate limited and counted against the daily generation quota. Only public pieces (and your own)
+//          can be remixed. Anonymous remixes get a claimToken like POST /api/art.
 // @access  Public (authentication is optional)
-router.post('/collaborate', optionalAuth, async (req, res) => {
-    const { mood1, mood2, partnerEmail } = req.body;
-    // userId will be present if authenticated, otherwise null
+router.post('/:id/remix', optionalAuth, rateLimit('generate'), generationQuota, async (req, res) => {
     const userId = req.user ? req.user.id : null;
 
-    if (!mood1 || !mood2) {
-        return res.status(400).json({ msg: 'Both moods are required for collaboration.' });
+    try {
+        const { params, lineage } = await planRemix(req.params.id, req.body, userId);
+        await moderateArtParams(params, moderationContext(req, 'POST /api/art/:id/remix'));
+        const { moods, built } = planArt(params, { abKey: userId });
+        resolveProviderOrder(params.provider);
+
+        const { mood, ...rest } = params;
+        const claim = claimParams(req);
+        const job = await enqueueJob('art', { ...rest, moods, template: built.template, lineage, ...claim.params }, { userId });
+        sendJobAccepted(req, res, job, claim.claimToken);
+
+    } catch (err) {
+        handleGenerationError(res, err, 'POST /api/art/:id/remix', 'Server error remixing art.');
     }
+});
 
+// @route   POST /api/art/:id/regenerate
+// @desc    Queue a re-generation of one of your pieces from its provenance: the same provider (no fallback),
+//          final prompt, negative prompt, seed and parameters. Responds 202 like POST /api/art; the new piece
+//          has regeneratedFrom: { artId, identical }, identical telling whether the image came out byte for
+//          byte the same. Pieces made before provenance was recorded, or by a provider this server no longer
+//          has, get a 409. Rate limited and counted against the daily generation quota.
+// @access  Private
+router.post('/:id/regenerate', auth, rateLimit('generate'), generationQuota, async (req, res) => {
     try {
-        let partnerUserId = null;
-        if (partnerEmail) {
-            const partner = await User.findOne({ email: partnerEmail });
-            if (partner) {
-                partnerUserId = partner.id;
-            } else {
-                console.warn(`Collaborator email ${partnerEmail} not found. Proceeding without specific partner ID.`);
-            }
+        const { art, params } = await planRegeneration(req.params.id, req.user.id);
+        await moderateFinalPrompt(art.provenance.finalPrompt, moderationContext(req, 'POST /api/art/:id/regenerate'));
+        const job = await enqueueJob('regenerate', params, { userId: req.user.id });
+        sendJobAccepted(req, res, job);
+
+    } catch (err) {
+        handleGenerationError(res, err, 'POST /api/art/:id/regenerate', 'Server error regenerating art.');
+    }
+});
+
+// @route   GET /api/art/:id/lineage
+// @desc    The remix family of an art piece: { art, ancestors, descendants, descendantCount }.
+//          ancestors runs from the original down to the direct parent; descendants is a tree of
+//          remixes (each with its own 'remixes'), ?depth= generations deep (default 10, max 50).
+//          Unlike /evolution (one user's pieces over time), this follows remixes across users.
+//          Family members you can't see are reduced to { _id, parentId, createdAt, restricted: true }.
+//          Unlisted pieces need their share token (?share=).
+// @access  Public (authentication is optional)
+router.get('/:id/lineage', optionalAuth, async (req, res) => {
+    try {
+        res.json(await getLineage(req.params.id, {
+            maxDepth: req.query.depth,
+            viewerId: req.user ? req.user.id : null,
+            shareToken: shareTokenOf(req)
+        }));
+    } catch (err) {
+        if (err.name === 'RemixError') {
+            return res.status(err.status).json({ msg: err.message });
         }
+        console.error('Error in GET /api/art/:id/lineage:', err.message);
+        res.status(500).json({ msg: 'Server error fetching art lineage.' });
+    }
+});
 
-        const artPrompt = `Collaborative art blending ${mood1} and ${mood2}`;
-        const imageUrl = await generateArtFromAPI(artPrompt);
+// @route   POST /api/art/claim
+// @desc    Attach the pieces you generated before logging in to your account: send the claimToken from
+//          those responses ({ claimToken }). Responds { claimed } (the number of pieces attached);
+//          tokens expire after CLAIM_TOKEN_TTL_DAYS, and each piece can only be claimed once.
+// @access  Private
+router.post('/claim', auth, async (req, res) => {
+    try {
+        res.json({ claimed: await claimArt(req.user.id, req.body.claimToken || req.get('x-claim-token')) });
+    } catch (err) {
+        console.error('Error in POST /api/art/claim:', err.message);
+        res.status(500).json({ msg: 'Server error claiming art pieces.' });
+    }
+});
 
-        // Collect all collaborators, ensuring unique IDs.
-        // If userId is null (unauthenticated), it won't be added.
-        const collaborators = [];
-        if (userId) {
-            collaborators.push(userId);
+// @route   GET /api/art/shared/:token
+// @desc    Open an unlisted art piece through its share link
+// @access  Public (the unguessable share token grants access)
+router.get('/shared/:token', async (req, res) => {
+    try {
+        const art = await Art.findOne({ shareToken: String(req.params.token), visibility: 'unlisted' });
+        if (!art) {
+            return res.status(404).json({ msg: 'Art piece not found.' });
         }
-        if (partnerUserId && partnerUserId !== userId) {
-            collaborators.push(partnerUserId);
+        res.json(art);
+    } catch (err) {
+        console.error('Error in GET /api/art/shared/:token:', err.message);
+        res.status(500).json({ msg: 'Server error fetching art piece.' });
+    }
+});
+
+// Sends the response for an invitation error from services/collaborations.js (or a generic 500)
+const handleCollaborationError = (res, err, route) => {
+    if (err.name === 'ModerationError') {
+        return res.status(422).json(err.toResponse());
+    }
+    if (err.name === 'CollaborationError' || ((err.name === 'ProviderError' || err.name === 'MoodInputError') && err.status === 400)) {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: 'Server error processing the collaboration.' });
+};
+
+// @route   POST /api/art/collaborate
+// @desc    Invite another user to a collaborative art piece. Send partnerEmail and your mood
+//          ('mood', or 'mood1' for older clients); optionally message, style, colors, preset and provider.
+//          Nothing is generated until the partner accepts with their own mood. Responds 201 with the invitation,
+//          also when no account uses partnerEmail yet: the invitation then waits for someone to sign up with it.
+// @access  Private
+router.post('/collaborate', auth, rateLimit('invite'), async (req, res) => {
+    const { partnerEmail, mood, mood1, message, style, colors, preset, provider } = req.body;
+    try {
+        await moderateArtParams({ style, colors }, moderationContext(req, 'POST /api/art/collaborate'));
+        const invitation = await createInvitation(req.user.id, { partnerEmail, mood: mood || mood1, message, style, colors, preset, provider });
+        res.status(201).json(invitation);
+    } catch (err) {
+        handleCollaborationError(res, err, 'POST /api/art/collaborate');
+    }
+});
+
+// @route   GET /api/art/collaborate/invitations
+// @desc    List your collaboration invitations, newest first. ?box=incoming (default) or outgoing;
+//          ?state=pending|accepted|declined|cancelled|expired to filter.
+// @access  Private
+router.get('/collaborate/invitations', auth, async (req, res) => {
+    try {
+        res.json(await listInvitations(req.user.id, { box: req.query.box, state: req.query.state }));
+    } catch (err) {
+        handleCollaborationError(res, err, 'GET /api/art/collaborate/invitations');
+    }
+});
+
+// @route   POST /api/art/collaborate/invitations/:id/accept
+// @desc    Accept an invitation with your own mood ({ mood }). Queues generation of the piece and
+//          responds 202 with the job id, like POST /api/art (and counts against your daily quota).
+// @access  Private (the invited user)
+router.post('/collaborate/invitations/:id/accept', auth, rateLimit('generate'), generationQuota, async (req, res) => {
+    try {
+        const { job } = await acceptInvitation(req.params.id, req.user.id, { mood: req.body.mood });
+        sendJobAccepted(req, res, job);
+    } catch (err) {
+        handleCollaborationError(res, err, 'POST /api/art/collaborate/invitations/:id/accept');
+    }
+});
+
+// @route   POST /api/art/collaborate/invitations/:id/decline
+// @desc    Decline an invitation
+// @access  Private (the invited user)
+router.post('/collaborate/invitations/:id/decline', auth, async (req, res) => {
+    try {
+        res.json(await declineInvitation(req.params.id, req.user.id));
+    } catch (err) {
+        handleCollaborationError(res, err, 'POST /api/art/collaborate/invitations/:id/decline');
+    }
+});
+
+// @route   DELETE /api/art/collaborate/invitations/:id
+// @desc    Cancel a pending invitation you sent
+// @access  Private (the inviting user)
+router.delete('/collaborate/invitations/:id', auth, async (req, res) => {
+    try {
+        res.json(await cancelInvitation(req.params.id, req.user.id));
+    } catch (err) {
+        handleCollaborationError(res, err, 'DELETE /api/art/collaborate/invitations/:id');
+    }
+});
+
+// Loads the art piece for a permission-checked route. Sends 404 (and returns null) when it doesn't
+// exist or the user has no access, 403 when the user's role lacks the permission.
+// Pieces hidden by a moderator can still be deleted by their participants, nothing else.
+const loadArtFor = async (req, res, action) => {
+    const includeModerated = action === 'delete' || action === 'destroy';
+    const art = mongoose.isValidObjectId(req.params.id)
+        ? await Art.findById(req.params.id).setOptions({ includeModerated })
+        : null;
+    if (!art || !roleOf(art, req.user.id)) {
+        res.status(404).json({ msg: 'Art piece not found.' });
+        return null;
+    }
+    if (!can(art, req.user.id, action)) {
+        res.status(403).json({ msg: `You do not have permission to ${action} this art piece.` });
+        return null;
+    }
+    return art;
+};
+
+// The piece as sent to a participant, with the share link when they manage it
+const forParticipant = (art, userId) => ({ ...art.toJSON(), myRole: roleOf(art, userId), ...shareDetails(art, userId) });
+
+// @route   GET /api/art/:id
+// @desc    Get one art piece. Private pieces are only shown to their participants; unlisted ones also
+//          to anyone with their share token (?share=, or GET /api/art/shared/:token). Participants also get
+//          myRole and, for the owner of an unlisted piece, its shareToken and sharePath.
+// @access  Public (authentication is optional)
+router.get('/:id', optionalAuth, async (req, res) => {
+    try {
+        const userId = req.user ? req.user.id : null;
+        const art = mongoose.isValidObjectId(req.params.id) ? await Art.findById(req.params.id) : null;
+        if (!art || !canView(art, userId, { shareToken: shareTokenOf(req) })) {
+            return res.status(404).json({ msg: 'Art piece not found.' });
         }
+        res.json(roleOf(art, userId) ? forParticipant(art, userId) : art);
+    } catch (err) {
+        console.error('Error in GET /api/art/:id:', err.message);
+        res.status(500).json({ msg: 'Server error fetching art piece.' });
+    }
+});
 
-        const newArt = new Art({
-            userId: userId, // Will be null if unauthenticated
-            mood: `${mood1} & ${mood2}`,
-            imageUrl,
-            prompt: artPrompt,
-            collaborators: [...new Set(collaborators)] // Ensure unique collaborator IDs
-        });
+// @route   PATCH /api/art/:id
+// @desc    Edit an art piece: title, description and visibility ('private', 'unlisted' or 'public').
+//          Only the owner can change the visibility; a piece that becomes unlisted gets a new share link
+//          (shareToken and sharePath in the response).
+// @access  Private (owner or collaborator)
+router.patch('/:id', auth, async (req, res) => {
+    try {
+        const art = await loadArtFor(req, res, 'edit');
+        if (art) {
+            const { title, description, visibility } = req.body;
+            res.json(forParticipant(await updateArt(art, req.user.id, { title, description, visibility }), req.user.id));
+        }
+    } catch (err) {
+        if (err.name === 'ArtPermissionError') {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        if (err.name === 'ValidationError') {
+            return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+        }
+        console.error('Error in PATCH /api/art/:id:', err.message);
+        res.status(500).json({ msg: 'Server error updating art piece.' });
+    }
+});
+
+// @route   POST /api/art/:id/share
+// @desc    Replace the share link of an unlisted piece; the old link stops working
+// @access  Private (owner)
+router.post('/:id/share', auth, async (req, res) => {
+    try {
+        const art = await loadArtFor(req, res, 'share');
+        if (art) {
+            res.json(forParticipant(await rotateShareToken(art), req.user.id));
+        }
+    } catch (err) {
+        if (err.name === 'ArtPermissionError') {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        console.error('Error in POST /api/art/:id/share:', err.message);
+        res.status(500).json({ msg: 'Server error replacing the share link.' });
+    }
+});
+
+// @route   POST /api/art/:id/hide
+// @desc    Hide an art piece (yours or one you collaborated on) from your history. Other participants still see it.
+//          Responds with the piece and hidden: true.
+// @access  Private (owner or collaborator)
+router.post('/:id/hide', auth, async (req, res) => {
+    try {
+        const art = await loadArtFor(req, res, 'hide');
+        if (art) {
+            res.json({ ...(await setHidden(art, req.user.id, true)).toJSON(), hidden: true });
+        }
+    } catch (err) {
+        console.error('Error in POST /api/art/:id/hide:', err.message);
+        res.status(500).json({ msg: 'Server error hiding art piece.' });
+    }
+});
 
-        await newArt.save();
-        res.status(201).json(newArt);
+// @route   DELETE /api/art/:id/hide
+// @desc    Show a hidden art piece in your history again. Responds with the piece and hidden: false.
+// @access  Private (owner or collaborator)
+router.delete('/:id/hide', auth, async (req, res) => {
+    try {
+        const art = await loadArtFor(req, res, 'hide');
+        if (art) {
+            res.json({ ...(await setHidden(art, req.user.id, false)).toJSON(), hidden: false });
+        }
+    } catch (err) {
+        console.error('Error in DELETE /api/art/:id/hide:', err.message);
+        res.status(500).json({ msg: 'Server error unhiding art piece.' });
+    }
+});
 
+// @route   DELETE /api/art/:id
+// @desc    Remove an art piece. A shared piece is only removed for you (when the owner leaves, ownership
+//          passes to a collaborator); it is deleted for good once its last participant removes it.
+//          The owner can delete it for everyone at once with ?everyone=true. Deleting for good also removes
+//          the stored image, the piece's ratings and its place in albums.
+//          Responds with { deleted, art } (art is null when it was deleted for good).
+// @access  Private (owner or collaborator)
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const everyone = req.query.everyone === 'true';
+        const art = await loadArtFor(req, res, everyone ? 'destroy' : 'delete');
+        if (art && everyone) {
+            await destroyArt(art);
+            res.json({ deleted: true, art: null });
+        } else if (art) {
+            res.json(await removeForUser(art, req.user.id));
+        }
     } catch (err) {
-        console.error('Error in POST /api/art/collaborate:', err.message);
-        res.status(500).json({ msg: err.message || 'Server error blending moods for collaboration.' });
+        console.error('Error in DELETE /api/art/:id:', err.message);
+        res.status(500).json({ msg: 'Server error deleting art piece.' });
     }
 });
 
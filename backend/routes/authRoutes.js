@@ -1,23 +1,38 @@
 // routes/authRoutes.js
 const express = require('express');
 const bcrypt = require('bcryptjs'); // For password hashing
-const jwt = require('jsonwebtoken'); // For creating/verifying JSON Web Tokens
 const User = require('../models/User'); // Import the User Mongoose model
+const auth = require('../middleware/auth'); // Required authentication for logout and password change
+const rateLimit = require('../middleware/rateLimit'); // Token-bucket rate limits against password guessing and email floods
+const {
+    createSession, refreshSession, revokeSession, revokeAllSessions, listSessions, createUserToken, consumeUserToken
+} = require('../services/tokens'); // Sessions, refresh tokens and single-use tokens
+const { sendMail, appLink } = require('../services/mailer'); // Outgoing email (password reset links)
+const { linkInvitations } = require('../services/collaborations'); // Invitations sent before the account existed
+
+const MIN_PASSWORD_LENGTH = 6;
+// How long a password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES || 60);
+
+// Emails are stored trimmed and lowercased (see models/User.js), so lookups have to match that
+const normalizeEmail = email => (typeof email === 'string' ? email.trim().toLowerCase() : '');
 
 const router = express.Router(); // Create an Express router instance
 
 // @route   POST /api/auth/signup
 // @desc    Register a new user
 // @access  Public
-router.post('/signup', async (req, res) => {
+router.post('/signup', rateLimit('auth'), async (req, res) => {
     // Destructure email, password, and mood from the request body
-    const { email, password, mood } = req.body;
+    const { password, mood } = req.body;
+    const email = normalizeEmail(req.body.email);
+    const duplicateResponse = { msg: 'User with this email already exists. Please use a different email or log in.' };
 
     try {
         // 1. Check if a user with the given email already exists
         let user = await User.findOne({ email });
         if (user) {
-            return res.status(400).json({ msg: 'User with this email already exists. Please use a different email or log in.' });
+            return res.status(400).json(duplicateResponse);
         }
 
         // 2. Hash the password for security
@@ -34,30 +49,22 @@ router.post('/signup', async (req, res) => {
             avatar
         });
 
-        // 5. Save the new user to the database
+        // 5. Save the new user to the database, and hand over collaboration invitations sent to the address
         await user.save();
+        await linkInvitations(user);
+
+        // 6. Start a session: a short-lived access token (JWT) plus a refresh token to renew it
+        // The access token identifies the user (here, just the user's MongoDB _id) and the session
+        const tokens = await createSession(user.id, req);
 
-        // 6. Create a JSON Web Token (JWT) for the newly registered user
-        // The payload contains information that identifies the user (here, just the user's MongoDB _id)
-        const payload = {
-            user: {
-                id: user.id // Mongoose models provide a virtual 'id' getter for '_id'
-            }
-        };
-
-        // Sign the JWT: payload, secret key, options (e.g., expiration), and a callback
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET, // Your secret key from .env
-            { expiresIn: '1h' }, // Token expires in 1 hour
-            (err, token) => {
-                if (err) throw err; // If there's an error during signing, throw it
-                // Send the token, user's avatar, and user ID back to the client
-                res.status(201).json({ token, avatar: user.avatar, userId: user.id, msg: 'User registered successfully!' });
-            }
-        );
+        // Send the tokens, user's avatar, and user ID back to the client
+        res.status(201).json({ ...tokens, avatar: user.avatar, userId: user.id, msg: 'User registered successfully!' });
 
     } catch (err) {
+        // The same email signed up at the same moment (the unique index caught it)
+        if (err.code === 11000) {
+            return res.status(400).json(duplicateResponse);
+        }
         console.error('Signup error:', err.message); // Log the error message
         // Handle Mongoose validation errors (e.g., if email format is wrong, or password too short)
         if (err.name === 'ValidationError') {
@@ -70,11 +77,12 @@ router.post('/signup', async (req, res) => {
 });
 
 // @route   POST /api/auth/login
-// @desc    Authenticate user & get token
+// @desc    Authenticate user & get token (suspended accounts get a 403)
 // @access  Public
-router.post('/login', async (req, res) => {
+router.post('/login', rateLimit('auth'), async (req, res) => {
     // Destructure email and password from the request body
-    const { email, password } = req.body;
+    const { password } = req.body;
+    const email = normalizeEmail(req.body.email);
 
     try {
         // 1. Check if a user with the given email exists
@@ -89,29 +97,186 @@ router.post('/login', async (req, res) => {
             return res.status(400).json({ msg: 'Invalid Credentials. Please check your email and password.' });
         }
 
-        // 3. Create a JWT payload for the authenticated user
-        const payload = {
-            user: {
-                id: user.id
-            }
-        };
-
-        // 4. Sign the JWT and send it back to the client
-        jwt.sign(
-            payload,
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' },
-            (err, token) => {
-                if (err) throw err;
-                // Send the token, user's avatar, and user ID back
-                res.json({ token, avatar: user.avatar, userId: user.id, msg: 'Logged in successfully!' });
-            }
-        );
+        // 3. Start a session and send the access and refresh tokens back to the client
+        const tokens = await createSession(user.id, req);
+        res.json({ ...tokens, avatar: user.avatar, userId: user.id, msg: 'Logged in successfully!' });
 
     } catch (err) {
+        if (err.name === 'AuthError') {
+            return res.status(err.status).json({ msg: err.message }); // Suspended account
+        }
         console.error('Login error:', err.message);
         res.status(500).send('Server error during login. Please try again later.');
     }
 });
 
+// Checks a new password; returns an error message or null
+const passwordProblem = (password) => {
+    if (!password || typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+    }
+    return null;
+};
+
+const hashPassword = async (password) => bcrypt.hash(password, await bcrypt.genSalt(10));
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token ({ refreshToken }) for a new access token and refresh token.
+//          The old refresh token stops working; using it again logs the session out.
+// @access  Public (the refresh token grants access)
+router.post('/refresh', rateLimit('auth'), async (req, res) => {
+    try {
+        res.json(await refreshSession(req.body.refreshToken, req));
+    } catch (err) {
+        if (err.name === 'AuthError') {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        console.error('Refresh error:', err.message);
+        res.status(500).json({ msg: 'Server error refreshing the session.' });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out of the current session (its access and refresh tokens stop working)
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+    try {
+        await revokeSession(req.sessionId);
+        res.json({ msg: 'Logged out successfully.' });
+    } catch (err) {
+        console.error('Logout error:', err.message);
+        res.status(500).json({ msg: 'Server error during logout.' });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of every session on every device, including this one
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.user.id);
+        res.json({ msg: `Logged out of ${count} session(s).`, count });
+    } catch (err) {
+        console.error('Logout-all error:', err.message);
+        res.status(500).json({ msg: 'Server error during logout.' });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List your active sessions (devices); the current one is marked with current: true
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        res.json(sessions.map(session => ({ ...session.toClient(), current: session.id === req.sessionId })));
+    } catch (err) {
+        console.error('List sessions error:', err.message);
+        res.status(500).json({ msg: 'Server error fetching sessions.' });
+    }
+});
+
+// @route   POST /api/auth/password/change
+// @desc    Change your password ({ currentPassword, newPassword }). Every other session is logged out.
+// @access  Private
+router.post('/password/change', auth, rateLimit('password'), async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const problem = passwordProblem(newPassword);
+    if (problem) {
+        return res.status(400).json({ msg: problem });
+    }
+
+    try {
+        const user = await User.findById(req.user.id);
+        if (!user || !(await bcrypt.compare(String(currentPassword || ''), user.password))) {
+            return res.status(400).json({ msg: 'Current password is incorrect.' });
+        }
+
+        user.password = await hashPassword(newPassword);
+        await user.save();
+        await revokeAllSessions(user.id, { except: req.sessionId, reason: 'password_change' });
+        res.json({ msg: 'Password changed. Other devices have been logged out.' });
+    } catch (err) {
+        console.error('Password change error:', err.message);
+        res.status(500).json({ msg: 'Server error changing password.' });
+    }
+});
+
+// @route   POST /api/auth/password/forgot
+// @desc    Email a password reset link ({ email }). Always responds the same way, so it can't be
+//          used to find out which emails are registered.
+// @access  Public
+router.post('/password/forgot', rateLimit('password'), async (req, res) => {
+    const { email } = req.body;
+    const response = { msg: 'If an account exists for that email, a password reset link has been sent.' };
+
+    if (!email || typeof email !== 'string') {
+        return res.status(400).json({ msg: 'Email is required.' });
+    }
+
+    try {
+        const user = await User.findOne({ email: normalizeEmail(email) });
+        if (!user) {
+            return res.json(response);
+        }
+
+        const token = await createUserToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+        const link = appLink('/reset-password', { token });
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your Mood Art Generator password',
+            text: [
+                'Someone (hopefully you) asked to reset the password of your Mood Art Generator account.',
+                '',
+                `Open this link to choose a new password (valid for ${PASSWORD_RESET_TTL_MINUTES} minutes):`,
+                link,
+                '',
+                'If you did not ask for this, you can ignore this email.'
+            ].join('\n'),
+            html: `<p>Someone (hopefully you) asked to reset the password of your Mood Art Generator account.</p>`
+                + `<p><a href="${link}">Choose a new password</a> (valid for ${PASSWORD_RESET_TTL_MINUTES} minutes).</p>`
+                + '<p>If you did not ask for this, you can ignore this email.</p>'
+        });
+        res.json(response);
+    } catch (err) {
+        console.error('Password forgot error:', err.message);
+        res.status(500).json({ msg: 'Server error sending the password reset email.' });
+    }
+});
+
+// @route   POST /api/auth/password/reset
+// @desc    Set a new password with the token from a reset link ({ token, password }).
+//          The token works once; every session is logged out.
+// @access  Public (the reset token grants access)
+router.post('/password/reset', rateLimit('password'), async (req, res) => {
+    const { token, password } = req.body;
+
+    const problem = passwordProblem(password);
+    if (problem) {
+        return res.status(400).json({ msg: problem });
+    }
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ msg: 'Reset token is required.' });
+    }
+
+    try {
+        const userToken = await consumeUserToken(token, 'password_reset');
+        const user = await User.findById(userToken.userId);
+        if (!user) {
+            return res.status(400).json({ msg: 'This link is invalid or has expired. Please request a new one.' });
+        }
+
+        user.password = await hashPassword(password);
+        await user.save();
+        await revokeAllSessions(user.id, { reason: 'password_reset' });
+        res.json({ msg: 'Password has been reset. Please log in with your new password.' });
+    } catch (err) {
+        if (err.name === 'AuthError') {
+            return res.status(err.status).json({ msg: err.message });
+        }
+        console.error('Password reset error:', err.message);
+        res.status(500).json({ msg: 'Server error resetting password.' });
+    }
+});
+
 module.exports = router; // Export the router to be used in server.js
@@ -0,0 +1,78 @@
+// routes/exportRoutes.js
+const express = require('express');
+const auth = require('../middleware/auth'); // Exports are personal; only the download link works without a login
+const { getExport, listExports, downloadQuery, resolveDownload, removeExports } = require('../services/exports'); // ZIP/PDF/animation exports
+
+const router = express.Router(); // Create an Express router instance
+
+// Client shape of an export, with its signed download link once it is ready
+const withDownloadUrl = (req, exp) => {
+    const query = downloadQuery(exp);
+    return { ...exp.toClient(), downloadUrl: query ? `${req.baseUrl}/${exp.id}/download?${query}` : null };
+};
+
+// Sends the response for an export error from services/exports (or a generic 500)
+const handleExportError = (res, err, route, message) => {
+    if (err.name === 'ExportError') {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// @route   GET /api/exports
+// @desc    Your recent exports (queued with POST /api/art/history/export or /api/art/evolution/:mood/export), newest first
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const exports = await listExports(req.user.id);
+        res.json(exports.map(exp => withDownloadUrl(req, exp)));
+    } catch (err) {
+        handleExportError(res, err, 'GET /api/exports', 'Server error fetching exports.');
+    }
+});
+
+// @route   GET /api/exports/:id
+// @desc    State of an export: pending, ready (with downloadUrl), failed or expired.
+//          The download link works without logging in and stops working when the export expires.
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+    try {
+        res.json(withDownloadUrl(req, await getExport(req.params.id, req.user.id)));
+    } catch (err) {
+        handleExportError(res, err, 'GET /api/exports/:id', 'Server error fetching export.');
+    }
+});
+
+// @route   GET /api/exports/:id/download
+// @desc    Download an export's file through its signed link (?expires=&signature=)
+// @access  Public (the signed, expiring link grants access)
+router.get('/:id/download', async (req, res) => {
+    try {
+        const { filePath, fileName, contentType } = await resolveDownload(req.params.id, req.query);
+        res.set('Cache-Control', 'private, no-store');
+        res.type(contentType);
+        res.download(filePath, fileName, (err) => {
+            if (err && !res.headersSent) {
+                res.status(err.code === 'ENOENT' ? 404 : 500).json({ msg: err.code === 'ENOENT' ? 'Export not found.' : 'Server error downloading export.' });
+            }
+        });
+    } catch (err) {
+        handleExportError(res, err, 'GET /api/exports/:id/download', 'Server error downloading export.');
+    }
+});
+
+// @route   DELETE /api/exports/:id
+// @desc    Delete an export and its file before it expires
+// @access  Private
+router.delete('/:id', auth, async (req, res) => {
+    try {
+        const exp = await getExport(req.params.id, req.user.id);
+        await removeExports({ _id: exp._id });
+        res.json({ msg: 'Export deleted.' });
+    } catch (err) {
+        handleExportError(res, err, 'DELETE /api/exports/:id', 'Server error deleting export.');
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
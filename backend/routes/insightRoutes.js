@@ -0,0 +1,85 @@
+// routes/insightRoutes.js
+const express = require('express');
+const auth = require('../middleware/auth'); // Insights are personal, so every route needs a logged-in user
+const { getInsights, exportCursor } = require('../services/insights'); // Aggregation pipelines over Art
+const { csvRow } = require('../services/csv'); // CSV cells with spreadsheet formula guarding
+
+const router = express.Router(); // Create an Express router instance
+
+// How long browsers may reuse an insights response before asking again (ETags make re-checks cheap)
+const INSIGHTS_MAX_AGE = Number(process.env.INSIGHTS_MAX_AGE || 300);
+
+const EXPORT_COLUMNS = ['id', 'createdAt', 'mood', 'moods', 'style', 'colors', 'prompt', 'rating', 'collaborative'];
+
+// @route   GET /api/insights
+// @desc    Your mood insights: mood distribution per window, a daily/weekly time series, streaks,
+//          favorite styles and colors, and mood transitions (what usually follows Sad).
+//          Query: windows (e.g., 7d,30d,all), from/to (dates), interval (day|week), tz (e.g., Europe/Berlin).
+//          Responses carry Cache-Control and an ETag, so unchanged insights come back as 304.
+// @access  Private
+router.get('/', auth, async (req, res) => {
+    try {
+        const insights = await getInsights(req.user.id, req.query);
+        res.set({
+            'Cache-Control': `private, max-age=${INSIGHTS_MAX_AGE}`,
+            'Vary': 'x-auth-token' // Responses differ per user
+        });
+        res.json(insights); // Express adds the ETag and answers If-None-Match with 304
+    } catch (err) {
+        if (err.name === 'QueryError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        console.error('Error in GET /api/insights:', err.message);
+        res.status(500).json({ msg: 'Server error computing mood insights.' });
+    }
+});
+
+// @route   GET /api/insights/export
+// @desc    Download your mood log (one row per art piece) as CSV (?format=csv, default) or JSON (?format=json).
+//          Optional from/to dates limit the range.
+// @access  Private
+router.get('/export', auth, async (req, res) => {
+    const format = req.query.format || 'csv';
+    if (!['csv', 'json'].includes(format)) {
+        return res.status(400).json({ msg: 'format must be "csv" or "json".' });
+    }
+
+    let cursor;
+    try {
+        cursor = exportCursor(req.user.id, req.query);
+    } catch (err) {
+        if (err.name === 'QueryError') {
+            return res.status(400).json({ msg: err.message });
+        }
+        console.error('Error in GET /api/insights/export:', err.message);
+        return res.status(500).json({ msg: 'Server error exporting mood data.' });
+    }
+
+    const fileName = `mood-log-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set({
+        'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${fileName}"`,
+        'Cache-Control': 'private, no-cache'
+    });
+
+    // Rows are streamed so large histories don't have to fit in memory
+    try {
+        let first = true;
+        res.write(format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\r\n` : '[');
+        for await (const row of cursor) {
+            if (format === 'csv') {
+                res.write(csvRow(EXPORT_COLUMNS, row));
+            } else {
+                res.write(`${first ? '' : ','}\n${JSON.stringify(row)}`);
+            }
+            first = false;
+        }
+        res.end(format === 'csv' ? '' : '\n]\n');
+    } catch (err) {
+        console.error('Error in GET /api/insights/export:', err.message);
+        // Headers are already sent; cut the download short so it isn't mistaken for a complete file
+        res.destroy(err);
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
@@ -0,0 +1,166 @@
+// routes/moderationRoutes.js
+const express = require('express');
+const mongoose = require('mongoose');
+const ModerationRule = require('../models/ModerationRule'); // Admin-editable moderation rules
+const ModerationLog = require('../models/ModerationLog'); // Rejected prompts kept for review
+const auth = require('../middleware/auth');
+const requireRole = require('../middleware/requireRole'); // Moderators review, admins also edit the rules
+const { FIELDS, checkArtParams, scrubPii, moderationLimits, invalidateRules } = require('../services/moderation'); // Prompt moderation
+const { parseLimit, findPage } = require('../services/pagination'); // Cursor pagination for the review log
+const { recordAudit } = require('../services/audit'); // Rule changes and reviews go to the audit log
+
+const router = express.Router(); // Create an Express router instance
+
+router.use(auth, requireRole('moderator'));
+
+const RULE_FIELDS = ['name', 'type', 'value', 'caseSensitive', 'fields', 'message', 'enabled'];
+
+// Picks the editable rule fields from a request body
+const ruleInput = body => Object.fromEntries(RULE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+
+// Sends a 400 for invalid rules and review input, a 404 for unknown ids, otherwise a 500
+const handleModerationError = (res, err, route, message) => {
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+    }
+    if (['QueryError', 'CastError'].includes(err.name)) {
+        return res.status(400).json({ msg: err.message });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// Checks that the fields a rule applies to exist
+const invalidFields = fields => Array.isArray(fields) && fields.some(field => !FIELDS.includes(field));
+
+// @route   GET /api/moderation/rules
+// @desc    All moderation rules (enabled or not) and the built-in limits: { rules, limits }
+// @access  Moderator
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await ModerationRule.find().sort({ createdAt: 1 });
+        res.json({ rules, limits: moderationLimits() });
+    } catch (err) {
+        handleModerationError(res, err, 'GET /api/moderation/rules', 'Server error fetching moderation rules.');
+    }
+});
+
+// @route   POST /api/moderation/rules
+// @desc    Add a rule: { name, type: 'term'|'pattern', value, caseSensitive, fields, message, enabled }.
+//          Takes effect right away.
+// @access  Admin
+router.post('/rules', requireRole('admin'), async (req, res) => {
+    try {
+        if (invalidFields(req.body.fields)) {
+            return res.status(400).json({ msg: `fields must be a list of: ${FIELDS.join(', ')}.` });
+        }
+        const rule = await ModerationRule.create({ ...ruleInput(req.body), createdBy: req.user.id, updatedBy: req.user.id });
+        invalidateRules();
+        await recordAudit(req.user, 'rule.create', { type: 'moderation_rule', id: rule._id }, { details: ruleInput(req.body) });
+        res.status(201).json(rule);
+    } catch (err) {
+        handleModerationError(res, err, 'POST /api/moderation/rules', 'Server error creating moderation rule.');
+    }
+});
+
+// @route   PUT /api/moderation/rules/:id
+// @desc    Change a rule (any of the fields of POST /rules), e.g. { enabled: false } to switch it off
+// @access  Admin
+router.put('/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        if (invalidFields(req.body.fields)) {
+            return res.status(400).json({ msg: `fields must be a list of: ${FIELDS.join(', ')}.` });
+        }
+        const rule = mongoose.isValidObjectId(req.params.id) ? await ModerationRule.findById(req.params.id) : null;
+        if (!rule) {
+            return res.status(404).json({ msg: 'Moderation rule not found.' });
+        }
+        rule.set({ ...ruleInput(req.body), updatedBy: req.user.id });
+        await rule.save();
+        invalidateRules();
+        await recordAudit(req.user, 'rule.update', { type: 'moderation_rule', id: rule._id }, { details: ruleInput(req.body) });
+        res.json(rule);
+    } catch (err) {
+        handleModerationError(res, err, 'PUT /api/moderation/rules/:id', 'Server error updating moderation rule.');
+    }
+});
+
+// @route   DELETE /api/moderation/rules/:id
+// @desc    Delete a rule
+// @access  Admin
+router.delete('/rules/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const rule = mongoose.isValidObjectId(req.params.id) ? await ModerationRule.findByIdAndDelete(req.params.id) : null;
+        if (!rule) {
+            return res.status(404).json({ msg: 'Moderation rule not found.' });
+        }
+        invalidateRules();
+        await recordAudit(req.user, 'rule.delete', { type: 'moderation_rule', id: rule._id }, { details: { name: rule.name, type: rule.type, value: rule.value } });
+        res.json({ msg: 'Moderation rule deleted.' });
+    } catch (err) {
+        handleModerationError(res, err, 'DELETE /api/moderation/rules/:id', 'Server error deleting moderation rule.');
+    }
+});
+
+// @route   POST /api/moderation/check
+// @desc    Dry run: would these generation params ({ prompt, terms, negativePrompt, style, colors }) pass?
+//          Responds { allowed, field, rule, matched, msg, scrubbedPrompt, pii }. Nothing is logged.
+// @access  Moderator
+router.post('/check', async (req, res) => {
+    try {
+        const problem = await checkArtParams(req.body);
+        const { text: scrubbedPrompt, found: pii } = scrubPii(req.body.prompt);
+        res.json({
+            allowed: !problem,
+            ...(problem && { field: problem.field, rule: problem.violation.rule, matched: problem.violation.matched, msg: problem.violation.message }),
+            scrubbedPrompt: scrubbedPrompt || '',
+            pii
+        });
+    } catch (err) {
+        handleModerationError(res, err, 'POST /api/moderation/check', 'Server error checking the prompt.');
+    }
+});
+
+// @route   GET /api/moderation/log
+// @desc    Rejected prompts, newest first: { items, nextCursor }. ?status=open|confirmed|dismissed, ?cursor=, ?limit=
+// @access  Moderator
+router.get('/log', async (req, res) => {
+    try {
+        const filter = req.query.status ? { status: String(req.query.status) } : {};
+        const page = await findPage(ModerationLog, filter, {
+            sortField: 'createdAt', direction: -1, cursor: req.query.cursor, limit: parseLimit(req.query.limit)
+        });
+        res.json(page);
+    } catch (err) {
+        handleModerationError(res, err, 'GET /api/moderation/log', 'Server error fetching the moderation log.');
+    }
+});
+
+// @route   PATCH /api/moderation/log/:id
+// @desc    Review a rejection: { status: 'confirmed'|'dismissed'|'open', note }
+// @access  Moderator
+router.patch('/log/:id', async (req, res) => {
+    try {
+        const { status, note } = req.body;
+        if (!['open', 'confirmed', 'dismissed'].includes(status)) {
+            return res.status(400).json({ msg: 'status must be "open", "confirmed" or "dismissed".' });
+        }
+        const entry = mongoose.isValidObjectId(req.params.id) ? await ModerationLog.findById(req.params.id) : null;
+        if (!entry) {
+            return res.status(404).json({ msg: 'Log entry not found.' });
+        }
+        entry.set({
+            status,
+            reviewNote: note === undefined ? entry.reviewNote : note,
+            reviewedBy: status === 'open' ? null : req.user.id,
+            reviewedAt: status === 'open' ? undefined : new Date()
+        });
+        await entry.save();
+        await recordAudit(req.user, 'prompt_log.review', { type: 'moderation_log', id: entry._id }, { reason: note, details: { status } });
+        res.json(entry);
+    } catch (err) {
+        handleModerationError(res, err, 'PATCH /api/moderation/log/:id', 'Server error updating the log entry.');
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
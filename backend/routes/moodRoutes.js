@@ -0,0 +1,31 @@
+// routes/moodRoutes.js
+const express = require('express');
+const { analyzeMood } = require('../services/moodAnalyzer'); // Local lexicon-based emotion classifier
+
+const router = express.Router(); // Create an Express router instance
+
+const MAX_TEXT_LENGTH = 5000; // Diary entries longer than this are rejected
+
+// @route   POST /api/mood/analyze
+// @desc    Suggest a mood for Mood Diary text before generating art.
+//          Returns { mood, scores, confidence, matches }.
+// @access  Public
+router.post('/analyze', (req, res) => {
+    const { text } = req.body;
+
+    if (!text || typeof text !== 'string' || text.trim() === '') {
+        return res.status(400).json({ msg: 'Text to analyze is required.' });
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+        return res.status(400).json({ msg: `Text must be at most ${MAX_TEXT_LENGTH} characters long.` });
+    }
+
+    try {
+        res.json(analyzeMood(text));
+    } catch (err) {
+        console.error('Error in POST /api/mood/analyze:', err.message);
+        res.status(500).json({ msg: 'Server error analyzing mood.' });
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
@@ -0,0 +1,53 @@
+// routes/roomRoutes.js
+const express = require('express');
+const auth = require('../middleware/auth'); // Rooms are for logged-in users (the socket takes the same token)
+const { createRoom, findRoomFor } = require('../services/rooms'); // Live collaboration rooms
+const { ROOM_SOCKET_PATH } = require('../services/realtime/roomSocket'); // Where clients connect to a room
+const { moderateArtParams, moderationContext } = require('../services/moderation'); // Style and colors end up in the prompt
+
+const router = express.Router(); // Create an Express router instance
+
+// Sends the response for a room error from services/rooms.js (or a generic 500)
+const handleRoomError = (res, err, route, message) => {
+    if (err.name === 'ModerationError') {
+        return res.status(422).json(err.toResponse());
+    }
+    if (['RoomError', 'ProviderError', 'MoodInputError'].includes(err.name)) {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// @route   POST /api/rooms
+// @desc    Open a live collaboration room ({ style, colors, preset, provider } are optional).
+//          Responds 201 with the room, its join code and the socket path; share the code with the others,
+//          then everyone connects to <socketPath>?token=<access token>&code=<join code>.
+// @access  Private
+router.post('/', auth, async (req, res) => {
+    try {
+        const { style, colors, preset, provider } = req.body;
+        await moderateArtParams({ style, colors }, moderationContext(req, 'POST /api/rooms'));
+        const room = await createRoom(req.user.id, { style, colors, preset, provider });
+        res.status(201).json({ ...room.toClient(), socketPath: ROOM_SOCKET_PATH });
+    } catch (err) {
+        handleRoomError(res, err, 'POST /api/rooms', 'Server error opening the room.');
+    }
+});
+
+// @route   GET /api/rooms/:code
+// @desc    Current state of a room you are part of (by join code or id), e.g. to show it before reconnecting
+// @access  Private (participants)
+router.get('/:code', auth, async (req, res) => {
+    try {
+        const room = await findRoomFor(req.params.code, req.user.id);
+        res.json({ ...room.toClient(), socketPath: ROOM_SOCKET_PATH });
+    } catch (err) {
+        handleRoomError(res, err, 'GET /api/rooms/:code', 'Server error fetching the room.');
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
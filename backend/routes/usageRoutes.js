@@ -0,0 +1,29 @@
+// routes/usageRoutes.js
+const express = require('express');
+const optionalAuth = require('../middleware/optionalAuth'); // Usage is per account when logged in, per IP otherwise
+const { getQuotaUsage } = require('../services/quotas'); // Daily generation quotas
+const { LIMITS, peekToken } = require('../services/rateLimit'); // Token-bucket rate limits
+
+const router = express.Router(); // Create an Express router instance
+
+// @route   GET /api/usage
+// @desc    How much of your generation quota and rate limits is left:
+//          { tier, resetsAt, generation: { account, ip }, rateLimits: { generate, invite, auth, password, export, room, report } }
+//          where quotas are { limit, used, remaining } and rate limits { limit, remaining, resetSeconds }.
+// @access  Public (authentication is optional)
+router.get('/', optionalAuth, async (req, res) => {
+    try {
+        const { tier, resetsAt, account, ip } = await getQuotaUsage(req);
+        const rateLimits = {};
+        for (const name of Object.keys(LIMITS)) {
+            rateLimits[name] = await peekToken(name, req);
+        }
+        res.set('Cache-Control', 'private, no-store');
+        res.json({ tier, resetsAt, generation: { account, ip }, rateLimits });
+    } catch (err) {
+        console.error('Error in GET /api/usage:', err.message);
+        res.status(500).json({ msg: 'Server error fetching usage.' });
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
@@ -0,0 +1,101 @@
+// routes/userRoutes.js
+const express = require('express');
+const User = require('../models/User'); // Import the User Mongoose model
+const auth = require('../middleware/auth'); // All profile routes except email verification need a logged-in user
+const {
+    toProfile, updateProfile, requestEmailChange, confirmEmailChange, deleteAccount
+} = require('../services/users'); // Profile, settings and account actions
+
+const router = express.Router(); // Create an Express router instance
+
+// Sends the response for a profile error (invalid input, wrong password, bad link) or a generic 500
+const handleUserError = (res, err, route, message) => {
+    if (['UserInputError', 'MoodInputError', 'AuthError'].includes(err.name)) {
+        return res.status(err.status).json({ msg: err.message });
+    }
+    if (err.name === 'ValidationError') {
+        return res.status(400).json({ msg: Object.values(err.errors).map(val => val.message).join(', ') });
+    }
+    console.error(`Error in ${route}:`, err.message);
+    res.status(500).json({ msg: message });
+};
+
+// Loads the logged-in user into req.currentUser (404 if the account no longer exists)
+const loadUser = async (req, res, next) => {
+    try {
+        req.currentUser = await User.findById(req.user.id);
+        if (!req.currentUser) {
+            return res.status(404).json({ msg: 'User not found.' });
+        }
+        next();
+    } catch (err) {
+        handleUserError(res, err, `${req.method} /api/users/me`, 'Server error loading your profile.');
+    }
+};
+
+// @route   GET /api/users/me
+// @desc    Get your profile and art preferences:
+//          { id, email, pendingEmail, displayName, avatar, avatarMode, settings: { style, colors, moods }, createdAt }
+// @access  Private
+router.get('/me', auth, loadUser, (req, res) => {
+    res.json(toProfile(req.currentUser));
+});
+
+// @route   PUT /api/users/me
+// @desc    Update your profile: displayName, avatar (e.g., 'calm_emoji'), avatarMode ('fixed', or 'mood' to follow
+//          the mood of your recent art) and settings { style, colors, moods }. The settings are the defaults
+//          POST /api/art uses when a request leaves them out. Only the fields sent are changed.
+// @access  Private
+router.put('/me', auth, loadUser, async (req, res) => {
+    try {
+        const user = await updateProfile(req.currentUser, req.body);
+        res.json(toProfile(user));
+    } catch (err) {
+        handleUserError(res, err, 'PUT /api/users/me', 'Server error updating your profile.');
+    }
+});
+
+// @route   PUT /api/users/me/email
+// @desc    Change your email address ({ email, password }). A verification link is sent to the new address;
+//          the change only takes effect once it is opened (POST /api/users/email/verify).
+// @access  Private
+router.put('/me/email', auth, loadUser, async (req, res) => {
+    try {
+        const user = await requestEmailChange(req.currentUser, req.body);
+        res.json({ ...toProfile(user), msg: `We sent a verification link to ${user.pendingEmail}.` });
+    } catch (err) {
+        handleUserError(res, err, 'PUT /api/users/me/email', 'Server error changing your email address.');
+    }
+});
+
+// @route   POST /api/users/email/verify
+// @desc    Confirm a new email address with the token from the verification link ({ token })
+// @access  Public (the verification token grants access)
+router.post('/email/verify', async (req, res) => {
+    const { token } = req.body;
+    if (!token || typeof token !== 'string') {
+        return res.status(400).json({ msg: 'Verification token is required.' });
+    }
+    try {
+        const user = await confirmEmailChange(token);
+        res.json({ ...toProfile(user), msg: 'Your email address has been changed.' });
+    } catch (err) {
+        handleUserError(res, err, 'POST /api/users/email/verify', 'Server error verifying your email address.');
+    }
+});
+
+// @route   DELETE /api/users/me
+// @desc    Delete your account ({ password, art }). art: 'anonymize' (default) keeps your public solo pieces
+//          without an owner and deletes the private and unlisted ones, 'delete' deletes them all. Shared pieces
+//          stay with your collaborators. All sessions end.
+// @access  Private
+router.delete('/me', auth, loadUser, async (req, res) => {
+    try {
+        const { pieces } = await deleteAccount(req.currentUser, req.body);
+        res.json({ msg: 'Your account has been deleted.', pieces });
+    } catch (err) {
+        handleUserError(res, err, 'DELETE /api/users/me', 'Server error deleting your account.');
+    }
+});
+
+module.exports = router; // Export the router to be used in server.js
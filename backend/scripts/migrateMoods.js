@@ -0,0 +1,59 @@
+// scripts/migrateMoods.js
+// Converts Art records saved with a single mood string into the weighted mood model.
+//
+// Usage:
+//   npm run migrate:moods [-- --dry-run]
+//
+// - 'Happy'          -> moods [{ Happy, 1 }], mood 'Happy'
+// - 'Happy & Sad'    -> moods [{ Happy, 0.5 }, { Sad, 0.5 }], mood 'Happy' (old collaboration format)
+// - 'Mixed'          -> moods from the stored Mood Diary analysis if there is one, otherwise none
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { normalizeMoods, dominantMood } = require('../services/moodBlend');
+
+// Works out the blend for a legacy record
+function legacyMoods(doc) {
+    if (doc.mood === 'Mixed') {
+        const scores = doc.moodAnalysis && doc.moodAnalysis.scores;
+        if (!scores) return [];
+        return normalizeMoods(Object.fromEntries(Object.entries(scores).filter(([, score]) => score >= 0.1)));
+    }
+    return normalizeMoods(String(doc.mood).split('&').map(part => part.trim()).filter(Boolean));
+}
+
+async function migrate() {
+    const dryRun = process.argv.includes('--dry-run');
+    await mongoose.connect(process.env.MONGO_URI);
+
+    // Read through the raw collection: legacy records may not pass the current schema validation
+    const cursor = Art.collection.find({ $or: [{ moods: { $exists: false } }, { moods: { $size: 0 }, mood: { $ne: 'Mixed' } }] });
+
+    let migrated = 0;
+    let failed = 0;
+    for await (const doc of cursor) {
+        try {
+            const moods = legacyMoods(doc);
+            const mood = dominantMood(moods);
+            if (dryRun) {
+                console.log(`Would migrate ${doc._id}: '${doc.mood}' -> ${JSON.stringify(moods)} (dominant: ${mood})`);
+                continue;
+            }
+            await Art.collection.updateOne({ _id: doc._id }, { $set: { moods, mood } });
+            migrated++;
+        } catch (err) {
+            failed++;
+            console.error(`Failed to migrate ${doc._id} ('${doc.mood}'):`, err.message);
+        }
+    }
+
+    console.log(dryRun ? 'Dry run complete.' : `Done. Migrated: ${migrated}, failed: ${failed}.`);
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+migrate().catch(err => {
+    console.error('Mood migration error:', err.message);
+    process.exit(1);
+});
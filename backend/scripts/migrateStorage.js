@@ -0,0 +1,148 @@
+// scripts/migrateStorage.js
+// Moves stored art images (originals and their resized variants) from one storage backend to another
+// and updates the Art records.
+//
+// Usage:
+//   npm run migrate:storage -- --to s3 [--from cloudinary] [--dry-run] [--delete-source] [--limit 100]
+//
+// --to             target driver: cloudinary, local or s3 (required)
+// --from           only migrate images currently on this driver; 'legacy' selects records saved before
+//                  the storage layer existed (they only have an imageUrl, which may be a URL or a data URI)
+// --dry-run        list what would be migrated without changing anything
+// --delete-source  delete the moved objects from their old driver after the record has been updated
+// --limit          stop after this many records
+require('dotenv').config();
+
+const axios = require('axios');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { getStorage } = require('../services/storage');
+
+// Minimal "--flag value" / "--switch" argument parser
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) {
+            args[name] = next;
+            i++;
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+// Reads the bytes of an image that has no storage info, from its data URI or URL
+async function downloadLegacyImage(imageUrl) {
+    const dataUri = /^data:([^;]+);base64,(.*)$/.exec(imageUrl);
+    if (dataUri) {
+        return { buffer: Buffer.from(dataUri[2], 'base64'), contentType: dataUri[1] };
+    }
+    const response = await axios.get(imageUrl, { responseType: 'arraybuffer' });
+    return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || 'image/png' };
+}
+
+// Deletes stored objects [{ driver, key }]; failures are only logged
+async function deleteObjects(objects) {
+    for (const { driver, key } of objects) {
+        try {
+            await getStorage(driver).delete(key);
+        } catch (err) {
+            console.warn(`Could not delete ${driver}:${key}:`, err.message);
+        }
+    }
+}
+
+async function migrate() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.to) {
+        console.error('ERROR: --to <cloudinary|local|s3> is required.');
+        process.exit(1);
+    }
+
+    const target = getStorage(args.to);
+    if (!target.isConfigured()) {
+        console.error(`ERROR: Storage driver "${args.to}" is not configured. Check your .env file.`);
+        process.exit(1);
+    }
+
+    // Which stored objects to move: those not on the target driver yet (only those on --from when given)
+    const onSource = args.from ? { $eq: args.from } : { $ne: args.to };
+    const shouldMove = storage => Boolean(storage && storage.driver && storage.key)
+        && storage.driver !== args.to && (!args.from || storage.driver === args.from);
+
+    // Select records whose original or any variant is to be moved
+    const filter = args.from === 'legacy'
+        ? { 'storage.key': { $exists: false } }
+        : { $or: [{ 'storage.driver': onSource }, { variants: { $elemMatch: { 'storage.driver': { $exists: true, ...onSource } } } }] };
+
+    await mongoose.connect(process.env.MONGO_URI);
+    const cursor = Art.find(filter).setOptions({ includeModerated: true }).sort({ createdAt: 1 }).limit(Number(args.limit) || 0).cursor();
+
+    let migrated = 0;
+    let failed = 0;
+    for await (const art of cursor) {
+        const source = art.storage && art.storage.key ? art.storage : null;
+        const moveOriginal = source ? shouldMove(source) : args.from === 'legacy' || !args.from;
+        const variants = art.variants.filter(variant => shouldMove(variant.storage));
+        const label = `${art.id} (${source ? `${source.driver}:${source.key}` : 'legacy'}${variants.length > 0 ? `, ${variants.length} variants` : ''})`;
+
+        if (args['dry-run']) {
+            console.log(`Would migrate ${label} -> ${args.to}`);
+            continue;
+        }
+
+        const uploaded = []; // New copies, deleted again if the record can't be updated
+        const copy = async ({ buffer, contentType }, { folder, tags }) => {
+            const { key, url } = await target.upload(buffer, { contentType, folder, tags });
+            uploaded.push({ driver: target.name, key });
+            return { storage: { driver: target.name, key }, url };
+        };
+        try {
+            const movedSources = [];
+            if (moveOriginal) {
+                const image = source
+                    ? await getStorage(source.driver).download(source.key)
+                    : await downloadLegacyImage(art.imageUrl);
+                const { storage, url } = await copy(image, { tags: [art.mood.toLowerCase(), 'mood_art'] });
+                if (source) movedSources.push({ driver: source.driver, key: source.key });
+                art.storage = storage;
+                art.imageUrl = url;
+            }
+            // Variants go where services/imageProcessing puts them, tagged the same way
+            for (const variant of variants) {
+                const image = await getStorage(variant.storage.driver).download(variant.storage.key);
+                const { storage, url } = await copy(image, {
+                    folder: 'mood_art_generator/variants',
+                    tags: ['mood_art', art.mood.toLowerCase(), 'variant', `variant_${variant.format}`]
+                });
+                movedSources.push({ driver: variant.storage.driver, key: variant.storage.key });
+                variant.storage = storage;
+                variant.url = url;
+            }
+            await art.save();
+
+            if (args['delete-source']) {
+                await deleteObjects(movedSources); // The record already points at the copies
+            }
+            migrated++;
+            console.log(`Migrated ${label} -> ${target.name}`);
+        } catch (err) {
+            failed++;
+            console.error(`Failed to migrate ${label}:`, err.message);
+            await deleteObjects(uploaded);
+        }
+    }
+
+    console.log(args['dry-run'] ? 'Dry run complete.' : `Done. Migrated: ${migrated}, failed: ${failed}.`);
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+migrate().catch(err => {
+    console.error('Storage migration error:', err.message);
+    process.exit(1);
+});
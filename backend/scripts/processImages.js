@@ -0,0 +1,106 @@
+// scripts/processImages.js
+// Runs the image pipeline (variants, palette, watermark; see services/imageProcessing) for stored pieces,
+// or on a single image file to try the pipeline settings without a database.
+//
+// Usage:
+//   npm run process:images [-- --all] [--dry-run] [--limit 100]
+//   npm run process:images -- --file path/to/image.png [--colors red,#00ff00] [--watermark] [--out dir]
+//
+// --all        also process pieces that already have variants (e.g., after changing the variant widths)
+// --dry-run    list what would be processed without changing anything
+// --limit      stop after this many pieces
+// --file       process this image file instead of stored pieces and print the result
+// --colors     (with --file) requested colors to compare the palette with
+// --watermark  (with --file) apply IMAGE_WATERMARK_TEXT as for a public piece
+// --out        (with --file) write the variants into this directory
+require('dotenv').config();
+
+const fs = require('fs/promises');
+const path = require('path');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { processImage, reprocessArt } = require('../services/imageProcessing');
+
+// Minimal "--flag value" / "--switch" argument parser
+function parseArgs(argv) {
+    const args = {};
+    for (let i = 0; i < argv.length; i++) {
+        if (!argv[i].startsWith('--')) continue;
+        const name = argv[i].slice(2);
+        const next = argv[i + 1];
+        if (next && !next.startsWith('--')) {
+            args[name] = next;
+            i++;
+        } else {
+            args[name] = true;
+        }
+    }
+    return args;
+}
+
+// Processes one image file and prints the palette, colorMatch and variant sizes
+async function processFile(args) {
+    const buffer = await fs.readFile(args.file);
+    const colors = typeof args.colors === 'string' ? args.colors.split(',').map(color => color.trim()) : [];
+    const result = await processImage(buffer, { colors, watermark: Boolean(args.watermark) });
+
+    console.log(`${args.file}: ${result.width}x${result.height}${result.watermarked ? ', watermarked' : ''}`);
+    console.log('Palette:');
+    result.palette.forEach(({ color, family, share }) => console.log(`  ${color} ${family.padEnd(7)} ${Math.round(share * 100)}%`));
+    console.log(`Color match: ${result.colorMatch === null ? 'n/a (no requested colors)' : result.colorMatch}`);
+    console.log('Variants:');
+    for (const variant of result.variants) {
+        const name = `${path.parse(args.file).name}-${variant.width}.${variant.format}`;
+        console.log(`  ${name} ${variant.width}x${variant.height} ${Math.round(variant.buffer.length / 1024)} KB`);
+        if (typeof args.out === 'string') {
+            await fs.mkdir(args.out, { recursive: true });
+            await fs.writeFile(path.join(args.out, name), variant.buffer);
+        }
+    }
+}
+
+async function processStored(args) {
+    const filter = { 'storage.key': { $exists: true } };
+    if (!args.all) {
+        filter['variants.0'] = { $exists: false };
+    }
+
+    await mongoose.connect(process.env.MONGO_URI);
+    const cursor = Art.find(filter).setOptions({ includeModerated: true }).sort({ createdAt: 1 }).limit(Number(args.limit) || 0).cursor();
+
+    let processed = 0;
+    let failed = 0;
+    for await (const art of cursor) {
+        if (args['dry-run']) {
+            console.log(`Would process ${art.id} (${art.storage.driver}:${art.storage.key})`);
+            continue;
+        }
+        try {
+            await reprocessArt(art);
+            processed++;
+            console.log(`Processed ${art.id}: ${art.variants.length} variants, palette ${art.palette.map(({ color }) => color).join(' ')}`);
+        } catch (err) {
+            failed++;
+            console.error(`Failed to process ${art.id}:`, err.message);
+        }
+    }
+
+    console.log(args['dry-run'] ? 'Dry run complete.' : `Done. Processed: ${processed}, failed: ${failed}.`);
+    await mongoose.disconnect();
+    return failed;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (typeof args.file === 'string') {
+        await processFile(args);
+        process.exit(0);
+    }
+    const failed = await processStored(args);
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error('Image processing error:', err.message);
+    process.exit(1);
+});
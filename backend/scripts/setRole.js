@@ -0,0 +1,37 @@
+// scripts/setRole.js
+// Gives an account a role from the command line, e.g. to appoint the first admin (after that,
+// admins change roles with PUT /api/admin/users/:id/role).
+//
+// Usage:
+//   npm run set-role -- <email> <user|moderator|admin>
+//
+// The new role shows up in the user's next access token (within ACCESS_TOKEN_TTL, or at the next login).
+// Changes made here are not in the audit log, which only records actions taken through the API.
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { ROLES } = require('../services/admin');
+
+async function setRole() {
+    const [email, role] = process.argv.slice(2);
+    if (!email || !ROLES.includes(role)) {
+        console.error(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+        process.exit(1);
+    }
+    await mongoose.connect(process.env.MONGO_URI);
+
+    const user = await User.findOneAndUpdate({ email: email.trim().toLowerCase() }, { $set: { role } }, { new: true });
+    if (!user) {
+        console.error(`No account with the email ${email}.`);
+    } else {
+        console.log(`${user.email} is now ${role}.`);
+    }
+    await mongoose.disconnect();
+    process.exit(user ? 0 : 1);
+}
+
+setRole().catch(err => {
+    console.error('Role change error:', err.message);
+    process.exit(1);
+});
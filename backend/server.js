@@ -9,6 +9,21 @@ const cors = require('cors');
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const artRoutes = require('./routes/artRoutes');
+const moodRoutes = require('./routes/moodRoutes');
+const userRoutes = require('./routes/userRoutes');
+const insightRoutes = require('./routes/insightRoutes');
+const usageRoutes = require('./routes/usageRoutes');
+const exportRoutes = require('./routes/exportRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const roomRoutes = require('./routes/roomRoutes');
+const albumRoutes = require('./routes/albumRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { getStorage } = require('./services/storage');
+const { registerArtJobHandlers } = require('./services/artJobs');
+const { resumePendingJobs } = require('./services/jobQueue');
+const { registerExportJobHandler, purgeExpiredExports } = require('./services/exports');
+const { attachRoomSockets } = require('./services/realtime/roomSocket');
+const { checkMailConfig } = require('./services/mailer');
 
 const app = express();
 const PORT = process.env.PORT || 5000; // Use port from environment variable or default to 5000
@@ -24,22 +39,51 @@ if (!JWT_SECRET) {
     console.error('ERROR: JWT_SECRET is not defined in .env. Please check your .env file.');
     process.exit(1); // Exit the process if JWT Secret is missing
 }
-if (!process.env.ART_API_URL || !process.env.ART_API_TOKEN) {
-    console.warn('WARNING: ART_API_URL or ART_API_TOKEN is not defined. Art generation will use mock data.');
+try {
+    checkMailConfig();
+} catch (err) {
+    console.error(`ERROR: ${err.message} Please check your .env file.`);
+    process.exit(1); // Exit the process rather than dropping emails in production
 }
-// Add warning for Cloudinary credentials
-if (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET) {
-    console.warn('WARNING: Cloudinary credentials are not fully defined. Generated images will NOT be permanently stored or accessible via public URLs unless you use a different storage solution.');
+// Art providers: Hugging Face (ART_API_URL/ART_API_TOKEN), JSON base64 APIs (ART_JSON_API_URL/ART_JSON_API_TOKEN),
+// a generic HTTP API (ART_HTTP_API_URL), or the offline procedural engine. ART_PROVIDERS sets the fallback order.
+const hasRemoteArtProvider = (process.env.ART_API_URL && process.env.ART_API_TOKEN)
+    || (process.env.ART_JSON_API_URL && process.env.ART_JSON_API_TOKEN)
+    || process.env.ART_HTTP_API_URL;
+if (!hasRemoteArtProvider && !process.env.ART_PROVIDERS) {
+    console.warn('WARNING: No remote art provider is configured. Art generation will use the offline procedural art engine.');
+}
+// Add warning for image storage: without STORAGE_DRIVER or Cloudinary credentials, images go to the local filesystem
+if (!process.env.STORAGE_DRIVER && (!process.env.CLOUDINARY_CLOUD_NAME || !process.env.CLOUDINARY_API_KEY || !process.env.CLOUDINARY_API_SECRET)) {
+    console.warn('WARNING: Cloudinary credentials are not fully defined and STORAGE_DRIVER is not set. Generated images will be stored on the local filesystem and served under /uploads.');
 }
 // --- End Environment Variable Validation ---
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g., 1 or 'loopback') so req.ip is the client's address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors()); // Enable CORS for all routes, allowing frontend to make requests
 app.use(express.json()); // Body parser middleware to parse JSON request bodies
+app.use('/uploads', getStorage('local').middleware()); // Serve images stored by the local filesystem storage driver
+
+// Background art generation and export jobs
+registerArtJobHandlers();
+registerExportJobHandler();
 
 // Database Connection
 mongoose.connect(MONGO_URI)
-    .then(() => console.log('MongoDB connected successfully!'))
+    .then(() => {
+        console.log('MongoDB connected successfully!');
+        // Pick up art generation jobs that were interrupted by a restart
+        resumePendingJobs().catch(err => console.error('Could not resume art generation jobs:', err.message));
+        // Remove expired exports (and their files) now and every hour
+        const purgeExports = () => purgeExpiredExports().catch(err => console.error('Could not remove expired exports:', err.message));
+        purgeExports();
+        setInterval(purgeExports, 60 * 60 * 1000).unref();
+    })
     .catch(err => {
         console.error('MongoDB connection error:', err.message);
         // It's often good practice to exit the process if the database connection fails on startup
@@ -54,6 +98,15 @@ app.get('/', (req, res) => {
 // Use API routes
 app.use('/api/auth', authRoutes); // Routes for user authentication (signup, login)
 app.use('/api/art', artRoutes);   // Routes for art generation and management
+app.use('/api/mood', moodRoutes); // Routes for mood analysis of Mood Diary text
+app.use('/api/users', userRoutes); // Routes for profiles, art preferences and account management
+app.use('/api/insights', insightRoutes); // Routes for mood insights and mood log exports
+app.use('/api/usage', usageRoutes); // Route for remaining generation quota and rate limits
+app.use('/api/exports', exportRoutes); // Routes for the status and download links of journal exports
+app.use('/api/moderation', moderationRoutes); // Admin routes for prompt moderation rules and the rejection log
+app.use('/api/rooms', roomRoutes); // Routes for opening live collaboration rooms (the rooms themselves run over WebSockets)
+app.use('/api/albums', albumRoutes); // Routes for user-defined albums of art pieces
+app.use('/api/admin', adminRoutes); // Moderator routes: the report queue, hiding/deleting art, suspensions, roles and the audit log
 
 // Global error handling middleware (catches errors from async operations)
 app.use((err, req, res, next) => {
@@ -62,6 +115,8 @@ app.use((err, req, res, next) => {
 });
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
 });
+// WebSocket connections for live collaboration rooms share the HTTP server
+attachRoomSockets(server);
@@ -0,0 +1,197 @@
+// services/admin.js
+// Moderation actions behind /api/admin: hiding, restoring and deleting art pieces, suspending
+// accounts and (admins only) changing roles. Every action is written to the audit log
+// (services/audit.js) with the acting moderator and their reason.
+//
+// Roles, lowest to highest: 'user', 'moderator', 'admin'. Moderators and admins can only act on
+// accounts below their own role, and nobody changes their own role or suspends themselves.
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const User = require('../models/User');
+const { destroyArt } = require('./artPermissions');
+const { resolveReportsFor, reportCountsFor } = require('./reports');
+const { revokeAllSessions } = require('./tokens');
+const { recordAudit } = require('./audit');
+
+const ROLES = ['user', 'moderator', 'admin'];
+const MAX_SUSPENSION_DAYS = 3650;
+
+// Position of a role in ROLES (-1 for unknown roles)
+const roleRank = role => ROLES.indexOf(role || 'user');
+
+// Error for moderation actions that map to a specific HTTP status
+class AdminError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AdminError';
+        this.status = status;
+    }
+}
+
+// Loads a piece for moderation (hidden pieces included), or throws a 404
+async function findArt(artId) {
+    const art = mongoose.isValidObjectId(artId)
+        ? await Art.findById(artId).setOptions({ includeModerated: true })
+        : null;
+    if (!art) {
+        throw new AdminError('Art piece not found.', 404);
+    }
+    return art;
+}
+
+// Loads an account the moderator may act on (a lower role than theirs, and not themselves), or throws
+async function findUserBelow(userId, moderator) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) {
+        throw new AdminError('User not found.', 404);
+    }
+    if (String(user._id) === String(moderator.id)) {
+        throw new AdminError('You cannot do this to your own account.', 403);
+    }
+    if (roleRank(user.role) >= roleRank(moderator.role)) {
+        throw new AdminError('You can only act on accounts with a lower role than yours.', 403);
+    }
+    return user;
+}
+
+// A piece as the moderators see it: with its moderation details and report count
+const artForModeration = art => ({ ...art.toJSON(), moderation: art.moderation, reportCount: art.reportCount });
+
+// An account as the moderators see it
+const userForModeration = (user, reports) => ({
+    id: user._id,
+    email: user.email,
+    displayName: user.displayName,
+    role: user.role || 'user',
+    suspended: user.isSuspended(),
+    suspension: user.suspension && user.suspension.at ? user.suspension : null,
+    createdAt: user.createdAt,
+    ...(reports && { reports })
+});
+
+// Hides a piece from everyone (it drops out of every listing) and resolves its open reports
+async function hideArt(artId, moderator, { reason } = {}) {
+    const art = await findArt(artId);
+    if (art.moderation && art.moderation.hidden) {
+        throw new AdminError('This art piece is already hidden.', 409);
+    }
+    art.moderation = { hidden: true, reason: reason || '', at: new Date(), by: moderator.id };
+    await art.save();
+    const resolvedReports = await resolveReportsFor(art._id, moderator.id, 'hidden', reason);
+    await recordAudit(moderator, 'art.hide', { type: 'art', id: art._id }, { reason, details: { resolvedReports } });
+    return artForModeration(await findArt(art._id));
+}
+
+// Makes a hidden piece visible again
+async function restoreArt(artId, moderator, { reason } = {}) {
+    const art = await findArt(artId);
+    if (!art.moderation || !art.moderation.hidden) {
+        throw new AdminError('This art piece is not hidden.', 409);
+    }
+    const hidden = { reason: art.moderation.reason, at: art.moderation.at, by: art.moderation.by };
+    art.moderation = { hidden: false };
+    await art.save();
+    await recordAudit(moderator, 'art.restore', { type: 'art', id: art._id }, { reason, details: { hidden } });
+    return artForModeration(art);
+}
+
+// Deletes a piece for good (with its image, ratings and place in albums) and resolves its open reports
+async function deleteArt(artId, moderator, { reason } = {}) {
+    const art = await findArt(artId);
+    const resolvedReports = await resolveReportsFor(art._id, moderator.id, 'deleted', reason);
+    await destroyArt(art);
+    await recordAudit(moderator, 'art.delete', { type: 'art', id: art._id }, {
+        reason,
+        details: {
+            resolvedReports,
+            // What was deleted, since the piece itself is gone
+            userId: art.userId || null,
+            collaborators: art.collaborators || [],
+            mood: art.mood,
+            prompt: art.prompt || '',
+            createdAt: art.createdAt
+        }
+    });
+}
+
+// An account with its suspension state and the reports on its pieces
+async function getUser(userId) {
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) {
+        throw new AdminError('User not found.', 404);
+    }
+    return userForModeration(user, await reportCountsFor(user._id));
+}
+
+// Suspends an account, for 'days' days or until lifted, and logs it out everywhere.
+// Suspended users can't log in or refresh their session.
+async function suspendUser(userId, moderator, { reason, days } = {}) {
+    const user = await findUserBelow(userId, moderator);
+    let until;
+    if (days !== undefined && days !== null) {
+        const count = Number(days);
+        if (!Number.isFinite(count) || count <= 0 || count > MAX_SUSPENSION_DAYS) {
+            throw new AdminError(`days must be a number from 1 to ${MAX_SUSPENSION_DAYS} (leave it out to suspend until lifted).`);
+        }
+        until = new Date(Date.now() + count * 24 * 60 * 60 * 1000);
+    }
+    user.suspension = { at: new Date(), until, reason: reason || '', by: moderator.id };
+    await user.save();
+    const sessions = await revokeAllSessions(user._id, { reason: 'suspended' });
+    await recordAudit(moderator, 'user.suspend', { type: 'user', id: user._id }, { reason, details: { until: until || null, sessions } });
+    return userForModeration(user);
+}
+
+// Lifts a suspension
+async function unsuspendUser(userId, moderator, { reason } = {}) {
+    const user = await findUserBelow(userId, moderator);
+    if (!user.isSuspended()) {
+        throw new AdminError('This account is not suspended.', 409);
+    }
+    const previous = { at: user.suspension.at, until: user.suspension.until || null, reason: user.suspension.reason };
+    user.suspension = undefined;
+    await user.save();
+    await recordAudit(moderator, 'user.unsuspend', { type: 'user', id: user._id }, { reason, details: { suspension: previous } });
+    return userForModeration(user);
+}
+
+// Changes an account's role (admins only; enforced by the route). The new role shows up in the
+// user's next access token; a demoted user is logged out everywhere so it takes effect right away.
+async function setRole(userId, admin, { role, reason } = {}) {
+    if (!ROLES.includes(role)) {
+        throw new AdminError(`role must be one of: ${ROLES.join(', ')}.`);
+    }
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
+    if (!user) {
+        throw new AdminError('User not found.', 404);
+    }
+    if (String(user._id) === String(admin.id)) {
+        throw new AdminError('You cannot change your own role.', 403);
+    }
+    const previousRole = user.role || 'user';
+    if (previousRole === role) {
+        return userForModeration(user);
+    }
+    user.role = role;
+    await user.save();
+    if (roleRank(role) < roleRank(previousRole)) {
+        await revokeAllSessions(user._id, { reason: 'role_change' });
+    }
+    await recordAudit(admin, 'user.role', { type: 'user', id: user._id }, { reason, details: { role, previousRole } });
+    return userForModeration(user);
+}
+
+module.exports = {
+    ROLES,
+    roleRank,
+    AdminError,
+    artForModeration,
+    findArt,
+    hideArt,
+    restoreArt,
+    deleteArt,
+    getUser,
+    suspendUser,
+    unsuspendUser,
+    setRole
+};
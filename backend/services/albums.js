@@ -0,0 +1,236 @@
+// services/albums.js
+// User-defined albums: ordered collections of art pieces with a cover image. An album can hold the
+// user's own pieces (including collaborations) and public pieces of others. Albums have the same
+// visibility levels as art pieces; showing an album never reveals a piece its viewer couldn't see,
+// except that unlisted pieces of the album's owner are shown with a shared album (adding them was
+// the owner's choice to share them).
+const mongoose = require('mongoose');
+const Album = require('../models/Album');
+const Art = require('../models/Art');
+const { VISIBILITIES, can, canView, newShareToken, tokensMatch } = require('./artPermissions');
+
+const ALBUM_MAX_ITEMS = Number(process.env.ALBUM_MAX_ITEMS || 500); // Pieces per album
+const ALBUM_MAX_PER_USER = Number(process.env.ALBUM_MAX_PER_USER || 100);
+
+// Error for album problems that map to a specific HTTP status
+class AlbumError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AlbumError';
+        this.status = status;
+    }
+}
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+const notFound = () => new AlbumError('Album not found.', 404);
+
+// Loads one of the user's albums, or throws a 404
+async function findOwnAlbum(albumId, userId) {
+    const album = mongoose.isValidObjectId(albumId) ? await Album.findById(albumId) : null;
+    if (!album || !sameId(album.userId, userId)) {
+        throw notFound();
+    }
+    return album;
+}
+
+// Whether a viewer can open the album (shareToken opens unlisted albums)
+function canViewAlbum(album, viewerId, { shareToken } = {}) {
+    if (album.visibility === 'public' || sameId(album.userId, viewerId)) return true;
+    return album.visibility === 'unlisted' && tokensMatch(shareToken, album.shareToken);
+}
+
+// Whether a piece is shown to a viewer of the album (see the top of this file)
+const showsPiece = (album, art, viewerId) => canView(art, viewerId)
+    || (art.visibility === 'unlisted' && can(art, album.userId, 'view'));
+
+// Shape sent to clients. arts: Map of art id -> Art for the pieces that were loaded; the items are
+// only included with withItems. The share link is only shown to the owner.
+function toClient(album, arts, viewerId, { withItems = false } = {}) {
+    const visible = album.items.filter(item => {
+        const art = arts.get(String(item.artId));
+        return art && showsPiece(album, art, viewerId);
+    });
+    const chosenCover = album.coverArtId && visible.find(item => sameId(item.artId, album.coverArtId));
+    const cover = chosenCover || visible[0];
+    const isOwner = sameId(album.userId, viewerId);
+
+    const client = {
+        id: album._id,
+        userId: album.userId,
+        name: album.name,
+        description: album.description,
+        visibility: album.visibility,
+        itemCount: visible.length,
+        coverArtId: album.coverArtId,
+        cover: cover ? arts.get(String(cover.artId)) : null,
+        createdAt: album.createdAt,
+        updatedAt: album.updatedAt
+    };
+    if (isOwner && album.visibility === 'unlisted') {
+        client.shareToken = album.shareToken;
+        client.sharePath = `/api/albums/shared/${album.shareToken}`;
+    }
+    if (withItems) {
+        client.items = visible.map(({ artId, addedAt }) => ({ artId, addedAt, art: arts.get(String(artId)) }));
+    }
+    return client;
+}
+
+// Loads the pieces with the given ids into a Map of id -> Art
+async function loadArts(ids) {
+    const arts = await Art.find({ _id: { $in: ids } });
+    return new Map(arts.map(art => [String(art._id), art]));
+}
+
+// The user's albums, most recently changed first, each with its cover (without items)
+async function listAlbums(userId) {
+    const albums = await Album.find({ userId }).sort({ updatedAt: -1 });
+    // Load the chosen covers and first pieces; if neither is visible, the album shows no cover
+    const coverIds = albums.flatMap(album => [album.coverArtId, album.items[0] && album.items[0].artId]).filter(Boolean);
+    const arts = await loadArts(coverIds);
+    return albums.map(album => ({
+        ...toClient(album, arts, userId),
+        itemCount: album.items.length // Without loading every piece
+    }));
+}
+
+// One album with its pieces in album order, for a viewer who may open it (404 otherwise)
+async function getAlbum(albumId, viewerId, { shareToken } = {}) {
+    const album = mongoose.isValidObjectId(albumId) ? await Album.findById(albumId) : null;
+    if (!album || !canViewAlbum(album, viewerId, { shareToken })) {
+        throw notFound();
+    }
+    return toClient(album, await loadArts(album.items.map(item => item.artId)), viewerId, { withItems: true });
+}
+
+// An unlisted or public album opened through its share link
+async function getSharedAlbum(shareToken, viewerId) {
+    const album = typeof shareToken === 'string' ? await Album.findOne({ shareToken }) : null;
+    if (!album || album.visibility !== 'unlisted') {
+        throw notFound();
+    }
+    return getAlbum(album._id, viewerId, { shareToken });
+}
+
+// Applies { name, description, visibility } to an album document (validated when saved)
+function applyDetails(album, { name, description, visibility }) {
+    if (name !== undefined) album.name = name;
+    if (description !== undefined) album.description = description === null ? '' : description;
+    if (visibility !== undefined && visibility !== album.visibility) {
+        if (!VISIBILITIES.includes(visibility)) {
+            throw new AlbumError(`Visibility must be one of: ${VISIBILITIES.join(', ')}.`);
+        }
+        album.visibility = visibility;
+        album.shareToken = visibility === 'unlisted' ? newShareToken() : undefined;
+    }
+}
+
+// Creates an album ({ name, description, visibility }; private by default)
+async function createAlbum(userId, details = {}) {
+    if (await Album.countDocuments({ userId }) >= ALBUM_MAX_PER_USER) {
+        throw new AlbumError(`You can have at most ${ALBUM_MAX_PER_USER} albums.`, 409);
+    }
+    const album = new Album({ userId });
+    applyDetails(album, details);
+    await album.save();
+    return toClient(album, new Map(), userId, { withItems: true });
+}
+
+// Changes an album's details ({ name, description, visibility, coverArtId }). The cover must be
+// one of the album's pieces; null goes back to using the first piece.
+async function updateAlbum(albumId, userId, changes = {}) {
+    const album = await findOwnAlbum(albumId, userId);
+    applyDetails(album, changes);
+    if (changes.coverArtId !== undefined) {
+        if (changes.coverArtId !== null && !album.items.some(item => sameId(item.artId, changes.coverArtId))) {
+            throw new AlbumError('The cover must be one of the album\'s pieces.');
+        }
+        album.coverArtId = changes.coverArtId;
+    }
+    await album.save();
+    return getAlbum(album._id, userId);
+}
+
+// Deletes one of the user's albums (the pieces in it stay)
+async function deleteAlbum(albumId, userId) {
+    const album = await findOwnAlbum(albumId, userId);
+    await album.deleteOne();
+}
+
+// Adds a piece the user can see (their own or a public one) to the album, at the end or at the
+// 0-based position. Returns the album with its items.
+async function addToAlbum(albumId, userId, { artId, position } = {}) {
+    const album = await findOwnAlbum(albumId, userId);
+    const art = mongoose.isValidObjectId(artId) ? await Art.findById(artId) : null;
+    if (!art || !canView(art, userId)) {
+        throw new AlbumError('Art piece not found.', 404);
+    }
+    const at = position === undefined ? undefined : Number(position);
+    if (at !== undefined && (!Number.isInteger(at) || at < 0)) {
+        throw new AlbumError('position must be a whole number of 0 or more.');
+    }
+
+    // One atomic update, so simultaneous adds can't duplicate a piece or overfill the album
+    const updated = await Album.findOneAndUpdate(
+        { _id: album._id, 'items.artId': { $ne: art._id }, [`items.${ALBUM_MAX_ITEMS - 1}`]: { $exists: false } },
+        { $push: { items: { $each: [{ artId: art._id }], ...(at !== undefined && { $position: at }) } } },
+        { new: true }
+    );
+    if (!updated) {
+        const current = await findOwnAlbum(album._id, userId);
+        throw current.items.some(item => sameId(item.artId, art._id))
+            ? new AlbumError('This piece is already in the album.', 409)
+            : new AlbumError(`An album can hold at most ${ALBUM_MAX_ITEMS} pieces.`, 409);
+    }
+    return getAlbum(updated._id, userId);
+}
+
+// Takes a piece out of the album (and drops it as the cover). Returns the album with its items.
+async function removeFromAlbum(albumId, userId, artId) {
+    const album = await findOwnAlbum(albumId, userId);
+    const item = album.items.find(entry => sameId(entry.artId, artId));
+    if (!item) {
+        throw new AlbumError('This piece is not in the album.', 404);
+    }
+    const update = { $pull: { items: { artId: item.artId } } };
+    if (sameId(album.coverArtId, artId)) {
+        update.$set = { coverArtId: null };
+    }
+    await Album.updateOne({ _id: album._id }, update);
+    return getAlbum(album._id, userId);
+}
+
+// Puts the album's pieces in a new order. artIds must list every piece of the album exactly once.
+// Returns the album with its items.
+async function reorderAlbum(albumId, userId, artIds) {
+    const album = await findOwnAlbum(albumId, userId);
+    const ids = Array.isArray(artIds) ? artIds.map(String) : [];
+    const byId = new Map(album.items.map(item => [String(item.artId), item]));
+    if (ids.length !== byId.size || new Set(ids).size !== ids.length || !ids.every(id => byId.has(id))) {
+        throw new AlbumError('artIds must list every piece of the album exactly once.');
+    }
+    album.items = ids.map(id => ({ artId: byId.get(id).artId, addedAt: byId.get(id).addedAt }));
+    await album.save();
+    return getAlbum(album._id, userId);
+}
+
+// Removes all albums of a user (account deletion)
+async function removeAlbums(userId) {
+    await Album.deleteMany({ userId });
+}
+
+module.exports = {
+    ALBUM_MAX_ITEMS,
+    AlbumError,
+    listAlbums,
+    getAlbum,
+    getSharedAlbum,
+    createAlbum,
+    updateAlbum,
+    deleteAlbum,
+    addToAlbum,
+    removeFromAlbum,
+    reorderAlbum,
+    removeAlbums
+};
@@ -0,0 +1,80 @@
+// services/artEngine/index.js
+// Offline procedural art engine. Turns a mood, style and preferred colors into a unique
+// SVG (and a rasterized PNG) without calling any external service.
+const sharp = require('sharp'); // Used only to rasterize the generated SVG into a PNG
+const { createRandom, normalizeSeed } = require('./random');
+const { buildPalette, lighten, darken } = require('./palettes');
+const { getStyle, normalizeStyleName, STYLES } = require('./styles');
+
+const DEFAULT_WIDTH = 600;
+const DEFAULT_HEIGHT = 450;
+
+// Builds the shared gradient background every style is drawn on top of.
+function renderBackground(rng, width, height, palette, softness) {
+    const from = lighten(palette[0], 0.15 + softness * 0.25);
+    const to = darken(palette[1 % palette.length], 0.1 + (1 - softness) * 0.2);
+    const angle = rng.int(0, 3); // Picks one of four gradient directions
+    const directions = [
+        'x1="0" y1="0" x2="0" y2="1"',
+        'x1="0" y1="0" x2="1" y2="1"',
+        'x1="1" y1="0" x2="0" y2="1"',
+        'x1="0" y1="0" x2="1" y2="0"'
+    ];
+    return {
+        defs: `<linearGradient id="background" ${directions[angle]}><stop offset="0%" stop-color="${from}"/><stop offset="100%" stop-color="${to}"/></linearGradient>`,
+        body: `<rect width="${width}" height="${height}" fill="url(#background)"/>`
+    };
+}
+
+// Renders a piece of art as an SVG string.
+// Options:
+// - mood: a mood name (e.g., 'Happy'), an array of mood names, or a weighted blend [{ mood, weight }]
+// - style: e.g., 'Abstract', 'Impressionist', 'Cubist', 'Minimalist', 'Surreal', 'Pop Art', 'Watercolor'
+// - colors: preferred colors (names or hex), placed first in the palette
+// - seed: number or string; the same seed + options always produce the same image
+// - width/height: canvas size in pixels
+function renderArtSvg({ mood, style, colors, seed, width = DEFAULT_WIDTH, height = DEFAULT_HEIGHT } = {}) {
+    const resolvedSeed = normalizeSeed(seed);
+    const rng = createRandom(resolvedSeed);
+    const { colors: palette, energy, softness } = buildPalette(mood, colors);
+    const styleKey = STYLES[normalizeStyleName(style)] ? normalizeStyleName(style) : 'abstract';
+
+    const context = { rng, width, height, palette, energy, softness };
+    const background = renderBackground(rng, width, height, palette, softness);
+    const artwork = getStyle(styleKey)(context);
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`
+        + `<defs>${background.defs}${artwork.defs}</defs>`
+        + background.body
+        + artwork.body
+        + '</svg>';
+
+    return {
+        svg,
+        seed: resolvedSeed,
+        style: styleKey,
+        palette,
+        width,
+        height
+    };
+}
+
+// Rasterizes an SVG string into a PNG buffer.
+async function rasterizeSvg(svg) {
+    return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Renders a piece and returns both the SVG markup and the rasterized PNG.
+async function generateProceduralArt(options = {}) {
+    const rendered = renderArtSvg(options);
+    const png = await rasterizeSvg(rendered.svg);
+    return { ...rendered, png };
+}
+
+module.exports = {
+    DEFAULT_WIDTH,
+    DEFAULT_HEIGHT,
+    renderArtSvg,
+    rasterizeSvg,
+    generateProceduralArt
+};
@@ -0,0 +1,125 @@
+// services/artEngine/palettes.js
+
+// Base palettes and composition traits for each mood in the Art model's mood enum.
+// - colors: hex colors the renderer draws from (first entries are used most for backgrounds)
+// - energy: 0..1, controls how many shapes are drawn and how chaotic their placement is
+// - softness: 0..1, controls blur, opacity and how rounded the shapes are
+const MOOD_PROFILES = {
+    happy: { colors: ['#FFD700', '#FFA62B', '#FF6F91', '#FFF3B0', '#7BDFF2', '#F9F871'], energy: 0.7, softness: 0.5 },
+    sad: { colors: ['#1B3A5C', '#3E6D9C', '#87CEEB', '#9AA5B1', '#D6E4F0', '#4A4E69'], energy: 0.2, softness: 0.8 },
+    calm: { colors: ['#90EE90', '#A8DADC', '#457B9D', '#F1FAEE', '#CDE7BE', '#6A994E'], energy: 0.15, softness: 0.9 },
+    excited: { colors: ['#FF6347', '#FFBE0B', '#FB5607', '#FF006E', '#8338EC', '#3A86FF'], energy: 0.95, softness: 0.2 },
+    angry: { colors: ['#DC143C', '#8B0000', '#1A1A1A', '#FF4500', '#5C0A0A', '#F94144'], energy: 0.9, softness: 0.1 },
+    inspired: { colors: ['#BA55D3', '#6A4C93', '#FFCA3A', '#1982C4', '#F7D6E0', '#8AC926'], energy: 0.6, softness: 0.6 },
+    mixed: { colors: ['#CCCCCC', '#E07A5F', '#3D405B', '#81B29A', '#F2CC8F', '#9B5DE5'], energy: 0.5, softness: 0.5 }
+};
+
+// Common color names users type in the "colors" setting, mapped to hex values.
+// Hex strings (#rgb or #rrggbb) are accepted directly and do not need to be listed here.
+const NAMED_COLORS = {
+    red: '#E63946', crimson: '#DC143C', maroon: '#800000', coral: '#FF7F50', salmon: '#FA8072',
+    orange: '#FF8C00', peach: '#FFCBA4', gold: '#FFD700', yellow: '#FFE135', beige: '#F5F5DC',
+    olive: '#808000', lime: '#32CD32', green: '#2A9D8F', mint: '#98FF98', teal: '#008080',
+    turquoise: '#40E0D0', cyan: '#00CED1', aqua: '#00FFFF', sky: '#87CEEB', skyblue: '#87CEEB',
+    blue: '#1D4ED8', navy: '#000080', indigo: '#4B0082', violet: '#8F00FF', purple: '#7B2CBF',
+    lavender: '#B57EDC', magenta: '#FF00FF', pink: '#FF69B4', rose: '#FF007F', brown: '#8B4513',
+    black: '#111111', white: '#FAFAFA', gray: '#808080', grey: '#808080', silver: '#C0C0C0'
+};
+
+// Converts a hex string into an { r, g, b } object. Returns null for anything that isn't valid hex.
+function hexToRgb(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+    let value = match[1];
+    if (value.length === 3) {
+        value = value.split('').map(ch => ch + ch).join('');
+    }
+    const int = parseInt(value, 16);
+    return { r: (int >> 16) & 255, g: (int >> 8) & 255, b: int & 255 };
+}
+
+// Converts an { r, g, b } object back into an uppercase #RRGGBB hex string.
+function rgbToHex({ r, g, b }) {
+    const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+    return '#' + [r, g, b].map(v => clamp(v).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
+
+// Linearly mixes two hex colors. amount = 0 returns the first color, 1 returns the second.
+function mixColors(hexA, hexB, amount) {
+    const a = hexToRgb(hexA);
+    const b = hexToRgb(hexB);
+    if (!a || !b) return hexA;
+    return rgbToHex({
+        r: a.r + (b.r - a.r) * amount,
+        g: a.g + (b.g - a.g) * amount,
+        b: a.b + (b.b - a.b) * amount
+    });
+}
+
+const lighten = (hex, amount) => mixColors(hex, '#FFFFFF', amount);
+const darken = (hex, amount) => mixColors(hex, '#000000', amount);
+
+// Resolves a user-provided color (name like 'Sky Blue' or hex like '#f00') into a hex string.
+// Unknown names return null so they can be skipped instead of breaking the render.
+function resolveColor(color) {
+    if (typeof color !== 'string') return null;
+    const rgb = hexToRgb(color);
+    if (rgb) return rgbToHex(rgb);
+    const key = color.toLowerCase().replace(/[\s_-]+/g, '');
+    return NAMED_COLORS[key] || null;
+}
+
+// Looks up the profile for a mood name (case-insensitive). Unknown moods fall back to 'mixed'.
+function getMoodProfile(mood) {
+    const key = typeof mood === 'string' ? mood.trim().toLowerCase() : '';
+    return MOOD_PROFILES[key] || MOOD_PROFILES.mixed;
+}
+
+// Builds the final palette and composition traits for a render.
+// - moods: one mood name, an array of mood names (equal weights), or a weighted blend
+//   [{ mood, weight }] (e.g., 60% Happy + 40% Calm); heavier moods contribute more colors
+// - colors: the user's preferred colors; these are placed first so they dominate the piece
+function buildPalette(moods, colors = []) {
+    const moodList = (Array.isArray(moods) ? moods : [moods])
+        .filter(Boolean)
+        .map(item => (typeof item === 'string' ? { mood: item, weight: 1 } : item));
+    const blend = moodList.length > 0
+        ? moodList.map(({ mood, weight }) => ({ profile: getMoodProfile(mood), weight: Number(weight) || 0 }))
+        : [{ profile: MOOD_PROFILES.mixed, weight: 1 }];
+    const totalWeight = blend.reduce((sum, b) => sum + b.weight, 0) || 1;
+
+    // Each mood contributes a share of colors proportional to its weight (at least one),
+    // interleaved so the blend reads as a mix rather than blocks of one mood
+    const shares = blend.map(({ profile, weight }) => profile.colors.slice(0, Math.max(1, Math.round((weight / totalWeight) * profile.colors.length * blend.length))));
+    const moodColors = [];
+    const longest = Math.max(...shares.map(share => share.length));
+    for (let i = 0; i < longest; i++) {
+        shares.forEach(share => {
+            if (share[i]) moodColors.push(share[i]);
+        });
+    }
+
+    const userColors = (Array.isArray(colors) ? colors : []).map(resolveColor).filter(Boolean);
+    const palette = [...new Set([...userColors, ...moodColors])];
+
+    const average = key => blend.reduce((sum, { profile, weight }) => sum + profile[key] * weight, 0) / totalWeight;
+
+    return {
+        colors: palette,
+        energy: average('energy'),
+        softness: average('softness')
+    };
+}
+
+module.exports = {
+    MOOD_PROFILES,
+    NAMED_COLORS,
+    hexToRgb,
+    rgbToHex,
+    mixColors,
+    lighten,
+    darken,
+    resolveColor,
+    getMoodProfile,
+    buildPalette
+};
@@ -0,0 +1,57 @@
+// services/artEngine/random.js
+const crypto = require('crypto');
+
+// Turns any string into a 32-bit unsigned integer (FNV-1a hash).
+// Used to derive a numeric seed from text such as a prompt or a user-supplied seed string.
+function hashString(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Normalizes a seed into a 32-bit unsigned integer.
+// Numbers are used as-is, strings are hashed, and a missing seed gets a fresh random one
+// so that every generated piece is unique unless a seed is explicitly requested.
+function normalizeSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return Math.abs(Math.floor(seed)) >>> 0;
+    }
+    if (typeof seed === 'string' && seed.trim() !== '') {
+        // Numeric strings (e.g., from a query string) keep their numeric value
+        return /^\d+$/.test(seed.trim()) ? Number(seed.trim()) >>> 0 : hashString(seed.trim());
+    }
+    return crypto.randomInt(0, 2 ** 31);
+}
+
+// Creates a small, fast seeded pseudo-random number generator (mulberry32).
+// The same seed always produces the same sequence, which makes renders reproducible.
+function createRandom(seed) {
+    let state = normalizeSeed(seed);
+
+    const next = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    return {
+        next, // Float in [0, 1)
+        range: (min, max) => min + next() * (max - min), // Float in [min, max)
+        int: (min, max) => Math.floor(min + next() * (max - min + 1)), // Integer in [min, max]
+        pick: (items) => items[Math.floor(next() * items.length)],
+        chance: (probability) => next() < probability,
+        // Approximate normal distribution (sum of uniforms), handy for clustering shapes
+        gaussian: (mean = 0, deviation = 1) => mean + ((next() + next() + next() - 1.5) / 1.5) * deviation
+    };
+}
+
+module.exports = {
+    hashString,
+    normalizeSeed,
+    createRandom
+};
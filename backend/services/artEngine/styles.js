@@ -0,0 +1,264 @@
+// services/artEngine/styles.js
+const { lighten, darken, mixColors } = require('./palettes');
+
+// Each style is a small "shape grammar": a function that receives the render context
+// ({ rng, width, height, palette, energy, softness }) and returns SVG markup.
+// - defs: filters/gradients the style needs inside <defs>
+// - body: the shapes themselves, drawn on top of the shared background
+
+const round = n => Math.round(n * 10) / 10;
+
+// Builds a smooth closed blob path around (cx, cy). Irregularity comes from the seeded rng.
+function blobPath(rng, cx, cy, radius, points, wobble) {
+    const vertices = [];
+    for (let i = 0; i < points; i++) {
+        const angle = (Math.PI * 2 * i) / points;
+        const r = radius * (1 + rng.range(-wobble, wobble));
+        vertices.push([cx + Math.cos(angle) * r, cy + Math.sin(angle) * r]);
+    }
+    // Catmull-Rom style smoothing using quadratic curves through midpoints
+    const mid = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+    let d = '';
+    for (let i = 0; i < vertices.length; i++) {
+        const current = vertices[i];
+        const next = vertices[(i + 1) % vertices.length];
+        const m = mid(current, next);
+        if (i === 0) {
+            const start = mid(vertices[vertices.length - 1], current);
+            d += `M${round(start[0])},${round(start[1])} `;
+        }
+        d += `Q${round(current[0])},${round(current[1])} ${round(m[0])},${round(m[1])} `;
+    }
+    return d + 'Z';
+}
+
+const polygonPoints = pts => pts.map(([x, y]) => `${round(x)},${round(y)}`).join(' ');
+
+// Abstract: overlapping geometric shapes and sweeping curves, denser with higher energy.
+function abstract({ rng, width, height, palette, energy, softness }) {
+    const count = Math.round(12 + energy * 30);
+    const shapes = [];
+    for (let i = 0; i < count; i++) {
+        const fill = rng.pick(palette);
+        const opacity = round(0.35 + (1 - softness) * 0.5 * rng.next());
+        const x = rng.range(0, width);
+        const y = rng.range(0, height);
+        const size = rng.range(20, 90 + (1 - energy) * 120);
+        const kind = rng.int(0, 3);
+        if (kind === 0) {
+            shapes.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${round(size / 2)}" fill="${fill}" opacity="${opacity}"/>`);
+        } else if (kind === 1) {
+            const rotation = round(rng.range(0, 360));
+            shapes.push(`<rect x="${round(x - size / 2)}" y="${round(y - size / 2)}" width="${round(size)}" height="${round(size * rng.range(0.4, 1.6))}" rx="${round(softness * size * 0.3)}" fill="${fill}" opacity="${opacity}" transform="rotate(${rotation} ${round(x)} ${round(y)})"/>`);
+        } else if (kind === 2) {
+            const pts = [0, 1, 2].map(() => [x + rng.range(-size, size), y + rng.range(-size, size)]);
+            shapes.push(`<polygon points="${polygonPoints(pts)}" fill="${fill}" opacity="${opacity}"/>`);
+        } else {
+            const x2 = rng.range(0, width);
+            const y2 = rng.range(0, height);
+            shapes.push(`<path d="M${round(x)},${round(y)} C${round(rng.range(0, width))},${round(rng.range(0, height))} ${round(rng.range(0, width))},${round(rng.range(0, height))} ${round(x2)},${round(y2)}" stroke="${fill}" stroke-width="${round(rng.range(2, 6 + energy * 14))}" fill="none" stroke-linecap="round" opacity="${opacity}"/>`);
+        }
+    }
+    return { defs: '', body: shapes.join('') };
+}
+
+// Impressionist: hundreds of short, rotated brush dabs that follow a gentle flow field.
+function impressionist({ rng, width, height, palette, energy, softness }) {
+    const count = Math.round(350 + energy * 450);
+    const flowScale = rng.range(0.004, 0.012);
+    const flowOffset = rng.range(0, Math.PI * 2);
+    const dabs = [];
+    for (let i = 0; i < count; i++) {
+        const x = rng.range(-10, width + 10);
+        const y = rng.range(-10, height + 10);
+        // Angle varies smoothly across the canvas so strokes look like they flow together
+        const angle = (Math.sin(x * flowScale + flowOffset) + Math.cos(y * flowScale)) * 90 + rng.range(-15, 15) * energy;
+        const length = rng.range(8, 22);
+        const base = rng.pick(palette);
+        // Slight tint/shade variation per dab gives the broken-color look
+        const fill = rng.chance(0.5) ? lighten(base, rng.range(0, 0.25)) : darken(base, rng.range(0, 0.2));
+        dabs.push(`<ellipse cx="${round(x)}" cy="${round(y)}" rx="${round(length)}" ry="${round(length * rng.range(0.2, 0.35))}" fill="${fill}" opacity="${round(0.55 + rng.next() * 0.4)}" transform="rotate(${round(angle)} ${round(x)} ${round(y)})"/>`);
+    }
+    const blur = round(0.4 + softness * 0.8);
+    return {
+        defs: `<filter id="soften"><feGaussianBlur stdDeviation="${blur}"/></filter>`,
+        body: `<g filter="url(#soften)">${dabs.join('')}</g>`
+    };
+}
+
+// Cubist: the canvas is split into triangular facets, each shaded like a fractured plane.
+function cubist({ rng, width, height, palette, energy }) {
+    const cols = Math.round(4 + energy * 6);
+    const rows = Math.round(3 + energy * 5);
+    const cellW = width / cols;
+    const cellH = height / rows;
+    // Jittered grid points shared between neighbouring facets so edges line up
+    const grid = [];
+    for (let r = 0; r <= rows; r++) {
+        grid.push([]);
+        for (let c = 0; c <= cols; c++) {
+            const edgeX = c === 0 || c === cols;
+            const edgeY = r === 0 || r === rows;
+            grid[r].push([
+                c * cellW + (edgeX ? 0 : rng.range(-0.4, 0.4) * cellW),
+                r * cellH + (edgeY ? 0 : rng.range(-0.4, 0.4) * cellH)
+            ]);
+        }
+    }
+    const facets = [];
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const a = grid[r][c];
+            const b = grid[r][c + 1];
+            const d = grid[r + 1][c];
+            const e = grid[r + 1][c + 1];
+            const triangles = rng.chance(0.5) ? [[a, b, e], [a, e, d]] : [[a, b, d], [b, e, d]];
+            triangles.forEach(tri => {
+                const base = rng.pick(palette);
+                const fill = rng.chance(0.5) ? lighten(base, rng.range(0, 0.3)) : darken(base, rng.range(0, 0.35));
+                facets.push(`<polygon points="${polygonPoints(tri)}" fill="${fill}" stroke="${darken(base, 0.6)}" stroke-width="1.5" stroke-linejoin="round"/>`);
+            });
+        }
+    }
+    return { defs: '', body: facets.join('') };
+}
+
+// Minimalist: a handful of large, calm shapes with plenty of negative space.
+function minimalist({ rng, width, height, palette, softness }) {
+    const count = rng.int(2, 4);
+    const shapes = [];
+    const horizon = round(height * rng.range(0.55, 0.75));
+    shapes.push(`<rect x="0" y="${horizon}" width="${width}" height="${round(height - horizon)}" fill="${palette[1 % palette.length]}" opacity="0.85"/>`);
+    for (let i = 0; i < count; i++) {
+        const fill = palette[(i + 2) % palette.length];
+        const size = rng.range(Math.min(width, height) * 0.12, Math.min(width, height) * 0.3);
+        const x = rng.range(size, width - size);
+        const y = rng.range(size, horizon);
+        if (softness > 0.5 || rng.chance(0.5)) {
+            shapes.push(`<circle cx="${round(x)}" cy="${round(y)}" r="${round(size / 2)}" fill="${fill}"/>`);
+        } else {
+            shapes.push(`<rect x="${round(x - size / 2)}" y="${round(y - size / 2)}" width="${round(size)}" height="${round(size)}" fill="${fill}"/>`);
+        }
+    }
+    return { defs: '', body: shapes.join('') };
+}
+
+// Surreal: a dreamlike horizon with melting wave bands and floating, glowing orbs.
+function surreal({ rng, width, height, palette, energy }) {
+    const bands = [];
+    const bandCount = rng.int(4, 7);
+    for (let i = 0; i < bandCount; i++) {
+        const baseY = height * (0.45 + (i / bandCount) * 0.55);
+        const amplitude = rng.range(10, 30 + energy * 40);
+        const frequency = rng.range(1, 3);
+        let d = `M0,${round(baseY)} `;
+        for (let x = 0; x <= width; x += width / 24) {
+            d += `L${round(x)},${round(baseY + Math.sin((x / width) * Math.PI * 2 * frequency + i) * amplitude)} `;
+        }
+        d += `L${width},${height} L0,${height} Z`;
+        bands.push(`<path d="${d}" fill="${mixColors(palette[i % palette.length], palette[(i + 1) % palette.length], 0.3)}" opacity="0.8"/>`);
+    }
+    const orbs = [];
+    const orbCount = rng.int(3, 6);
+    for (let i = 0; i < orbCount; i++) {
+        const r = rng.range(15, 60);
+        orbs.push(`<circle cx="${round(rng.range(r, width - r))}" cy="${round(rng.range(r, height * 0.5))}" r="${round(r)}" fill="url(#orbGlow)"/>`);
+    }
+    const glow = lighten(rng.pick(palette), 0.5);
+    return {
+        defs: `<radialGradient id="orbGlow"><stop offset="0%" stop-color="#FFFFFF" stop-opacity="0.95"/><stop offset="60%" stop-color="${glow}" stop-opacity="0.7"/><stop offset="100%" stop-color="${glow}" stop-opacity="0"/></radialGradient>`,
+        body: orbs.join('') + bands.join('')
+    };
+}
+
+// Pop Art: flat bold panels with a halftone dot pattern and thick dark outlines.
+function popArt({ rng, width, height, palette }) {
+    const panels = [];
+    const cols = 2;
+    const rows = 2;
+    const w = width / cols;
+    const h = height / rows;
+    const outline = '#111111';
+    for (let r = 0; r < rows; r++) {
+        for (let c = 0; c < cols; c++) {
+            const fill = palette[(r * cols + c) % palette.length];
+            const dot = palette[(r * cols + c + 2) % palette.length];
+            const x = c * w;
+            const y = r * h;
+            panels.push(`<rect x="${round(x)}" y="${round(y)}" width="${round(w)}" height="${round(h)}" fill="${fill}" stroke="${outline}" stroke-width="6"/>`);
+            // Halftone dots that grow towards a random focal point inside the panel
+            const fx = x + rng.range(0.2, 0.8) * w;
+            const fy = y + rng.range(0.2, 0.8) * h;
+            const spacing = 14;
+            for (let dx = x + spacing / 2; dx < x + w; dx += spacing) {
+                for (let dy = y + spacing / 2; dy < y + h; dy += spacing) {
+                    const distance = Math.hypot(dx - fx, dy - fy) / Math.hypot(w, h);
+                    const radius = Math.max(0, (1 - distance * 1.6) * spacing * 0.45);
+                    if (radius > 0.6) panels.push(`<circle cx="${round(dx)}" cy="${round(dy)}" r="${round(radius)}" fill="${dot}"/>`);
+                }
+            }
+            // A bold motif (star burst or circle) in the middle of each panel
+            const cx = x + w / 2;
+            const cy = y + h / 2;
+            if (rng.chance(0.5)) {
+                const spikes = rng.int(8, 14);
+                const pts = [];
+                for (let i = 0; i < spikes * 2; i++) {
+                    const radius = (i % 2 === 0 ? 0.32 : 0.16) * Math.min(w, h);
+                    const angle = (Math.PI * i) / spikes;
+                    pts.push([cx + Math.cos(angle) * radius, cy + Math.sin(angle) * radius]);
+                }
+                panels.push(`<polygon points="${polygonPoints(pts)}" fill="${palette[(r + c + 1) % palette.length]}" stroke="${outline}" stroke-width="4" stroke-linejoin="round"/>`);
+            } else {
+                panels.push(`<circle cx="${round(cx)}" cy="${round(cy)}" r="${round(Math.min(w, h) * 0.22)}" fill="${palette[(r + c + 1) % palette.length]}" stroke="${outline}" stroke-width="4"/>`);
+            }
+        }
+    }
+    return { defs: '', body: panels.join('') };
+}
+
+// Watercolor: soft, translucent layered blobs with heavy blur, pooling like wet pigment.
+function watercolor({ rng, width, height, palette, energy }) {
+    const washes = [];
+    const count = Math.round(8 + energy * 10);
+    for (let i = 0; i < count; i++) {
+        const fill = rng.pick(palette);
+        const cx = rng.gaussian(width / 2, width / 2.5);
+        const cy = rng.gaussian(height / 2, height / 2.5);
+        const radius = rng.range(60, 160);
+        // Several thin layers of the same blob build up color like watercolor glazing
+        for (let layer = 0; layer < 3; layer++) {
+            washes.push(`<path d="${blobPath(rng, cx, cy, radius * (1 - layer * 0.15), rng.int(7, 11), 0.25)}" fill="${fill}" opacity="0.18"/>`);
+        }
+    }
+    return {
+        defs: '<filter id="bleed" x="-20%" y="-20%" width="140%" height="140%"><feGaussianBlur stdDeviation="6"/></filter>',
+        body: `<g filter="url(#bleed)">${washes.join('')}</g>`
+    };
+}
+
+// Registry of available styles. Keys are normalized style names (lowercase, no spaces/dashes).
+const STYLES = {
+    abstract,
+    impressionist,
+    cubist,
+    minimalist,
+    surreal,
+    popart: popArt,
+    watercolor
+};
+
+// Normalizes a style name such as 'Pop Art' or 'pop-art' to its registry key.
+const normalizeStyleName = style => (typeof style === 'string' ? style.toLowerCase().replace(/[\s_-]+/g, '') : '');
+
+// Returns the grammar function for a style, falling back to 'abstract' for unknown styles.
+function getStyle(style) {
+    return STYLES[normalizeStyleName(style)] || STYLES.abstract;
+}
+
+module.exports = {
+    STYLES,
+    normalizeStyleName,
+    getStyle,
+    blobPath
+};
@@ -0,0 +1,95 @@
+// services/artGeneration.js
+const crypto = require('crypto');
+const { generateImage } = require('./providers'); // Image-generation provider registry (Hugging Face, JSON, HTTP, procedural)
+const { uploadImage } = require('./storage'); // Storage layer (Cloudinary, local filesystem, S3)
+const { normalizeSeed } = require('./artEngine/random'); // Seeds, so every piece can be reproduced
+const { processGeneratedImage } = require('./imageProcessing'); // Variants, palette and watermark
+
+// Generation options recorded in the provenance (besides the prompts and the seed)
+const PROVENANCE_PARAMS = ['mood', 'moods', 'style', 'colors', 'width', 'height'];
+
+// Turns a value into a storage tag, e.g. 'Pop Art' -> 'pop_art'
+const toTag = value => String(value).toLowerCase().replace(/[^a-z0-9.-]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 60);
+
+// Tags for organizing uploads, taken from the provenance: moods, style, preset, provider and model.
+// They never include prompt text, which may hold Mood Diary content.
+function uploadTags(provenance, { preset } = {}) {
+    const { moods, mood, style } = provenance.params;
+    const moodNames = moods && moods.length > 0 ? moods.map(entry => entry.mood) : [mood || 'mixed'];
+    const tags = [
+        'mood_art',
+        ...moodNames.map(toTag),
+        style && `style_${toTag(style)}`,
+        preset && `preset_${toTag(preset)}`,
+        `provider_${toTag(provenance.provider)}`,
+        provenance.model && `model_${toTag(provenance.model)}`
+    ];
+    return [...new Set(tags.filter(Boolean))];
+}
+
+// --- Helper function to generate art through the provider registry and store the image ---
+// This function encapsulates the logic for interacting with the AI art services and the storage layer.
+// options: { mood, moods, style, colors, seed, negativePrompt, width, height, provider, fallback } are
+// passed on to the providers; 'provider' picks a preferred provider for this request, and fallback: false
+// allows no other (see services/providers). 'preset' only goes into the upload tags, and 'watermark'
+// (whether the piece is public and gets a watermark, see services/imageProcessing) to the image pipeline.
+// Without a seed, a random one is picked here, so it is known even for providers that don't report it.
+// onStage(state, progress) is called as the work moves from generating to uploading (used by jobs).
+// Returns the image fields of the new Art document: { imageUrl, storage: { driver, key }, provenance } plus
+// { width, height, variants, palette, colorMatch, watermarked } from the image pipeline, provenance being
+// { provider, model, finalPrompt, negativePrompt, seed, params, latencyMs, contentHash, contentType }.
+async function generateArtFromAPI(prompt, options = {}, onStage = async () => {}) {
+    // Basic validation for the prompt
+    if (!prompt || typeof prompt !== 'string' || prompt.trim() === '') {
+        throw new Error('Art generation prompt cannot be empty or invalid.');
+    }
+
+    // 1. Generate the image bytes with the first provider that succeeds
+    await onStage('generating', 20);
+    const { preset, watermark, ...generationOptions } = options;
+    const seed = normalizeSeed(options.seed);
+    const image = await generateImage(prompt, { ...generationOptions, seed });
+
+    // What produced these exact bytes. Providers that report the seed they used (e.g., Stability) win over ours.
+    const provenance = {
+        provider: image.metadata.provider,
+        model: image.metadata.model || null,
+        finalPrompt: prompt,
+        negativePrompt: options.negativePrompt || '',
+        seed: typeof image.metadata.seed === 'number' ? image.metadata.seed : seed,
+        params: Object.fromEntries(PROVENANCE_PARAMS
+            .filter(name => options[name] !== undefined && options[name] !== null)
+            .map(name => [name, options[name]])),
+        latencyMs: image.latencyMs,
+        contentHash: crypto.createHash('sha256').update(image.buffer).digest('hex'),
+        contentType: image.contentType
+    };
+
+    try {
+        // 2. Store the image with the configured storage driver (Cloudinary, local filesystem or S3)
+        await onStage('uploading', 80);
+        const tags = uploadTags(provenance, { preset });
+        const stored = await uploadImage(image.buffer, {
+            contentType: image.contentType,
+            folder: 'mood_art_generator', // Organize uploads in a specific folder
+            tags
+        });
+
+        // 3. Resized WebP/AVIF variants, the rendered palette and the watermark. Never fails the generation.
+        const processed = await processGeneratedImage(image.buffer, { colors: options.colors, watermark, tags });
+
+        // 4. Return the URL, where the image lives (so the URL can be re-resolved later), how it was made
+        // and what the pipeline derived from it
+        return { imageUrl: stored.url, storage: { driver: stored.driver, key: stored.key }, provenance, ...processed };
+
+    } catch (error) {
+        console.error('Error storing generated art:', error.message);
+        const storageError = new Error('Failed to store the generated image.');
+        storageError.retryable = true; // Storage hiccups are usually temporary, so let the job retry
+        throw storageError;
+    }
+}
+
+module.exports = {
+    generateArtFromAPI
+};
@@ -0,0 +1,202 @@
+// services/artJobs.js
+// Job handlers that turn queued generation requests into saved Art documents.
+const Art = require('../models/Art');
+const Invitation = require('../models/Invitation');
+const Room = require('../models/Room');
+const { registerJobHandler } = require('./jobQueue');
+const { generateArtFromAPI } = require('./artGeneration');
+const { analyzeMood } = require('./moodAnalyzer');
+const { normalizeMoods, dominantMood } = require('./moodBlend');
+const { buildPrompt } = require('./prompts');
+const { refreshMoodAvatar } = require('./users');
+const { scrubPii, moderateFinalPrompt } = require('./moderation');
+const { findSource } = require('./regeneration');
+const { shouldWatermark } = require('./imageProcessing');
+
+// Turns analyzer scores into a blend, keeping moods with a meaningful share (at least 10%)
+const moodsFromAnalysis = analysis => normalizeMoods(
+    Object.fromEntries(Object.entries(analysis.scores).filter(([, score]) => score >= 0.1))
+);
+
+// Updates mood-driven avatars after a new piece. The piece is already saved, so a failure here
+// only gets logged instead of failing (and retrying) the job.
+async function refreshAvatars(userIds) {
+    for (const userId of userIds.filter(Boolean)) {
+        try {
+            await refreshMoodAvatar(userId);
+        } catch (err) {
+            console.warn(`Could not update the mood avatar of user ${userId}:`, err.message);
+        }
+    }
+}
+
+// Works out what an 'art' request will generate: the mood blend (explicit, or inferred from the
+// Mood Diary text) and the prompt from the template engine. Used by the job and by the prompt preview.
+// params: { moods, mood, prompt, style, colors, preset, terms, negativePrompt, template }
+// abKey picks the A/B template variant when params.template is not set (e.g., the user id).
+function planArt(params, { abKey } = {}) {
+    const { prompt, style, colors, preset, terms, negativePrompt, template } = params;
+
+    // Analyze the Mood Diary text; without explicit moods, the analyzer's scores become the blend
+    // (no blend at all, i.e. 'Mixed', if the text carries no clear emotion)
+    const analysis = prompt ? analyzeMood(prompt) : null;
+    const explicitMoods = normalizeMoods(params.moods || params.mood);
+    const inferred = explicitMoods.length === 0 && analysis !== null && analysis.mood !== 'Mixed';
+    const moods = inferred ? moodsFromAnalysis(analysis) : explicitMoods;
+
+    // Personal data (emails, card and phone numbers, addresses) never leaves the server in the prompt
+    const built = buildPrompt({ moods, text: scrubPii(prompt).text, style, colors, preset, terms, negativePrompt, template, abKey });
+    return { moods, mood: dominantMood(moods), analysis, inferred, built };
+}
+
+// 'art': a single art piece from a mood blend and/or Mood Diary text (POST /api/art), or a remix
+// of an existing piece (POST /api/art/:id/remix; params.lineage is set by services/remix.js).
+// Anonymous requests carry params.claim (see services/claims.js) so the piece can be claimed later.
+async function handleArtJob(job, reportProgress, recordResult) {
+    const { prompt, provider, seed, lineage, claim } = job.params;
+    // params.template is fixed when the job is queued; the A/B key only matters for older jobs
+    const { moods, mood, analysis, inferred, built } = planArt(job.params, { abKey: job.userId || job.id });
+    const { style, colors } = built;
+
+    await moderateFinalPrompt(built.prompt, { userId: job.userId, source: `job:${job.type}` });
+
+    // The new Art document ('mood' is derived from 'moods' by the schema). It is built before generating,
+    // since its visibility decides whether the image variants get a watermark.
+    const newArt = new Art({
+        userId: job.userId, // This will be null if not authenticated, which is allowed by the schema
+        mood, // 'Mixed' when there is no blend
+        moods,
+        moodAnalysis: analysis && {
+            inferred,
+            mood: analysis.mood,
+            scores: analysis.scores,
+            confidence: analysis.confidence
+        },
+        prompt,
+        style: style || undefined, // Falls back to the schema default
+        colors,
+        finalPrompt: built.prompt,
+        negativePrompt: built.negativePrompt,
+        promptTemplate: built.template,
+        preset: built.preset,
+        ...(lineage && {
+            parentId: lineage.parentId,
+            rootId: lineage.rootId,
+            depth: lineage.depth,
+            credits: lineage.credits
+        }),
+        ...(!job.userId && claim && { claim })
+    });
+    newArt.set(await generateArtFromAPI(
+        built.prompt,
+        { mood, moods, style, colors, seed, negativePrompt: built.negativePrompt, preset: built.preset, provider, watermark: shouldWatermark(newArt) },
+        reportProgress
+    ));
+    await recordResult(newArt); // Before saving, so a resumed job finds this piece instead of generating another
+    await newArt.save();
+    if (lineage) {
+        await Art.updateOne({ _id: lineage.parentId }, { $inc: { remixCount: 1 } });
+    }
+    await refreshAvatars([job.userId]);
+    return newArt;
+}
+
+// 'collaborate': a collaborative piece blending the moods of two or more people, queued when an
+// invitation is accepted (see services/collaborations.js) or when everyone in a live room is ready
+// (see services/rooms.js; params.text holds the participants' diary lines)
+async function handleCollaborateJob(job, reportProgress, recordResult) {
+    const { collaborators, provider, preset, invitationId, roomId, text } = job.params;
+    // Jobs queued before weighted moods existed carry mood1/mood2 instead of a blend
+    const moods = normalizeMoods(job.params.moods || [job.params.mood1, job.params.mood2]);
+    const mood = dominantMood(moods);
+    const built = buildPrompt({
+        moods,
+        text: scrubPii(text).text,
+        style: job.params.style,
+        colors: job.params.colors,
+        preset,
+        template: job.params.template,
+        abKey: job.userId || job.id,
+        collaborative: true
+    });
+    const { style, colors } = built;
+    await moderateFinalPrompt(built.prompt, { userId: job.userId, source: `job:${job.type}` });
+
+    const newArt = new Art({
+        userId: job.userId, // The inviter (null for jobs queued anonymously before invitations existed)
+        mood,
+        moods,
+        prompt: text || built.prompt, // The diary lines of a room, otherwise the generated prompt (as before)
+        style: style || undefined, // Falls back to the schema default
+        colors,
+        finalPrompt: built.prompt,
+        negativePrompt: built.negativePrompt,
+        promptTemplate: built.template,
+        preset: built.preset,
+        collaborators
+    });
+    newArt.set(await generateArtFromAPI(
+        built.prompt,
+        { mood, moods, style, colors, negativePrompt: built.negativePrompt, preset: built.preset, provider, watermark: shouldWatermark(newArt) },
+        reportProgress
+    ));
+    await recordResult(newArt);
+    await newArt.save();
+    if (invitationId) {
+        await Invitation.updateOne({ _id: invitationId }, { $set: { artId: newArt._id } });
+    }
+    if (roomId) {
+        await Room.updateOne({ _id: roomId }, { $set: { state: 'done', artId: newArt._id } });
+    }
+    await refreshAvatars(collaborators || [job.userId]);
+    return newArt;
+}
+
+// 'regenerate': a piece made again from another piece's provenance (POST /api/art/:id/regenerate, see
+// services/regeneration.js): the same provider (no fallback), final prompt, negative prompt, seed and
+// parameters. The copy keeps the original's moods, text and visibility, and records whether the image
+// came out identical.
+async function handleRegenerateJob(job, reportProgress, recordResult) {
+    const source = (await findSource(job.params.artId, job.userId)).toObject();
+    const { provider, finalPrompt, negativePrompt, seed, params } = source.provenance;
+
+    await moderateFinalPrompt(finalPrompt, { userId: job.userId, source: `job:${job.type}` });
+
+    const newArt = new Art({
+        userId: job.userId,
+        mood: source.mood,
+        moods: source.moods,
+        moodAnalysis: source.moodAnalysis,
+        prompt: source.prompt,
+        style: source.style,
+        colors: source.colors,
+        finalPrompt,
+        negativePrompt,
+        promptTemplate: source.promptTemplate,
+        preset: source.preset,
+        visibility: source.visibility || undefined // A private piece doesn't turn up in the gallery as a copy
+    });
+    newArt.set(await generateArtFromAPI(
+        finalPrompt,
+        { ...params, negativePrompt, seed, preset: source.preset, provider, fallback: false, watermark: shouldWatermark(newArt) },
+        reportProgress
+    ));
+    newArt.regeneratedFrom = { artId: source._id, identical: newArt.provenance.contentHash === source.provenance.contentHash };
+    await recordResult(newArt);
+    await newArt.save();
+    await refreshAvatars([job.userId]);
+    return newArt;
+}
+
+// Registers the art job handlers with the job queue. Called once at startup (see server.js).
+function registerArtJobHandlers() {
+    const findResult = id => Art.findById(id).setOptions({ includeModerated: true });
+    registerJobHandler('art', handleArtJob, { findResult });
+    registerJobHandler('collaborate', handleCollaborateJob, { findResult });
+    registerJobHandler('regenerate', handleRegenerateJob, { findResult });
+}
+
+module.exports = {
+    planArt,
+    registerArtJobHandlers
+};
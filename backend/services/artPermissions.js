@@ -0,0 +1,201 @@
+// services/artPermissions.js
+// Who may do what with an art piece. The owner is Art.userId; collaborative pieces also list every
+// participant in Art.collaborators, and each of them shares the piece:
+// - hide: remove it from their own history (others still see it)
+// - delete: leave the piece; it is only deleted for good when the last participant removes it
+// - edit: change its title and description
+// Only the owner may change who can see it ('share': visibility and share link) or delete it for
+// everyone at once ('destroy').
+//
+// Visibility: 'public' pieces are in the gallery and open to anyone, 'unlisted' ones only to the
+// participants and whoever has the share link, 'private' ones only to the participants.
+const crypto = require('crypto');
+const Art = require('../models/Art');
+const Album = require('../models/Album');
+const Rating = require('../models/Rating');
+const Report = require('../models/Report');
+const { getStorage } = require('./storage');
+const { shouldWatermark, deleteVariants, reprocessArt } = require('./imageProcessing');
+
+const ROLE_PERMISSIONS = {
+    owner: ['view', 'hide', 'delete', 'edit', 'share', 'destroy'],
+    collaborator: ['view', 'hide', 'delete', 'edit']
+};
+const VISIBILITIES = ['private', 'unlisted', 'public'];
+
+// Pieces saved before visibility existed have none and count as public
+const PUBLIC_FILTER = { visibility: { $nin: ['private', 'unlisted'] } };
+
+// Error for art changes that map to a specific HTTP status
+class ArtPermissionError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'ArtPermissionError';
+        this.status = status;
+    }
+}
+
+const sameId = (a, b) => Boolean(a && b) && String(a) === String(b);
+
+// The user's role on a piece: 'owner', 'collaborator' or null
+function roleOf(art, userId) {
+    if (!userId) return null;
+    if (sameId(art.userId, userId)) return 'owner';
+    if ((art.collaborators || []).some(id => sameId(id, userId))) return 'collaborator';
+    return null;
+}
+
+// Whether the user may perform the action ('view', 'hide', 'delete', 'edit', 'share', 'destroy') on the piece
+function can(art, userId, action) {
+    const role = roleOf(art, userId);
+    return role !== null && ROLE_PERMISSIONS[role].includes(action);
+}
+
+const isPublic = art => !art.visibility || art.visibility === 'public';
+
+// Unguessable token for share links
+const newShareToken = () => crypto.randomBytes(18).toString('base64url');
+
+const tokensMatch = (a, b) => typeof a === 'string' && typeof b === 'string' && a.length === b.length
+    && crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+
+// Whether a viewer (userId may be null) can see the piece; shareToken opens unlisted pieces
+function canView(art, userId, { shareToken } = {}) {
+    if (isPublic(art) || can(art, userId, 'view')) return true;
+    return art.visibility === 'unlisted' && tokensMatch(shareToken, art.shareToken);
+}
+
+// Everyone who shares the piece: the owner and all collaborators, without duplicates
+function participantsOf(art) {
+    const ids = [art.userId, ...(art.collaborators || [])].filter(Boolean).map(String);
+    return [...new Set(ids)];
+}
+
+// Mongo filter for the pieces in a user's history: their own and those they collaborated on,
+// minus the ones they hid (unless includeHidden)
+function historyFilter(userId, { includeHidden = false } = {}) {
+    const filter = { $or: [{ userId }, { collaborators: userId }] };
+    if (!includeHidden) {
+        filter.hiddenBy = { $ne: userId };
+    }
+    return filter;
+}
+
+// Mongo filter for the pieces a viewer may see without a share link: public ones and their own
+function visibleFilter(userId) {
+    if (!userId) return PUBLIC_FILTER;
+    return { $or: [PUBLIC_FILTER, { userId }, { collaborators: userId }] };
+}
+
+// Applies a participant's changes ({ title, description, visibility }) to the piece. Changing the
+// visibility needs the 'share' permission; pieces that become unlisted get a new share link, and the
+// image variants are rebuilt when the watermark (public pieces only) has to be added or removed.
+// Returns the updated piece.
+async function updateArt(art, userId, changes = {}) {
+    const update = {};
+    ['title', 'description'].forEach(field => {
+        if (changes[field] !== undefined) update[field] = changes[field] === null ? '' : changes[field];
+    });
+    if (changes.visibility !== undefined && changes.visibility !== (art.visibility || 'public')) {
+        if (!can(art, userId, 'share')) {
+            throw new ArtPermissionError('Only the owner can change who can see this piece.', 403);
+        }
+        if (!VISIBILITIES.includes(changes.visibility)) {
+            throw new ArtPermissionError(`Visibility must be one of: ${VISIBILITIES.join(', ')}.`, 400);
+        }
+        update.visibility = changes.visibility;
+        // A new share link each time a piece becomes unlisted, so earlier links don't come back to life
+        update.shareToken = changes.visibility === 'unlisted' ? newShareToken() : undefined;
+    }
+    art.set(update);
+    const saved = await art.save();
+    if (saved.variants.length > 0 && saved.watermarked !== shouldWatermark(saved)) {
+        try {
+            await reprocessArt(saved);
+        } catch (err) {
+            // The change itself went through; the variants keep their previous watermark state
+            console.warn(`Could not rebuild the image variants of ${saved.id}:`, err.message);
+        }
+    }
+    return saved;
+}
+
+// Replaces the share link of an unlisted piece (the old link stops working). Returns the updated piece.
+async function rotateShareToken(art) {
+    if (art.visibility !== 'unlisted') {
+        throw new ArtPermissionError('Only unlisted pieces have a share link. Set the visibility to "unlisted" first.', 409);
+    }
+    art.shareToken = newShareToken();
+    return art.save();
+}
+
+// The share link details shown to a participant allowed to manage them, or null
+const shareDetails = (art, userId) => (can(art, userId, 'share') && art.visibility === 'unlisted' && art.shareToken
+    ? { shareToken: art.shareToken, sharePath: `/api/art/shared/${art.shareToken}` }
+    : null);
+
+// Hides (hidden = true) or unhides the piece in the user's history. Returns the updated piece.
+async function setHidden(art, userId, hidden) {
+    const update = hidden ? { $addToSet: { hiddenBy: userId } } : { $pull: { hiddenBy: userId } };
+    return Art.findByIdAndUpdate(art._id, update, { new: true });
+}
+
+// Deletes the piece for good: the document, its ratings, its place in albums and the stored image (and its variants).
+// Open reports on it are closed.
+async function destroyArt(art) {
+    await art.deleteOne();
+    await Rating.deleteMany({ artId: art._id });
+    await Album.updateMany({ 'items.artId': art._id }, { $pull: { items: { artId: art._id } } });
+    await Album.updateMany({ coverArtId: art._id }, { $set: { coverArtId: null } });
+    await Report.updateMany(
+        { artId: art._id, status: 'open' },
+        { $set: { status: 'resolved', resolution: { action: 'deleted', note: 'Deleted by its participants.', at: new Date() } } }
+    );
+    if (art.storage && art.storage.driver && art.storage.key) {
+        try {
+            await getStorage(art.storage.driver).delete(art.storage.key);
+        } catch (err) {
+            // The piece is already gone; an orphaned image is not worth failing the request over
+            console.warn(`Could not delete stored image ${art.storage.key}:`, err.message);
+        }
+    }
+    await deleteVariants(art.variants);
+}
+
+// Removes the user from the piece. The last participant deletes it for good; when the owner leaves
+// a shared piece, ownership passes to the next collaborator. Returns { deleted, art }.
+async function removeForUser(art, userId) {
+    const remaining = participantsOf(art).filter(id => id !== String(userId));
+    if (remaining.length === 0) {
+        await destroyArt(art);
+        return { deleted: true, art: null };
+    }
+
+    const update = { $pull: { collaborators: userId, hiddenBy: userId } };
+    if (sameId(art.userId, userId)) {
+        update.$set = { userId: remaining[0] };
+    }
+    const updated = await Art.findByIdAndUpdate(art._id, update, { new: true, includeModerated: true });
+    return { deleted: false, art: updated };
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    VISIBILITIES,
+    PUBLIC_FILTER,
+    ArtPermissionError,
+    newShareToken,
+    tokensMatch,
+    roleOf,
+    can,
+    canView,
+    participantsOf,
+    historyFilter,
+    visibleFilter,
+    updateArt,
+    rotateShareToken,
+    shareDetails,
+    setHidden,
+    destroyArt,
+    removeForUser
+};
@@ -0,0 +1,39 @@
+// services/audit.js
+// Audit log of moderation actions: who did what to which art piece, account, report or rule, and why.
+// Entries are only ever added (see models/AuditLog.js).
+const mongoose = require('mongoose');
+const AuditLog = require('../models/AuditLog');
+const { QueryError, parseLimit, findPage } = require('./pagination');
+
+// Records an action. actor: req.user ({ id, role }); target: { type, id }; reason and details are optional.
+async function recordAudit(actor, action, target, { reason, details } = {}) {
+    return AuditLog.create({
+        actorId: actor.id,
+        actorRole: actor.role,
+        action,
+        target,
+        reason: reason || '',
+        details: details || {}
+    });
+}
+
+// A page of the audit log, newest first: { items, nextCursor }.
+// query: action, actorId, targetType, targetId, cursor, limit.
+async function listAudit(query = {}) {
+    const filter = {};
+    if (query.action) filter.action = String(query.action);
+    if (query.targetType) filter['target.type'] = String(query.targetType);
+    ['actorId', 'targetId'].forEach(name => {
+        if (!query[name]) return;
+        if (!mongoose.isValidObjectId(query[name])) {
+            throw new QueryError(`${name} must be a valid id.`);
+        }
+        filter[name === 'actorId' ? 'actorId' : 'target.id'] = new mongoose.Types.ObjectId(String(query[name]));
+    });
+    return findPage(AuditLog, filter, { sortField: 'createdAt', direction: -1, cursor: query.cursor, limit: parseLimit(query.limit) });
+}
+
+module.exports = {
+    recordAudit,
+    listAudit
+};
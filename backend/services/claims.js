@@ -0,0 +1,43 @@
+// services/claims.js
+// Claim tokens for anonymous creators. Every piece generated without an account gets the hash of a
+// claim token; the token itself goes back to the browser (in the 202 response of POST /api/art), which
+// sends it again with later requests (x-claim-token) so all its pieces share one token. After signing
+// up, POST /api/art/claim with the token attaches those pieces to the new account.
+const crypto = require('crypto');
+const Art = require('../models/Art');
+const { hashToken } = require('./tokens');
+
+const CLAIM_TOKEN_TTL_DAYS = Number(process.env.CLAIM_TOKEN_TTL_DAYS || 30); // How long anonymous pieces can be claimed
+const CLAIM_TOKEN_PATTERN = /^claim_[A-Za-z0-9_-]{43}$/;
+
+const isClaimToken = token => typeof token === 'string' && CLAIM_TOKEN_PATTERN.test(token);
+
+// The claim token for an anonymous request: the one the browser sent, or a new one
+function claimTokenFor(req) {
+    const sent = req.get('x-claim-token');
+    return isClaimToken(sent) ? sent : `claim_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// What an anonymous piece stores about its claim token (see Art.claim)
+const claimFor = token => ({
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + CLAIM_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+});
+
+// Attaches the unclaimed anonymous pieces generated with the token to the user.
+// Returns the number of pieces claimed (0 for unknown or expired tokens).
+async function claimArt(userId, token) {
+    if (!isClaimToken(token)) return 0;
+    const result = await Art.updateMany(
+        { 'claim.tokenHash': hashToken(token), 'claim.expiresAt': { $gt: new Date() }, userId: null },
+        { $set: { userId }, $unset: { claim: 1 } }
+    );
+    return result.modifiedCount;
+}
+
+module.exports = {
+    CLAIM_TOKEN_TTL_DAYS,
+    claimTokenFor,
+    claimFor,
+    claimArt
+};
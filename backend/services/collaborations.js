@@ -0,0 +1,196 @@
+// services/collaborations.js
+// Collaboration invitations: one user proposes a piece with their mood, the partner accepts with
+// their own mood (which queues the generation job) or declines. The inviter can cancel while it is pending.
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const { enqueueJob } = require('./jobQueue');
+const { normalizeMoods } = require('./moodBlend');
+const { resolveProviderOrder } = require('./providers');
+const { findPreset } = require('./prompts/presets');
+
+// Error for invitation problems that map to a specific HTTP status
+class CollaborationError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'CollaborationError';
+        this.status = status;
+    }
+}
+
+// Validates a single participant mood ('happy' -> 'Happy'); MoodInputError for unknown moods
+function participantMood(mood) {
+    const blend = normalizeMoods(typeof mood === 'string' ? mood : undefined);
+    if (blend.length !== 1) {
+        throw new CollaborationError('Your mood is required (e.g., "Happy").', 400);
+    }
+    return blend[0].mood;
+}
+
+// Loads an invitation addressed to or sent by the user, or throws a 404
+async function findInvitation(id, userId) {
+    const invitation = mongoose.isValidObjectId(id) ? await Invitation.findById(id) : null;
+    const involved = invitation && [invitation.inviterId, invitation.inviteeId].some(participant => participant && participant.equals(userId));
+    if (!involved) {
+        throw new CollaborationError('Invitation not found.', 404);
+    }
+    return invitation;
+}
+
+// Moves a pending, unexpired invitation into a new state in one atomic update, so an invitation
+// can't be accepted twice or accepted and cancelled at the same time. Returns the updated invitation.
+async function transition(invitation, state, update = {}) {
+    const updated = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, state: 'pending', expiresAt: { $gt: new Date() } },
+        { $set: { state, respondedAt: new Date(), ...update } },
+        { new: true, runValidators: true }
+    );
+    if (!updated) {
+        throw new CollaborationError(`This invitation is ${invitation.effectiveState} and can no longer be changed.`, 409);
+    }
+    return updated;
+}
+
+// Invites the user with partnerEmail to collaborate. Returns the new Invitation.
+// The response is the same whether or not the address belongs to an account, so the endpoint can't be
+// used to find out who is registered: without one, the invitation waits for someone to sign up with the
+// address (see linkInvitations) and otherwise just expires.
+async function createInvitation(inviterId, { partnerEmail, mood, message, style, colors, preset, provider }) {
+    const inviterMood = participantMood(mood);
+    resolveProviderOrder(provider);
+    if (preset && !findPreset(preset)) {
+        throw new CollaborationError(`Unknown preset "${preset}".`, 400);
+    }
+    const inviteeEmail = typeof partnerEmail === 'string' ? partnerEmail.trim().toLowerCase() : '';
+    if (!inviteeEmail) {
+        throw new CollaborationError('Your partner\'s email is required to send an invitation.', 400);
+    }
+    if (!/.+@.+\..+/.test(inviteeEmail)) {
+        throw new CollaborationError('Please enter a valid email address for your partner.', 400);
+    }
+
+    const partner = await User.findOne({ email: inviteeEmail });
+    if (partner && partner._id.equals(inviterId)) {
+        throw new CollaborationError('You cannot invite yourself to collaborate.', 400);
+    }
+
+    // Based only on the inviter's own invitations, so it reveals nothing about the address either
+    const alreadyPending = await Invitation.exists({
+        inviterId,
+        $or: [{ inviteeEmail }, ...(partner ? [{ inviteeId: partner._id }] : [])],
+        state: 'pending',
+        expiresAt: { $gt: new Date() }
+    });
+    if (alreadyPending) {
+        throw new CollaborationError('You already have a pending invitation with this user.', 409);
+    }
+
+    return Invitation.create({
+        inviterId,
+        inviteeId: partner ? partner._id : null,
+        inviteeEmail,
+        inviterMood,
+        message,
+        style,
+        colors: Array.isArray(colors) ? colors : [],
+        preset: preset ? findPreset(preset).id : undefined,
+        provider
+    });
+}
+
+// Lists the user's invitations, newest first.
+// - box: 'incoming' (default, sent to the user) or 'outgoing' (sent by the user)
+// - state: only invitations in this state (e.g., 'pending')
+async function listInvitations(userId, { box = 'incoming', state } = {}) {
+    if (!['incoming', 'outgoing'].includes(box)) {
+        throw new CollaborationError('box must be "incoming" or "outgoing".', 400);
+    }
+    const filter = box === 'incoming' ? { inviteeId: userId } : { inviterId: userId };
+    const now = new Date();
+    if (state === 'pending') {
+        Object.assign(filter, { state: 'pending', expiresAt: { $gt: now } });
+    } else if (state === 'expired') {
+        filter.$or = [{ state: 'expired' }, { state: 'pending', expiresAt: { $lte: now } }];
+    } else if (state) {
+        filter.state = state;
+    }
+    return Invitation.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .populate('inviterId', 'email avatar')
+        .populate('inviteeId', 'email'); // The address of invitations from before inviteeEmail was stored
+}
+
+// Hands the pending invitations sent to a user's address over to the user. Called when an account
+// is created or its email address changes.
+async function linkInvitations(user) {
+    await Invitation.updateMany(
+        { inviteeEmail: user.email, inviteeId: null, state: 'pending' },
+        { $set: { inviteeId: user._id } }
+    );
+}
+
+// The invitee accepts with their own mood. Queues the collaborative generation job and
+// returns { invitation, job }.
+async function acceptInvitation(id, userId, { mood }) {
+    const invitation = await findInvitation(id, userId);
+    if (!invitation.inviteeId || !invitation.inviteeId.equals(userId)) {
+        throw new CollaborationError('Only the invited user can accept this invitation.', 403);
+    }
+    const inviteeMood = participantMood(mood);
+
+    const accepted = await transition(invitation, 'accepted', { inviteeMood });
+    // Each participant brings one mood with an equal share of the blend
+    const moods = normalizeMoods([accepted.inviterMood, inviteeMood]);
+    let job;
+    try {
+        job = await enqueueJob('collaborate', {
+            moods,
+            style: accepted.style,
+            colors: accepted.colors,
+            preset: accepted.preset,
+            provider: accepted.provider,
+            collaborators: [accepted.inviterId, accepted.inviteeId],
+            invitationId: accepted.id
+        }, { userId: accepted.inviterId });
+    } catch (err) {
+        // Without a job nothing would ever be generated, so the invitation goes back to pending
+        await Invitation.updateOne(
+            { _id: accepted._id, state: 'accepted', jobId: null },
+            { $set: { state: 'pending' }, $unset: { inviteeMood: 1, respondedAt: 1 } }
+        );
+        throw err;
+    }
+
+    accepted.jobId = job.id;
+    await accepted.save();
+    return { invitation: accepted, job };
+}
+
+// The invitee declines. Returns the updated invitation.
+async function declineInvitation(id, userId) {
+    const invitation = await findInvitation(id, userId);
+    if (!invitation.inviteeId || !invitation.inviteeId.equals(userId)) {
+        throw new CollaborationError('Only the invited user can decline this invitation.', 403);
+    }
+    return transition(invitation, 'declined');
+}
+
+// The inviter withdraws a pending invitation. Returns the updated invitation.
+async function cancelInvitation(id, userId) {
+    const invitation = await findInvitation(id, userId);
+    if (!invitation.inviterId.equals(userId)) {
+        throw new CollaborationError('Only the user who sent this invitation can cancel it.', 403);
+    }
+    return transition(invitation, 'cancelled');
+}
+
+module.exports = {
+    CollaborationError,
+    createInvitation,
+    listInvitations,
+    linkInvitations,
+    acceptInvitation,
+    declineInvitation,
+    cancelInvitation
+};
@@ -0,0 +1,24 @@
+// services/csv.js
+// CSV helpers shared by the mood log export (routes/insightRoutes.js) and journal exports (services/exports).
+
+// Formats one value as a CSV cell: quoted when needed, and with a leading apostrophe for
+// text that spreadsheets would otherwise run as a formula
+const csvCell = (value) => {
+    let text;
+    if (value === null || value === undefined) text = '';
+    else if (value instanceof Date) text = value.toISOString();
+    else if (Array.isArray(value)) text = value.join(';');
+    else if (typeof value === 'object') text = Object.entries(value).map(([key, v]) => `${key}:${v}`).join(';');
+    else text = String(value);
+
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line (with CRLF) for the given columns of a row
+const csvRow = (columns, row) => `${columns.map(column => csvCell(row[column])).join(',')}\r\n`;
+
+module.exports = {
+    csvCell,
+    csvRow
+};
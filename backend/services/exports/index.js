@@ -0,0 +1,405 @@
+// services/exports/index.js
+// Mood journal exports, built by background 'export' jobs:
+// - 'zip': the images of your history plus a manifest (JSON or CSV) with mood, prompt, style, colors and date
+// - 'pdf': a printable mood journal with one page per art piece
+// - 'animation': the evolution timeline of one mood as an animated GIF or WebP
+// Files are written to EXPORT_DIR and downloaded through signed links that stop working when the
+// export expires (EXPORT_TTL_HOURS); expired exports are removed by purgeExpiredExports().
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Art = require('../../models/Art');
+const Export = require('../../models/Export');
+const User = require('../../models/User');
+const { enqueueJob, registerJobHandler } = require('../jobQueue');
+const { getStorage } = require('../storage');
+const { historyFilter } = require('../artPermissions');
+const { moodFilter, toMoodVector, normalizeMoods } = require('../moodBlend');
+const { csvRow } = require('../csv');
+const { createZipWriter } = require('./zip');
+const { createPdfWriter } = require('./pdf');
+
+const EXPORT_DIR = path.resolve(process.env.EXPORT_DIR || path.join(__dirname, '..', '..', 'exports'));
+const EXPORT_TTL_HOURS = Number(process.env.EXPORT_TTL_HOURS || 24); // How long an export can be downloaded
+const EXPORT_MAX_ITEMS = Number(process.env.EXPORT_MAX_ITEMS || 500); // Art pieces per export (the oldest ones first)
+const EXPORT_MAX_FRAMES = Number(process.env.EXPORT_MAX_FRAMES || 120); // Frames per animation, picked evenly across the timeline
+const FRAME_SIZE = Number(process.env.EXPORT_FRAME_SIZE || 512); // Width and height of animation frames
+
+const FORMATS = { zip: ['zip'], pdf: ['pdf'], animation: ['gif', 'webp'] };
+const CONTENT_TYPES = { zip: 'application/zip', pdf: 'application/pdf', gif: 'image/gif', webp: 'image/webp' };
+const MANIFEST_COLUMNS = ['id', 'createdAt', 'mood', 'moods', 'style', 'colors', 'prompt', 'rating', 'image'];
+
+// Error for export problems that map to a specific HTTP status
+class ExportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ExportError';
+        this.status = status;
+    }
+}
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new ExportError(`${name} must be a valid date (e.g., 2025-01-31).`);
+    }
+    return date;
+};
+
+// Validates export options into what is stored on the Export:
+// - zip: manifest ('json' default, or 'csv'); pdf: nothing else
+// - animation: mood (required), match/minWeight (like /evolution), format ('gif' default, or 'webp'), frameDelay (ms)
+// - all: from/to (dates), includeHidden (not for animations, which follow /evolution)
+function parseExportOptions(kind, input = {}) {
+    if (!FORMATS[kind]) {
+        throw new ExportError(`Unknown export type "${kind}". Use one of: ${Object.keys(FORMATS).join(', ')}.`);
+    }
+    const format = input.format || FORMATS[kind][0];
+    if (!FORMATS[kind].includes(format)) {
+        throw new ExportError(`format must be one of: ${FORMATS[kind].join(', ')}.`);
+    }
+
+    const options = {};
+    if (input.from) options.from = parseDate(input.from, 'from');
+    if (input.to) options.to = parseDate(input.to, 'to');
+    if (kind === 'zip') {
+        options.manifest = input.manifest || 'json';
+        if (!['json', 'csv'].includes(options.manifest)) {
+            throw new ExportError('manifest must be "json" or "csv".');
+        }
+    }
+    if (kind === 'animation') {
+        const blend = normalizeMoods(typeof input.mood === 'string' ? input.mood : undefined); // MoodInputError for unknown moods
+        if (blend.length !== 1) {
+            throw new ExportError('A mood is required for an evolution animation (e.g., "Happy").');
+        }
+        options.mood = blend[0].mood;
+        options.match = input.match === 'contributing' ? 'contributing' : 'dominant';
+        if (input.minWeight !== undefined) options.minWeight = Number(input.minWeight) || 0;
+        const frameDelay = input.frameDelay === undefined ? 800 : Number(input.frameDelay);
+        if (!Number.isFinite(frameDelay) || frameDelay < 100 || frameDelay > 5000) {
+            throw new ExportError('frameDelay must be between 100 and 5000 milliseconds.');
+        }
+        options.frameDelay = frameDelay;
+    } else {
+        options.includeHidden = input.includeHidden === true || input.includeHidden === 'true';
+    }
+    return { format, options };
+}
+
+// The Art filter for an export: the user's history (like /history) or one mood's evolution (like /evolution/:mood)
+function exportFilter(userId, kind, options) {
+    const conditions = [historyFilter(userId, { includeHidden: Boolean(options.includeHidden) })];
+    if (kind === 'animation') {
+        conditions.push(moodFilter(options.mood, { match: options.match, minWeight: options.minWeight }));
+    }
+    if (options.from || options.to) {
+        const createdAt = {};
+        if (options.from) createdAt.$gte = new Date(options.from);
+        if (options.to) createdAt.$lte = new Date(options.to);
+        conditions.push({ createdAt });
+    }
+    return { $and: conditions };
+}
+
+// Queues an export of the user's art. kind: 'zip', 'pdf' or 'animation'; input: see parseExportOptions.
+// Returns { export, job }.
+async function createExport(userId, kind, input) {
+    const { format, options } = parseExportOptions(kind, input);
+    const count = await Art.countDocuments(exportFilter(userId, kind, options));
+    if (count === 0) {
+        throw new ExportError('There are no art pieces to export for these options.', 404);
+    }
+
+    const exp = await Export.create({
+        userId,
+        kind,
+        format,
+        options,
+        expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000)
+    });
+    const job = await enqueueJob('export', { exportId: exp.id }, { userId });
+    exp.jobId = job.id;
+    await exp.save();
+    return { export: exp, job };
+}
+
+// Reads the bytes of an art piece's image through its storage driver, or from its data URI or URL
+// for pieces saved before the storage layer existed
+async function loadImage(art) {
+    if (art.storage && art.storage.driver && art.storage.key) {
+        return (await getStorage(art.storage.driver).download(art.storage.key)).buffer;
+    }
+    const dataUri = /^data:([^;]+);base64,(.*)$/.exec(art.imageUrl);
+    if (dataUri) {
+        return Buffer.from(dataUri[2], 'base64');
+    }
+    const response = await axios.get(art.imageUrl, { responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+}
+
+// Loads images one at a time, converting each with 'convert' and handing it to onImage(result, art, index)
+// before the next one is read, so a builder that writes each image out right away keeps memory use flat.
+// Pieces whose image can't be read get null, so the export still covers the rest.
+async function forEachImage(pieces, convert, reportProgress, onImage) {
+    let reported = 0;
+    for (const [index, art] of pieces.entries()) {
+        let result = null;
+        try {
+            result = await convert(await loadImage(art));
+        } catch (err) {
+            console.warn(`Export: could not read the image of art piece ${art.id}:`, err.message);
+        }
+        await onImage(result, art, index);
+        const progress = 10 + Math.floor((70 * (index + 1)) / pieces.length);
+        if (progress - reported >= 10) { // Report in steps so big exports don't write the job on every image
+            reported = progress;
+            await reportProgress('generating', progress);
+        }
+    }
+}
+
+// Runs fn with a file writer, closing it when fn fails. Resolves with what close() returns (the file size).
+async function writeWith(writer, fn) {
+    try {
+        await fn(writer);
+    } catch (err) {
+        await writer.abort().catch(() => {});
+        throw err;
+    }
+    return writer.close();
+}
+
+const formatDate = date => new Date(date).toISOString().slice(0, 10);
+const describeMoods = art => Object.entries(toMoodVector(art.moods))
+    .map(([mood, weight]) => `${mood} ${Math.round(weight * 100)}%`).join(', ') || art.mood;
+
+// ZIP of images/<date>-<mood>-<id>.png plus manifest.json or manifest.csv, written to filePath
+async function buildZip(exp, pieces, reportProgress, filePath) {
+    return writeWith(await createZipWriter(filePath), async (zip) => {
+        const rows = [];
+        await forEachImage(pieces, buffer => sharp(buffer).png().toBuffer(), reportProgress, async (png, art) => {
+            const image = png ? `images/${formatDate(art.createdAt)}-${art.mood.toLowerCase()}-${art.id}.png` : null;
+            if (image) {
+                await zip.add({ name: image, data: png, date: art.createdAt });
+            }
+            rows.push({
+                id: art.id,
+                createdAt: art.createdAt,
+                mood: art.mood,
+                moods: toMoodVector(art.moods),
+                style: art.style,
+                colors: art.colors,
+                prompt: art.prompt,
+                rating: art.rating ? art.rating.average : 0,
+                image
+            });
+        });
+        const manifest = exp.options.manifest === 'csv'
+            ? `${MANIFEST_COLUMNS.join(',')}\r\n${rows.map(row => csvRow(MANIFEST_COLUMNS, row)).join('')}`
+            : JSON.stringify(rows, null, 2);
+        await zip.add({ name: `manifest.${exp.options.manifest}`, data: manifest });
+    });
+}
+
+// Printable journal written to filePath: a cover page, then one page per piece with its image and details
+async function buildPdf(exp, pieces, reportProgress, filePath) {
+    const user = await User.findById(exp.userId);
+    const owner = user ? user.displayName || user.email : '';
+
+    return writeWith(await createPdfWriter(filePath, { title: 'Mood Journal', author: owner }), async (pdf) => {
+        await pdf.addPage({
+            heading: 'Mood Journal',
+            lines: [
+                { text: owner, bold: true, size: 14 },
+                { text: `${pieces.length} entries, ${formatDate(pieces[0].createdAt)} to ${formatDate(pieces[pieces.length - 1].createdAt)}` },
+                { text: `Exported on ${formatDate(new Date())}` }
+            ]
+        });
+        await forEachImage(pieces, async (buffer) => {
+            const { data, info } = await sharp(buffer)
+                .resize(800, 800, { fit: 'inside', withoutEnlargement: true })
+                .flatten({ background: '#ffffff' })
+                .jpeg({ quality: 85 })
+                .toBuffer({ resolveWithObject: true });
+            return { data, width: info.width, height: info.height };
+        }, reportProgress, (image, art) => pdf.addPage({
+            heading: `${new Date(art.createdAt).toDateString()} - ${art.mood}`,
+            image,
+            lines: [
+                { text: `Moods: ${describeMoods(art)}` },
+                { text: `Style: ${art.style || 'Abstract'}` },
+                ...(art.colors && art.colors.length > 0 ? [{ text: `Colors: ${art.colors.join(', ')}` }] : []),
+                ...(art.rating && art.rating.count > 0 ? [{ text: `Rating: ${art.rating.average.toFixed(1)} / 5 (${art.rating.count})` }] : []),
+                ...(art.prompt ? [{ text: 'Mood Diary', bold: true }, { text: art.prompt }] : [])
+            ]
+        }));
+    });
+}
+
+// Animated evolution timeline written to filePath: one square frame per piece, oldest first.
+// Unlike ZIPs and PDFs the frames are joined in memory, so this holds up to EXPORT_MAX_FRAMES
+// FRAME_SIZE x FRAME_SIZE PNG frames at once.
+async function buildAnimation(exp, pieces, reportProgress, filePath) {
+    const frames = [];
+    await forEachImage(pieces, buffer => sharp(buffer)
+        .resize(FRAME_SIZE, FRAME_SIZE, { fit: 'cover' })
+        .flatten({ background: '#ffffff' })
+        .png()
+        .toBuffer(), reportProgress, frame => {
+        if (frame) frames.push(frame);
+    });
+    if (frames.length === 0) {
+        throw new Error('None of the images could be read.');
+    }
+    const animated = sharp(frames, { join: { animated: true } });
+    const options = { delay: exp.options.frameDelay, loop: 0 };
+    const { size } = await (exp.format === 'webp' ? animated.webp(options) : animated.gif(options)).toFile(filePath);
+    return size;
+}
+
+const BUILDERS = { zip: buildZip, pdf: buildPdf, animation: buildAnimation };
+
+// Up to max items spread evenly from the first to the last, in order
+function sampleEvenly(items, max) {
+    if (items.length <= max) return items;
+    if (max <= 1) return items.slice(0, max);
+    return Array.from({ length: max }, (_, i) => items[Math.round((i * (items.length - 1)) / (max - 1))]);
+}
+
+// The pieces an export covers, oldest first: up to EXPORT_MAX_ITEMS, or for animations up to
+// EXPORT_MAX_FRAMES picked from the whole timeline (only their ids are read to pick them)
+async function findExportPieces(exp) {
+    const filter = exportFilter(exp.userId, exp.kind, exp.options);
+    if (exp.kind !== 'animation') {
+        return Art.find(filter).sort({ createdAt: 1, _id: 1 }).limit(EXPORT_MAX_ITEMS);
+    }
+    const ids = await Art.find(filter).sort({ createdAt: 1, _id: 1 }).select('_id').lean();
+    const picked = sampleEvenly(ids, EXPORT_MAX_FRAMES).map(doc => doc._id);
+    return Art.find({ _id: { $in: picked } }).sort({ createdAt: 1, _id: 1 });
+}
+
+// 'export': builds the file of an Export and marks it ready
+async function handleExportJob(job, reportProgress) {
+    const exp = await Export.findById(job.params.exportId);
+    if (!exp) {
+        throw new Error('The export no longer exists.');
+    }
+
+    try {
+        const pieces = await findExportPieces(exp);
+        if (pieces.length === 0) {
+            throw new Error('There are no art pieces to export anymore.');
+        }
+        // Built under a temporary name, so a failed build never leaves a half-written file behind
+        const filePath = path.join(EXPORT_DIR, `${exp.id}.${exp.format}`);
+        const partPath = `${filePath}.part`;
+        await fs.mkdir(EXPORT_DIR, { recursive: true });
+        let size;
+        try {
+            size = await BUILDERS[exp.kind](exp, pieces, reportProgress, partPath);
+            await reportProgress('uploading', 90);
+            await fs.rename(partPath, filePath);
+        } catch (err) {
+            await fs.unlink(partPath).catch(() => {});
+            throw err;
+        }
+
+        const label = exp.kind === 'animation' ? `${exp.options.mood.toLowerCase()}-evolution` : 'mood-journal';
+        Object.assign(exp, {
+            state: 'ready',
+            fileName: `${label}-${formatDate(new Date())}.${exp.format}`,
+            filePath,
+            contentType: CONTENT_TYPES[exp.format],
+            size,
+            itemCount: pieces.length,
+            error: null
+        });
+        return exp.save();
+    } catch (err) {
+        if (!err.retryable || job.attempts >= job.maxAttempts) {
+            await Export.updateOne({ _id: exp._id }, { $set: { state: 'failed', error: err.message } });
+        }
+        throw err;
+    }
+}
+
+// Loads one of the user's exports, or throws a 404
+async function getExport(id, userId) {
+    const exp = mongoose.isValidObjectId(id) ? await Export.findById(id) : null;
+    if (!exp || !exp.userId.equals(userId)) {
+        throw new ExportError('Export not found.', 404);
+    }
+    return exp;
+}
+
+// The user's exports, newest first (expired ones are removed by purgeExpiredExports)
+async function listExports(userId) {
+    return Export.find({ userId }).sort({ createdAt: -1 }).limit(50);
+}
+
+const signingSecret = () => process.env.EXPORT_SIGNING_SECRET || process.env.JWT_SECRET;
+const sign = (id, expires) => crypto.createHmac('sha256', signingSecret()).update(`export:${id}:${expires}`).digest('hex');
+
+// Signed query string (?expires=&signature=) of a ready export's download link; it stops working
+// when the export expires. Returns null when there is nothing to download.
+function downloadQuery(exp) {
+    if (exp.state !== 'ready' || exp.expiresAt <= new Date()) return null;
+    const expires = Math.floor(exp.expiresAt.getTime() / 1000);
+    return `expires=${expires}&signature=${sign(exp.id, expires)}`;
+}
+
+// Checks a download link and returns the export's file { filePath, fileName, contentType }.
+// Throws a 403 for invalid or expired links and a 404 when the file is gone.
+async function resolveDownload(id, { expires, signature }) {
+    const valid = expires && signature && Number(expires) > Math.floor(Date.now() / 1000) && (() => {
+        const expected = Buffer.from(sign(id, expires));
+        const provided = Buffer.from(String(signature));
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    })();
+    if (!valid) {
+        throw new ExportError('This download link is invalid or has expired.', 403);
+    }
+    const exp = mongoose.isValidObjectId(id) ? await Export.findById(id) : null;
+    if (!exp || exp.state !== 'ready' || exp.expiresAt <= new Date()) {
+        throw new ExportError('Export not found.', 404);
+    }
+    return { filePath: exp.filePath, fileName: exp.fileName, contentType: exp.contentType };
+}
+
+// Deletes exports matching a filter, with their files. Returns how many were removed.
+async function removeExports(filter) {
+    const exports = await Export.find(filter);
+    for (const exp of exports) {
+        if (exp.filePath) {
+            await fs.unlink(exp.filePath).catch(err => {
+                if (err.code !== 'ENOENT') console.warn(`Could not delete export file ${exp.filePath}:`, err.message);
+            });
+        }
+    }
+    await Export.deleteMany({ _id: { $in: exports.map(exp => exp._id) } });
+    return exports.length;
+}
+
+// Removes expired exports and their files. Called periodically (see server.js).
+const purgeExpiredExports = () => removeExports({ expiresAt: { $lte: new Date() } });
+
+// Registers the export job handler with the job queue. Called once at startup (see server.js).
+function registerExportJobHandler() {
+    registerJobHandler('export', handleExportJob, { resultField: 'exportId', eventKey: 'export' });
+}
+
+module.exports = {
+    ExportError,
+    createExport,
+    getExport,
+    listExports,
+    downloadQuery,
+    resolveDownload,
+    removeExports,
+    purgeExpiredExports,
+    registerExportJobHandler
+};
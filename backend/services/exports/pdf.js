@@ -0,0 +1,166 @@
+// services/exports/pdf.js
+// Minimal PDF writer for the printable mood journal: A4 pages with a heading, an optional JPEG
+// image and lines of text, using the built-in Helvetica fonts (so nothing has to be embedded).
+const fs = require('fs/promises');
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 50;
+
+// PDF string literal in WinAnsi encoding: escapes delimiters and replaces characters the
+// standard fonts can't show
+const pdfString = text => `(${String(text)
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+    .replace(/[\\()]/g, ch => `\\${ch}`)})`;
+
+// Breaks text into lines that fit 'width' points at 'size' (Helvetica averages about half an em per character)
+function wrapText(text, size, width) {
+    const maxChars = Math.max(10, Math.floor(width / (size * 0.5)));
+    const lines = [];
+    String(text).split(/\r?\n/).forEach(paragraph => {
+        let line = '';
+        paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+            while (word.length > maxChars) { // Very long words (URLs) are cut
+                if (line) lines.push(line);
+                lines.push(word.slice(0, maxChars));
+                word = word.slice(maxChars);
+                line = '';
+            }
+            if (!word) return;
+            if (line && line.length + 1 + word.length > maxChars) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = line ? `${line} ${word}` : word;
+            }
+        });
+        lines.push(line);
+    });
+    return lines;
+}
+
+// Content stream of one page: heading, image (scaled to fit the upper part of the page) and text lines
+function pageContent({ heading, image, lines = [] }) {
+    const ops = [];
+    let y = PAGE_HEIGHT - MARGIN;
+    const textWidth = PAGE_WIDTH - 2 * MARGIN;
+
+    if (heading) {
+        y -= 18;
+        ops.push(`BT /F2 18 Tf ${MARGIN} ${y} Td ${pdfString(heading)} Tj ET`);
+        y -= 16;
+    }
+    if (image) {
+        const maxHeight = PAGE_HEIGHT * 0.5;
+        const scale = Math.min(textWidth / image.width, maxHeight / image.height, 1.5);
+        const w = Math.round(image.width * scale);
+        const h = Math.round(image.height * scale);
+        y -= h;
+        ops.push(`q ${w} 0 0 ${h} ${MARGIN + Math.round((textWidth - w) / 2)} ${y} cm /Im1 Do Q`);
+        y -= 24;
+    }
+    lines.forEach(({ text, bold = false, size = 11 }) => {
+        wrapText(text, size, textWidth).forEach(line => {
+            if (y < MARGIN) return; // Whatever doesn't fit on the page is left out
+            y -= size + 4;
+            ops.push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${MARGIN} ${y} Td ${pdfString(line)} Tj ET`);
+        });
+        y -= 4;
+    });
+    return ops.join('\n');
+}
+
+// Writes a PDF to filePath one page at a time, so only the page being added is held in memory.
+// info: { title, author }. Resolves with { addPage, close, abort }:
+// - addPage({ heading, image: { data (JPEG Buffer), width, height }, lines: [{ text, bold, size }] })
+// - close(): writes the page tree and cross-reference table and closes the file; resolves with the
+//   file size in bytes
+// - abort(): closes the file without finishing the document (after a failure)
+async function createPdfWriter(filePath, { title, author } = {}) {
+    const file = await fs.open(filePath, 'w');
+    const offsets = []; // Byte offset of each object, by object number - 1
+    const pageIds = [];
+    let offset = 0;
+    let nextId = 1;
+
+    const write = async (buffer) => {
+        await file.write(buffer);
+        offset += buffer.length;
+    };
+    const writeObject = async (id, body) => {
+        offsets[id - 1] = offset;
+        await write(Buffer.concat([
+            Buffer.from(`${id} 0 obj\n`, 'latin1'),
+            Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+            Buffer.from('\nendobj\n', 'latin1')
+        ]));
+    };
+    const add = async (body) => {
+        const id = nextId++;
+        await writeObject(id, body);
+        return id;
+    };
+    const stream = (dict, data) => Buffer.concat([
+        Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream', 'latin1')
+    ]);
+
+    const catalogId = nextId++; // Written by close(), once the page tree is known
+    const pagesId = nextId++;
+    let regularFontId, boldFontId, infoId;
+    try {
+        await write(Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1'));
+        regularFontId = await add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        boldFontId = await add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        infoId = await add(`<< /Producer (Mood-Activated Art Generator)${title ? ` /Title ${pdfString(title)}` : ''}${author ? ` /Author ${pdfString(author)}` : ''} >>`);
+    } catch (err) {
+        await file.close();
+        throw err;
+    }
+
+    return {
+        async addPage(page) {
+            const content = zlib.deflateSync(Buffer.from(pageContent(page), 'latin1'));
+            const contentId = await add(stream('/Filter /FlateDecode', content));
+            let xObjects = '';
+            if (page.image) {
+                const imageId = await add(stream(`/Type /XObject /Subtype /Image /Width ${page.image.width} /Height ${page.image.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`, page.image.data));
+                xObjects = ` /XObject << /Im1 ${imageId} 0 R >>`;
+            }
+            pageIds.push(await add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Contents ${contentId} 0 R /Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >>${xObjects} >> >>`));
+        },
+
+        async close() {
+            try {
+                await writeObject(catalogId, `<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+                await writeObject(pagesId, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`);
+
+                // Cross-reference table of every object's byte offset
+                const xrefOffset = offset;
+                const xref = [
+                    'xref',
+                    `0 ${offsets.length + 1}`,
+                    '0000000000 65535 f ',
+                    ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+                    'trailer',
+                    `<< /Size ${offsets.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+                    'startxref',
+                    String(xrefOffset),
+                    '%%EOF\n'
+                ].join('\n');
+                await write(Buffer.from(xref, 'latin1'));
+                return offset;
+            } finally {
+                await file.close();
+            }
+        },
+
+        abort: () => file.close()
+    };
+}
+
+module.exports = {
+    createPdfWriter
+};
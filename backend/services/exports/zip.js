@@ -0,0 +1,131 @@
+// services/exports/zip.js
+// Minimal ZIP archive writer (PKWARE APPNOTE format, no ZIP64), enough for an export of a few
+// hundred images plus a manifest. Images are stored as-is (they are already compressed);
+// text files are deflated.
+const fs = require('fs/promises');
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields used by ZIP headers
+function dosDateTime(date) {
+    const d = date instanceof Date && !Number.isNaN(date.getTime()) ? date : new Date();
+    return {
+        time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+        date: (Math.max(d.getFullYear() - 1980, 0) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+}
+
+// Local and central directory headers of one entry
+function entryHeaders({ fileName, deflate, time, day, crc, compressedSize, size, offset }) {
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // Local file header signature
+    local.writeUInt16LE(20, 4); // Version needed to extract (2.0)
+    local.writeUInt16LE(0x0800, 6); // Flags: file name is UTF-8
+    local.writeUInt16LE(deflate ? 8 : 0, 8); // Compression method
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(day, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressedSize, 18);
+    local.writeUInt32LE(size, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    local.writeUInt16LE(0, 28); // Extra field length
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // Central directory header signature
+    central.writeUInt16LE(20, 4); // Version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(deflate ? 8 : 0, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(day, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressedSize, 20);
+    central.writeUInt32LE(size, 24);
+    central.writeUInt16LE(fileName.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay 0
+    central.writeUInt32LE(offset, 42); // Offset of the local header
+
+    return { local: Buffer.concat([local, fileName]), central: Buffer.concat([central, fileName]) };
+}
+
+// Writes a ZIP archive to filePath one entry at a time, so only the entry being added is held in
+// memory (plus the small central directory). Resolves with { add, close }:
+// - add({ name, data (Buffer or string), date, compress }): appends an entry; compress defaults to
+//   true for strings (text files) and false for buffers
+// - close(): writes the central directory and closes the file; resolves with the archive size in bytes
+// - abort(): closes the file without finishing the archive (after a failure)
+// Archives are limited to 4 GB and 65535 entries (no ZIP64).
+async function createZipWriter(filePath) {
+    const file = await fs.open(filePath, 'w');
+    const centralParts = [];
+    let offset = 0;
+
+    const write = async (buffer) => {
+        await file.write(buffer);
+        offset += buffer.length;
+    };
+
+    return {
+        async add({ name, data, date, compress }) {
+            const content = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'utf8');
+            const deflate = compress === undefined ? !Buffer.isBuffer(data) : compress;
+            const body = deflate ? zlib.deflateRawSync(content) : content;
+            const { time, date: day } = dosDateTime(date);
+            const { local, central } = entryHeaders({
+                fileName: Buffer.from(name, 'utf8'),
+                deflate,
+                time,
+                day,
+                crc: crc32(content),
+                compressedSize: body.length,
+                size: content.length,
+                offset
+            });
+            if (offset + local.length + body.length > 0xffffffff || centralParts.length === 0xffff) {
+                throw new Error('The export is too big for a ZIP archive.');
+            }
+            centralParts.push(central);
+            await write(local);
+            await write(body);
+        },
+
+        async close() {
+            try {
+                const centralDirectory = Buffer.concat(centralParts);
+                const end = Buffer.alloc(22);
+                end.writeUInt32LE(0x06054b50, 0); // End of central directory signature
+                end.writeUInt16LE(centralParts.length, 8); // Entries on this disk
+                end.writeUInt16LE(centralParts.length, 10); // Total entries
+                end.writeUInt32LE(centralDirectory.length, 12);
+                end.writeUInt32LE(offset, 16); // Offset of the central directory
+                await write(centralDirectory);
+                await write(end);
+                return offset;
+            } finally {
+                await file.close();
+            }
+        },
+
+        abort: () => file.close()
+    };
+}
+
+module.exports = {
+    crc32,
+    createZipWriter
+};
@@ -0,0 +1,147 @@
+// services/gallery.js
+// Public gallery listing: filtering, sorting (newest, top rated, trending, search relevance)
+// and cursor pagination over the Art collection.
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { moodFilter } = require('./moodBlend');
+const { PUBLIC_FILTER } = require('./artPermissions');
+const { COLOR_FAMILIES, toColorFamily } = require('./imageProcessing');
+const { QueryError, decodeCursor, parseLimit, keysetFilter, buildPage, findPage } = require('./pagination');
+
+const SORTS = ['newest', 'top', 'trending', 'relevance'];
+// Trending = votes weighted by quality, decaying with age: points / (ageHours + 2) ^ GRAVITY
+const TRENDING_GRAVITY = Number(process.env.TRENDING_GRAVITY || 1.5);
+// A rendered color has to cover at least this share of a piece to match a color search
+const COLOR_MIN_SHARE = 0.1;
+
+const escapeRegex = str => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactMatch = value => new RegExp(`^${escapeRegex(value.trim())}$`, 'i'); // Case-insensitive equality
+const listParam = value => (Array.isArray(value) ? value : String(value).split(',')).map(v => String(v).trim()).filter(Boolean);
+
+// Parameters that take one value. Repeated (?style=a&style=b) or nested (?style[x]=a) parameters
+// arrive as arrays or objects, which are refused instead of failing somewhere down the line.
+const FILTER_PARAMS = ['mood', 'moodMatch', 'style', 'color', 'from', 'to', 'collaborator', 'q'];
+const PAGE_PARAMS = ['sort', 'cursor', 'limit'];
+
+function checkSingleValues(query, names) {
+    const repeated = names.find(name => query[name] !== undefined && typeof query[name] !== 'string');
+    if (repeated) {
+        throw new QueryError(`${repeated} must be given once, as a single value.`);
+    }
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new QueryError(`${name} must be a valid date (e.g., 2025-01-31).`);
+    }
+    return date;
+}
+
+// Builds the Mongo filter from gallery query parameters (the gallery only shows public pieces):
+// - mood, moodMatch (dominant|contributing): see moodBlend.moodFilter
+// - style: exact style name (case-insensitive)
+// - colors: comma-separated; matches pieces using any of them
+// - color: a color actually rendered (see Art.palette): a family such as 'blue', a color name or hex
+// - from, to: creation date range (inclusive)
+// - collaborator: user id that must be among the collaborators
+// - q: full-text search over the prompt
+function buildGalleryFilter(query = {}) {
+    checkSingleValues(query, FILTER_PARAMS);
+    const conditions = [PUBLIC_FILTER];
+
+    if (query.mood) {
+        conditions.push(moodFilter(query.mood, { match: query.moodMatch }));
+    }
+    if (query.style) {
+        conditions.push({ style: exactMatch(query.style) });
+    }
+    if (query.colors) {
+        conditions.push({ colors: { $in: listParam(query.colors).map(exactMatch) } });
+    }
+    if (query.color) {
+        const family = toColorFamily(query.color);
+        if (!family) {
+            throw new QueryError(`color must be a color name or hex value, e.g. one of: ${COLOR_FAMILIES.join(', ')}.`);
+        }
+        conditions.push({ palette: { $elemMatch: { family, share: { $gte: COLOR_MIN_SHARE } } } });
+    }
+    if (query.from || query.to) {
+        const createdAt = {};
+        if (query.from) createdAt.$gte = parseDate(query.from, 'from');
+        if (query.to) createdAt.$lte = parseDate(query.to, 'to');
+        conditions.push({ createdAt });
+    }
+    if (query.collaborator) {
+        if (!mongoose.isValidObjectId(query.collaborator)) {
+            throw new QueryError('collaborator must be a valid user id.');
+        }
+        conditions.push({ collaborators: new mongoose.Types.ObjectId(String(query.collaborator)) });
+    }
+
+    const filter = { $and: conditions };
+    if (query.q) {
+        filter.$text = { $search: String(query.q) }; // $text must sit at the top level of the filter
+    }
+    return filter;
+}
+
+// Sort key expressions for the aggregation-based sorts
+function sortKeyExpression(sort, asOf) {
+    if (sort === 'relevance') {
+        return { $meta: 'textScore' };
+    }
+    // trending
+    const ageHours = { $divide: [{ $subtract: [asOf, '$createdAt'] }, 60 * 60 * 1000] };
+    const points = { $add: [1, { $multiply: [{ $ifNull: ['$rating.count', 0] }, { $divide: [{ $ifNull: ['$rating.score', 3] }, 5] }] }] };
+    return { $divide: [points, { $pow: [{ $add: [{ $max: [ageHours, 0] }, 2] }, TRENDING_GRAVITY] }] };
+}
+
+// Lists a page of the gallery. Returns { items, nextCursor }.
+// query: the filters above plus sort (newest|top|trending|relevance), cursor and limit.
+async function listGallery(query = {}) {
+    checkSingleValues(query, PAGE_PARAMS);
+    const sort = query.sort || (query.q ? 'relevance' : 'newest');
+    if (!SORTS.includes(sort)) {
+        throw new QueryError(`sort must be one of: ${SORTS.join(', ')}.`);
+    }
+    if (sort === 'relevance' && !query.q) {
+        throw new QueryError('sort=relevance requires a search query (q).');
+    }
+    const limit = parseLimit(query.limit);
+    const filter = buildGalleryFilter(query);
+
+    // Plain field sorts use Model.find so the indexes can serve the sort
+    if (sort === 'newest' || sort === 'top') {
+        const sortField = sort === 'newest' ? 'createdAt' : 'rating.score';
+        return findPage(Art, filter, { sortField, direction: -1, cursor: query.cursor, limit });
+    }
+
+    // Computed sorts (trending, relevance) go through an aggregation. The trending clock is frozen
+    // in the cursor (asOf) so scores don't shift between pages.
+    const cursor = decodeCursor(query.cursor);
+    if (cursor && cursor.asOf !== undefined && !(cursor.asOf instanceof Date && !Number.isNaN(cursor.asOf.getTime()))) {
+        throw new QueryError('Invalid pagination cursor.');
+    }
+    const asOf = cursor && cursor.asOf ? cursor.asOf : new Date();
+    const pipeline = [
+        { $match: filter },
+        { $addFields: { sortKey: sortKeyExpression(sort, asOf) } }
+    ];
+    if (cursor) {
+        pipeline.push({ $match: keysetFilter('sortKey', -1, cursor, 'Number') });
+    }
+    pipeline.push({ $sort: { sortKey: -1, _id: -1 } }, { $limit: limit + 1 });
+
+    const docs = await Art.aggregate(pipeline);
+    const page = buildPage(docs, limit, doc => doc.sortKey, sort === 'trending' ? { asOf } : {});
+    // Turn the raw results back into documents so they serialize like everywhere else
+    page.items = page.items.map(({ sortKey, ...doc }) => Art.hydrate(doc));
+    return page;
+}
+
+module.exports = {
+    SORTS,
+    buildGalleryFilter,
+    listGallery
+};
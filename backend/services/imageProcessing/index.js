@@ -0,0 +1,151 @@
+// services/imageProcessing/index.js
+// Post-processing of generated images, run locally (with sharp) for every provider:
+// - variants: responsive sizes in WebP and AVIF, so views don't have to load the full-size original
+// - palette: the dominant colors actually rendered, compared with the colors that were asked for
+//   (colorMatch) and used by the gallery's color search
+// - watermark: with IMAGE_WATERMARK_TEXT set, the variants of public pieces carry it. The original is
+//   never touched, so variants can be rebuilt when a piece's visibility changes (see reprocessArt);
+//   clients of a watermarked piece get its largest variant as imageUrl instead (see models/Art.js).
+// Settings from .env:
+// - IMAGE_PROCESSING=false: skip the pipeline (pieces then only have imageUrl)
+// - IMAGE_VARIANT_WIDTHS: comma-separated widths in pixels (default 320,640,1280); the original width
+//   is always included and larger widths are skipped
+// - IMAGE_VARIANT_FORMATS: comma-separated formats, webp and/or avif (default webp,avif)
+// - IMAGE_PALETTE_SIZE: number of palette colors (default 5)
+// - IMAGE_WATERMARK_TEXT: watermark for public pieces (none by default)
+const sharp = require('sharp');
+const { getStorage, uploadImage } = require('../storage');
+const { COLOR_FAMILIES, colorFamily, toColorFamily, extractPalette, colorMatch } = require('./palette');
+const { applyWatermark } = require('./watermark');
+
+const FORMATS = {
+    webp: { contentType: 'image/webp', options: { quality: 80 } },
+    avif: { contentType: 'image/avif', options: { quality: 55, effort: 2 } }
+};
+
+const listSetting = (value, fallback) => (value || fallback).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+// Settings are read on every call, so .env is loaded first
+function settings() {
+    return {
+        enabled: process.env.IMAGE_PROCESSING !== 'false',
+        widths: listSetting(process.env.IMAGE_VARIANT_WIDTHS, '320,640,1280').map(Number).filter(width => Number.isInteger(width) && width > 0),
+        formats: listSetting(process.env.IMAGE_VARIANT_FORMATS, 'webp,avif').filter(format => FORMATS[format]),
+        paletteSize: Math.max(1, Number(process.env.IMAGE_PALETTE_SIZE) || 5),
+        watermarkText: process.env.IMAGE_WATERMARK_TEXT || ''
+    };
+}
+
+// Whether the variants of a piece get the watermark: only public pieces (records without visibility are public)
+const shouldWatermark = art => Boolean(settings().watermarkText) && (!art.visibility || art.visibility === 'public');
+
+// Runs the pipeline on image bytes. Needs no database or storage, so it can be tried on any image file.
+// options: { colors (the requested colors, for colorMatch), watermark (boolean) }
+// Returns { width, height, palette, colorMatch, watermarked, variants: [{ width, height, format, contentType, buffer }] },
+// variants smallest first.
+async function processImage(buffer, { colors = [], watermark = false } = {}) {
+    const { widths, formats, paletteSize, watermarkText } = settings();
+    const { width, height } = await sharp(buffer).metadata();
+    const palette = await extractPalette(buffer, { size: paletteSize });
+    const watermarked = watermark && Boolean(watermarkText);
+
+    const sizes = [...new Set([...widths.filter(size => size < width), width])].sort((a, b) => a - b);
+    const variants = [];
+    for (const size of sizes) {
+        const variantHeight = Math.max(1, Math.round((height * size) / width));
+        for (const format of formats) {
+            let image = sharp(buffer).resize(size, variantHeight);
+            if (watermarked) {
+                image = applyWatermark(image, watermarkText, size, variantHeight);
+            }
+            variants.push({
+                width: size,
+                height: variantHeight,
+                format,
+                contentType: FORMATS[format].contentType,
+                buffer: await image.toFormat(format, FORMATS[format].options).toBuffer()
+            });
+        }
+    }
+
+    return { width, height, palette, colorMatch: colorMatch(colors, palette), watermarked, variants };
+}
+
+// Uploads processed variants with the default storage driver and returns the Art fields for them:
+// { width, height, palette, colorMatch, watermarked, variants: [{ width, height, format, storage, url }] }
+async function storeProcessedImage(processed, { tags = [] } = {}) {
+    const variants = [];
+    for (const variant of processed.variants) {
+        const stored = await uploadImage(variant.buffer, {
+            contentType: variant.contentType,
+            folder: 'mood_art_generator/variants',
+            tags: [...tags, 'variant', `variant_${variant.format}`]
+        });
+        variants.push({
+            width: variant.width,
+            height: variant.height,
+            format: variant.format,
+            storage: { driver: stored.driver, key: stored.key },
+            url: stored.url
+        });
+    }
+    const { width, height, palette, colorMatch: match, watermarked } = processed;
+    return { width, height, palette, colorMatch: match, watermarked, variants };
+}
+
+// Deletes stored variants; failures are only logged, like other orphaned images
+async function deleteVariants(variants = []) {
+    for (const { storage } of variants) {
+        if (!storage || !storage.driver || !storage.key) continue;
+        try {
+            await getStorage(storage.driver).delete(storage.key);
+        } catch (err) {
+            console.warn(`Could not delete image variant ${storage.key}:`, err.message);
+        }
+    }
+}
+
+// Processes freshly generated image bytes and stores the variants. Returns the Art fields (see
+// storeProcessedImage), or {} when processing is disabled or fails: the piece still has its original,
+// so a processing problem never fails a generation.
+async function processGeneratedImage(buffer, { colors, watermark, tags } = {}) {
+    if (!settings().enabled) {
+        return {};
+    }
+    try {
+        return await storeProcessedImage(await processImage(buffer, { colors, watermark }), { tags });
+    } catch (err) {
+        console.warn('Image processing failed; the piece keeps only its original image:', err.message);
+        return {};
+    }
+}
+
+// Runs the pipeline again for a saved piece, from its stored original: after its visibility changed
+// (the watermark follows it) or for pieces made before the pipeline existed (see scripts/processImages.js).
+// The old variants are deleted once the new ones are saved. Returns the updated piece.
+async function reprocessArt(art) {
+    if (!art.storage || !art.storage.driver || !art.storage.key) {
+        throw new Error('The piece has no stored original to process.');
+    }
+    const { buffer } = await getStorage(art.storage.driver).download(art.storage.key);
+    const processed = await processImage(buffer, { colors: art.colors, watermark: shouldWatermark(art) });
+    const fields = await storeProcessedImage(processed, { tags: ['mood_art', art.mood.toLowerCase()] });
+
+    const oldVariants = art.toObject().variants || [];
+    art.set(fields);
+    await art.save();
+    await deleteVariants(oldVariants);
+    return art;
+}
+
+module.exports = {
+    COLOR_FAMILIES,
+    colorFamily,
+    toColorFamily,
+    shouldWatermark,
+    processImage,
+    storeProcessedImage,
+    deleteVariants,
+    processGeneratedImage,
+    reprocessArt
+};
@@ -0,0 +1,124 @@
+// services/imageProcessing/palette.js
+// Dominant colors of a rendered image, the color family each belongs to (what gallery color search
+// matches on), and how close the rendered colors came to the ones that were asked for.
+const sharp = require('sharp');
+const { hexToRgb, rgbToHex, resolveColor } = require('../artEngine/palettes');
+
+const SAMPLE_SIZE = 64; // The image is shrunk to at most this many pixels per side before counting
+const MIN_DISTANCE = 48; // Colors closer than this (RGB distance) count as one
+const MAX_DISTANCE = Math.sqrt(3 * 255 * 255);
+
+// Color families, in the order the hue ranges below are checked
+const COLOR_FAMILIES = ['black', 'white', 'gray', 'brown', 'red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink'];
+
+const distance = (a, b) => Math.sqrt((a.r - b.r) ** 2 + (a.g - b.g) ** 2 + (a.b - b.b) ** 2);
+
+// Hue (0-360), saturation and lightness (0-1) of an { r, g, b } color
+function toHsl({ r, g, b }) {
+    const [red, green, blue] = [r / 255, g / 255, b / 255];
+    const max = Math.max(red, green, blue);
+    const min = Math.min(red, green, blue);
+    const lightness = (max + min) / 2;
+    const delta = max - min;
+    if (delta === 0) {
+        return { hue: 0, saturation: 0, lightness };
+    }
+    const saturation = delta / (1 - Math.abs(2 * lightness - 1));
+    let hue;
+    if (max === red) hue = ((green - blue) / delta) % 6;
+    else if (max === green) hue = (blue - red) / delta + 2;
+    else hue = (red - green) / delta + 4;
+    return { hue: (hue * 60 + 360) % 360, saturation, lightness };
+}
+
+// The family of a hex color, e.g. '#1D4ED8' -> 'blue'. Returns null for anything that isn't a color.
+function colorFamily(hex) {
+    const rgb = hexToRgb(hex);
+    if (!rgb) return null;
+    const { hue, saturation, lightness } = toHsl(rgb);
+    if (lightness < 0.12) return 'black';
+    if (lightness > 0.92) return 'white';
+    if (saturation < 0.15) return lightness > 0.8 ? 'white' : 'gray';
+    if (hue < 45 && lightness < 0.35) return 'brown';
+    if (hue < 15 || hue >= 345) return 'red';
+    if (hue < 45) return 'orange';
+    if (hue < 70) return 'yellow';
+    if (hue < 165) return 'green';
+    if (hue < 195) return 'teal';
+    if (hue < 255) return 'blue';
+    if (hue < 290) return 'purple';
+    return 'pink';
+}
+
+// Resolves a color search term (a family such as 'blue', a color name such as 'navy', or hex) to a family
+function toColorFamily(term) {
+    const value = String(term).trim().toLowerCase();
+    return COLOR_FAMILIES.includes(value) ? value : colorFamily(resolveColor(value));
+}
+
+// The dominant colors of an image, most common first: [{ color: '#RRGGBB', family, share }], share being
+// the fraction of the pixels (0-1). Similar shades are merged so the palette shows distinct colors.
+async function extractPalette(buffer, { size = 5 } = {}) {
+    const { data, info } = await sharp(buffer)
+        .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside' })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    // Count the pixels per 4-bit-per-channel bucket, keeping the sums for the bucket's average color
+    const buckets = new Map();
+    const pixels = data.length / info.channels;
+    for (let i = 0; i < data.length; i += info.channels) {
+        const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+        const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+        const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+        bucket.count++;
+        bucket.r += r;
+        bucket.g += g;
+        bucket.b += b;
+        buckets.set(key, bucket);
+    }
+
+    // Biggest buckets first; a bucket close to one already picked adds its pixels to it
+    const picked = [];
+    [...buckets.values()]
+        .sort((a, b) => b.count - a.count)
+        .forEach(bucket => {
+            const rgb = { r: bucket.r / bucket.count, g: bucket.g / bucket.count, b: bucket.b / bucket.count };
+            const near = picked.find(entry => distance(entry.rgb, rgb) < MIN_DISTANCE);
+            if (near) {
+                near.count += bucket.count;
+            } else {
+                picked.push({ rgb, count: bucket.count });
+            }
+        });
+
+    return picked
+        .sort((a, b) => b.count - a.count)
+        .slice(0, size)
+        .map(({ rgb, count }) => {
+            const color = rgbToHex(rgb);
+            return { color, family: colorFamily(color), share: Math.round((count / pixels) * 1000) / 1000 };
+        });
+}
+
+// How close the rendered palette came to the requested colors (names or hex), from 0 to 1: for each
+// requested color the similarity of the nearest palette color, averaged. null when no requested color
+// can be resolved (or nothing was asked for).
+function colorMatch(requested, palette) {
+    const wanted = (requested || []).map(resolveColor).filter(Boolean).map(hexToRgb);
+    if (wanted.length === 0 || palette.length === 0) {
+        return null;
+    }
+    const rendered = palette.map(({ color }) => hexToRgb(color));
+    const similarities = wanted.map(rgb => 1 - Math.min(...rendered.map(other => distance(rgb, other))) / MAX_DISTANCE);
+    return Math.round((similarities.reduce((sum, value) => sum + value, 0) / similarities.length) * 100) / 100;
+}
+
+module.exports = {
+    COLOR_FAMILIES,
+    colorFamily,
+    toColorFamily,
+    extractPalette,
+    colorMatch
+};
@@ -0,0 +1,23 @@
+// services/imageProcessing/watermark.js
+// Text watermark for the variants of public pieces: small, semi-transparent, in the bottom right corner.
+
+const escapeXml = text => String(text).replace(/[<>&'"]/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '\'': '&apos;', '"': '&quot;' }[ch]));
+
+// SVG overlay with the watermark text for an image of width x height, to composite on top of it
+function watermarkOverlay(text, width, height) {
+    const fontSize = Math.max(10, Math.round(width / 32));
+    const margin = Math.round(fontSize * 0.8);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+        + `<text x="${width - margin}" y="${height - margin}" text-anchor="end" font-family="sans-serif" font-size="${fontSize}" `
+        + 'fill="#FFFFFF" fill-opacity="0.7" stroke="#000000" stroke-opacity="0.35" stroke-width="1">'
+        + `${escapeXml(text)}</text></svg>`;
+    return Buffer.from(svg);
+}
+
+// Adds the watermark to a sharp pipeline (already resized to width x height)
+const applyWatermark = (image, text, width, height) => image.composite([{ input: watermarkOverlay(text, width, height), top: 0, left: 0 }]);
+
+module.exports = {
+    watermarkOverlay,
+    applyWatermark
+};
@@ -0,0 +1,295 @@
+// services/insights.js
+// Mood insights for one user, computed with aggregation pipelines over their art pieces
+// (their own and the ones they collaborated on): mood distribution per window, a daily/weekly
+// time series, activity streaks, favorite styles and colors, and mood transitions.
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { QueryError } = require('./pagination');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOWS = ['7d', '30d', 'all'];
+const MAX_WINDOWS = 5;
+const TOP_LIMIT = 5;
+
+// Parses a window such as '7d', '12w', '6m' or 'all' into a start date (null for 'all')
+function windowStart(window, now) {
+    if (window === 'all') return null;
+    const match = /^(\d{1,4})([dwmy])$/.exec(window);
+    if (!match) {
+        throw new QueryError(`Invalid window "${window}". Use e.g. 7d, 4w, 6m, 1y or all.`);
+    }
+    const days = { d: 1, w: 7, m: 30, y: 365 }[match[2]] * Number(match[1]);
+    return new Date(now.getTime() - days * DAY_MS);
+}
+
+function parseDate(value, name) {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw new QueryError(`${name} must be a valid date (e.g., 2025-01-31).`);
+    }
+    return date;
+}
+
+// Validates an IANA time zone name such as 'Europe/Berlin' (used to decide where a day starts)
+function parseTimeZone(value) {
+    if (!value) return 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: value });
+        return value;
+    } catch (err) {
+        throw new QueryError(`Unknown time zone "${value}".`);
+    }
+}
+
+// Parses the insights query parameters:
+// - windows: comma-separated distribution windows (default 7d,30d,all)
+// - from, to: date range for the time series, streak history, favorites and transitions (default: last 90 days)
+// - interval: 'day' (default) or 'week' buckets for the time series
+// - tz: IANA time zone for day/week boundaries (default UTC)
+function parseInsightsQuery(query = {}, now = new Date()) {
+    const windows = query.windows ? String(query.windows).split(',').map(w => w.trim()).filter(Boolean) : DEFAULT_WINDOWS;
+    if (windows.length === 0 || windows.length > MAX_WINDOWS) {
+        throw new QueryError(`Ask for between 1 and ${MAX_WINDOWS} windows.`);
+    }
+    windows.forEach(window => windowStart(window, now)); // Validates each window
+
+    const interval = query.interval || 'day';
+    if (!['day', 'week'].includes(interval)) {
+        throw new QueryError('interval must be "day" or "week".');
+    }
+
+    const to = query.to ? parseDate(query.to, 'to') : now;
+    const from = query.from ? parseDate(query.from, 'from') : new Date(to.getTime() - 90 * DAY_MS);
+    if (from > to) {
+        throw new QueryError('from must be before to.');
+    }
+    return { windows, interval, from, to, timeZone: parseTimeZone(query.tz), now };
+}
+
+// The user's pieces (aggregation pipelines don't cast ids, so the ObjectId is built here)
+const userMatch = userId => {
+    const id = new mongoose.Types.ObjectId(String(userId));
+    return { $or: [{ userId: id }, { collaborators: id }] };
+};
+
+// Stage that unwinds a piece into one document per mood of its blend ({ blend: { mood, weight } });
+// pieces saved before weighted moods count fully towards their single mood
+const unwindBlend = [
+    {
+        $set: {
+            blend: {
+                $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$moods', []] } }, 0] },
+                    '$moods',
+                    [{ mood: '$mood', weight: 1 }]
+                ]
+            }
+        }
+    },
+    { $unwind: '$blend' }
+];
+
+// Mood distribution per window: for every mood, the number of pieces where it is dominant and its
+// summed blend weight. Returns { [window]: { total, moods: [{ mood, count, weight, share }] } }.
+async function moodDistribution(userId, { windows, now }) {
+    const facets = Object.fromEntries(windows.map(window => {
+        const start = windowStart(window, now);
+        const match = start ? [{ $match: { createdAt: { $gte: start, $lte: now } } }] : [{ $match: { createdAt: { $lte: now } } }];
+        return [window, [
+            ...match,
+            ...unwindBlend,
+            {
+                $group: {
+                    _id: '$blend.mood',
+                    weight: { $sum: '$blend.weight' },
+                    count: { $sum: { $cond: [{ $eq: ['$blend.mood', '$mood'] }, 1, 0] } }
+                }
+            },
+            { $sort: { weight: -1, _id: 1 } }
+        ]];
+    }));
+
+    const [result] = await Art.aggregate([{ $match: userMatch(userId) }, { $facet: facets }]);
+    return Object.fromEntries(windows.map(window => {
+        const rows = result[window];
+        const totalWeight = rows.reduce((sum, row) => sum + row.weight, 0);
+        return [window, {
+            total: Math.round(totalWeight), // Each piece's blend sums to 1, so this is the number of pieces
+            moods: rows.map(row => ({
+                mood: row._id,
+                count: row.count,
+                weight: Math.round(row.weight * 1000) / 1000,
+                share: totalWeight > 0 ? Math.round((row.weight / totalWeight) * 1000) / 1000 : 0
+            }))
+        }];
+    }));
+}
+
+// Time series of pieces per day or week, by dominant mood: [{ period, total, moods: { Happy: 2, ... } }]
+async function timeSeries(userId, { from, to, interval, timeZone }) {
+    const rows = await Art.aggregate([
+        { $match: { ...userMatch(userId), createdAt: { $gte: from, $lte: to } } },
+        {
+            $group: {
+                _id: {
+                    period: { $dateTrunc: { date: '$createdAt', unit: interval, timezone: timeZone, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) } },
+                    mood: '$mood'
+                },
+                count: { $sum: 1 }
+            }
+        },
+        {
+            $group: {
+                _id: '$_id.period',
+                total: { $sum: '$count' },
+                moods: { $push: { k: '$_id.mood', v: '$count' } }
+            }
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, period: '$_id', total: 1, moods: { $arrayToObject: '$moods' } } }
+    ]);
+    return rows;
+}
+
+// Activity streaks: consecutive days (in the user's time zone) with at least one piece.
+// Returns { current, longest, longestStart, longestEnd, lastActiveDay, activeDays }.
+async function streaks(userId, { timeZone, now }) {
+    const days = await Art.aggregate([
+        { $match: { ...userMatch(userId), createdAt: { $lte: now } } },
+        { $group: { _id: { $dateToString: { date: '$createdAt', format: '%Y-%m-%d', timezone: timeZone } } } },
+        { $sort: { _id: 1 } }
+    ]);
+
+    const dayNumber = day => Math.round(Date.parse(`${day}T00:00:00Z`) / DAY_MS);
+    let longest = { length: 0, start: null, end: null };
+    let run = { length: 0, start: null, end: null };
+    let previous = null;
+    days.forEach(({ _id: day }) => {
+        run = previous !== null && dayNumber(day) === previous + 1
+            ? { length: run.length + 1, start: run.start, end: day }
+            : { length: 1, start: day, end: day };
+        if (run.length > longest.length) longest = run;
+        previous = dayNumber(day);
+    });
+
+    // The current streak is still alive if the last active day is today or yesterday
+    const today = new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(now);
+    const alive = run.end !== null && dayNumber(today) - dayNumber(run.end) <= 1;
+    return {
+        current: alive ? run.length : 0,
+        longest: longest.length,
+        longestStart: longest.start,
+        longestEnd: longest.end,
+        lastActiveDay: run.end,
+        activeDays: days.length
+    };
+}
+
+// Most used styles and colors in the range: { styles: [{ style, count }], colors: [{ color, count }] }
+async function favorites(userId, { from, to }) {
+    const [result] = await Art.aggregate([
+        { $match: { ...userMatch(userId), createdAt: { $gte: from, $lte: to } } },
+        {
+            $facet: {
+                styles: [
+                    { $group: { _id: { $ifNull: ['$style', 'Abstract'] }, count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: TOP_LIMIT },
+                    { $project: { _id: 0, style: '$_id', count: 1 } }
+                ],
+                colors: [
+                    { $unwind: '$colors' },
+                    { $group: { _id: { $toLower: { $trim: { input: '$colors' } } }, count: { $sum: 1 } } },
+                    { $sort: { count: -1, _id: 1 } },
+                    { $limit: TOP_LIMIT },
+                    { $project: { _id: 0, color: '$_id', count: 1 } }
+                ]
+            }
+        }
+    ]);
+    return result;
+}
+
+// Mood transitions: how often each dominant mood is followed by each other mood in the next piece.
+// Returns { [from]: { total, next: [{ mood, count, probability }] } }, e.g. what usually follows Sad.
+async function moodTransitions(userId, { from, to }) {
+    const rows = await Art.aggregate([
+        { $match: { ...userMatch(userId), createdAt: { $gte: from, $lte: to } } },
+        {
+            $setWindowFields: {
+                sortBy: { createdAt: 1 },
+                output: { nextMood: { $shift: { output: '$mood', by: 1 } } }
+            }
+        },
+        { $match: { nextMood: { $ne: null } } },
+        { $group: { _id: { from: '$mood', to: '$nextMood' }, count: { $sum: 1 } } },
+        { $sort: { count: -1, '_id.to': 1 } },
+        {
+            $group: {
+                _id: '$_id.from',
+                total: { $sum: '$count' },
+                next: { $push: { mood: '$_id.to', count: '$count' } }
+            }
+        },
+        { $sort: { _id: 1 } }
+    ]);
+    return Object.fromEntries(rows.map(row => [row._id, {
+        total: row.total,
+        next: row.next.map(({ mood, count }) => ({ mood, count, probability: Math.round((count / row.total) * 1000) / 1000 }))
+    }]));
+}
+
+// Computes all insights for the user. query: see parseInsightsQuery.
+async function getInsights(userId, query) {
+    const options = parseInsightsQuery(query);
+    const [distribution, series, streak, favorite, transitions] = await Promise.all([
+        moodDistribution(userId, options),
+        timeSeries(userId, options),
+        streaks(userId, options),
+        favorites(userId, options),
+        moodTransitions(userId, options)
+    ]);
+    return {
+        range: { from: options.from, to: options.to, interval: options.interval, timeZone: options.timeZone },
+        distribution,
+        timeSeries: series,
+        streaks: streak,
+        favorites: favorite,
+        transitions
+    };
+}
+
+// Cursor over the user's pieces in the range, oldest first, for exports. Rows are
+// { id, createdAt, mood, moods, style, colors, prompt, rating, collaborative }.
+function exportCursor(userId, query = {}) {
+    const filter = userMatch(userId);
+    const createdAt = {};
+    if (query.from) createdAt.$gte = parseDate(query.from, 'from');
+    if (query.to) createdAt.$lte = parseDate(query.to, 'to');
+    if (Object.keys(createdAt).length > 0) filter.createdAt = createdAt;
+
+    return Art.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: 1, _id: 1 } },
+        {
+            $project: {
+                _id: 0,
+                id: { $toString: '$_id' },
+                createdAt: 1,
+                mood: 1,
+                moods: { $arrayToObject: { $map: { input: { $ifNull: ['$moods', []] }, as: 'm', in: { k: '$$m.mood', v: '$$m.weight' } } } },
+                style: 1,
+                colors: 1,
+                prompt: 1,
+                rating: { $ifNull: ['$rating.average', 0] },
+                collaborative: { $gt: [{ $size: { $ifNull: ['$collaborators', []] } }, 1] }
+            }
+        }
+    ]).cursor({ batchSize: 200 });
+}
+
+module.exports = {
+    parseInsightsQuery,
+    getInsights,
+    exportCursor
+};
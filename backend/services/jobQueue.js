@@ -0,0 +1,142 @@
+// services/jobQueue.js
+// In-process queue that runs art generation (and export) jobs in the background.
+// Job state lives in MongoDB (models/Job.js); progress updates are also published on `jobEvents`
+// so the Server-Sent Events endpoint can push them to clients as they happen.
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+
+const CONCURRENCY = Number(process.env.JOB_CONCURRENCY || 2); // Jobs processed at the same time
+const MAX_ATTEMPTS = Number(process.env.JOB_MAX_ATTEMPTS || 3); // Tries per job before it fails for good
+const RETRY_BASE_DELAY_MS = Number(process.env.JOB_RETRY_DELAY_MS || 2000); // Doubles with every retry
+
+// Emits `job:<id>` with the job's client representation (plus `art` once done) on every change
+const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0); // One listener per open SSE connection
+
+const handlers = {};
+const pending = []; // Job ids waiting for a free worker
+let running = 0;
+
+// Registers the function that processes jobs of a given type.
+// handler(job, reportProgress, recordResult) must resolve to the created document (an Art piece by default);
+// reportProgress(state, progress) moves the job to 'generating' or 'uploading', and recordResult(document)
+// stores the document's id on the job. Handlers call it right before saving the document.
+// Options: resultField, the Job field that stores the document's id ('artId'), eventKey, the key the
+// document is sent under in the final job event ('art'), and findResult(id), which loads a recorded
+// document. With it, a job resumed after the server stopped between saving its document and finishing
+// is completed with that document instead of producing a second one.
+function registerJobHandler(type, handler, { resultField = 'artId', eventKey = 'art', findResult = null } = {}) {
+    handlers[type] = { handler, resultField, eventKey, findResult };
+}
+
+// Saves a job update and notifies listeners
+async function updateJob(job, changes, extra = {}) {
+    Object.assign(job, changes);
+    await job.save();
+    jobEvents.emit(`job:${job.id}`, { ...job.toClient(), ...extra });
+}
+
+async function runJob(jobId) {
+    const job = await Job.findById(jobId);
+    if (!job || job.state === 'done' || job.state === 'failed') {
+        return;
+    }
+    const registration = handlers[job.type];
+    if (!registration) {
+        await updateJob(job, { state: 'failed', error: `No handler registered for job type "${job.type}".`, finishedAt: new Date() });
+        return;
+    }
+
+    const { handler, resultField, eventKey, findResult } = registration;
+    const saved = job[resultField] && findResult ? await findResult(job[resultField]) : null;
+    if (saved) {
+        await updateJob(job, { state: 'done', progress: 100, finishedAt: new Date() }, { [eventKey]: saved });
+        return;
+    }
+
+    await updateJob(job, { state: 'generating', progress: 10, attempts: job.attempts + 1, startedAt: job.startedAt || new Date(), error: null });
+
+    try {
+        const recordResult = async (document) => {
+            job[resultField] = document._id;
+            await job.save();
+        };
+        const result = await handler(job, (state, progress) => updateJob(job, { state, progress }), recordResult);
+        await updateJob(job, { state: 'done', progress: 100, [resultField]: result._id, finishedAt: new Date() }, { [eventKey]: result });
+    } catch (err) {
+        console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}:`, err.message);
+        // Temporary problems (rate limits, provider outages) are retried with exponential backoff
+        if (err.retryable && job.attempts < job.maxAttempts) {
+            const delay = RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1);
+            await updateJob(job, { state: 'queued', progress: 0, error: err.message });
+            setTimeout(() => schedule(job.id), delay);
+            return;
+        }
+        await updateJob(job, { state: 'failed', error: err.message || 'Art generation failed.', finishedAt: new Date() });
+    }
+}
+
+// Starts queued jobs while there are free workers
+function drain() {
+    while (running < CONCURRENCY && pending.length > 0) {
+        const jobId = pending.shift();
+        running++;
+        runJob(jobId)
+            .catch(err => console.error(`Job ${jobId} could not be processed:`, err.message))
+            .finally(() => {
+                running--;
+                drain();
+            });
+    }
+}
+
+function schedule(jobId) {
+    pending.push(jobId);
+    drain();
+}
+
+// Error for a request whose Idempotency-Key is taken by a job created at the same moment
+class IdempotencyConflictError extends Error {
+    constructor(message = 'A request with this Idempotency-Key is already being processed. Retry it shortly.') {
+        super(message);
+        this.name = 'IdempotencyConflictError';
+        this.status = 409;
+    }
+}
+
+// Creates a job and queues it. Returns the saved Job document.
+// idempotency ({ key, requestHash }, see middleware/idempotency.js) makes the key unique: a concurrent
+// request with the same key gets an IdempotencyConflictError instead of a second job.
+async function enqueueJob(type, params, { userId = null, idempotency } = {}) {
+    if (!handlers[type]) {
+        throw new Error(`Unknown job type "${type}".`);
+    }
+    let job;
+    try {
+        job = await Job.create({ type, params, userId, maxAttempts: MAX_ATTEMPTS, ...(idempotency && { idempotency }) });
+    } catch (err) {
+        if (err.code === 11000 && idempotency) {
+            throw new IdempotencyConflictError();
+        }
+        throw err;
+    }
+    schedule(job.id);
+    return job;
+}
+
+// Re-queues jobs that were still in progress when the server stopped. Call once after MongoDB connects.
+async function resumePendingJobs() {
+    const unfinished = await Job.find({ state: { $in: ['queued', 'generating', 'uploading'] } }).sort({ createdAt: 1 });
+    unfinished.forEach(job => schedule(job.id));
+    if (unfinished.length > 0) {
+        console.log(`Resumed ${unfinished.length} unfinished art generation job(s).`);
+    }
+}
+
+module.exports = {
+    IdempotencyConflictError,
+    jobEvents,
+    registerJobHandler,
+    enqueueJob,
+    resumePendingJobs
+};
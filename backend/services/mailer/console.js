@@ -0,0 +1,23 @@
+// services/mailer/console.js
+// Mail transport for local development: prints every email to the server log instead of sending it.
+const crypto = require('crypto');
+
+module.exports = function createConsoleTransport() {
+    return {
+        name: 'console',
+
+        async send({ from, to, subject, text }) {
+            const id = crypto.randomUUID();
+            console.log([
+                '--- Outgoing email (console transport) ---',
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                '',
+                text,
+                '------------------------------------------'
+            ].join('\n'));
+            return { id };
+        }
+    };
+};
@@ -0,0 +1,45 @@
+// services/mailer/file.js
+// Mail transport for local development and manual testing: writes every email as an .eml file
+// into MAIL_FILE_DIR (default: backend/mail-outbox) so it can be opened in a mail client.
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+module.exports = function createFileTransport() {
+    const directory = path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '..', '..', 'mail-outbox'));
+
+    return {
+        name: 'file',
+
+        async send({ from, to, subject, text, html }) {
+            const id = crypto.randomUUID();
+            const headers = [
+                `Message-ID: <${id}@mood-art-generator>`,
+                `Date: ${new Date().toUTCString()}`,
+                `From: ${from}`,
+                `To: ${to}`,
+                `Subject: ${subject}`,
+                'MIME-Version: 1.0'
+            ];
+
+            let body;
+            if (html) {
+                const boundary = `boundary-${id}`;
+                headers.push(`Content-Type: multipart/alternative; boundary="${boundary}"`);
+                body = [
+                    `--${boundary}`, 'Content-Type: text/plain; charset=utf-8', '', text || '',
+                    `--${boundary}`, 'Content-Type: text/html; charset=utf-8', '', html,
+                    `--${boundary}--`
+                ].join('\r\n');
+            } else {
+                headers.push('Content-Type: text/plain; charset=utf-8');
+                body = text || '';
+            }
+
+            await fs.mkdir(directory, { recursive: true });
+            const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${id}.eml`;
+            await fs.writeFile(path.join(directory, fileName), `${headers.join('\r\n')}\r\n\r\n${body}\r\n`);
+            return { id };
+        }
+    };
+};
@@ -0,0 +1,71 @@
+// services/mailer/index.js
+// Outgoing email. Every transport exposes the same interface:
+//   name: string
+//   send({ from, to, subject, text, html }) -> Promise<{ id }>
+// MAIL_TRANSPORT picks the transport ('console' by default, except in production where it must be set).
+// Production setups register their own transport (e.g., an SMTP or email API client) with
+// registerTransport before the server starts.
+const createConsoleTransport = require('./console');
+const createFileTransport = require('./file');
+
+const factories = {
+    console: createConsoleTransport,
+    file: createFileTransport
+};
+
+// Transport instances are created lazily (so .env is loaded first) and cached.
+const instances = new Map();
+
+// Registers a mail transport (object or factory) under a name
+function registerTransport(name, transportOrFactory) {
+    if (typeof transportOrFactory === 'function') {
+        factories[name] = transportOrFactory;
+        instances.delete(name);
+    } else {
+        instances.set(name, transportOrFactory);
+    }
+}
+
+// Throws when mail would silently go to the console: NODE_ENV=production without MAIL_TRANSPORT.
+// The server checks this at startup.
+function checkMailConfig() {
+    if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+        throw new Error('MAIL_TRANSPORT must be set in production (emails would only be logged to the console).');
+    }
+}
+
+// Returns the transport for a name, or the one selected by MAIL_TRANSPORT
+function getTransport(name) {
+    if (!name) {
+        checkMailConfig();
+    }
+    const transportName = name || process.env.MAIL_TRANSPORT || 'console';
+    if (!instances.has(transportName)) {
+        if (!factories[transportName]) {
+            throw new Error(`Unknown mail transport "${transportName}". Available transports: ${Object.keys(factories).join(', ')}.`);
+        }
+        instances.set(transportName, factories[transportName]());
+    }
+    return instances.get(transportName);
+}
+
+// Sends an email through the configured transport. Returns { id }.
+async function sendMail({ to, subject, text, html }) {
+    const from = process.env.MAIL_FROM || 'Mood Art Generator <no-reply@localhost>';
+    return getTransport().send({ from, to, subject, text, html });
+}
+
+// Builds a link into the frontend app (APP_URL) for emails, e.g. appLink('/reset-password', { token })
+function appLink(pathname, params = {}) {
+    const base = (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    const query = new URLSearchParams(params).toString();
+    return `${base}${pathname}${query ? `?${query}` : ''}`;
+}
+
+module.exports = {
+    checkMailConfig,
+    registerTransport,
+    getTransport,
+    sendMail,
+    appLink
+};
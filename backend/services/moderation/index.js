@@ -0,0 +1,243 @@
+// services/moderation/index.js
+// Moderation layer for everything that ends up in a prompt sent to an art provider:
+// - limits: length of the Mood Diary text and the other fields, and no control or invisible characters
+// - a blocklist of terms (MODERATION_BLOCKLIST, comma-separated) plus rules (terms and regular
+//   expressions) that admins edit at runtime (models/ModerationRule.js, /api/moderation/rules)
+// - personal data is scrubbed from the diary text before it leaves the server (see pii.js)
+// Rejected prompts are logged for review (models/ModerationLog.js) and answered with a 422.
+const ModerationRule = require('../../models/ModerationRule');
+const ModerationLog = require('../../models/ModerationLog');
+const { scrubPii } = require('./pii');
+
+const MAX_PROMPT_LENGTH = Number(process.env.MODERATION_MAX_PROMPT_LENGTH || 1000); // Mood Diary text
+const MAX_FIELD_LENGTH = 100; // Each term, style and color
+const MAX_COLORS = 10;
+const RULES_CACHE_MS = Number(process.env.MODERATION_RULES_CACHE_MS || 30000); // How long loaded rules are reused
+
+const FIELDS = ['prompt', 'terms', 'negativePrompt', 'style', 'colors'];
+const FIELD_LABELS = {
+    prompt: 'Mood Diary text',
+    terms: 'prompt terms',
+    negativePrompt: 'negative prompt',
+    style: 'style',
+    colors: 'colors',
+    finalPrompt: 'prompt'
+};
+// Control characters (other than tabs and line breaks), invisible formatting characters
+// (zero-width spaces, bidi overrides) and private-use characters
+const FORBIDDEN_CHARACTERS = /[^\P{Cc}\t\n\r]|[\p{Cf}\p{Co}]/u;
+
+// Error for a rejected prompt; routes turn it into a 422 with toResponse()
+class ModerationError extends Error {
+    constructor(message, { rule, field, matched } = {}) {
+        super(message);
+        this.name = 'ModerationError';
+        this.status = 422;
+        this.rule = rule;
+        this.field = field;
+        this.matched = matched;
+    }
+
+    toResponse() {
+        return {
+            msg: this.message,
+            code: 'prompt_rejected',
+            rule: this.rule,
+            field: this.field,
+            matched: this.matched
+        };
+    }
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Whole-word, case-insensitive matcher for a blocked term ('hate' doesn't match 'whatever')
+const termPattern = term => new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(term.trim()).replace(/\s+/g, '\\s+')}(?![\\p{L}\\p{N}])`, 'iu');
+
+// Compiles a rule document (or a built-in rule) into { id, type, name, message, fields, regex }
+function compileRule({ id, type, name, value, caseSensitive, message, fields }) {
+    return {
+        id: String(id),
+        type,
+        name,
+        message: message || '',
+        fields: fields || [],
+        regex: type === 'term' ? termPattern(value) : new RegExp(value, caseSensitive ? 'u' : 'iu')
+    };
+}
+
+// Terms from MODERATION_BLOCKLIST, as built-in rules
+function blocklistRules() {
+    return (process.env.MODERATION_BLOCKLIST || '').split(',').map(term => term.trim()).filter(Boolean)
+        .map(term => compileRule({ id: 'blocklist', type: 'term', name: 'blocklist', value: term }));
+}
+
+let cache = { rules: null, loadedAt: 0 };
+
+// The enabled rules (built-in blocklist first), loaded from MongoDB at most every RULES_CACHE_MS.
+// When the database can't be reached, the last loaded rules stay in use.
+async function loadRules() {
+    if (cache.rules && Date.now() - cache.loadedAt < RULES_CACHE_MS) {
+        return cache.rules;
+    }
+    try {
+        const stored = await ModerationRule.find({ enabled: true }).sort({ createdAt: 1 }).lean();
+        const rules = [...blocklistRules()];
+        stored.forEach(rule => {
+            try {
+                rules.push(compileRule({ ...rule, id: rule._id }));
+            } catch (err) {
+                console.warn(`Skipping moderation rule ${rule._id} (${rule.name}):`, err.message);
+            }
+        });
+        cache = { rules, loadedAt: Date.now() };
+    } catch (err) {
+        console.error('Could not load moderation rules:', err.message);
+        if (!cache.rules) return blocklistRules();
+    }
+    return cache.rules;
+}
+
+// Makes the next check reload the rules (called after admins change them)
+function invalidateRules() {
+    cache = { rules: null, loadedAt: 0 };
+}
+
+// Lists the text fields of generation params as [[field, text]]. terms may be strings or { term, weight };
+// negativePrompt and colors may be strings or lists.
+function textFields(params) {
+    const entries = [];
+    const add = (field, value) => {
+        if (typeof value === 'string' && value !== '') entries.push([field, value]);
+    };
+    const list = value => (Array.isArray(value) ? value : typeof value === 'string' ? value.split(',') : []);
+    add('prompt', params.prompt);
+    list(params.terms).forEach(term => add('terms', term && typeof term === 'object' ? term.term : term));
+    list(params.negativePrompt).forEach(term => add('negativePrompt', term));
+    add('style', params.style);
+    list(params.colors).forEach(color => add('colors', color));
+    return entries;
+}
+
+// Length and character limits of one field. Returns a violation or null.
+function checkLimits(field, text) {
+    const max = field === 'prompt' ? MAX_PROMPT_LENGTH : MAX_FIELD_LENGTH;
+    if (text.length > max) {
+        return {
+            rule: { id: 'max-length', type: 'length', name: 'max-length' },
+            message: field === 'prompt'
+                ? `Mood Diary text must be at most ${max} characters.`
+                : `Each entry of your ${FIELD_LABELS[field]} must be at most ${max} characters.`
+        };
+    }
+    const forbidden = FORBIDDEN_CHARACTERS.exec(text);
+    if (forbidden) {
+        return {
+            rule: { id: 'characters', type: 'characters', name: 'characters' },
+            message: `A control or invisible character (U+${forbidden[0].codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}) was found in your ${FIELD_LABELS[field]}.`
+        };
+    }
+    return null;
+}
+
+// The first rule that matches the text of a field, as a violation, or null
+function checkRules(rules, field, text) {
+    const normalized = text.normalize('NFKC'); // Full-width and styled letters match their plain forms
+    for (const rule of rules) {
+        if (rule.fields.length > 0 && field !== 'finalPrompt' && !rule.fields.includes(field)) continue;
+        const match = rule.regex.exec(normalized);
+        if (match) {
+            return {
+                rule: { id: rule.id, type: rule.type, name: rule.name },
+                matched: match[0],
+                message: rule.message || `Content that is not allowed was found in your ${FIELD_LABELS[field]} (rule "${rule.name}").`
+            };
+        }
+    }
+    return null;
+}
+
+// Checks generation params ({ prompt, terms, negativePrompt, style, colors }) without logging anything.
+// Returns { violation, field, text } for the first problem found, or null when everything is allowed.
+async function checkArtParams(params) {
+    const fields = textFields(params);
+    if (Array.isArray(params.colors) && params.colors.length > MAX_COLORS) {
+        return {
+            field: 'colors',
+            text: params.colors.join(', '),
+            violation: { rule: { id: 'max-length', type: 'length', name: 'max-length' }, message: `At most ${MAX_COLORS} colors are allowed.` }
+        };
+    }
+    for (const [field, text] of fields) {
+        const violation = checkLimits(field, text);
+        if (violation) return { field, text, violation };
+    }
+    const rules = await loadRules();
+    for (const [field, text] of fields) {
+        const violation = checkRules(rules, field, text);
+        if (violation) return { field, text, violation };
+    }
+    return null;
+}
+
+// Records a rejection for review and returns the ModerationError to throw.
+// Logging problems are only reported, so a rejection is never turned into a 500.
+async function reject({ field, text, violation }, context = {}) {
+    try {
+        await ModerationLog.create({
+            userId: context.userId || null,
+            ip: context.ip,
+            source: context.source || '',
+            field,
+            text: scrubPii(String(text)).text.slice(0, 2000),
+            rule: violation.rule,
+            matched: violation.matched ? scrubPii(violation.matched).text.slice(0, 200) : undefined
+        });
+    } catch (err) {
+        console.error('Could not log a moderation rejection:', err.message);
+    }
+    return new ModerationError(violation.message, { rule: violation.rule, field, matched: violation.matched });
+}
+
+// Moderates the params of a generation request before it is queued. Throws a ModerationError
+// (logged for review) when something is not allowed.
+// context: { userId, ip, source } for the log (see moderationContext).
+async function moderateArtParams(params, context) {
+    const problem = await checkArtParams(params);
+    if (problem) {
+        throw await reject(problem, context);
+    }
+}
+
+// Last check right before a prompt is sent to a provider: the final prompt against the current
+// rules (which may have changed since the job was queued). Throws a ModerationError.
+async function moderateFinalPrompt(prompt, context) {
+    const violation = checkRules(await loadRules(), 'finalPrompt', prompt);
+    if (violation) {
+        throw await reject({ field: 'finalPrompt', text: prompt, violation }, context);
+    }
+}
+
+// Log context of a request
+const moderationContext = (req, source) => ({ userId: req.user ? req.user.id : null, ip: req.ip, source });
+
+// Built-in limits, for the admin rule listing
+const moderationLimits = () => ({
+    maxPromptLength: MAX_PROMPT_LENGTH,
+    maxFieldLength: MAX_FIELD_LENGTH,
+    maxColors: MAX_COLORS,
+    blocklistTerms: blocklistRules().length,
+    fields: FIELDS
+});
+
+module.exports = {
+    FIELDS,
+    ModerationError,
+    scrubPii,
+    checkArtParams,
+    moderateArtParams,
+    moderateFinalPrompt,
+    moderationContext,
+    moderationLimits,
+    invalidateRules
+};
@@ -0,0 +1,70 @@
+// services/moderation/pii.js
+// Replaces personal data in Mood Diary text before it is sent to an art provider: email addresses,
+// payment card numbers, phone numbers and street addresses.
+// The saved Art record keeps the diary text as written; only what leaves the server is scrubbed.
+
+const EMAIL = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+// Card numbers: 13-19 digits, optionally in groups separated by spaces or dashes (checked with Luhn below)
+const CARD = /(?<![\d+])\d(?:[ -]?\d){12,18}(?!\d)/g;
+// Phone numbers need a phone-like shape: a country code ('+44 20 7946 0958'), an area code in
+// parentheses ('(555) 123-4567') or digit groups joined by separators ('555-123-4567', '030 1234 5678').
+// A bare run of digits ('scored 1234567') is not a phone number. Only 7-15 digits count, and dates
+// are left alone.
+const PHONE = /(?<![\w+])(?:\+\d{1,3}[\s.-]?(?:\(\d{1,4}\)[\s.-]?)?\d{1,5}(?:[\s.-]?\d{1,5}){0,5}|\(\d{1,4}\)[\s.-]?\d{1,5}(?:[\s.-]?\d{1,5}){0,5}|\d{2,5}(?:[\s.-]\d{2,5}){1,5})(?!\w)/g;
+const DATE = /^(?:\d{4}[.-]\d{1,2}[.-]\d{1,2}|\d{1,2}[.-]\d{1,2}[.-](?:\d{2}|\d{4}))$/;
+
+// Street suffixes, matched capitalized or lowercase ('Main Street', 'Elm st.')
+const STREET_SUFFIXES = ['street', 'st', 'avenue', 'ave', 'road', 'rd', 'boulevard', 'blvd', 'lane', 'ln', 'drive', 'dr',
+    'court', 'ct', 'way', 'place', 'pl', 'terrace', 'circle', 'highway', 'hwy', 'square', 'sq'];
+const suffixGroup = STREET_SUFFIXES.map(s => `[${s[0].toUpperCase()}${s[0]}]${s.slice(1)}`).join('|');
+// '221B Baker Street', '12 North Elm Ave., Apt 4' (the street name must be capitalized, so
+// '5 miles down the road' is not an address)
+const STREET_ADDRESS = new RegExp(
+    `\\b\\d{1,5}[A-Za-z]?\\s+(?:[A-Z][A-Za-z'-]*\\.?\\s+){1,3}(?:${suffixGroup})\\b\\.?(?:,?\\s+(?:[Aa]pt|[Aa]partment|[Ss]uite|[Uu]nit|#)\\.?\\s*[\\w-]+)?`,
+    'g'
+);
+// German-style addresses with the number after the street: 'Hauptstraße 5', 'Am Lindenweg 12a'
+const STREET_ADDRESS_NUMBER_LAST = /\b[A-ZÄÖÜ][\wäöüß-]*(?:straße|strasse|str\.|weg|gasse|platz|allee|ring)\s+\d{1,5}[a-z]?\b/g;
+
+const digitsOf = text => text.replace(/\D/g, '');
+
+// Luhn checksum of a digit string, as used by payment card numbers
+function passesLuhn(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+}
+
+// Scrubs personal data from text, replacing each match with a placeholder ('[email]', '[card]',
+// '[phone]', '[address]') so the sentence still reads. Returns { text, found } where found lists the
+// kinds replaced (e.g., ['email', 'phone']).
+function scrubPii(input) {
+    if (typeof input !== 'string' || input === '') return { text: input, found: [] };
+    const found = new Set();
+    const placeholder = (kind) => {
+        found.add(kind);
+        return `[${kind}]`;
+    };
+    const text = input
+        .replace(EMAIL, () => placeholder('email'))
+        .replace(STREET_ADDRESS, () => placeholder('address'))
+        .replace(STREET_ADDRESS_NUMBER_LAST, () => placeholder('address'))
+        .replace(CARD, match => (passesLuhn(digitsOf(match)) ? placeholder('card') : match))
+        .replace(PHONE, (match) => {
+            const digits = digitsOf(match).length;
+            if (digits < 7 || digits > 15 || DATE.test(match)) return match;
+            return placeholder('phone');
+        });
+    return { text, found: [...found] };
+}
+
+module.exports = {
+    scrubPii
+};
@@ -0,0 +1,231 @@
+// services/moodAnalyzer.js
+// Small, dependency-free emotion classifier for Mood Diary text.
+// Scores text against a lexicon for each mood in the Art mood enum, taking negation
+// ("not happy"), intensity modifiers ("very", "slightly"), emphasis (!, CAPS) and emoji into account.
+
+const MOODS = ['Happy', 'Sad', 'Calm', 'Excited', 'Angry', 'Inspired'];
+
+// Word -> { Mood: weight }. Words are matched after lowercasing and light stemming (see stemCandidates).
+const LEXICON = {
+    // Happy
+    happy: { Happy: 1 }, glad: { Happy: 0.9 }, joy: { Happy: 1 }, joyful: { Happy: 1 }, cheerful: { Happy: 0.9 },
+    delighted: { Happy: 1, Excited: 0.3 }, content: { Happy: 0.6, Calm: 0.4 }, grateful: { Happy: 0.8, Calm: 0.2 },
+    thankful: { Happy: 0.8 }, smile: { Happy: 0.8 }, laugh: { Happy: 0.9 }, fun: { Happy: 0.7, Excited: 0.3 },
+    love: { Happy: 0.8 }, lovely: { Happy: 0.7 }, wonderful: { Happy: 0.8 }, great: { Happy: 0.6 },
+    good: { Happy: 0.4 }, nice: { Happy: 0.4 }, sunny: { Happy: 0.5 }, blessed: { Happy: 0.7, Calm: 0.2 },
+    proud: { Happy: 0.7, Inspired: 0.3 }, pleased: { Happy: 0.7 },
+
+    // Sad
+    sad: { Sad: 1 }, unhappy: { Sad: 1 }, depressed: { Sad: 1 }, down: { Sad: 0.5 }, lonely: { Sad: 0.9 },
+    alone: { Sad: 0.6 }, cry: { Sad: 0.9 }, tears: { Sad: 0.8 }, miss: { Sad: 0.6 }, lost: { Sad: 0.6 },
+    grief: { Sad: 1 }, hurt: { Sad: 0.7, Angry: 0.2 }, heartbroken: { Sad: 1 }, gloomy: { Sad: 0.8 },
+    tired: { Sad: 0.4 }, exhausted: { Sad: 0.5 }, hopeless: { Sad: 1 }, empty: { Sad: 0.7 }, disappointed: { Sad: 0.7, Angry: 0.2 },
+    sorry: { Sad: 0.4 }, bad: { Sad: 0.4 }, awful: { Sad: 0.5, Angry: 0.2 }, miserable: { Sad: 1 }, blue: { Sad: 0.4 },
+    worried: { Sad: 0.5 }, anxious: { Sad: 0.4, Excited: 0.2 }, stressed: { Sad: 0.4, Angry: 0.3 },
+
+    // Calm
+    calm: { Calm: 1 }, peaceful: { Calm: 1 }, peace: { Calm: 0.9 }, relaxed: { Calm: 1 }, relax: { Calm: 0.8 },
+    serene: { Calm: 1 }, quiet: { Calm: 0.7 }, still: { Calm: 0.4 }, gentle: { Calm: 0.6 }, rest: { Calm: 0.6 },
+    breathe: { Calm: 0.7 }, meditate: { Calm: 0.9 }, tranquil: { Calm: 1 }, cozy: { Calm: 0.7, Happy: 0.3 },
+    slow: { Calm: 0.5 }, soft: { Calm: 0.5 }, balanced: { Calm: 0.7 }, safe: { Calm: 0.6 }, comfortable: { Calm: 0.6 },
+    sleep: { Calm: 0.4 }, easy: { Calm: 0.4 },
+
+    // Excited
+    excited: { Excited: 1 }, exciting: { Excited: 0.9 }, thrilled: { Excited: 1, Happy: 0.3 }, ecstatic: { Excited: 1, Happy: 0.4 },
+    energetic: { Excited: 0.9 }, energy: { Excited: 0.6 }, pumped: { Excited: 0.9 }, eager: { Excited: 0.8 },
+    wow: { Excited: 0.7 }, amazing: { Excited: 0.7, Happy: 0.3 }, awesome: { Excited: 0.6, Happy: 0.4 },
+    adventure: { Excited: 0.8 }, party: { Excited: 0.8, Happy: 0.3 }, celebrate: { Excited: 0.8, Happy: 0.5 },
+    hyped: { Excited: 1 }, rush: { Excited: 0.6 }, wild: { Excited: 0.6 },
+    finally: { Excited: 0.4 },
+
+    // Angry
+    angry: { Angry: 1 }, mad: { Angry: 0.9 }, furious: { Angry: 1 }, rage: { Angry: 1 }, annoyed: { Angry: 0.7 },
+    irritated: { Angry: 0.7 }, frustrated: { Angry: 0.8, Sad: 0.2 }, hate: { Angry: 0.9 }, unfair: { Angry: 0.7 },
+    fed: { Angry: 0.3 }, pissed: { Angry: 1 }, resent: { Angry: 0.8 }, bitter: { Angry: 0.6, Sad: 0.3 },
+    yell: { Angry: 0.8 }, scream: { Angry: 0.7, Excited: 0.2 }, fight: { Angry: 0.7 }, argue: { Angry: 0.6 },
+    betrayed: { Angry: 0.8, Sad: 0.4 }, livid: { Angry: 1 }, outraged: { Angry: 1 },
+
+    // Inspired
+    inspired: { Inspired: 1 }, inspiring: { Inspired: 0.9 }, motivated: { Inspired: 1 }, creative: { Inspired: 0.9 },
+    idea: { Inspired: 0.8 }, ideas: { Inspired: 0.8 }, dream: { Inspired: 0.7 }, imagine: { Inspired: 0.8 },
+    create: { Inspired: 0.7 }, build: { Inspired: 0.5 }, learn: { Inspired: 0.6 }, curious: { Inspired: 0.7 },
+    hopeful: { Inspired: 0.7, Happy: 0.3 }, hope: { Inspired: 0.6 }, determined: { Inspired: 0.8 },
+    ambitious: { Inspired: 0.8 }, vision: { Inspired: 0.7 }, purpose: { Inspired: 0.7 }, growth: { Inspired: 0.6 },
+    breakthrough: { Inspired: 0.9, Excited: 0.3 }, wonder: { Inspired: 0.7 }, art: { Inspired: 0.4 }, write: { Inspired: 0.4 }
+};
+
+// Multi-word expressions are matched before single words
+const PHRASES = {
+    "can't wait": { Excited: 1 }, 'cant wait': { Excited: 1 }, 'looking forward': { Excited: 0.8, Happy: 0.3 },
+    'fed up': { Angry: 0.9 }, 'let down': { Sad: 0.8 }, 'at peace': { Calm: 1 }, 'over the moon': { Happy: 1, Excited: 0.5 },
+    'on top of the world': { Happy: 1, Excited: 0.4 }, 'broke my heart': { Sad: 1 }, 'pissed off': { Angry: 1 },
+    'worn out': { Sad: 0.6 }, 'fired up': { Excited: 0.9, Inspired: 0.4 }
+};
+
+const EMOJI = {
+    '😊': { Happy: 1 }, '😀': { Happy: 1 }, '😄': { Happy: 1 }, '🙂': { Happy: 0.6 }, '❤️': { Happy: 0.7 },
+    '😢': { Sad: 1 }, '😭': { Sad: 1 }, '😞': { Sad: 0.9 }, '💔': { Sad: 1 },
+    '😌': { Calm: 1 }, '🧘': { Calm: 1 }, '🌿': { Calm: 0.6 },
+    '🤩': { Excited: 1 }, '🎉': { Excited: 0.9, Happy: 0.4 }, '🔥': { Excited: 0.6 },
+    '😠': { Angry: 1 }, '😡': { Angry: 1 }, '🤬': { Angry: 1 },
+    '💡': { Inspired: 1 }, '✨': { Inspired: 0.7 }, '🎨': { Inspired: 0.8 },
+    ':)': { Happy: 0.7 }, ':D': { Happy: 0.9, Excited: 0.3 }, ':(': { Sad: 0.7 }, ":'(": { Sad: 1 }
+};
+
+// Words that flip the meaning of the next few words ("not happy", "never calm")
+const NEGATIONS = new Set(['not', 'no', 'never', 'nothing', 'nobody', 'neither', 'nor', 'without', 'hardly', 'barely',
+    "don't", 'dont', "doesn't", 'doesnt', "didn't", 'didnt', "isn't", 'isnt', "wasn't", 'wasnt', "aren't", 'arent',
+    "can't", 'cant', "couldn't", 'couldnt', "won't", 'wont', "wouldn't", 'wouldnt', "haven't", 'havent', "n't"]);
+const NEGATION_WINDOW = 3; // How many following words a negation applies to
+// Words that start a new clause and end a negation early ("I can't believe how happy I am")
+const CLAUSE_BREAKS = new Set(['but', 'however', 'how', 'that', 'because', 'although', 'though', 'yet', 'and']);
+
+// Words that scale the next sentiment word
+const INTENSIFIERS = {
+    very: 1.5, really: 1.5, so: 1.4, extremely: 2, incredibly: 1.9, super: 1.6, totally: 1.5, absolutely: 1.8,
+    completely: 1.7, truly: 1.4, deeply: 1.6, too: 1.3, most: 1.5, such: 1.3,
+    slightly: 0.5, somewhat: 0.6, kinda: 0.6, kind: 0.7, little: 0.6, bit: 0.6, barely: 0.4, fairly: 0.8, pretty: 1.2
+};
+
+// What a negated mood turns into: "not happy" leans Sad, "not calm" leans Angry/Excited, and so on
+const NEGATED_MOOD = {
+    Happy: { Sad: 0.7 },
+    Sad: { Happy: 0.4, Calm: 0.2 },
+    Calm: { Angry: 0.4, Excited: 0.3 },
+    Excited: { Calm: 0.4, Sad: 0.2 },
+    Angry: { Calm: 0.6 },
+    Inspired: { Sad: 0.6 }
+};
+
+// Candidate lexicon keys for a token: the token itself, then common suffixes stripped
+function stemCandidates(token) {
+    const candidates = [token];
+    const suffixes = ['ing', 'ed', 'ly', 'ness', 'es', 's', 'ful'];
+    suffixes.forEach(suffix => {
+        if (token.length > suffix.length + 2 && token.endsWith(suffix)) {
+            const stem = token.slice(0, -suffix.length);
+            candidates.push(stem, stem + 'e');
+        }
+    });
+    return candidates;
+}
+
+const lookup = token => {
+    const key = stemCandidates(token).find(candidate => LEXICON[candidate]);
+    return key ? LEXICON[key] : null;
+};
+
+// Analyzes diary text. Returns:
+// - mood: the best-matching mood from the Art enum, or 'Mixed' when the text carries no clear signal
+// - scores: normalized score per mood (sums to 1, or all 0 when nothing matched)
+// - confidence: 0..1, combining how clearly the top mood wins and how much evidence there was
+// - matches: the words/phrases that contributed, for debugging and UI hints
+function analyzeMood(text) {
+    const raw = typeof text === 'string' ? text : '';
+    const totals = Object.fromEntries(MOODS.map(mood => [mood, 0]));
+    const matches = [];
+
+    const add = (weights, factor, term) => {
+        Object.entries(weights).forEach(([mood, weight]) => {
+            totals[mood] += weight * factor;
+        });
+        if (Object.values(weights).some(weight => weight > 0)) {
+            matches.push({ term, factor: Math.round(factor * 100) / 100 });
+        }
+    };
+
+    // Emoji and emoticons
+    Object.entries(EMOJI).forEach(([symbol, weights]) => {
+        const count = raw.split(symbol).length - 1;
+        if (count > 0) add(weights, count, symbol);
+    });
+
+    // Exclamation marks amplify the energetic moods a little
+    const exclamations = Math.min((raw.match(/!/g) || []).length, 5);
+
+    // Process sentence by sentence so negation doesn't leak across sentences
+    const sentences = raw.split(/[.!?;\n]+/).filter(sentence => sentence.trim() !== '');
+    sentences.forEach(sentence => {
+        let lower = ` ${sentence.toLowerCase().replace(/[’]/g, "'")} `;
+
+        // Phrases first; they are removed so their words aren't counted twice
+        Object.entries(PHRASES).forEach(([phrase, weights]) => {
+            if (lower.includes(` ${phrase} `)) {
+                add(weights, 1, phrase);
+                lower = lower.split(` ${phrase} `).join(' ');
+            }
+        });
+
+        const originalTokens = sentence.split(/[^A-Za-z']+/).filter(Boolean);
+        const tokens = lower.split(/[^a-z']+/).filter(Boolean);
+        let negateFor = 0;
+        let intensity = 1;
+
+        tokens.forEach((token, i) => {
+            if (NEGATIONS.has(token) || token.endsWith("n't")) {
+                negateFor = NEGATION_WINDOW;
+                return;
+            }
+            if (CLAUSE_BREAKS.has(token)) {
+                negateFor = 0;
+            }
+            if (INTENSIFIERS[token]) {
+                intensity *= INTENSIFIERS[token];
+                return;
+            }
+            const weights = lookup(token);
+            if (weights) {
+                // SHOUTED words count extra
+                const original = originalTokens.find(t => t.toLowerCase() === token) || '';
+                const shout = original.length > 2 && original === original.toUpperCase() ? 1.5 : 1;
+                const factor = intensity * shout;
+                if (negateFor > 0) {
+                    Object.entries(weights).forEach(([mood, weight]) => add(NEGATED_MOOD[mood], weight * factor, `not ${token}`));
+                } else {
+                    add(weights, factor, token);
+                }
+                intensity = 1;
+            }
+            // Negation fades after a few words; intensity only carries to the next word or two
+            if (negateFor > 0) negateFor--;
+            if (i > 0 && !INTENSIFIERS[tokens[i - 1]]) intensity = 1;
+        });
+    });
+
+    if (exclamations > 0) {
+        const boost = 1 + exclamations * 0.1;
+        totals.Excited *= boost;
+        totals.Angry *= boost;
+        totals.Happy *= 1 + exclamations * 0.05;
+    }
+
+    const evidence = Object.values(totals).reduce((sum, value) => sum + value, 0);
+    if (evidence <= 0) {
+        return {
+            mood: 'Mixed',
+            scores: Object.fromEntries(MOODS.map(mood => [mood, 0])),
+            confidence: 0,
+            matches
+        };
+    }
+
+    const scores = Object.fromEntries(MOODS.map(mood => [mood, Math.round((totals[mood] / evidence) * 1000) / 1000]));
+    const ranked = MOODS.slice().sort((a, b) => totals[b] - totals[a]);
+    const [top, second] = ranked;
+    const margin = (totals[top] - totals[second]) / evidence; // 0 = tie, 1 = only one mood matched
+    const amount = 1 - Math.exp(-evidence / 1.5); // More matched words -> more trust
+    const confidence = Math.round(Math.min(1, (0.4 + 0.6 * margin) * amount) * 100) / 100;
+
+    return {
+        // A near tie between two moods is reported as Mixed
+        mood: margin < 0.1 ? 'Mixed' : top,
+        scores,
+        confidence,
+        matches
+    };
+}
+
+module.exports = {
+    MOODS,
+    analyzeMood
+};
@@ -0,0 +1,136 @@
+// services/moodBlend.js
+// Helpers for weighted multi-mood art: a piece can be e.g. 60% Happy and 40% Calm.
+// Moods are stored on Art as [{ mood, weight }] (weights sum to 1) and exposed to clients
+// as a vector object such as { Happy: 0.6, Calm: 0.4 }.
+const { MOODS } = require('./moodAnalyzer');
+
+// Adjectives used when describing a blend in a prompt
+const MOOD_ADJECTIVES = {
+    Happy: 'joyful',
+    Sad: 'melancholic',
+    Calm: 'calm',
+    Excited: 'energetic',
+    Angry: 'fiery',
+    Inspired: 'inspired'
+};
+
+// Error for invalid mood input; routes turn it into a 400 response
+class MoodInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MoodInputError';
+        this.status = 400;
+    }
+}
+
+// Matches a mood name case-insensitively against the mood enum ('happy' -> 'Happy')
+function canonicalMood(name) {
+    const match = MOODS.find(mood => mood.toLowerCase() === String(name).trim().toLowerCase());
+    if (!match) {
+        throw new MoodInputError(`Unknown mood "${name}". Mood must be one of: ${MOODS.join(', ')}`);
+    }
+    return match;
+}
+
+// Normalizes any supported mood input into [{ mood, weight }] sorted by weight (highest first),
+// with weights summing to 1. Supported input:
+// - 'Happy'                                  -> [{ mood: 'Happy', weight: 1 }]
+// - ['Happy', 'Calm']                        -> equal weights
+// - { Happy: 0.6, Calm: 0.4 }                -> the given weights (any positive scale)
+// - [{ mood: 'Happy', weight: 3 }, ...]      -> the given weights
+// Repeated moods are merged; zero weights are dropped. 'Mixed' (or nothing) yields [].
+function normalizeMoods(input) {
+    if (input === undefined || input === null || input === '' || input === 'Mixed') {
+        return [];
+    }
+
+    let entries;
+    if (typeof input === 'string') {
+        entries = [[input, 1]];
+    } else if (Array.isArray(input)) {
+        entries = input.map(item => (typeof item === 'string' ? [item, 1] : [item && item.mood, item && item.weight]));
+    } else if (typeof input === 'object') {
+        entries = Object.entries(input);
+    } else {
+        throw new MoodInputError('Moods must be a mood name, a list of moods, or an object of mood weights.');
+    }
+
+    const totals = {};
+    entries.forEach(([name, weight]) => {
+        const value = weight === undefined ? 1 : Number(weight);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new MoodInputError(`Weight for mood "${name}" must be a positive number.`);
+        }
+        if (value === 0) return;
+        const mood = canonicalMood(name);
+        totals[mood] = (totals[mood] || 0) + value;
+    });
+
+    const sum = Object.values(totals).reduce((acc, value) => acc + value, 0);
+    return Object.entries(totals)
+        .map(([mood, weight]) => ({ mood, weight: Math.round((weight / sum) * 1000) / 1000 }))
+        .sort((a, b) => b.weight - a.weight);
+}
+
+// The dominant mood of a blend (highest weight, ties go to the mood listed first), or 'Mixed' for none
+function dominantMood(moods) {
+    return moods && moods.length > 0 ? moods[0].mood : 'Mixed';
+}
+
+// Converts [{ mood, weight }] into { Happy: 0.6, Calm: 0.4 }
+function toMoodVector(moods) {
+    return Object.fromEntries((moods || []).map(({ mood, weight }) => [mood, weight]));
+}
+
+// Turns a blend into prompt-friendly wording, e.g.
+// [{Happy, 0.6}, {Calm, 0.4}]              -> 'mostly joyful with a calm undertone'
+// [{Happy, 0.85}, {Sad, 0.15}]             -> 'overwhelmingly joyful with a hint of melancholic'
+// [{Happy, 0.34}, {Calm, 0.33}, {Sad, 0.33}] -> 'an even blend of joyful, calm and melancholic'
+function describeMoodBlend(moods) {
+    if (!moods || moods.length === 0) return 'mixed emotions';
+    const words = moods.map(({ mood }) => MOOD_ADJECTIVES[mood] || mood.toLowerCase());
+    if (moods.length === 1) return words[0];
+
+    const list = items => (items.length === 1 ? items[0] : `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`);
+    const [top, second] = moods;
+
+    // Nearly equal weights read as an even blend
+    if (top.weight - moods[moods.length - 1].weight < 0.1) {
+        return `an even blend of ${list(words)}`;
+    }
+    if (top.weight >= 0.75) {
+        return `overwhelmingly ${words[0]} with a hint of ${list(words.slice(1))}`;
+    }
+    if (top.weight - second.weight < 0.1) {
+        const rest = words.slice(2);
+        return `equal parts ${words[0]} and ${words[1]}${rest.length ? ` with a touch of ${list(rest)}` : ''}`;
+    }
+    const rest = words.slice(2);
+    const article = /^[aeiou]/.test(words[1]) ? 'an' : 'a';
+    return `mostly ${words[0]} with ${article} ${words[1]} undertone${rest.length ? ` and a touch of ${list(rest)}` : ''}`;
+}
+
+// Mongo filter matching art by mood.
+// - match 'dominant' (default): the mood is the piece's dominant mood
+// - match 'contributing': the mood is part of the blend with at least minWeight
+function moodFilter(mood, { match = 'dominant', minWeight = 0 } = {}) {
+    const name = mood === 'Mixed' ? 'Mixed' : canonicalMood(mood);
+    if (match === 'contributing' && name !== 'Mixed') {
+        return {
+            $or: [
+                { moods: { $elemMatch: { mood: name, weight: { $gt: Number(minWeight) || 0 } } } },
+                { mood: name } // Records not yet migrated to weighted moods
+            ]
+        };
+    }
+    return { mood: name };
+}
+
+module.exports = {
+    MoodInputError,
+    normalizeMoods,
+    dominantMood,
+    toMoodVector,
+    describeMoodBlend,
+    moodFilter
+};
@@ -0,0 +1,119 @@
+// services/pagination.js
+// Cursor (keyset) pagination helpers. A cursor encodes the sort value and _id of the last item
+// on a page; the next page continues strictly after it, so pages stay stable while new art is added.
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Error for invalid paging/filter input; routes turn it into a 400 response
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+        this.status = 400;
+    }
+}
+
+// Dates and ObjectIds are tagged so they survive the round trip through JSON
+const serialize = value => {
+    if (value instanceof Date) return { $d: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $o: value.toHexString() };
+    return value;
+};
+const deserialize = value => {
+    if (value && typeof value === 'object' && value.$d) return new Date(value.$d);
+    if (value && typeof value === 'object' && value.$o) return new mongoose.Types.ObjectId(value.$o);
+    return value;
+};
+
+// Encodes cursor data ({ value, id, ...extra }) into an opaque URL-safe string
+function encodeCursor(data) {
+    const payload = Object.fromEntries(Object.entries(data).map(([key, value]) => [key, serialize(value)]));
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Decodes a cursor string. Returns null when there is no cursor; throws QueryError when it is malformed.
+function decodeCursor(cursor) {
+    if (!cursor) return null;
+    try {
+        const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        const data = Object.fromEntries(Object.entries(payload).map(([key, value]) => [key, deserialize(value)]));
+        if (!(data.id instanceof mongoose.Types.ObjectId)) throw new Error('missing id');
+        return data;
+    } catch (err) {
+        throw new QueryError('Invalid pagination cursor.');
+    }
+}
+
+// Parses the ?limit= query parameter, clamped to 1..max
+function parseLimit(value, { defaultLimit = DEFAULT_LIMIT, max = MAX_LIMIT } = {}) {
+    if (value === undefined || value === '') return defaultLimit;
+    const limit = Number(value);
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new QueryError('limit must be a positive whole number.');
+    }
+    return Math.min(limit, max);
+}
+
+// Checks for cursor sort values by the sort field's schema type ('Date', 'Number' or 'String')
+const VALUE_CHECKS = {
+    Date: value => value instanceof Date && !Number.isNaN(value.getTime()),
+    Number: value => typeof value === 'number' && Number.isFinite(value),
+    String: value => typeof value === 'string'
+};
+
+// Filter that continues after the cursor for a sort on { [field]: direction, _id: direction }.
+// type is the sort field's type; a cursor whose value doesn't have it (e.g. an injected
+// { "$ne": null }) or whose id isn't an ObjectId throws QueryError.
+function keysetFilter(field, direction, cursor, type) {
+    if (!cursor) return {};
+    const isValue = VALUE_CHECKS[type] || (value => Object.values(VALUE_CHECKS).some(check => check(value)));
+    if (!isValue(cursor.value) || !(cursor.id instanceof mongoose.Types.ObjectId)) {
+        throw new QueryError('Invalid pagination cursor.');
+    }
+    const op = direction < 0 ? '$lt' : '$gt';
+    return {
+        $or: [
+            { [field]: { [op]: cursor.value } },
+            { [field]: cursor.value, _id: { [op]: cursor.id } }
+        ]
+    };
+}
+
+// Splits the limit+1 fetched documents into a page and the cursor for the next one.
+// getValue(doc) returns the sort value of a document.
+function buildPage(docs, limit, getValue, extra = {}) {
+    const hasMore = docs.length > limit;
+    const items = hasMore ? docs.slice(0, limit) : docs;
+    const last = items[items.length - 1];
+    return {
+        items,
+        nextCursor: hasMore ? encodeCursor({ value: getValue(last), id: last._id, ...extra }) : null
+    };
+}
+
+// Runs a paginated Model.find sorted by { [sortField]: direction, _id: direction }.
+// Returns { items, nextCursor }.
+async function findPage(Model, filter, { sortField = 'createdAt', direction = -1, cursor, limit }) {
+    const decoded = decodeCursor(cursor);
+    const schemaType = Model.schema.path(sortField);
+    const keyset = keysetFilter(sortField, direction, decoded, schemaType && schemaType.instance);
+    const query = Object.keys(keyset).length > 0 ? { $and: [filter, keyset] } : filter;
+    const docs = await Model.find(query)
+        .sort({ [sortField]: direction, _id: direction })
+        .limit(limit + 1);
+    return buildPage(docs, limit, doc => doc.get(sortField));
+}
+
+module.exports = {
+    DEFAULT_LIMIT,
+    MAX_LIMIT,
+    QueryError,
+    encodeCursor,
+    decodeCursor,
+    parseLimit,
+    keysetFilter,
+    buildPage,
+    findPage
+};
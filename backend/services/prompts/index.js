@@ -0,0 +1,165 @@
+// services/prompts/index.js
+// Builds the text prompt (and negative prompt) sent to the art providers from a mood blend,
+// Mood Diary text, style, colors, a preset bundle and extra weighted terms, using a versioned
+// template (see templates.js). The template version is stored on each Art record for A/B tests.
+const crypto = require('crypto');
+const { TEMPLATES } = require('./templates');
+const { PRESETS, findPreset } = require('./presets');
+const { describeMoodBlend } = require('../moodBlend');
+const { normalizeStyleName } = require('../artEngine/styles');
+
+const MAX_TERMS = 20;
+const MAX_TERM_LENGTH = 100;
+
+// Error for invalid prompt input; routes turn it into a 400 response
+class PromptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptError';
+        this.status = 400;
+    }
+}
+
+// Parses PROMPT_TEMPLATES ('v2' or an A/B split such as 'v1:20,v2:80') into [{ version, share }]
+function templateSplit() {
+    const setting = process.env.PROMPT_TEMPLATES || 'v2';
+    const split = setting.split(',').map(entry => {
+        const [version, share] = entry.trim().split(':');
+        return { version, share: share === undefined ? 1 : Number(share) };
+    }).filter(({ version, share }) => TEMPLATES[version] && share > 0);
+    return split.length > 0 ? split : [{ version: 'v2', share: 1 }];
+}
+
+// Picks the template version: the requested one, otherwise an A/B bucket derived from 'key'
+// (e.g., the user id), so the same user keeps getting the same variant
+function chooseTemplate(requested, key) {
+    if (requested) {
+        if (!TEMPLATES[requested]) {
+            throw new PromptError(`Unknown prompt template "${requested}". Available templates: ${Object.keys(TEMPLATES).join(', ')}.`);
+        }
+        return requested;
+    }
+    const split = templateSplit();
+    if (split.length === 1) return split[0].version;
+
+    const total = split.reduce((sum, { share }) => sum + share, 0);
+    const bucket = (crypto.createHash('sha256').update(String(key || crypto.randomUUID())).digest().readUInt32BE(0) / 0x100000000) * total;
+    let cumulative = 0;
+    return (split.find(({ share }) => (cumulative += share) > bucket) || split[split.length - 1]).version;
+}
+
+// Normalizes extra terms into [[term, weight]]. Accepts a list of strings ('(neon:1.2)' or 'neon')
+// and/or { term, weight } objects, or a comma-separated string.
+function parseTerms(input) {
+    if (input === undefined || input === null || input === '') return [];
+    const items = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(items)) {
+        throw new PromptError('terms must be a list of terms (e.g., ["neon glow", { "term": "rain", "weight": 1.2 }]).');
+    }
+    if (items.length > MAX_TERMS) {
+        throw new PromptError(`At most ${MAX_TERMS} extra terms are allowed.`);
+    }
+    return items.map(item => {
+        let term;
+        let weight = 1;
+        if (typeof item === 'string') {
+            const match = /^\((.+):(\d+(?:\.\d+)?)\)$/.exec(item.trim());
+            term = match ? match[1] : item;
+            weight = match ? Number(match[2]) : 1;
+        } else if (item && typeof item === 'object') {
+            term = item.term;
+            weight = item.weight === undefined ? 1 : Number(item.weight);
+        }
+        term = typeof term === 'string' ? term.trim().replace(/[()]/g, '') : '';
+        if (!term || term.length > MAX_TERM_LENGTH) {
+            throw new PromptError(`Each term must be text of 1 to ${MAX_TERM_LENGTH} characters.`);
+        }
+        if (!Number.isFinite(weight) || weight < 0.1 || weight > 2) {
+            throw new PromptError(`Weight for "${term}" must be between 0.1 and 2.`);
+        }
+        return [term, weight];
+    }).filter(([term]) => term);
+}
+
+// Normalizes a negative prompt (string or list of strings) into a list of terms
+function parseNegative(input) {
+    if (input === undefined || input === null || input === '') return [];
+    const items = typeof input === 'string' ? input.split(',') : input;
+    if (!Array.isArray(items) || items.some(item => typeof item !== 'string' || item.length > MAX_TERM_LENGTH)) {
+        throw new PromptError('negativePrompt must be text or a list of terms to avoid.');
+    }
+    return items.map(item => item.trim()).filter(Boolean);
+}
+
+// Writes a weighted term: '(term:1.2)' with weight syntax, otherwise just the term
+const formatTerm = ([term, weight], weighted) => (weighted && weight !== 1 ? `(${term}:${Math.round(weight * 100) / 100})` : term);
+
+// Terms for a mood blend: each mood contributes terms in proportion to its weight (at least one),
+// and its share of the blend strengthens or softens them
+function blendTerms(template, moods) {
+    return moods.flatMap(({ mood, weight }) => {
+        const terms = template.moodTerms[mood] || [];
+        const count = Math.max(1, Math.round(terms.length * weight));
+        return terms.slice(0, count).map(([term, base]) => [term, Math.round(base * (0.7 + 0.6 * weight) * 100) / 100]);
+    });
+}
+
+const unique = items => [...new Set(items.filter(Boolean))];
+
+// Builds the prompt. Options:
+// - moods: normalized blend [{ mood, weight }] (may be empty)
+// - text: Mood Diary text
+// - style, colors: the request's choices (override the preset's)
+// - preset: preset id or name (e.g., 'neon-glitch')
+// - terms: extra weighted terms; negativePrompt: extra terms to avoid
+// - template: a template version, or abKey to pick one from the PROMPT_TEMPLATES split
+// - collaborative: true for collaborative pieces
+// Returns { prompt, negativePrompt, template, preset, style, colors }.
+function buildPrompt({ moods = [], text, style, colors, preset, terms, negativePrompt, template, abKey, collaborative = false } = {}) {
+    const presetBundle = preset ? findPreset(preset) : null;
+    if (preset && !presetBundle) {
+        throw new PromptError(`Unknown preset "${preset}". Available presets: ${Object.keys(PRESETS).join(', ')}.`);
+    }
+    const version = chooseTemplate(template, abKey);
+    const tpl = TEMPLATES[version];
+
+    const finalStyle = style || (presetBundle && presetBundle.style) || null;
+    const finalColors = colors && colors.length > 0 ? colors : (presetBundle ? presetBundle.colors : []);
+    const diaryText = typeof text === 'string' ? text.trim() : '';
+
+    const sections = {
+        subject: [tpl.subject({ moods, text: diaryText, collaborative, describe: describeMoodBlend })],
+        preset: presetBundle ? presetBundle.terms.map(term => formatTerm(term, tpl.weighted)) : [],
+        mood: blendTerms(tpl, moods).map(term => formatTerm(term, tpl.weighted)),
+        terms: parseTerms(terms).map(term => formatTerm(term, tpl.weighted)),
+        style: finalStyle ? [tpl.styleFormat(finalStyle), ...(tpl.styleTerms[normalizeStyleName(finalStyle)] || []).map(term => formatTerm(term, tpl.weighted))] : [],
+        colors: finalColors.length > 0 ? [tpl.colorsFormat(finalColors)] : [],
+        quality: tpl.quality.map(term => formatTerm(term, tpl.weighted))
+    };
+
+    return {
+        prompt: unique(tpl.order.flatMap(section => sections[section])).join(', '),
+        negativePrompt: unique([...tpl.negative, ...(presetBundle ? presetBundle.negative : []), ...parseNegative(negativePrompt)]).join(', '),
+        template: version,
+        preset: presetBundle ? presetBundle.id : null,
+        style: finalStyle,
+        colors: finalColors
+    };
+}
+
+// Templates and presets for clients (e.g., a preset picker)
+function listPromptOptions() {
+    return {
+        templates: Object.values(TEMPLATES).map(({ version, description }) => ({ version, description })),
+        defaultTemplates: templateSplit(),
+        presets: Object.entries(PRESETS).map(([id, { name, style, colors }]) => ({ id, name, style, colors }))
+    };
+}
+
+module.exports = {
+    PromptError,
+    chooseTemplate,
+    parseTerms,
+    buildPrompt,
+    listPromptOptions
+};
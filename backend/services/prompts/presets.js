@@ -0,0 +1,52 @@
+// services/prompts/presets.js
+// Preset bundles: a named look that sets a default style and colors and adds its own weighted terms
+// and negative terms. Style and colors sent with a request win over the preset's.
+const PRESETS = {
+    'watercolor-dream': {
+        name: 'Watercolor Dream',
+        style: 'Watercolor',
+        colors: ['lavender', 'peach', 'sky blue'],
+        terms: [['dreamy wet-on-wet washes', 1.3], ['pastel bloom', 1.1], ['soft edges', 1]],
+        negative: ['hard edges', 'harsh shadows', 'photorealistic']
+    },
+    'neon-glitch': {
+        name: 'Neon Glitch',
+        style: 'Abstract',
+        colors: ['magenta', 'cyan', 'black'],
+        terms: [['neon glow', 1.3], ['digital glitch artifacts', 1.2], ['chromatic aberration', 1.1], ['scanlines', 1]],
+        negative: ['muted colors', 'soft focus', 'pastel']
+    },
+    'minimal-zen': {
+        name: 'Minimal Zen',
+        style: 'Minimalist',
+        colors: ['beige', 'olive', 'white'],
+        terms: [['zen balance', 1.2], ['single focal point', 1.1], ['calm negative space', 1]],
+        negative: ['clutter', 'busy background', 'saturated colors']
+    },
+    'surreal-dreamscape': {
+        name: 'Surreal Dreamscape',
+        style: 'Surreal',
+        colors: ['indigo', 'gold', 'teal'],
+        terms: [['floating islands', 1.2], ['melting horizon', 1.1], ['otherworldly light', 1]],
+        negative: ['mundane', 'flat lighting']
+    },
+    'retro-pop': {
+        name: 'Retro Pop',
+        style: 'Pop Art',
+        colors: ['red', 'yellow', 'blue'],
+        terms: [['retro comic print', 1.2], ['halftone shading', 1.1], ['thick ink outlines', 1]],
+        negative: ['gradients', 'photorealistic']
+    }
+};
+
+// Looks up a preset by id ('neon-glitch') or name ('Neon Glitch'). Returns { id, ...preset } or null.
+function findPreset(idOrName) {
+    if (!idOrName || typeof idOrName !== 'string') return null;
+    const key = idOrName.trim().toLowerCase().replace(/[\s_]+/g, '-');
+    return PRESETS[key] ? { id: key, ...PRESETS[key] } : null;
+}
+
+module.exports = {
+    PRESETS,
+    findPreset
+};
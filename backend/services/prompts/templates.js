@@ -0,0 +1,70 @@
+// services/prompts/templates.js
+// Versioned prompt templates. A version is never edited once it has been used for saved art
+// (Art.promptTemplate records it); new wording goes into a new version so results can be compared.
+// Each template defines:
+// - subject({ moods, text, collaborative, describe }): the opening phrase
+// - moodTerms / styleTerms: weighted terms ([term, weight]) added per mood and per style (normalized style key)
+// - quality: weighted terms added to every prompt
+// - negative: terms every negative prompt starts with
+// - order: the order of the prompt sections
+// - weighted: whether terms are written with weight syntax '(term:1.2)' (false writes them plainly)
+
+// v1 reproduces the original wording: '<mood or blend>, <diary text>, in <style> style, with colors <colors>'
+const v1 = {
+    version: 'v1',
+    description: 'Original wording: mood, diary text, style and colors joined by commas.',
+    subject: ({ moods, text, collaborative, describe }) => {
+        if (collaborative) return `Collaborative art that is ${describe(moods)}`;
+        const mood = moods.length > 1 ? describe(moods) : (moods[0] ? moods[0].mood : 'Mixed');
+        if (!text) return mood;
+        return moods.length > 0 ? `${mood}, ${text}` : text;
+    },
+    moodTerms: {},
+    styleTerms: {},
+    quality: [],
+    negative: [],
+    order: ['subject', 'preset', 'mood', 'terms', 'style', 'colors', 'quality'],
+    styleFormat: style => `in ${style} style`,
+    colorsFormat: colors => `with colors ${colors.join(', ')}`,
+    weighted: false
+};
+
+// v2 describes each mood and style with weighted visual terms and adds quality and negative terms
+const v2 = {
+    version: 'v2',
+    description: 'Descriptive wording with weighted mood and style terms, quality terms and a default negative prompt.',
+    subject: ({ moods, text, collaborative, describe }) => {
+        if (collaborative) return `a collaborative artwork that is ${describe(moods)}`;
+        if (text) return moods.length > 0 ? `${text}, an artwork that feels ${describe(moods)}` : text;
+        return `an artwork that feels ${describe(moods)}`;
+    },
+    moodTerms: {
+        Happy: [['bright warm sunlight', 1.2], ['joyful vibrant energy', 1.1], ['playful shapes', 1]],
+        Sad: [['muted blue tones', 1.2], ['soft rain and mist', 1.1], ['quiet solitude', 1]],
+        Calm: [['gentle flowing forms', 1.2], ['serene soft light', 1.1], ['open space', 1]],
+        Excited: [['explosive bursts of color', 1.3], ['dynamic motion', 1.2], ['sparks', 1]],
+        Angry: [['jagged aggressive strokes', 1.3], ['burning reds', 1.2], ['high contrast', 1.1]],
+        Inspired: [['radiant glowing light', 1.2], ['upward spirals', 1.1], ['sense of discovery', 1]]
+    },
+    styleTerms: {
+        abstract: [['abstract composition', 1.2], ['bold shapes', 1]],
+        impressionist: [['impressionist painting', 1.3], ['visible brush strokes', 1.1], ['dappled light', 1]],
+        cubist: [['cubist painting', 1.3], ['fragmented geometric planes', 1.2]],
+        minimalist: [['minimalist composition', 1.3], ['clean lines', 1.1], ['negative space', 1]],
+        surreal: [['surrealist dreamscape', 1.3], ['impossible perspective', 1.1]],
+        popart: [['pop art', 1.3], ['halftone dots', 1.1], ['bold outlines', 1]],
+        watercolor: [['watercolor painting', 1.3], ['soft bleeding washes', 1.2], ['paper texture', 1]]
+    },
+    quality: [['highly detailed', 1], ['masterpiece', 1]],
+    negative: ['blurry', 'low quality', 'jpeg artifacts', 'text', 'watermark', 'signature'],
+    order: ['subject', 'preset', 'style', 'mood', 'terms', 'colors', 'quality'],
+    styleFormat: style => `${style} style`,
+    colorsFormat: colors => `color palette of ${colors.join(', ')}`,
+    weighted: true
+};
+
+const TEMPLATES = { v1, v2 };
+
+module.exports = {
+    TEMPLATES
+};
@@ -0,0 +1,63 @@
+// services/providers/errors.js
+
+// Error thrown by image-generation providers.
+// - status: HTTP-like status describing the failure (401, 429, 502, 503, ...)
+// - retryable: true when another provider (or a later retry) might succeed, e.g. 429/5xx/connection errors
+// - provider: name of the provider that failed
+class ProviderError extends Error {
+    constructor(message, { status = 500, retryable = false, provider = null, code = null } = {}) {
+        super(message);
+        this.name = 'ProviderError';
+        this.status = status;
+        this.retryable = retryable;
+        this.provider = provider;
+        this.code = code;
+    }
+}
+
+// Maps a raw axios/network error into a ProviderError with a helpful message.
+// - provider: provider name (e.g., 'huggingface')
+// - label: human-readable API name used in messages (e.g., 'Hugging Face API')
+// - tokenEnv/urlEnv: names of the environment variables to point the user to
+function toProviderError(error, { provider, label = 'AI API', tokenEnv = 'ART_API_TOKEN', urlEnv = 'ART_API_URL' }) {
+    if (error instanceof ProviderError) {
+        return error;
+    }
+    const status = error.response ? error.response.status : null;
+    const details = { provider, code: error.code || null };
+
+    if (status === 401 || status === 403) {
+        return new ProviderError(`${label} authentication failed. Check your ${tokenEnv}.`, { ...details, status: 401 });
+    }
+    if (status === 429) {
+        return new ProviderError(`${label} rate limit exceeded. Please try again later.`, { ...details, status: 429, retryable: true });
+    }
+    if (status && status >= 500) {
+        return new ProviderError(`${label} is temporarily unavailable (HTTP ${status}).`, { ...details, status: 503, retryable: true });
+    }
+    if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        return new ProviderError(`Could not connect to ${label}. Check ${urlEnv} or your internet connection.`, { ...details, status: 503, retryable: true });
+    }
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new ProviderError(`${label} timed out. Please try again later.`, { ...details, status: 504, retryable: true });
+    }
+    if (status) {
+        return new ProviderError(`${label} rejected the request (HTTP ${status}).`, { ...details, status: 502 });
+    }
+    return new ProviderError(`Failed to generate art from ${label}.`, { ...details, status: 502 });
+}
+
+// Pulls a readable message out of an error response body (which may be a Buffer for binary requests).
+function describeResponseBody(data) {
+    if (!data) return '';
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+        return Buffer.from(data).toString('utf8').slice(0, 500);
+    }
+    return typeof data === 'string' ? data.slice(0, 500) : JSON.stringify(data).slice(0, 500);
+}
+
+module.exports = {
+    ProviderError,
+    toProviderError,
+    describeResponseBody
+};
@@ -0,0 +1,123 @@
+// services/providers/http.js
+const axios = require('axios');
+const { ProviderError, toProviderError, describeResponseBody } = require('./errors');
+
+const ERROR_CONTEXT = { provider: 'http', label: 'HTTP image API', tokenEnv: 'ART_HTTP_API_HEADERS', urlEnv: 'ART_HTTP_API_URL' };
+
+// Parses a JSON setting from .env, returning the fallback when it is missing or malformed.
+function parseJsonSetting(value, fallback, name) {
+    if (!value) return fallback;
+    if (typeof value === 'object') return value;
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        console.warn(`${name} is not valid JSON. Ignoring it.`);
+        return fallback;
+    }
+}
+
+// Replaces {{placeholders}} in every string of a (possibly nested) body template.
+// A string that is exactly one placeholder keeps the value's type (e.g., a numeric seed stays a number).
+function fillTemplate(template, values) {
+    if (typeof template === 'string') {
+        const whole = /^\{\{(\w+)\}\}$/.exec(template);
+        if (whole) return values[whole[1]] !== undefined ? values[whole[1]] : null;
+        return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined && values[key] !== null ? String(values[key]) : ''));
+    }
+    if (Array.isArray(template)) return template.map(item => fillTemplate(item, values));
+    if (template && typeof template === 'object') {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, values)]));
+    }
+    return template;
+}
+
+// Reads a dot-separated path (e.g., 'output.0.image') from an object.
+const readPath = (obj, path) => path.split('.').reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), obj);
+
+// Generic HTTP adapter for self-hosted or less common image APIs.
+// config (defaults from .env):
+// - url (ART_HTTP_API_URL), method (ART_HTTP_API_METHOD, default POST)
+// - headers (ART_HTTP_API_HEADERS, JSON object)
+// - body (ART_HTTP_API_BODY, JSON template using {{prompt}}, {{negativePrompt}}, {{seed}}, {{mood}} (dominant mood), {{style}}, {{width}}, {{height}})
+// - imageField (ART_HTTP_API_IMAGE_FIELD): when the API answers with JSON, the path to the image,
+//   which may be base64 data or a URL to download. Binary image responses are used directly.
+function createHttpProvider(config = {}) {
+    const url = config.url || process.env.ART_HTTP_API_URL;
+    const method = (config.method || process.env.ART_HTTP_API_METHOD || 'POST').toUpperCase();
+    const headers = parseJsonSetting(config.headers || process.env.ART_HTTP_API_HEADERS, {}, 'ART_HTTP_API_HEADERS');
+    const bodyTemplate = parseJsonSetting(config.body || process.env.ART_HTTP_API_BODY, { prompt: '{{prompt}}' }, 'ART_HTTP_API_BODY');
+    const imageField = config.imageField || process.env.ART_HTTP_API_IMAGE_FIELD || 'image';
+    const timeout = Number(config.timeout || process.env.ART_API_TIMEOUT_MS || 120000);
+
+    return {
+        name: 'http',
+        isConfigured: () => Boolean(url),
+
+        async generate(prompt, options = {}) {
+            if (!url) {
+                throw new ProviderError('HTTP image provider is not configured. Set ART_HTTP_API_URL.', { provider: 'http', status: 503 });
+            }
+            const values = {
+                prompt,
+                negativePrompt: options.negativePrompt || '',
+                seed: options.seed,
+                mood: options.mood,
+                style: options.style,
+                width: options.width,
+                height: options.height
+            };
+
+            try {
+                const response = await axios({
+                    url,
+                    method,
+                    headers: { 'Content-Type': 'application/json', ...headers },
+                    data: method === 'GET' ? undefined : fillTemplate(bodyTemplate, values),
+                    params: method === 'GET' ? fillTemplate(bodyTemplate, values) : undefined,
+                    responseType: 'arraybuffer',
+                    timeout
+                });
+                const contentType = response.headers['content-type'] || '';
+
+                // Binary image response: use the bytes as they are
+                if (contentType.startsWith('image/')) {
+                    return {
+                        buffer: Buffer.from(response.data),
+                        contentType,
+                        metadata: { provider: 'http', model: null }
+                    };
+                }
+
+                // JSON response: find the image (base64 or URL) at imageField
+                const body = JSON.parse(Buffer.from(response.data).toString('utf8'));
+                const image = readPath(body, imageField);
+                if (typeof image !== 'string' || image === '') {
+                    throw new ProviderError(`HTTP image API response has no image at "${imageField}".`, { provider: 'http', status: 502 });
+                }
+                if (/^https?:\/\//.test(image)) {
+                    const download = await axios.get(image, { responseType: 'arraybuffer', timeout });
+                    return {
+                        buffer: Buffer.from(download.data),
+                        contentType: download.headers['content-type'] || 'image/png',
+                        metadata: { provider: 'http', model: body.model || null, sourceUrl: image }
+                    };
+                }
+                const dataUri = /^data:([^;]+);base64,(.*)$/.exec(image);
+                return {
+                    buffer: Buffer.from(dataUri ? dataUri[2] : image, 'base64'),
+                    contentType: dataUri ? dataUri[1] : 'image/png',
+                    metadata: { provider: 'http', model: body.model || null }
+                };
+            } catch (error) {
+                if (error instanceof SyntaxError) {
+                    throw new ProviderError('HTTP image API returned neither an image nor valid JSON.', { provider: 'http', status: 502 });
+                }
+                console.error('HTTP image provider error:', error.response ? describeResponseBody(error.response.data) : error.message);
+                throw toProviderError(error, ERROR_CONTEXT);
+            }
+        }
+    };
+}
+
+module.exports = createHttpProvider;
+module.exports.fillTemplate = fillTemplate;
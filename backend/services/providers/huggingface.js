@@ -0,0 +1,59 @@
+// services/providers/huggingface.js
+const axios = require('axios');
+const { ProviderError, toProviderError, describeResponseBody } = require('./errors');
+
+const ERROR_CONTEXT = { provider: 'huggingface', label: 'AI API', tokenEnv: 'ART_API_TOKEN', urlEnv: 'ART_API_URL' };
+
+// Hugging Face Inference API adapter (text-to-image models).
+// POSTs { inputs: prompt, parameters } and receives the raw image bytes.
+// config: { url, token, timeout } — defaults to ART_API_URL / ART_API_TOKEN from .env
+function createHuggingFaceProvider(config = {}) {
+    const url = config.url || process.env.ART_API_URL;
+    const token = config.token || process.env.ART_API_TOKEN;
+    const timeout = Number(config.timeout || process.env.ART_API_TIMEOUT_MS || 120000);
+
+    return {
+        name: 'huggingface',
+        isConfigured: () => Boolean(url && token),
+
+        async generate(prompt, options = {}) {
+            if (!url || !token) {
+                throw new ProviderError('Hugging Face provider is not configured. Set ART_API_URL and ART_API_TOKEN.', { provider: 'huggingface', status: 503 });
+            }
+            // Optional generation parameters supported by most diffusion pipelines on the Inference API
+            const parameters = {};
+            if (options.negativePrompt) parameters.negative_prompt = options.negativePrompt;
+            if (options.seed !== undefined && options.seed !== null) parameters.seed = options.seed;
+            if (options.width) parameters.width = options.width;
+            if (options.height) parameters.height = options.height;
+
+            try {
+                const response = await axios.post(
+                    url,
+                    Object.keys(parameters).length > 0 ? { inputs: prompt, parameters } : { inputs: prompt },
+                    {
+                        headers: {
+                            'Authorization': `Bearer ${token}`,
+                            'Content-Type': 'application/json'
+                        },
+                        responseType: 'arraybuffer', // Important: Get response as binary data (image)
+                        timeout
+                    }
+                );
+                return {
+                    buffer: Buffer.from(response.data),
+                    contentType: response.headers['content-type'] || 'image/png', // Default to png if not specified
+                    metadata: {
+                        provider: 'huggingface',
+                        model: url.split('/models/')[1] || url
+                    }
+                };
+            } catch (error) {
+                console.error('Hugging Face provider error:', error.response ? describeResponseBody(error.response.data) : error.message);
+                throw toProviderError(error, ERROR_CONTEXT);
+            }
+        }
+    };
+}
+
+module.exports = createHuggingFaceProvider;
@@ -0,0 +1,127 @@
+// services/providers/index.js
+// Registry of image-generation providers.
+// Every provider exposes the same interface:
+//   name: string
+//   isConfigured(): boolean
+//   generate(prompt, options) -> Promise<{ buffer, contentType, metadata }>
+// where options may include { mood, moods, style, colors, seed, negativePrompt, width, height };
+// mood is the dominant mood name and moods the weighted blend [{ mood, weight }].
+const { ProviderError } = require('./errors');
+const createHuggingFaceProvider = require('./huggingface');
+const createJsonBase64Provider = require('./jsonBase64');
+const createHttpProvider = require('./http');
+const createProceduralProvider = require('./procedural');
+
+// Factories for the built-in providers, keyed by the name used in ART_PROVIDERS and per-request selection.
+const factories = {
+    huggingface: createHuggingFaceProvider,
+    json: createJsonBase64Provider,
+    http: createHttpProvider,
+    procedural: createProceduralProvider
+};
+
+// Provider instances are created lazily (so .env is loaded first) and cached.
+const instances = new Map();
+
+// Registers a provider under a name. Accepts either a provider object or a factory returning one.
+// Also used to swap a built-in provider for one pointed at a local stub server in tests.
+function registerProvider(name, providerOrFactory) {
+    if (typeof providerOrFactory === 'function') {
+        factories[name] = providerOrFactory;
+        instances.delete(name);
+    } else {
+        instances.set(name, providerOrFactory);
+    }
+}
+
+// Returns the provider instance for a name, or null if no such provider exists.
+function getProvider(name) {
+    if (!instances.has(name)) {
+        if (!factories[name]) return null;
+        instances.set(name, factories[name]());
+    }
+    return instances.get(name);
+}
+
+const listProviders = () => [...new Set([...Object.keys(factories), ...instances.keys()])];
+
+// Deployment-wide fallback order. ART_PROVIDERS (e.g., "huggingface,json,procedural") sets it explicitly;
+// otherwise every configured remote provider is tried first and the procedural engine comes last.
+function getDefaultOrder() {
+    if (process.env.ART_PROVIDERS) {
+        return process.env.ART_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+    }
+    const remote = ['huggingface', 'json', 'http'].filter(name => getProvider(name).isConfigured());
+    return [...remote, 'procedural'];
+}
+
+// Works out which providers to try, in order. A provider requested for a single generation
+// goes first, followed by the deployment order as fallbacks.
+function resolveProviderOrder(requested) {
+    const order = getDefaultOrder();
+    if (!requested) {
+        return order;
+    }
+    const name = String(requested).trim().toLowerCase();
+    const provider = getProvider(name);
+    if (!provider) {
+        throw new ProviderError(`Unknown art provider "${requested}". Available providers: ${listProviders().join(', ')}.`, { status: 400 });
+    }
+    if (!provider.isConfigured()) {
+        throw new ProviderError(`Art provider "${name}" is not configured on this server.`, { status: 400, provider: name });
+    }
+    return [name, ...order.filter(other => other !== name)];
+}
+
+// Generates an image, falling back to the next provider when one fails with a retryable
+// error (429, 5xx, connection problems). Non-retryable errors (e.g., 401) are thrown right away.
+// options.provider selects a preferred provider for this request; with options.fallback set to false
+// only that provider is tried (re-generating a piece has to use the provider that made it).
+// Resolves { buffer, contentType, metadata, latencyMs, failures }, latencyMs being the time the
+// successful provider took.
+async function generateImage(prompt, options = {}) {
+    const { provider: requested, fallback = true, ...generationOptions } = options;
+    const resolved = resolveProviderOrder(requested);
+    const order = requested && !fallback ? resolved.slice(0, 1) : resolved;
+    const failures = [];
+    let lastError = null;
+
+    for (const name of order) {
+        const provider = getProvider(name);
+        if (!provider || !provider.isConfigured()) {
+            continue;
+        }
+        try {
+            const startedAt = Date.now();
+            const result = await provider.generate(prompt, generationOptions);
+            return {
+                ...result,
+                metadata: { provider: name, ...result.metadata },
+                latencyMs: Date.now() - startedAt,
+                failures // Providers that were skipped due to errors before this one succeeded
+            };
+        } catch (error) {
+            lastError = error;
+            failures.push({ provider: name, message: error.message, status: error.status });
+            if (!error.retryable) {
+                break;
+            }
+            console.warn(`Art provider "${name}" failed (${error.message}). Trying the next provider.`);
+        }
+    }
+
+    if (!lastError) {
+        lastError = new ProviderError('No art provider is configured. Check ART_PROVIDERS and the provider settings in .env.', { status: 503 });
+    }
+    lastError.failures = failures;
+    throw lastError;
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    listProviders,
+    resolveProviderOrder,
+    generateImage,
+    ProviderError
+};
@@ -0,0 +1,79 @@
+// services/providers/jsonBase64.js
+const axios = require('axios');
+const { ProviderError, toProviderError, describeResponseBody } = require('./errors');
+
+const ERROR_CONTEXT = { provider: 'json', label: 'Image API', tokenEnv: 'ART_JSON_API_TOKEN', urlEnv: 'ART_JSON_API_URL' };
+
+// Finds the base64 image in the response of a Stability- or OpenAI-style API.
+// Supported shapes:
+// - OpenAI images:   { data: [{ b64_json }] }
+// - Stability v1:    { artifacts: [{ base64, seed }] }
+// - Stability v2:    { image, seed }
+function extractBase64Image(body) {
+    if (body && Array.isArray(body.data) && body.data[0] && body.data[0].b64_json) {
+        return { base64: body.data[0].b64_json, seed: body.data[0].seed };
+    }
+    if (body && Array.isArray(body.artifacts) && body.artifacts[0] && body.artifacts[0].base64) {
+        return { base64: body.artifacts[0].base64, seed: body.artifacts[0].seed };
+    }
+    if (body && typeof body.image === 'string') {
+        return { base64: body.image, seed: body.seed };
+    }
+    return null;
+}
+
+// Adapter for JSON APIs that return the generated image base64-encoded (Stability AI, OpenAI Images, and compatibles).
+// config: { url, token, model, timeout } — defaults to ART_JSON_API_URL / ART_JSON_API_TOKEN / ART_JSON_API_MODEL
+function createJsonBase64Provider(config = {}) {
+    const url = config.url || process.env.ART_JSON_API_URL;
+    const token = config.token || process.env.ART_JSON_API_TOKEN;
+    const model = config.model || process.env.ART_JSON_API_MODEL;
+    const timeout = Number(config.timeout || process.env.ART_API_TIMEOUT_MS || 120000);
+
+    return {
+        name: 'json',
+        isConfigured: () => Boolean(url && token),
+
+        async generate(prompt, options = {}) {
+            if (!url || !token) {
+                throw new ProviderError('JSON image provider is not configured. Set ART_JSON_API_URL and ART_JSON_API_TOKEN.', { provider: 'json', status: 503 });
+            }
+            // The union of the common request fields; APIs ignore the ones they don't know
+            const body = { prompt, n: 1, response_format: 'b64_json' };
+            if (model) body.model = model;
+            if (options.negativePrompt) body.negative_prompt = options.negativePrompt;
+            if (options.seed !== undefined && options.seed !== null) body.seed = options.seed;
+            if (options.width && options.height) body.size = `${options.width}x${options.height}`;
+
+            try {
+                const response = await axios.post(url, body, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`,
+                        'Content-Type': 'application/json',
+                        'Accept': 'application/json'
+                    },
+                    timeout
+                });
+                const image = extractBase64Image(response.data);
+                if (!image) {
+                    throw new ProviderError('Image API response did not contain a base64 image.', { provider: 'json', status: 502 });
+                }
+                return {
+                    buffer: Buffer.from(image.base64, 'base64'),
+                    contentType: 'image/png', // These APIs return PNG unless configured otherwise
+                    metadata: {
+                        provider: 'json',
+                        model: model || null,
+                        seed: image.seed !== undefined ? image.seed : options.seed
+                    }
+                };
+            } catch (error) {
+                console.error('JSON image provider error:', error.response ? describeResponseBody(error.response.data) : error.message);
+                throw toProviderError(error, ERROR_CONTEXT);
+            }
+        }
+    };
+}
+
+module.exports = createJsonBase64Provider;
+module.exports.extractBase64Image = extractBase64Image;
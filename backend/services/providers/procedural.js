@@ -0,0 +1,39 @@
+// services/providers/procedural.js
+const { generateProceduralArt } = require('../artEngine');
+
+// Local provider backed by the offline procedural art engine.
+// Always configured, needs no network, and doubles as the mock provider for development and tests.
+// config: { delay } — simulated generation time in ms (defaults to MOCK_ART_DELAY_MS, or 3000)
+function createProceduralProvider(config = {}) {
+    const delay = Number(config.delay ?? process.env.MOCK_ART_DELAY_MS ?? 3000);
+
+    return {
+        name: 'procedural',
+        isConfigured: () => true,
+
+        async generate(prompt, options = {}) {
+            const { style, colors, seed, width, height } = options;
+            // Prefer the weighted blend; without any mood, use the first part of the prompt (e.g., 'Happy, ...')
+            const mood = (options.moods && options.moods.length > 0 ? options.moods : null) || options.mood || prompt.split(',')[0].trim();
+            const art = await generateProceduralArt({ mood, style, colors, seed, width, height });
+
+            // Simulate API call delay for time-lapse effect on frontend (set MOCK_ART_DELAY_MS=0 to disable)
+            if (delay > 0) {
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+
+            return {
+                buffer: art.png,
+                contentType: 'image/png',
+                metadata: {
+                    provider: 'procedural',
+                    model: `procedural-${art.style}`,
+                    seed: art.seed,
+                    palette: art.palette
+                }
+            };
+        }
+    };
+}
+
+module.exports = createProceduralProvider;
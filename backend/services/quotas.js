@@ -0,0 +1,91 @@
+// services/quotas.js
+// Daily art generation quotas. Every generation counts against the account's tier quota
+// (or the anonymous quota when not logged in) and against a per-IP quota, so one network can't
+// spend the paid provider and storage budget through many accounts. Quotas reset at midnight UTC.
+const User = require('../models/User');
+const { getStore } = require('./rateLimit');
+
+const TIERS = {
+    anonymous: Number(process.env.QUOTA_ANONYMOUS_DAILY || 5),
+    free: Number(process.env.QUOTA_FREE_DAILY || 30),
+    pro: Number(process.env.QUOTA_PRO_DAILY || 300)
+};
+const IP_DAILY_LIMIT = Number(process.env.QUOTA_IP_DAILY || 100);
+
+// Error for an exhausted quota; carries the seconds until it resets
+class QuotaError extends Error {
+    constructor(message, retryAfterSeconds) {
+        super(message);
+        this.name = 'QuotaError';
+        this.status = 429;
+        this.retryAfterSeconds = retryAfterSeconds;
+    }
+}
+
+// Today's date (UTC) and when the quota day ends
+function quotaDay(now = new Date()) {
+    const day = now.toISOString().slice(0, 10);
+    const resetsAt = new Date(`${day}T00:00:00.000Z`);
+    resetsAt.setUTCDate(resetsAt.getUTCDate() + 1);
+    return { day, resetsAt, ttlMs: resetsAt.getTime() - now.getTime() + 60 * 60 * 1000 };
+}
+
+// The account tier of the requester ('anonymous', 'free' or 'pro')
+async function tierFor(req) {
+    if (!req.user || !req.user.id) return 'anonymous';
+    const user = await User.findById(req.user.id).select('tier');
+    return user && TIERS[user.tier] !== undefined ? user.tier : 'free';
+}
+
+// The quota counters that apply to a request: [{ scope, key, limit }]
+async function quotaCounters(req, day) {
+    const tier = await tierFor(req);
+    const account = req.user && req.user.id
+        ? { scope: 'account', key: `quota:user:${req.user.id}:${day}`, limit: TIERS[tier] }
+        : { scope: 'account', key: `quota:anon:${req.ip}:${day}`, limit: TIERS.anonymous };
+    return { tier, counters: [account, { scope: 'ip', key: `quota:ip:${req.ip}:${day}`, limit: IP_DAILY_LIMIT }] };
+}
+
+// Counts one generation against the request's quotas. Throws QuotaError (and counts nothing) when
+// a quota is used up. Returns refund(), which gives the generation back (e.g., when the request fails).
+async function consumeGeneration(req) {
+    const { day, resetsAt, ttlMs } = quotaDay();
+    const { counters } = await quotaCounters(req, day);
+    const store = getStore();
+
+    const counted = [];
+    const refund = () => Promise.all(counted.map(key => store.increment(key, -1, ttlMs)));
+    for (const { scope, key, limit } of counters) {
+        const used = await store.increment(key, 1, ttlMs);
+        counted.push(key);
+        if (used > limit) {
+            await refund();
+            const retryAfterSeconds = Math.ceil((resetsAt.getTime() - Date.now()) / 1000);
+            throw new QuotaError(scope === 'ip'
+                ? 'The daily art generation limit for your network has been reached. Please try again tomorrow.'
+                : `You have used all ${limit} art generations for today. Your quota resets at midnight UTC.`, retryAfterSeconds);
+        }
+    }
+    return refund;
+}
+
+// Today's quota usage for the requester:
+// { tier, resetsAt, account: { limit, used, remaining }, ip: { limit, used, remaining } }
+async function getQuotaUsage(req) {
+    const { day, resetsAt } = quotaDay();
+    const { tier, counters } = await quotaCounters(req, day);
+    const usage = { tier, resetsAt };
+    for (const { scope, key, limit } of counters) {
+        const used = Math.max(0, await getStore().get(key));
+        usage[scope] = { limit, used, remaining: Math.max(0, limit - used) };
+    }
+    return usage;
+}
+
+module.exports = {
+    TIERS,
+    IP_DAILY_LIMIT,
+    QuotaError,
+    consumeGeneration,
+    getQuotaUsage
+};
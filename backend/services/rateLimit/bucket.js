@@ -0,0 +1,18 @@
+// services/rateLimit/bucket.js
+// Token bucket math shared by the limit stores. A bucket holds up to 'capacity' tokens and gains
+// 'refillPerMs' tokens per millisecond; every request takes one (or 'cost') token.
+
+// Tokens in a bucket ({ tokens, updatedAt }) at time 'now', after refilling
+function refillBucket({ tokens, updatedAt }, { capacity, refillPerMs, now }) {
+    return Math.min(capacity, tokens + Math.max(0, now - updatedAt) * refillPerMs);
+}
+
+// Milliseconds until the bucket holds 'needed' tokens again (0 if it already does)
+function msUntil(tokens, needed, refillPerMs) {
+    return tokens >= needed ? 0 : Math.ceil((needed - tokens) / refillPerMs);
+}
+
+module.exports = {
+    refillBucket,
+    msUntil
+};
@@ -0,0 +1,99 @@
+// services/rateLimit/index.js
+// Token-bucket rate limits and daily counters. Every store exposes the same interface:
+//   name: string
+//   take(key, { capacity, refillPerMs, cost }) -> Promise<{ allowed, tokens }>  (tokens left afterwards)
+//   peek(key, { capacity, refillPerMs }) -> Promise<{ tokens }>
+//   increment(key, amount, ttlMs) -> Promise<number>  (counter value; the ttl starts when it is created)
+//   get(key) -> Promise<number>
+// RATE_LIMIT_STORE picks the store: 'memory' (default) or 'redis' (REDIS_URL).
+const createMemoryStore = require('./memory');
+const createRedisStore = require('./redis');
+const { msUntil } = require('./bucket');
+
+const factories = {
+    memory: createMemoryStore,
+    redis: createRedisStore
+};
+
+// Limits per route group, as '<requests>/<period>' (e.g., '5/1m' = a burst of 5, refilling 5 per minute).
+// Each can be overridden with an environment variable.
+const LIMITS = {
+    generate: process.env.RATE_LIMIT_GENERATE || '5/1m', // POST /api/art and accepting collaborations
+    invite: process.env.RATE_LIMIT_INVITE || '20/1h', // Sending collaboration invitations
+    auth: process.env.RATE_LIMIT_AUTH || '10/15m', // Login, signup and token refresh
+    password: process.env.RATE_LIMIT_PASSWORD || '5/1h', // Password reset emails and resets
+    export: process.env.RATE_LIMIT_EXPORT || '10/1h', // Queueing ZIP, PDF and animation exports
+    room: process.env.RATE_LIMIT_ROOM || '60/1m', // Messages sent over collaboration room sockets
+    report: process.env.RATE_LIMIT_REPORT || '20/1h' // Reporting art pieces to the moderators
+};
+
+const PERIOD_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+// Parses '<requests>/<number><s|m|h|d>' into { capacity, periodMs, refillPerMs }
+function parseLimitSpec(spec) {
+    const match = /^(\d+)\s*\/\s*(\d*)\s*([smhd])$/.exec(String(spec).trim());
+    if (!match || Number(match[1]) < 1) {
+        throw new Error(`Invalid rate limit "${spec}". Use '<requests>/<period>', e.g. '5/1m' or '100/1d'.`);
+    }
+    const capacity = Number(match[1]);
+    const periodMs = Number(match[2] || 1) * PERIOD_MS[match[3]];
+    return { capacity, periodMs, refillPerMs: capacity / periodMs };
+}
+
+let store = null;
+
+// Returns the configured store (created on first use, so .env is loaded first)
+function getStore() {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!factories[name]) {
+            throw new Error(`Unknown rate limit store "${name}". Available stores: ${Object.keys(factories).join(', ')}.`);
+        }
+        store = factories[name]();
+    }
+    return store;
+}
+
+// Replaces the store (e.g., with a fresh memory store in tests)
+function setStore(newStore) {
+    store = newStore;
+}
+
+// Who a limit applies to: the logged-in user, otherwise the client IP
+const clientKey = req => (req.user && req.user.id ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+// Takes a token from the named limit for the request.
+// Returns { allowed, limit, remaining, resetSeconds, retryAfterSeconds, policy }.
+async function takeToken(name, req, cost = 1) {
+    const { capacity, periodMs, refillPerMs } = parseLimitSpec(LIMITS[name]);
+    const { allowed, tokens } = await getStore().take(`rate:${name}:${clientKey(req)}`, { capacity, refillPerMs, cost });
+    return {
+        allowed,
+        limit: capacity,
+        remaining: Math.floor(tokens),
+        resetSeconds: Math.ceil(msUntil(tokens, capacity, refillPerMs) / 1000), // Until the bucket is full again
+        retryAfterSeconds: Math.max(1, Math.ceil(msUntil(tokens, cost, refillPerMs) / 1000)),
+        policy: `${capacity};w=${Math.round(periodMs / 1000)}`
+    };
+}
+
+// Reads the named limit for the request without taking a token: { limit, remaining, resetSeconds }
+async function peekToken(name, req) {
+    const { capacity, refillPerMs } = parseLimitSpec(LIMITS[name]);
+    const { tokens } = await getStore().peek(`rate:${name}:${clientKey(req)}`, { capacity, refillPerMs });
+    return {
+        limit: capacity,
+        remaining: Math.floor(tokens),
+        resetSeconds: Math.ceil(msUntil(tokens, capacity, refillPerMs) / 1000)
+    };
+}
+
+module.exports = {
+    LIMITS,
+    parseLimitSpec,
+    getStore,
+    setStore,
+    clientKey,
+    takeToken,
+    peekToken
+};
@@ -0,0 +1,54 @@
+// services/rateLimit/memory.js
+// In-process limit store. Fine for a single server; use the Redis store when running several instances.
+const { refillBucket } = require('./bucket');
+
+module.exports = function createMemoryStore() {
+    const buckets = new Map(); // key -> { tokens, updatedAt, expiresAt }
+    const counters = new Map(); // key -> { value, expiresAt }
+
+    // Drops expired entries now and then so idle keys don't pile up
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        buckets.forEach((bucket, key) => { if (bucket.expiresAt <= now) buckets.delete(key); });
+        counters.forEach((counter, key) => { if (counter.expiresAt <= now) counters.delete(key); });
+    }, 60 * 1000);
+    sweep.unref(); // Don't keep the process alive just for this
+
+    const liveCounter = (key, now) => {
+        const counter = counters.get(key);
+        return counter && counter.expiresAt > now ? counter : null;
+    };
+
+    return {
+        name: 'memory',
+
+        async take(key, { capacity, refillPerMs, cost = 1 }) {
+            const now = Date.now();
+            const bucket = buckets.get(key);
+            const tokens = bucket && bucket.expiresAt > now ? refillBucket(bucket, { capacity, refillPerMs, now }) : capacity;
+            const allowed = tokens >= cost;
+            const left = allowed ? tokens - cost : tokens;
+            buckets.set(key, { tokens: left, updatedAt: now, expiresAt: now + Math.ceil((capacity - left) / refillPerMs) + 1000 });
+            return { allowed, tokens: left };
+        },
+
+        async peek(key, { capacity, refillPerMs }) {
+            const now = Date.now();
+            const bucket = buckets.get(key);
+            return { tokens: bucket && bucket.expiresAt > now ? refillBucket(bucket, { capacity, refillPerMs, now }) : capacity };
+        },
+
+        async increment(key, amount, ttlMs) {
+            const now = Date.now();
+            const counter = liveCounter(key, now) || { value: 0, expiresAt: now + ttlMs };
+            counter.value += amount;
+            counters.set(key, counter);
+            return counter.value;
+        },
+
+        async get(key) {
+            const counter = liveCounter(key, Date.now());
+            return counter ? counter.value : 0;
+        }
+    };
+};
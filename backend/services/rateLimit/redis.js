@@ -0,0 +1,73 @@
+// services/rateLimit/redis.js
+// Limit store on a Redis-compatible server (REDIS_URL), shared by every server instance.
+// Buckets and counters are updated by Lua scripts, so each update is atomic on the server.
+const Redis = require('ioredis');
+const { refillBucket } = require('./bucket');
+
+const KEY_PREFIX = process.env.RATE_LIMIT_PREFIX || 'mood-art:limit:';
+
+// KEYS[1] = bucket; ARGV = capacity, refill per ms, cost, now (ms). Returns { allowed (0/1), tokens (string) }.
+const TAKE_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refill = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local now = tonumber(ARGV[4])
+local data = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+local tokens = tonumber(data[1]) or capacity
+local ts = tonumber(data[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - ts) * refill)
+local allowed = 0
+if tokens >= cost then
+    tokens = tokens - cost
+    allowed = 1
+end
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+redis.call('PEXPIRE', KEYS[1], math.ceil((capacity - tokens) / refill) + 1000)
+return { allowed, tostring(tokens) }
+`;
+
+// KEYS[1] = counter; ARGV = amount, ttl (ms). Sets the expiry only when the counter is created.
+const INCREMENT_SCRIPT = `
+local value = redis.call('INCRBY', KEYS[1], ARGV[1])
+if redis.call('PTTL', KEYS[1]) < 0 then
+    redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return value
+`;
+
+module.exports = function createRedisStore() {
+    if (!process.env.REDIS_URL) {
+        throw new Error('RATE_LIMIT_STORE=redis needs REDIS_URL (e.g., redis://localhost:6379).');
+    }
+    const client = new Redis(process.env.REDIS_URL, {
+        keyPrefix: KEY_PREFIX, // Also applied to the scripts' KEYS
+        maxRetriesPerRequest: 1, // Fail fast: while Redis is down, requests are let through (see middleware/rateLimit.js)
+        connectTimeout: 5000
+    });
+    client.on('error', err => console.error('Rate limit store (Redis):', err.message));
+    client.defineCommand('takeToken', { numberOfKeys: 1, lua: TAKE_SCRIPT });
+    client.defineCommand('incrementCounter', { numberOfKeys: 1, lua: INCREMENT_SCRIPT });
+
+    return {
+        name: 'redis',
+
+        async take(key, { capacity, refillPerMs, cost = 1 }) {
+            const [allowed, tokens] = await client.takeToken(key, capacity, refillPerMs, cost, Date.now());
+            return { allowed: allowed === 1, tokens: Number(tokens) };
+        },
+
+        async peek(key, { capacity, refillPerMs }) {
+            const [tokens, updatedAt] = await client.hmget(key, 'tokens', 'ts');
+            if (tokens === null || updatedAt === null) return { tokens: capacity };
+            return { tokens: refillBucket({ tokens: Number(tokens), updatedAt: Number(updatedAt) }, { capacity, refillPerMs, now: Date.now() }) };
+        },
+
+        async increment(key, amount, ttlMs) {
+            return client.incrementCounter(key, amount, Math.ceil(ttlMs));
+        },
+
+        async get(key) {
+            return Number(await client.get(key)) || 0;
+        }
+    };
+};
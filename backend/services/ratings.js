@@ -0,0 +1,143 @@
+// services/ratings.js
+// Star ratings with per-user tracking. Aggregates on the Art document (count, sum, average and a
+// Bayesian score) are updated with a single atomic update per change, so concurrent votes are never lost.
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const Rating = require('../models/Rating');
+const { canView } = require('./artPermissions');
+
+// Bayesian average: every piece starts as if it already had PRIOR_WEIGHT ratings of PRIOR_MEAN stars,
+// so one 5-star vote doesn't put a new piece above one with hundreds of 4.8-star votes.
+const PRIOR_MEAN = Number(process.env.RATING_PRIOR_MEAN || 3);
+const PRIOR_WEIGHT = Number(process.env.RATING_PRIOR_WEIGHT || 5);
+// How many pieces one IP address may rate anonymously per hour
+const ANON_VOTES_PER_HOUR = Number(process.env.ANON_VOTES_PER_HOUR || 20);
+
+// Error for rating problems that map to a specific HTTP status
+class RatingError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RatingError';
+        this.status = status;
+    }
+}
+
+const keyedHash = value => crypto.createHmac('sha256', process.env.JWT_SECRET || 'mood-art').update(value).digest('hex');
+
+// Works out who is voting: the logged-in user, or an anonymous fingerprint derived from IP + user agent
+function getVoterIdentity(req) {
+    if (req.user && req.user.id) {
+        return { userId: req.user.id };
+    }
+    const ip = req.ip || '';
+    return {
+        fingerprint: keyedHash(`${ip}|${req.get('user-agent') || ''}`),
+        ipHash: keyedHash(ip)
+    };
+}
+
+// Mongo filter for the voter's own rating of a piece
+const ownRatingFilter = (artId, voter) => (voter.userId
+    ? { artId, userId: voter.userId }
+    : { artId, fingerprint: voter.fingerprint });
+
+// Applies a change in rating count/sum to the Art aggregates in one atomic pipeline update
+async function applyRatingDelta(artId, countDelta, sumDelta) {
+    return Art.findOneAndUpdate(
+        { _id: artId },
+        [
+            {
+                $set: {
+                    'rating.count': { $add: [{ $ifNull: ['$rating.count', 0] }, countDelta] },
+                    'rating.sum': { $add: [{ $ifNull: ['$rating.sum', 0] }, sumDelta] }
+                }
+            },
+            {
+                $set: {
+                    votes: '$rating.count', // Kept for older clients: the number of ratings
+                    'rating.average': {
+                        $cond: [{ $gt: ['$rating.count', 0] }, { $divide: ['$rating.sum', '$rating.count'] }, 0]
+                    },
+                    'rating.score': {
+                        $divide: [{ $add: [PRIOR_WEIGHT * PRIOR_MEAN, '$rating.sum'] }, { $add: [PRIOR_WEIGHT, '$rating.count'] }]
+                    }
+                }
+            }
+        ],
+        { new: true }
+    );
+}
+
+// Creates or changes the voter's rating of a piece they can see (shareToken opens unlisted pieces).
+// Returns the updated Art document.
+async function rateArt(artId, voter, stars, { shareToken } = {}) {
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+        throw new RatingError('Rating must be a whole number from 1 to 5 stars.', 400);
+    }
+    const art = mongoose.isValidObjectId(artId)
+        ? await Art.findById(artId).select('userId collaborators visibility shareToken')
+        : null;
+    if (!art || !canView(art, voter.userId, { shareToken })) {
+        throw new RatingError('Art piece not found.', 404);
+    }
+
+    // Anonymous voters get a limited number of new votes per hour from one IP
+    if (!voter.userId) {
+        const alreadyRated = await Rating.exists(ownRatingFilter(artId, voter));
+        if (!alreadyRated) {
+            const recentVotes = await Rating.countDocuments({ ipHash: voter.ipHash, createdAt: { $gte: new Date(Date.now() - 60 * 60 * 1000) } });
+            if (recentVotes >= ANON_VOTES_PER_HOUR) {
+                throw new RatingError('Too many anonymous votes from your network. Log in or try again later.', 429);
+            }
+        }
+    }
+
+    // Upsert atomically and get the previous rating (null for a new vote) to compute the delta.
+    // Two simultaneous first votes can race on the unique index; the loser retries as an update.
+    const upsert = () => Rating.findOneAndUpdate(
+        ownRatingFilter(artId, voter),
+        { $set: { stars }, $setOnInsert: voter.ipHash ? { ipHash: voter.ipHash } : {} },
+        { upsert: true, new: false, runValidators: true }
+    );
+    let previous;
+    try {
+        previous = await upsert();
+    } catch (err) {
+        if (err.code !== 11000) throw err;
+        previous = await upsert();
+    }
+
+    return previous
+        ? applyRatingDelta(artId, 0, stars - previous.stars)
+        : applyRatingDelta(artId, 1, stars);
+}
+
+// Removes the voter's rating of a piece. Returns the updated Art document.
+async function retractRating(artId, voter) {
+    if (!mongoose.isValidObjectId(artId)) {
+        throw new RatingError('Art piece not found.', 404);
+    }
+    const removed = await Rating.findOneAndDelete(ownRatingFilter(artId, voter));
+    if (!removed) {
+        throw new RatingError('You have not rated this art piece.', 404);
+    }
+    return applyRatingDelta(artId, -1, -removed.stars);
+}
+
+// The voter's current rating of a piece (number of stars), or null
+async function getOwnRating(artId, voter) {
+    if (!mongoose.isValidObjectId(artId)) return null;
+    const rating = await Rating.findOne(ownRatingFilter(artId, voter));
+    return rating ? rating.stars : null;
+}
+
+module.exports = {
+    PRIOR_MEAN,
+    PRIOR_WEIGHT,
+    RatingError,
+    getVoterIdentity,
+    rateArt,
+    retractRating,
+    getOwnRating
+};
@@ -0,0 +1,242 @@
+// services/realtime/roomSocket.js
+// WebSocket endpoint for live collaboration rooms (see services/rooms.js).
+// Connect to ws(s)://<host>/api/rooms/socket?token=<access token>[&code=<join code>]; the token is
+// the same JWT the REST API takes in x-auth-token (clients that can set headers may send that instead).
+//
+// Client messages (JSON):
+//   { type: 'join', code }            join a room (also done on connect when ?code= is given)
+//   { type: 'select', mood, text }    pick your mood and an optional diary line
+//   { type: 'ready', ready }          mark yourself ready (or not); when everyone is, generation starts
+//   { type: 'leave' }                 leave the room; { type: 'close' } closes it for everyone (host only)
+// Server messages:
+//   { type: 'room', room }            the room after every change (participants, selections, who is online)
+//   { type: 'generating', job }       generation started; then { type: 'progress', job } updates
+//   { type: 'done', art } / { type: 'failed', error }
+//   { type: 'closed' }                the host closed the room
+//   { type: 'error', msg, code, ... } a message was refused (code: 'room_error', 'prompt_rejected', ...)
+const { createSocketServer, acceptUpgrade, rejectUpgrade, startHeartbeat } = require('./websocket');
+const { verifyAccessToken } = require('../tokens');
+const { jobEvents } = require('../jobQueue');
+const { takeToken } = require('../rateLimit');
+const { moderateArtParams } = require('../moderation');
+const rooms = require('../rooms');
+
+const ROOM_SOCKET_PATH = '/api/rooms/socket';
+
+const connections = new Set();
+const members = new Map(); // Room id -> Set of connections in that room
+const followedJobs = new Set(); // Job ids whose events are being broadcast
+
+// User ids of the participants connected to a room
+const onlineIn = roomId => [...(members.get(roomId) || [])].map(connection => connection.user.id);
+
+function broadcast(roomId, message) {
+    (members.get(roomId) || []).forEach(connection => connection.send(message));
+}
+
+const broadcastRoom = room => broadcast(room.id, { type: 'room', room: room.toClient(onlineIn(room.id)) });
+
+function addMember(connection, roomId) {
+    if (connection.roomId === roomId) return;
+    removeMember(connection);
+    if (!members.has(roomId)) members.set(roomId, new Set());
+    members.get(roomId).add(connection);
+    connection.roomId = roomId;
+}
+
+function removeMember(connection) {
+    const roomId = connection.roomId;
+    if (!roomId) return;
+    const set = members.get(roomId);
+    if (set) {
+        set.delete(connection);
+        if (set.size === 0) members.delete(roomId);
+    }
+    connection.roomId = null;
+}
+
+// Broadcasts a generation job's progress to its room until it is done or failed
+function followJob(roomId, jobId) {
+    if (!jobId || followedJobs.has(jobId)) return;
+    followedJobs.add(jobId);
+    const onUpdate = async (update) => {
+        if (update.state === 'done') {
+            broadcast(roomId, { type: 'done', job: update, art: update.art });
+        } else if (update.state === 'failed') {
+            broadcast(roomId, { type: 'failed', job: update, error: update.error });
+            const reopened = await rooms.reopenRoom(roomId).catch(() => null);
+            if (reopened) broadcastRoom(reopened);
+        } else {
+            broadcast(roomId, { type: 'progress', job: update });
+            return;
+        }
+        jobEvents.removeListener(`job:${jobId}`, onUpdate);
+        followedJobs.delete(jobId);
+    };
+    jobEvents.on(`job:${jobId}`, onUpdate);
+}
+
+// Sends a refused message back to its sender
+function sendError(connection, err, type) {
+    if (err.name === 'ModerationError') {
+        return connection.send({ type: 'error', request: type, ...err.toResponse() });
+    }
+    if (['RoomError', 'MoodInputError', 'QuotaError', 'ProviderError'].includes(err.name) || err.name === 'ValidationError') {
+        const msg = err.name === 'ValidationError' ? Object.values(err.errors).map(val => val.message).join(', ') : err.message;
+        return connection.send({ type: 'error', request: type, code: err.name === 'QuotaError' ? 'quota_exceeded' : 'room_error', msg });
+    }
+    console.error(`Room socket error (${type}):`, err.message);
+    return connection.send({ type: 'error', request: type, code: 'server_error', msg: 'Server error in the room.' });
+}
+
+async function joinByCode(connection, code) {
+    const room = await rooms.joinRoom(code, connection.user.id);
+    addMember(connection, room.id);
+    broadcastRoom(room);
+    if (room.state === 'generating') followJob(room.id, room.jobId);
+}
+
+// The room the connection has joined, or a RoomError
+function currentRoomId(connection) {
+    if (!connection.roomId) {
+        throw new rooms.RoomError('Join a room first.', 400);
+    }
+    return connection.roomId;
+}
+
+const handlers = {
+    join: (connection, message) => joinByCode(connection, message.code),
+
+    async select(connection, message) {
+        const roomId = currentRoomId(connection);
+        // The diary line ends up in the prompt, so it goes through the same moderation as POST /api/art
+        await moderateArtParams({ prompt: message.text }, { userId: connection.user.id, ip: connection.ip, source: 'room socket' });
+        broadcastRoom(await rooms.selectMood(roomId, connection.user.id, message));
+    },
+
+    async ready(connection, message) {
+        const roomId = currentRoomId(connection);
+        const room = await rooms.setReady(roomId, connection.user.id, message.ready !== false);
+        broadcastRoom(room);
+        const job = await rooms.startIfReady(room, { user: connection.user, ip: connection.ip });
+        if (job) {
+            followJob(roomId, job.id);
+            broadcastRoom(await rooms.findRoom(roomId));
+            broadcast(roomId, { type: 'generating', job: job.toClient() });
+        }
+    },
+
+    async leave(connection) {
+        const roomId = currentRoomId(connection);
+        const room = await rooms.leaveRoom(roomId, connection.user.id);
+        removeMember(connection);
+        connection.send({ type: 'left', roomId });
+        broadcastRoom(room);
+    },
+
+    async close(connection) {
+        const roomId = currentRoomId(connection);
+        await rooms.closeRoom(roomId, connection.user.id);
+        broadcast(roomId, { type: 'closed', roomId });
+        [...(members.get(roomId) || [])].forEach(removeMember);
+    }
+};
+
+async function onMessage(connection, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (err) {
+        return connection.send({ type: 'error', code: 'bad_message', msg: 'Messages must be JSON.' });
+    }
+    const type = message && message.type;
+    if (!handlers[type]) {
+        return connection.send({ type: 'error', request: type, code: 'bad_message', msg: `Unknown message type "${type}".` });
+    }
+    const limit = await takeToken('room', { user: connection.user, ip: connection.ip }).catch(() => ({ allowed: true })); // Fail open like the HTTP limiter
+    if (!limit.allowed) {
+        return connection.send({ type: 'error', request: type, code: 'rate_limited', msg: 'Too many messages. Please slow down.', retryAfterSeconds: limit.retryAfterSeconds });
+    }
+    try {
+        await handlers[type](connection, message);
+    } catch (err) {
+        sendError(connection, err, type);
+    }
+    return undefined;
+}
+
+// The client IP, honoring X-Forwarded-For when the app trusts a proxy (TRUST_PROXY)
+const clientIp = req => (process.env.TRUST_PROXY && req.headers['x-forwarded-for']
+    ? String(req.headers['x-forwarded-for']).split(',')[0].trim()
+    : req.socket.remoteAddress);
+
+// Sets up an accepted connection: its user, message handling and presence
+async function onConnection(connection, { user, ip, code }) {
+    connection.user = user;
+    connection.ip = ip;
+    connection.roomId = null;
+    connections.add(connection);
+
+    connection.on('message', text => onMessage(connection, text));
+    connection.on('error', err => console.warn('Room socket connection error:', err.message));
+    connection.on('close', async () => {
+        connections.delete(connection);
+        const roomId = connection.roomId;
+        removeMember(connection);
+        if (roomId && members.has(roomId)) {
+            // Still in the room (just offline): others see the presence change
+            const room = await rooms.findRoom(roomId).catch(() => null);
+            if (room) broadcastRoom(room);
+        }
+    });
+
+    connection.send({ type: 'hello', userId: connection.user.id });
+    if (code) {
+        await joinByCode(connection, code).catch(err => sendError(connection, err, 'join'));
+    }
+}
+
+// Accepts room socket connections on the HTTP server (call once with the server from app.listen)
+function attachRoomSockets(server) {
+    const socketServer = createSocketServer();
+    startHeartbeat(connections);
+
+    server.on('upgrade', async (req, socket, head) => {
+        // The client may hang up while the token is checked; without a listener that error would crash
+        // the process. Once upgraded, errors reach the connection instead.
+        const onSocketError = err => console.warn('Room socket upgrade error:', err.message);
+        socket.on('error', onSocketError);
+
+        let connection;
+        let context;
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            if (url.pathname !== ROOM_SOCKET_PATH) {
+                return rejectUpgrade(socket, 404, 'Unknown WebSocket endpoint.');
+            }
+
+            let verified;
+            try {
+                verified = await verifyAccessToken(url.searchParams.get('token') || req.headers['x-auth-token']);
+            } catch (err) {
+                return rejectUpgrade(socket, 401, 'Invalid or expired authentication token.');
+            }
+
+            connection = await acceptUpgrade(socketServer, req, socket, head);
+            context = { user: verified.user, ip: clientIp(req), code: url.searchParams.get('code') };
+        } catch (err) {
+            // e.g. a request target that is not a valid URL ('//')
+            console.warn('Room socket upgrade refused:', err.message);
+            return rejectUpgrade(socket, 400, 'Bad WebSocket request.');
+        }
+
+        socket.removeListener('error', onSocketError);
+        await onConnection(connection, context);
+        return undefined;
+    });
+}
+
+module.exports = {
+    ROOM_SOCKET_PATH,
+    attachRoomSockets
+};
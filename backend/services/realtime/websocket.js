@@ -0,0 +1,106 @@
+// services/realtime/websocket.js
+// WebSocket plumbing for the app's JSON sockets, on top of the ws package: upgrading HTTP requests,
+// JSON messages and a heartbeat that drops clients which stopped answering pings.
+// Text messages only, up to 64 KB each.
+const EventEmitter = require('events');
+const { WebSocketServer, WebSocket } = require('ws');
+
+const MAX_MESSAGE_BYTES = 64 * 1024;
+const HEARTBEAT_MS = Number(process.env.WS_HEARTBEAT_MS || 30000); // Ping interval; a client missing one pong is dropped
+
+const STATUS_TEXT = { 400: 'Bad Request', 401: 'Unauthorized', 404: 'Not Found' };
+
+// One WebSocket connection. Emits 'message' (string), 'close' ({ code, reason }) and 'error'.
+class WebSocketConnection extends EventEmitter {
+    constructor(ws) {
+        super();
+        this.ws = ws;
+        this.alive = true;
+
+        ws.on('message', (data, isBinary) => {
+            if (isBinary) {
+                this.close(1003, 'Only text messages are supported');
+                return;
+            }
+            this.emit('message', data.toString('utf8'));
+        });
+        ws.on('pong', () => {
+            this.alive = true;
+        });
+        ws.on('error', err => this.emit('error', err));
+        ws.on('close', (code, reason) => this.emit('close', { code, reason: reason.toString('utf8') }));
+    }
+
+    get isOpen() {
+        return this.ws.readyState === WebSocket.OPEN;
+    }
+
+    // Sends a text message; objects are sent as JSON
+    send(data) {
+        if (!this.isOpen) return;
+        this.ws.send(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    ping() {
+        if (this.isOpen) this.ws.ping();
+    }
+
+    close(code = 1000, reason = '') {
+        this.ws.close(code, reason);
+    }
+
+    // Drops the connection without a closing handshake (for clients that stopped answering)
+    terminate() {
+        this.ws.terminate();
+    }
+}
+
+// A WebSocket server that only handles the upgrades it is given (see acceptUpgrade)
+const createSocketServer = () => new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+// Answers an upgrade request that can't be accepted with a plain HTTP error
+function rejectUpgrade(socket, status, message) {
+    if (!socket.writable) {
+        socket.destroy();
+        return;
+    }
+    const body = JSON.stringify({ msg: message });
+    socket.end(`HTTP/1.1 ${status} ${STATUS_TEXT[status] || 'Error'}\r\n`
+        + 'Content-Type: application/json\r\n'
+        + `Content-Length: ${Buffer.byteLength(body)}\r\n`
+        + 'Connection: close\r\n\r\n'
+        + body);
+}
+
+// Completes the opening handshake for an 'upgrade' request. Resolves with the WebSocketConnection;
+// requests that are not a valid WebSocket handshake are answered with a 400 by ws and never resolve.
+function acceptUpgrade(server, req, socket, head) {
+    return new Promise(resolve => {
+        server.handleUpgrade(req, socket, head, ws => resolve(new WebSocketConnection(ws)));
+    });
+}
+
+// Pings every connection in the set regularly and drops those that stopped answering.
+// Returns a function that stops the heartbeat.
+function startHeartbeat(connections) {
+    const timer = setInterval(() => {
+        connections.forEach(connection => {
+            if (!connection.alive) {
+                connection.terminate();
+                return;
+            }
+            connection.alive = false;
+            connection.ping();
+        });
+    }, HEARTBEAT_MS);
+    timer.unref();
+    return () => clearInterval(timer);
+}
+
+module.exports = {
+    WebSocketConnection,
+    createSocketServer,
+    acceptUpgrade,
+    rejectUpgrade,
+    startHeartbeat
+};
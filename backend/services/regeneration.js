@@ -0,0 +1,49 @@
+// services/regeneration.js
+// Re-generating a piece from its provenance (see services/artGeneration.js): the same provider, final
+// prompt, negative prompt, seed and parameters, with no fallback to another provider. Providers that
+// honour seeds (the procedural engine, most diffusion APIs) give back the very same image; the new piece
+// records whether they did by comparing content hashes. Changing anything is a remix (services/remix.js).
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { can } = require('./artPermissions');
+const { getProvider } = require('./providers');
+
+// Error for re-generation problems that map to a specific HTTP status
+class RegenerationError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RegenerationError';
+        this.status = status;
+    }
+}
+
+// Loads the piece 'artId' for re-generation by userId. Only its participants may re-generate it,
+// since the copy carries the piece's Mood Diary text into a piece of their own.
+async function findSource(artId, userId) {
+    const art = mongoose.isValidObjectId(artId) ? await Art.findById(artId) : null;
+    if (!art || !can(art, userId, 'view')) {
+        throw new RegenerationError('Art piece not found.', 404);
+    }
+    return art;
+}
+
+// Checks that the piece 'artId' can be reproduced. Returns { art, params }, params being the job params ({ artId }).
+// Pieces made before provenance was recorded, or by a provider this server no longer has, get a 409.
+async function planRegeneration(artId, userId) {
+    const art = await findSource(artId, userId);
+    const { provenance } = art;
+    if (!provenance || !provenance.provider || !provenance.finalPrompt || typeof provenance.seed !== 'number') {
+        throw new RegenerationError('This piece was made before generation details were recorded, so it can\'t be reproduced.', 409);
+    }
+    const provider = getProvider(provenance.provider);
+    if (!provider || !provider.isConfigured()) {
+        throw new RegenerationError(`Art provider "${provenance.provider}" that made this piece is not available on this server.`, 409);
+    }
+    return { art, params: { artId: String(art._id) } };
+}
+
+module.exports = {
+    RegenerationError,
+    findSource,
+    planRegeneration
+};
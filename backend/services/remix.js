@@ -0,0 +1,154 @@
+// services/remix.js
+// Remixes: a new piece generated from an existing one's mood blend, Mood Diary text, style, colors
+// and prompt options, with the user's changes applied on top. Every remix records its parent
+// (and the root of its lineage), so the whole family tree can be shown; remixing someone else's
+// piece credits its author (and the authors credited on it).
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { canView } = require('./artPermissions');
+
+// Fields a remix request may change; anything not sent is taken from the parent piece
+const REMIX_FIELDS = ['mood', 'moods', 'prompt', 'style', 'colors', 'preset', 'terms', 'negativePrompt', 'template', 'provider', 'seed'];
+const MAX_LINEAGE_DEPTH = 50;
+
+// Error for remix problems that map to a specific HTTP status
+class RemixError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RemixError';
+        this.status = status;
+    }
+}
+
+const findArt = async (id) => {
+    const art = mongoose.isValidObjectId(id) ? await Art.findById(id) : null;
+    if (!art) {
+        throw new RemixError('Art piece not found.', 404);
+    }
+    return art;
+};
+
+// Works out the job params and lineage for remixing the piece 'parentId'.
+// changes: the request body (see REMIX_FIELDS); remixerId: the remixing user (or null).
+// Public pieces can be remixed by anyone; unlisted and private ones only by their participants,
+// since a remix carries the parent's Mood Diary text into a piece they don't control.
+// Returns { params, lineage: { parentId, rootId, depth, credits } }.
+async function planRemix(parentId, changes, remixerId) {
+    const parent = await findArt(parentId);
+    if (!canView(parent, remixerId)) { // No share link here: being able to look at a piece doesn't make it yours to remix
+        throw new RemixError('Art piece not found.', 404);
+    }
+
+    const params = {
+        moods: parent.moods && parent.moods.length > 0 ? parent.moods.map(({ mood, weight }) => ({ mood, weight })) : parent.mood,
+        // Collaborative pieces store their generated prompt rather than Mood Diary text, so it isn't reused
+        prompt: parent.collaborators && parent.collaborators.length > 0 ? undefined : parent.prompt || undefined,
+        style: parent.style,
+        colors: parent.colors,
+        preset: parent.preset || undefined,
+        negativePrompt: undefined // The parent's negative prompt already includes template terms; only new ones are sent
+    };
+    REMIX_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) params[field] = changes[field];
+    });
+    if (changes.mood !== undefined && changes.moods === undefined) {
+        delete params.moods; // A single new mood replaces the parent's blend
+    }
+
+    // Credit the parent's author and everyone already credited on it, except the remixer
+    const credits = [...(parent.credits || []).map(({ userId, artId }) => ({ userId, artId }))];
+    if (parent.userId) {
+        credits.push({ userId: parent.userId, artId: parent._id });
+    }
+    const seen = new Set();
+    const uniqueCredits = credits.filter(({ userId }) => {
+        const key = String(userId);
+        if ((remixerId && key === String(remixerId)) || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+
+    return {
+        params,
+        lineage: {
+            parentId: parent._id,
+            rootId: parent.rootId || parent._id,
+            depth: (parent.depth || 0) + 1,
+            credits: uniqueCredits
+        }
+    };
+}
+
+// Nests a flat list of descendants ({ _id, parentId, ... }) under the piece 'rootId'
+function buildTree(rootId, descendants) {
+    const children = new Map();
+    descendants.forEach(node => {
+        const key = String(node.parentId);
+        if (!children.has(key)) children.set(key, []);
+        children.get(key).push(node);
+    });
+    const attach = id => (children.get(String(id)) || [])
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .map(node => ({ ...node, remixes: attach(node._id) }));
+    return attach(rootId);
+}
+
+// The lineage of a piece: its ancestors (oldest first, ending with the parent) and its
+// descendants as a tree (each node with 'remixes'), up to maxDepth generations down.
+// viewerId and shareToken decide what the viewer may see (see artPermissions.canView): the piece
+// itself must be visible, and family members that aren't (or were hidden by a moderator) are reduced
+// to { _id, parentId, restricted } so the tree keeps its shape. Returns { art, ancestors, descendants, descendantCount }.
+async function getLineage(artId, { maxDepth = 10, viewerId = null, shareToken } = {}) {
+    const art = await findArt(artId);
+    if (!canView(art, viewerId, { shareToken })) {
+        throw new RemixError('Art piece not found.', 404);
+    }
+    const depth = Math.min(Math.max(Number(maxDepth) || 10, 1), MAX_LINEAGE_DEPTH);
+
+    const [result] = await Art.aggregate([
+        { $match: { _id: art._id } },
+        {
+            $graphLookup: {
+                from: Art.collection.name,
+                startWith: '$parentId',
+                connectFromField: 'parentId',
+                connectToField: '_id',
+                as: 'ancestors',
+                maxDepth: MAX_LINEAGE_DEPTH,
+                depthField: 'distance'
+            }
+        },
+        {
+            $graphLookup: {
+                from: Art.collection.name,
+                startWith: '$_id',
+                connectFromField: '_id',
+                connectToField: 'parentId',
+                as: 'descendants',
+                maxDepth: depth - 1,
+                depthField: 'distance'
+            }
+        },
+        { $project: { ancestors: 1, descendants: 1 } }
+    ]);
+
+    // Turn the raw results back into documents so they serialize like everywhere else
+    const toClient = ({ distance, ...doc }) => (canView(doc, viewerId) && !(doc.moderation && doc.moderation.hidden)
+        ? Art.hydrate(doc).toJSON()
+        : { _id: doc._id, parentId: doc.parentId || null, createdAt: doc.createdAt, restricted: true });
+    const ancestors = result.ancestors.sort((a, b) => b.distance - a.distance).map(toClient);
+    const descendants = result.descendants.map(toClient);
+    return {
+        art,
+        ancestors,
+        descendants: buildTree(art._id, descendants),
+        descendantCount: descendants.length
+    };
+}
+
+module.exports = {
+    REMIX_FIELDS,
+    RemixError,
+    planRemix,
+    getLineage
+};
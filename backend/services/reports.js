@@ -0,0 +1,147 @@
+// services/reports.js
+// Reports of art pieces by users, and the moderators' queue of open reports. A report stays open
+// until a moderator hides or deletes the piece (which resolves every open report on it, see
+// services/admin.js) or dismisses it. Art.reportCount tracks the open reports of each piece.
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { canView, participantsOf } = require('./artPermissions');
+const { QueryError, parseLimit, findPage } = require('./pagination');
+
+// Error for report problems that map to a specific HTTP status
+class ReportError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ReportError';
+        this.status = status;
+    }
+}
+
+// Reports a piece the user can see: input { reason, details, shareToken } (shareToken opens unlisted
+// pieces). Returns the report.
+async function createReport(artId, reporterId, { reason, details, shareToken } = {}) {
+    const art = mongoose.isValidObjectId(artId) ? await Art.findById(artId) : null;
+    if (!art || !canView(art, reporterId, { shareToken })) {
+        throw new ReportError('Art piece not found.', 404);
+    }
+    if (participantsOf(art).includes(String(reporterId))) {
+        throw new ReportError('You cannot report your own art piece. Delete or hide it instead.');
+    }
+
+    let report;
+    try {
+        report = await Report.create({ artId: art._id, reporterId, reason, details });
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new ReportError('You have already reported this art piece.', 409);
+        }
+        throw err;
+    }
+    await Art.updateOne({ _id: art._id }, { $inc: { reportCount: 1 } });
+    return report;
+}
+
+// Loads a report, or throws a 404
+async function findReport(reportId) {
+    const report = mongoose.isValidObjectId(reportId) ? await Report.findById(reportId) : null;
+    if (!report) {
+        throw new ReportError('Report not found.', 404);
+    }
+    return report;
+}
+
+// Adds the reported piece (hidden pieces included, with their moderation details) and the
+// reporter's email to reports for the moderators
+async function withDetails(reports) {
+    const arts = await Art.find({ _id: { $in: reports.map(report => report.artId) } }).setOptions({ includeModerated: true });
+    const users = await User.find({ _id: { $in: reports.map(report => report.reporterId) } }).select('email displayName');
+    const artsById = new Map(arts.map(art => [String(art._id), art]));
+    const usersById = new Map(users.map(user => [String(user._id), user]));
+    return reports.map(report => {
+        const art = artsById.get(String(report.artId));
+        const reporter = usersById.get(String(report.reporterId));
+        return {
+            ...report.toJSON(),
+            art: art ? { ...art.toJSON(), moderation: art.moderation, reportCount: art.reportCount } : null,
+            reporter: reporter ? { id: reporter._id, email: reporter.email, displayName: reporter.displayName } : null
+        };
+    });
+}
+
+// A page of reports for the moderators: { items, nextCursor }. Open reports come oldest first
+// (the queue), closed ones newest first. query: status (default 'open'), reason, artId, cursor, limit.
+async function listReports(query = {}) {
+    const status = query.status || 'open';
+    if (!['open', 'resolved', 'dismissed'].includes(status)) {
+        throw new QueryError('status must be one of: open, resolved, dismissed.');
+    }
+    const filter = { status };
+    if (query.reason) filter.reason = String(query.reason);
+    if (query.artId) {
+        if (!mongoose.isValidObjectId(query.artId)) {
+            throw new QueryError('artId must be a valid id.');
+        }
+        filter.artId = new mongoose.Types.ObjectId(String(query.artId));
+    }
+    const page = await findPage(Report, filter, {
+        sortField: 'createdAt',
+        direction: status === 'open' ? 1 : -1,
+        cursor: query.cursor,
+        limit: parseLimit(query.limit)
+    });
+    return { ...page, items: await withDetails(page.items) };
+}
+
+// One report with its piece and reporter
+async function getReport(reportId) {
+    const [report] = await withDetails([await findReport(reportId)]);
+    return report;
+}
+
+// Closes every open report on a piece after a moderator acted on it ('hidden' or 'deleted').
+// Returns the number of reports resolved.
+async function resolveReportsFor(artId, moderatorId, action, note) {
+    const result = await Report.updateMany(
+        { artId, status: 'open' },
+        { $set: { status: 'resolved', resolution: { action, note: note || '', by: moderatorId, at: new Date() } } }
+    );
+    await Art.updateOne({ _id: artId }, { $set: { reportCount: 0 } }, { includeModerated: true }); // Usually just hidden
+    return result.modifiedCount;
+}
+
+// Dismisses an open report (nothing wrong with the piece). Returns the report.
+async function dismissReport(reportId, moderatorId, note) {
+    const report = await Report.findOneAndUpdate(
+        { _id: (await findReport(reportId))._id, status: 'open' },
+        { $set: { status: 'dismissed', resolution: { action: 'dismissed', note: note || '', by: moderatorId, at: new Date() } } },
+        { new: true }
+    );
+    if (!report) {
+        throw new ReportError('This report is already closed.', 409);
+    }
+    await Art.updateOne({ _id: report.artId, reportCount: { $gt: 0 } }, { $inc: { reportCount: -1 } }, { includeModerated: true });
+    return report;
+}
+
+// Reports on the pieces a user made, for deciding on a suspension: { open, total }
+async function reportCountsFor(userId) {
+    const artIds = await Art.find({ $or: [{ userId }, { collaborators: userId }] })
+        .setOptions({ includeModerated: true })
+        .distinct('_id');
+    const [open, total] = await Promise.all([
+        Report.countDocuments({ artId: { $in: artIds }, status: 'open' }),
+        Report.countDocuments({ artId: { $in: artIds } })
+    ]);
+    return { open, total };
+}
+
+module.exports = {
+    ReportError,
+    createReport,
+    listReports,
+    getReport,
+    resolveReportsFor,
+    dismissReport,
+    reportCountsFor
+};
@@ -0,0 +1,240 @@
+// services/rooms.js
+// Live collaboration rooms: the host opens a room and shares its join code, participants (two or more)
+// pick a mood and an optional diary line and mark themselves ready, and once everyone is ready the
+// blend of all their moods is generated as one collaborative piece. The socket side (broadcasting
+// changes to everyone in the room) lives in services/realtime/roomSocket.js.
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { enqueueJob } = require('./jobQueue');
+const { normalizeMoods } = require('./moodBlend');
+const { resolveProviderOrder } = require('./providers');
+const { findPreset } = require('./prompts/presets');
+const { consumeGeneration } = require('./quotas');
+
+const ROOM_MAX_PARTICIPANTS = Number(process.env.ROOM_MAX_PARTICIPANTS || 8);
+const MIN_PARTICIPANTS = 2;
+
+// Error for room problems that map to a specific HTTP status (or socket error message)
+class RoomError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'RoomError';
+        this.status = status;
+    }
+}
+
+// Name shown to the other participants
+const displayNameOf = user => (user ? user.displayName || user.email.split('@')[0] : '');
+
+// Validates a participant's mood ('happy' -> 'Happy'); MoodInputError for unknown moods
+function participantMood(mood) {
+    const blend = normalizeMoods(typeof mood === 'string' ? mood : undefined);
+    if (blend.length !== 1) {
+        throw new RoomError('Pick one mood (e.g., "Happy").', 400);
+    }
+    return blend[0].mood;
+}
+
+// Loads a room by id or join code, or throws a 404 (rooms that were closed count as gone)
+async function findRoom(idOrCode) {
+    const filter = mongoose.isValidObjectId(idOrCode) ? { _id: idOrCode } : { code: String(idOrCode || '').trim().toUpperCase() };
+    const room = await Room.findOne(filter);
+    if (!room || room.state === 'closed' || room.expiresAt <= new Date()) {
+        throw new RoomError('Room not found. Check the join code.', 404);
+    }
+    return room;
+}
+
+// Loads a room the user is part of, or throws a 404
+async function findRoomFor(idOrCode, userId) {
+    const room = await findRoom(idOrCode);
+    if (!room.participants.some(participant => participant.userId.equals(userId))) {
+        throw new RoomError('Room not found. Check the join code.', 404);
+    }
+    return room;
+}
+
+// Applies an atomic room update that only matches while the room is open. Returns the updated room,
+// or throws a 409 when the room has moved on (generating, done or closed) in the meantime.
+async function updateOpenRoom(filter, update) {
+    const room = await Room.findOneAndUpdate({ ...filter, state: 'open' }, update, { new: true, runValidators: true });
+    if (!room) {
+        throw new RoomError('This room is no longer taking changes.', 409);
+    }
+    return room;
+}
+
+// Opens a room hosted by the user. Options: style, colors, preset and provider for the piece.
+async function createRoom(hostId, { style, colors, preset, provider } = {}) {
+    resolveProviderOrder(provider);
+    if (preset && !findPreset(preset)) {
+        throw new RoomError(`Unknown preset "${preset}".`, 400);
+    }
+    const host = await User.findById(hostId);
+    if (!host) {
+        throw new RoomError('User not found.', 404);
+    }
+
+    // Join codes are random; on the rare clash, try another one
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await Room.create({
+                hostId,
+                participants: [{ userId: hostId, name: displayNameOf(host) }],
+                style,
+                colors: Array.isArray(colors) ? colors : [],
+                preset: preset ? findPreset(preset).id : undefined,
+                provider
+            });
+        } catch (err) {
+            if (err.code !== 11000 || attempt >= 3) throw err;
+        }
+    }
+}
+
+// Adds the user to the room with the join code (joining again is fine). Returns the room.
+async function joinRoom(code, userId) {
+    const room = await findRoom(code);
+    if (room.participants.some(participant => participant.userId.equals(userId))) {
+        return room;
+    }
+    if (room.state !== 'open') {
+        throw new RoomError('This room has already started generating.', 409);
+    }
+    if (room.participants.length >= ROOM_MAX_PARTICIPANTS) {
+        throw new RoomError(`This room is full (at most ${ROOM_MAX_PARTICIPANTS} participants).`, 409);
+    }
+
+    const user = await User.findById(userId);
+    return updateOpenRoom(
+        { _id: room._id, 'participants.userId': { $ne: userId }, [`participants.${ROOM_MAX_PARTICIPANTS - 1}`]: { $exists: false } },
+        { $push: { participants: { userId, name: displayNameOf(user) } } }
+    );
+}
+
+// Sets the user's mood and diary line ({ mood, text }). Returns the room.
+async function selectMood(roomId, userId, { mood, text }) {
+    const update = { 'participants.$.mood': participantMood(mood) };
+    if (text !== undefined) {
+        if (typeof text !== 'string') {
+            throw new RoomError('Your diary line must be text.', 400);
+        }
+        update['participants.$.text'] = text;
+    }
+    return updateOpenRoom({ _id: roomId, 'participants.userId': userId }, { $set: update });
+}
+
+// Marks the user ready (or not). Being ready needs a mood. Returns the room.
+async function setReady(roomId, userId, ready) {
+    const filter = { _id: roomId, 'participants.userId': userId };
+    if (ready) {
+        const room = await findRoomFor(roomId, userId);
+        const self = room.participants.find(participant => participant.userId.equals(userId));
+        if (!self.mood) {
+            throw new RoomError('Pick a mood before you are ready.', 400);
+        }
+    }
+    return updateOpenRoom(filter, { $set: { 'participants.$.ready': Boolean(ready) } });
+}
+
+// Removes the user from an open room. When the host leaves, the longest-standing participant
+// becomes host; the room closes once nobody is left. Returns the room.
+async function leaveRoom(roomId, userId) {
+    const room = await findRoomFor(roomId, userId);
+    if (room.state !== 'open') {
+        return room; // Finished rooms keep their participants as the record of who made the piece
+    }
+    const remaining = room.participants.filter(participant => !participant.userId.equals(userId));
+    const update = { $pull: { participants: { userId } } };
+    if (remaining.length === 0) {
+        update.$set = { state: 'closed' };
+    } else if (room.hostId.equals(userId)) {
+        update.$set = { hostId: remaining[0].userId };
+    }
+    return Room.findOneAndUpdate({ _id: room._id, state: 'open' }, update, { new: true }) || room;
+}
+
+// The host closes the room for everyone. Returns the room.
+async function closeRoom(roomId, userId) {
+    const room = await findRoomFor(roomId, userId);
+    if (!room.hostId.equals(userId)) {
+        throw new RoomError('Only the host can close the room.', 403);
+    }
+    return updateOpenRoom({ _id: room._id }, { $set: { state: 'closed' } });
+}
+
+// Starts generating once at least two participants are in the room and all of them picked a mood
+// and are ready. The generation counts against the quota of 'requester' (a request-like
+// { user, ip }: the participant whose change completed the room). Returns the job, or null when
+// the room isn't ready yet (or another participant's change already started it).
+async function startIfReady(room, requester) {
+    const ready = room.state === 'open'
+        && room.participants.length >= MIN_PARTICIPANTS
+        && room.participants.every(participant => participant.ready && participant.mood);
+    if (!ready) return null;
+
+    // One atomic transition, so simultaneous "ready" messages start only one generation
+    const started = await Room.findOneAndUpdate(
+        {
+            _id: room._id,
+            state: 'open',
+            [`participants.${MIN_PARTICIPANTS - 1}`]: { $exists: true },
+            participants: { $not: { $elemMatch: { $or: [{ ready: { $ne: true } }, { mood: null }] } } }
+        },
+        { $set: { state: 'generating' } },
+        { new: true }
+    );
+    if (!started) return null;
+
+    let refund = null;
+    try {
+        refund = await consumeGeneration(requester);
+        // Each participant brings one mood with an equal share (shared moods add up)
+        const moods = normalizeMoods(started.participants.map(participant => participant.mood));
+        const text = started.participants.map(participant => participant.text).filter(Boolean).join('. ');
+        const job = await enqueueJob('collaborate', {
+            moods,
+            text: text || undefined,
+            style: started.style,
+            colors: started.colors,
+            preset: started.preset,
+            provider: started.provider,
+            collaborators: started.participants.map(participant => participant.userId),
+            roomId: started.id
+        }, { userId: started.hostId });
+        await Room.updateOne({ _id: started._id }, { $set: { jobId: job.id, artId: null } });
+        return job;
+    } catch (err) {
+        // Back to gathering moods; the requester isn't ready anymore so the room doesn't retry right away
+        if (refund) await refund().catch(() => {});
+        await Room.updateOne(
+            { _id: started._id, 'participants.userId': requester.user.id },
+            { $set: { state: 'open', 'participants.$.ready': false } }
+        );
+        throw err;
+    }
+}
+
+// Reopens a room after its generation failed, with everyone marked not ready
+async function reopenRoom(roomId) {
+    return Room.findOneAndUpdate(
+        { _id: roomId, state: 'generating' },
+        { $set: { state: 'open', 'participants.$[].ready': false } },
+        { new: true }
+    );
+}
+
+module.exports = {
+    RoomError,
+    findRoom,
+    findRoomFor,
+    createRoom,
+    joinRoom,
+    selectMood,
+    setReady,
+    leaveRoom,
+    closeRoom,
+    startIfReady,
+    reopenRoom
+};
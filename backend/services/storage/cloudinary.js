@@ -0,0 +1,50 @@
+// services/storage/cloudinary.js
+const axios = require('axios');
+const cloudinary = require('cloudinary').v2; // Import Cloudinary SDK
+
+// Cloudinary storage driver. Keys are Cloudinary public_ids (e.g., 'mood_art_generator/abc123').
+// Uses CLOUDINARY_CLOUD_NAME / CLOUDINARY_API_KEY / CLOUDINARY_API_SECRET from .env.
+function createCloudinaryDriver() {
+    // Configure Cloudinary with credentials from .env
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET
+    });
+
+    return {
+        name: 'cloudinary',
+        isConfigured: () => Boolean(cloudinary.config().cloud_name && cloudinary.config().api_key && cloudinary.config().api_secret),
+
+        // Uploads image bytes and returns { key, url }
+        async upload(buffer, { contentType = 'image/png', folder = 'mood_art_generator', tags = [] } = {}) {
+            // Convert the binary image data to a base64 data URI, a format suitable for uploading to Cloudinary
+            const dataURI = `data:${contentType};base64,${buffer.toString('base64')}`;
+            const uploadResult = await cloudinary.uploader.upload(dataURI, {
+                folder, // Organize uploads in a specific folder
+                use_filename: true, // Use original filename (or a generated one)
+                unique_filename: false, // Don't add random string to filename (Cloudinary handles uniqueness)
+                overwrite: false, // Don't overwrite if file with same name exists (Cloudinary handles this)
+                tags // Add tags for organization
+            });
+            return { key: uploadResult.public_id, url: uploadResult.secure_url };
+        },
+
+        async delete(key) {
+            await cloudinary.uploader.destroy(key, { invalidate: true });
+        },
+
+        // Downloads the stored bytes (used when migrating to another backend)
+        async download(key) {
+            const response = await axios.get(this.getUrl(key), { responseType: 'arraybuffer' });
+            return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || 'image/png' };
+        },
+
+        // Public delivery URL, or a signed one (signed URLs can't be tampered with, e.g. to add transformations)
+        getUrl(key, { signed = false } = {}) {
+            return cloudinary.url(key, { secure: true, sign_url: signed });
+        }
+    };
+}
+
+module.exports = createCloudinaryDriver;
@@ -0,0 +1,74 @@
+// services/storage/index.js
+// Storage layer for generated images. Every driver exposes the same interface:
+//   name: string
+//   isConfigured(): boolean
+//   upload(buffer, { contentType, folder, tags }) -> Promise<{ key, url }>
+//   delete(key) -> Promise<void>
+//   download(key) -> Promise<{ buffer, contentType }>
+//   getUrl(key, { signed, expiresIn }) -> string (synchronous, so it can run while serializing documents)
+const createCloudinaryDriver = require('./cloudinary');
+const createLocalDriver = require('./local');
+const createS3Driver = require('./s3');
+
+const factories = {
+    cloudinary: createCloudinaryDriver,
+    local: createLocalDriver,
+    s3: createS3Driver
+};
+
+// Driver instances are created lazily (so .env is loaded first) and cached.
+const instances = new Map();
+
+// Registers a storage driver (object or factory) under a name, e.g. to use a temporary directory in tests.
+function registerDriver(name, driverOrFactory) {
+    if (typeof driverOrFactory === 'function') {
+        factories[name] = driverOrFactory;
+        instances.delete(name);
+    } else {
+        instances.set(name, driverOrFactory);
+    }
+}
+
+// Returns the driver for a name, or the default driver when no name is given.
+// The default is STORAGE_DRIVER if set; otherwise Cloudinary when its credentials exist, else the local filesystem.
+function getStorage(name) {
+    const driverName = name || process.env.STORAGE_DRIVER || (getStorage('cloudinary').isConfigured() ? 'cloudinary' : 'local');
+    if (!instances.has(driverName)) {
+        if (!factories[driverName]) {
+            throw new Error(`Unknown storage driver "${driverName}". Available drivers: ${Object.keys(factories).join(', ')}.`);
+        }
+        instances.set(driverName, factories[driverName]());
+    }
+    return instances.get(driverName);
+}
+
+// Uploads image bytes with the default driver and returns { driver, key, url }.
+async function uploadImage(buffer, options = {}) {
+    const storage = getStorage();
+    if (!storage.isConfigured()) {
+        throw new Error(`Storage driver "${storage.name}" is not configured. Check your .env settings.`);
+    }
+    const { key, url } = await storage.upload(buffer, options);
+    return { driver: storage.name, key, url };
+}
+
+// Resolves the URL for a stored image. Records without storage info (created before the storage
+// layer existed) keep the URL they were saved with.
+function resolveImageUrl({ storage, imageUrl }, options) {
+    if (!storage || !storage.driver || !storage.key) {
+        return imageUrl;
+    }
+    try {
+        return getStorage(storage.driver).getUrl(storage.key, options);
+    } catch (err) {
+        console.warn(`Could not resolve image URL through storage driver "${storage.driver}":`, err.message);
+        return imageUrl;
+    }
+}
+
+module.exports = {
+    registerDriver,
+    getStorage,
+    uploadImage,
+    resolveImageUrl
+};
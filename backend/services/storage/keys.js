@@ -0,0 +1,32 @@
+// services/storage/keys.js
+const crypto = require('crypto');
+
+// File extensions for the image types the providers return.
+const EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/webp': 'webp',
+    'image/gif': 'gif',
+    'image/avif': 'avif',
+    'image/svg+xml': 'svg'
+};
+
+const CONTENT_TYPES = Object.fromEntries(Object.entries(EXTENSIONS).map(([type, ext]) => [ext, type]));
+CONTENT_TYPES.jpeg = 'image/jpeg';
+
+// Builds a unique, unguessable object key such as 'mood_art_generator/1f3a...c2.png'.
+function createKey(contentType, folder = 'mood_art_generator') {
+    const ext = EXTENSIONS[contentType] || 'bin';
+    return `${folder}/${crypto.randomUUID()}.${ext}`;
+}
+
+// Guesses the content type from a key's file extension.
+function contentTypeFromKey(key) {
+    const ext = String(key).split('.').pop().toLowerCase();
+    return CONTENT_TYPES[ext] || 'application/octet-stream';
+}
+
+module.exports = {
+    createKey,
+    contentTypeFromKey
+};
@@ -0,0 +1,98 @@
+// services/storage/local.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const express = require('express');
+const { createKey, contentTypeFromKey } = require('./keys');
+
+// Local filesystem storage driver. Files are written under STORAGE_LOCAL_DIR (default: backend/uploads)
+// and served by Express under /uploads (see server.js).
+// - STORAGE_PUBLIC_URL: base URL the files are reachable at (default: http://localhost:<PORT>/uploads)
+// - STORAGE_LOCAL_PRIVATE=true: only serve files through signed, expiring URLs
+function createLocalDriver() {
+    const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '..', '..', 'uploads'));
+    const publicUrl = (process.env.STORAGE_PUBLIC_URL || `http://localhost:${process.env.PORT || 5000}/uploads`).replace(/\/$/, '');
+    const isPrivate = process.env.STORAGE_LOCAL_PRIVATE === 'true';
+    const signingSecret = () => process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+    // Resolves a key to a path inside rootDir, refusing keys that try to escape it (e.g., '../')
+    const resolvePath = (key) => {
+        const filePath = path.resolve(rootDir, key);
+        if (!filePath.startsWith(rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    };
+
+    const sign = (key, expires) => crypto.createHmac('sha256', signingSecret()).update(`${key}:${expires}`).digest('hex');
+
+    // Checks the ?expires=&signature= query parameters of a signed URL
+    const verifySignature = (key, expires, signature) => {
+        if (!expires || !signature || Number(expires) < Math.floor(Date.now() / 1000)) return false;
+        const expected = Buffer.from(sign(key, expires));
+        const provided = Buffer.from(String(signature));
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    };
+
+    const driver = {
+        name: 'local',
+        isConfigured: () => true,
+        rootDir,
+
+        async upload(buffer, { contentType = 'image/png', folder } = {}) {
+            const key = createKey(contentType, folder);
+            const filePath = resolvePath(key);
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return { key, url: driver.getUrl(key) };
+        },
+
+        async delete(key) {
+            try {
+                await fs.unlink(resolvePath(key));
+            } catch (err) {
+                if (err.code !== 'ENOENT') throw err; // Already gone is fine
+            }
+        },
+
+        async download(key) {
+            const buffer = await fs.readFile(resolvePath(key));
+            return { buffer, contentType: contentTypeFromKey(key) };
+        },
+
+        // Public URL, or a signed URL valid for expiresIn seconds (always signed in private mode)
+        getUrl(key, { signed = isPrivate, expiresIn = 3600 } = {}) {
+            const url = `${publicUrl}/${key.split('/').map(encodeURIComponent).join('/')}`;
+            if (!signed) return url;
+            const expires = Math.floor(Date.now() / 1000) + expiresIn;
+            return `${url}?expires=${expires}&signature=${sign(key, expires)}`;
+        },
+
+        // Express middleware serving the stored files. Signed URLs are checked when present,
+        // and required when STORAGE_LOCAL_PRIVATE=true.
+        middleware() {
+            const router = express.Router();
+            router.use((req, res, next) => {
+                let key;
+                try {
+                    key = decodeURIComponent(req.path.replace(/^\//, ''));
+                } catch (err) {
+                    return res.status(400).json({ msg: 'Invalid image path.' }); // Malformed escapes such as %E0%A4%A
+                }
+                const { expires, signature } = req.query;
+                if ((isPrivate || signature) && !verifySignature(key, expires, signature)) {
+                    return res.status(403).json({ msg: 'This image link is invalid or has expired.' });
+                }
+                next();
+            });
+            // The content type comes from our own extension list, which (unlike express.static's) knows AVIF
+            const setHeaders = (res, filePath) => res.setHeader('Content-Type', contentTypeFromKey(filePath));
+            router.use(express.static(rootDir, { maxAge: '7d', immutable: true, index: false, setHeaders }));
+            return router;
+        }
+    };
+
+    return driver;
+}
+
+module.exports = createLocalDriver;
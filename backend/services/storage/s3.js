@@ -0,0 +1,87 @@
+// services/storage/s3.js
+const axios = require('axios');
+const { createKey, contentTypeFromKey } = require('./keys');
+const { sha256, encodeRfc3986, amzTimestamp, authorizationHeader, presignUrl } = require('./sigv4');
+
+// S3-compatible storage driver (AWS S3, MinIO, Cloudflare R2, ...). Requests are signed with
+// AWS Signature Version 4 (see sigv4.js), so no SDK is needed.
+// Settings from .env:
+// - S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY (required)
+// - S3_REGION (default us-east-1)
+// - S3_ENDPOINT: custom endpoint such as http://localhost:9000 for MinIO (uses path-style URLs)
+// - S3_PUBLIC_URL: base URL for public (unsigned) links, e.g. a CDN in front of the bucket
+// - S3_SIGNED_URLS=true: hand out presigned, expiring GET URLs instead of public ones
+
+const encodeKey = key => key.split('/').map(encodeRfc3986).join('/');
+
+function createS3Driver(config = {}) {
+    const bucket = config.bucket || process.env.S3_BUCKET;
+    const region = config.region || process.env.S3_REGION || 'us-east-1';
+    const accessKeyId = config.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+    const secretAccessKey = config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+    const endpoint = (config.endpoint || process.env.S3_ENDPOINT || '').replace(/\/$/, '');
+    const publicUrl = (config.publicUrl || process.env.S3_PUBLIC_URL || '').replace(/\/$/, '');
+    const signedUrls = config.signedUrls ?? process.env.S3_SIGNED_URLS === 'true';
+
+    // Custom endpoints (MinIO) use path-style URLs: http://host:9000/bucket/key
+    // AWS uses virtual-hosted-style URLs: https://bucket.s3.region.amazonaws.com/key
+    const objectUrl = (key) => (endpoint
+        ? new URL(`${endpoint}/${bucket}/${encodeKey(key)}`)
+        : new URL(`https://${bucket}.s3.${region}.amazonaws.com/${encodeKey(key)}`));
+
+    // Sends a signed request for an object
+    const request = async (method, key, { body, contentType } = {}) => {
+        const url = objectUrl(key);
+        const date = new Date();
+        const payloadHash = sha256(body || '');
+        const headers = {
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzTimestamp(date).amzDate
+        };
+        if (contentType) headers['content-type'] = contentType;
+        const { host, ...sendHeaders } = headers; // The HTTP client sets Host itself
+        return axios({
+            method,
+            url: url.toString(),
+            data: body,
+            responseType: 'arraybuffer',
+            headers: {
+                ...sendHeaders,
+                Authorization: authorizationHeader({ method, url, headers, payloadHash, date, region, accessKeyId, secretAccessKey })
+            }
+        });
+    };
+
+    const driver = {
+        name: 's3',
+        isConfigured: () => Boolean(bucket && accessKeyId && secretAccessKey),
+
+        async upload(buffer, { contentType = 'image/png', folder } = {}) {
+            const key = createKey(contentType, folder);
+            await request('PUT', key, { body: buffer, contentType });
+            return { key, url: driver.getUrl(key) };
+        },
+
+        async delete(key) {
+            await request('DELETE', key);
+        },
+
+        async download(key) {
+            const response = await request('GET', key);
+            return { buffer: Buffer.from(response.data), contentType: response.headers['content-type'] || contentTypeFromKey(key) };
+        },
+
+        // Public URL, or a presigned GET URL valid for expiresIn seconds (max 7 days)
+        getUrl(key, { signed = signedUrls, expiresIn = 3600 } = {}) {
+            if (!signed) {
+                return publicUrl ? `${publicUrl}/${encodeKey(key)}` : objectUrl(key).toString();
+            }
+            return presignUrl({ url: objectUrl(key), date: new Date(), expiresIn: Math.min(expiresIn, 604800), region, accessKeyId, secretAccessKey });
+        }
+    };
+
+    return driver;
+}
+
+module.exports = createS3Driver;
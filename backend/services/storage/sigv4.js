@@ -0,0 +1,79 @@
+// services/storage/sigv4.js
+// AWS Signature Version 4 for S3 requests and presigned URLs. Pure functions of their inputs (including
+// the request time), so they can be checked against the examples in the AWS documentation.
+const crypto = require('crypto');
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as required by SigV4 (encodeURIComponent leaves !'()* alone)
+const encodeRfc3986 = str => encodeURIComponent(str).replace(/[!'()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Sorted, encoded query string, as used in the canonical request and in presigned URLs
+const canonicalQueryString = query => Object.keys(query).sort()
+    .map(k => `${encodeRfc3986(k)}=${encodeRfc3986(query[k])}`).join('&');
+
+// The SigV4 request time of a date: { amzDate: '20250101T120000Z', dateStamp: '20250101' }
+function amzTimestamp(date = new Date()) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, dateStamp: amzDate.slice(0, 8) };
+}
+
+function signingKey(secretAccessKey, dateStamp, region) {
+    const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+    return hmac(hmac(hmac(dateKey, region), 's3'), 'aws4_request');
+}
+
+// Computes the signature of a request.
+// url: a URL whose pathname is already encoded; headers: every header to sign (including host);
+// query: the unencoded query parameters; payloadHash: hex SHA-256 of the body, or 'UNSIGNED-PAYLOAD'.
+// Returns { signature, scope, signedHeaders }.
+function signRequest({ method, url, headers, query = {}, payloadHash, date, region, secretAccessKey }) {
+    const { amzDate, dateStamp } = amzTimestamp(date);
+    const scope = `${dateStamp}/${region}/s3/aws4_request`;
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+    const sortedHeaderNames = Object.keys(lowerHeaders).sort();
+    const canonicalRequest = [
+        method,
+        url.pathname,
+        canonicalQueryString(query),
+        sortedHeaderNames.map(h => `${h}:${lowerHeaders[h]}\n`).join(''),
+        sortedHeaderNames.join(';'),
+        payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    return {
+        signature: crypto.createHmac('sha256', signingKey(secretAccessKey, dateStamp, region)).update(stringToSign).digest('hex'),
+        scope,
+        signedHeaders: sortedHeaderNames.join(';')
+    };
+}
+
+// The Authorization header value for a request (see signRequest for the options)
+function authorizationHeader({ accessKeyId, ...options }) {
+    const { signature, scope, signedHeaders } = signRequest(options);
+    return `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+}
+
+// A presigned GET URL for url, valid for expiresIn seconds from date
+function presignUrl({ url, date, expiresIn, region, accessKeyId, secretAccessKey }) {
+    const { amzDate, dateStamp } = amzTimestamp(date);
+    const query = {
+        'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+        'X-Amz-Credential': `${accessKeyId}/${dateStamp}/${region}/s3/aws4_request`,
+        'X-Amz-Date': amzDate,
+        'X-Amz-Expires': String(expiresIn),
+        'X-Amz-SignedHeaders': 'host'
+    };
+    const { signature } = signRequest({ method: 'GET', url, headers: { host: url.host }, query, payloadHash: 'UNSIGNED-PAYLOAD', date, region, secretAccessKey });
+    return `${url.origin}${url.pathname}?${canonicalQueryString(query)}&X-Amz-Signature=${signature}`;
+}
+
+module.exports = {
+    sha256,
+    encodeRfc3986,
+    amzTimestamp,
+    signRequest,
+    authorizationHeader,
+    presignUrl
+};
@@ -0,0 +1,196 @@
+// services/tokens.js
+// Sessions and tokens:
+// - access token: a short-lived JWT ({ user: { id, role }, sid }) sent as x-auth-token; a changed role
+//   shows up in the next access token (demotions and suspensions also log the user out everywhere)
+// - refresh token: '<sessionId>.<random>', exchanged for a new pair at POST /api/auth/refresh and
+//   rotated on every use; reusing an old one revokes the whole session
+// - user tokens: single-use, expiring tokens for links sent by email (password reset, email change)
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Error for authentication problems; routes and middleware turn it into a 401 response
+class AuthError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.status = status;
+    }
+}
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+// Device details stored with a session so users can recognize it
+const clientInfo = req => ({
+    userAgent: (req.get('user-agent') || '').slice(0, 300),
+    ip: req.ip || ''
+});
+
+// Signs an access token for a session
+function signAccessToken(user, sessionId) {
+    return jwt.sign({ user: { id: String(user._id), role: user.role || 'user' }, sid: String(sessionId) }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+// The response body fields for a freshly issued token pair
+const tokenPair = (user, session, refreshSecret) => ({
+    token: signAccessToken(user, session._id),
+    refreshToken: `${session._id}.${refreshSecret}`,
+    refreshTokenExpiresAt: session.expiresAt
+});
+
+// Loads the user a session is for; suspended accounts get an AuthError (403)
+async function activeUser(userId) {
+    const user = await User.findById(userId).select('role suspension');
+    if (!user) {
+        throw new AuthError('This account no longer exists.');
+    }
+    if (user.isSuspended()) {
+        const until = user.suspension.until ? ` until ${user.suspension.until.toISOString()}` : '';
+        throw new AuthError(`This account is suspended${until}.`, 403);
+    }
+    return user;
+}
+
+// Starts a new session for the user (signup or login). Returns { token, refreshToken, refreshTokenExpiresAt }.
+// Throws AuthError (403) for suspended accounts.
+async function createSession(userId, req) {
+    const user = await activeUser(userId);
+    const secret = randomToken();
+    const session = await Session.create({
+        userId,
+        tokenHash: hashToken(secret),
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+        ...clientInfo(req)
+    });
+    return tokenPair(user, session, secret);
+}
+
+// Exchanges a refresh token for a new token pair, rotating the refresh token.
+// Presenting a refresh token that was already rotated revokes the session (it was likely stolen).
+async function refreshSession(refreshToken, req) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!secret || !mongoose.isValidObjectId(sessionId)) {
+        throw new AuthError('Invalid refresh token.');
+    }
+
+    const presentedHash = hashToken(secret);
+    const nextSecret = randomToken();
+    // Rotate atomically, so two requests racing with the same token can't both succeed
+    const session = await Session.findOneAndUpdate(
+        { _id: sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+        {
+            $set: {
+                tokenHash: hashToken(nextSecret),
+                lastUsedAt: new Date(),
+                expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * DAY_MS),
+                ...clientInfo(req)
+            },
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -20 } }
+        },
+        { new: true }
+    );
+    if (session) {
+        let user;
+        try {
+            user = await activeUser(session.userId);
+        } catch (err) {
+            await revokeSession(session._id, 'suspended');
+            throw err;
+        }
+        return tokenPair(user, session, nextSecret);
+    }
+
+    const reused = await Session.findOneAndUpdate(
+        { _id: sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' } }
+    );
+    if (reused) {
+        console.warn(`Refresh token reuse detected for session ${sessionId}; the session was revoked.`);
+    }
+    throw new AuthError('Refresh token is invalid, expired or revoked. Please log in again.');
+}
+
+// Revokes one session (logout)
+async function revokeSession(sessionId, reason = 'logout') {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+}
+
+// Revokes all of the user's sessions, optionally keeping one (e.g., the session that changed the password).
+// Returns the number of sessions revoked.
+async function revokeAllSessions(userId, { except, reason = 'logout_all' } = {}) {
+    const filter = { userId, revokedAt: null };
+    if (except) {
+        filter._id = { $ne: except };
+    }
+    const result = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+    return result.modifiedCount;
+}
+
+// The user's active sessions, most recently used first
+async function listSessions(userId) {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+}
+
+// Verifies an access token and checks that its session is still active.
+// Returns { user: { id, role }, sessionId }; throws AuthError (or the jsonwebtoken error) otherwise.
+async function verifyAccessToken(token) {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) {
+        throw new AuthError('Authentication token is no longer supported. Please log in again.');
+    }
+    const session = await Session.findById(decoded.sid).select('revokedAt expiresAt');
+    if (!session || !session.isActive()) {
+        throw new AuthError('This session has been logged out. Please log in again.');
+    }
+    return { user: { role: 'user', ...decoded.user }, sessionId: decoded.sid }; // Tokens from before roles count as 'user'
+}
+
+// Creates a single-use token for the user (e.g., 'password_reset'), replacing unused ones for the same purpose.
+// data is stored with the token and returned when it is redeemed. Returns the token string to send to the user.
+async function createUserToken(userId, purpose, ttlMinutes, data = {}) {
+    const token = randomToken();
+    await UserToken.deleteMany({ userId, purpose, usedAt: null });
+    await UserToken.create({
+        userId,
+        purpose,
+        data,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+    });
+    return token;
+}
+
+// Redeems a single-use token. Returns the UserToken (with userId and data) or throws AuthError (400) when it is
+// unknown, expired or already used.
+async function consumeUserToken(token, purpose) {
+    const userToken = await UserToken.findOneAndUpdate(
+        { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+        { $set: { usedAt: new Date() } },
+        { new: true }
+    );
+    if (!userToken) {
+        throw new AuthError('This link is invalid or has expired. Please request a new one.', 400);
+    }
+    return userToken;
+}
+
+module.exports = {
+    AuthError,
+    hashToken,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    verifyAccessToken,
+    createUserToken,
+    consumeUserToken
+};
@@ -0,0 +1,262 @@
+// services/users.js
+// User profiles and art preferences: profile updates, stored art defaults for POST /api/art,
+// the mood-driven avatar, email change with re-verification and account deletion.
+const bcrypt = require('bcryptjs');
+const Art = require('../models/Art');
+const Invitation = require('../models/Invitation');
+const Rating = require('../models/Rating');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const UserToken = require('../models/UserToken');
+const { normalizeMoods, dominantMood } = require('./moodBlend');
+const { historyFilter, removeForUser } = require('./artPermissions');
+const { createUserToken, consumeUserToken } = require('./tokens');
+const { sendMail, appLink } = require('./mailer');
+const { removeExports } = require('./exports');
+const { removeAlbums } = require('./albums');
+const { linkInvitations } = require('./collaborations');
+
+const MAX_COLORS = 10;
+// How many of the user's latest pieces decide a mood-driven avatar
+const MOOD_AVATAR_WINDOW = Number(process.env.MOOD_AVATAR_WINDOW || 10);
+// How long an email verification link stays valid
+const EMAIL_CHANGE_TTL_MINUTES = Number(process.env.EMAIL_CHANGE_TTL_MINUTES || 24 * 60);
+
+// Error for invalid profile input or account actions that map to a specific HTTP status
+class UserInputError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'UserInputError';
+        this.status = status;
+    }
+}
+
+// Avatar identifier for a mood, e.g. 'Happy' -> 'happy_emoji' (the same format signup uses)
+const moodAvatar = mood => `${mood.toLowerCase()}_emoji`;
+
+// Shape of the profile sent to clients (never includes the password hash)
+function toProfile(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        pendingEmail: user.pendingEmail || null,
+        displayName: user.displayName,
+        avatar: user.avatar,
+        avatarMode: user.avatarMode,
+        settings: {
+            style: user.settings.style || null,
+            colors: user.settings.colors || [],
+            moods: Object.fromEntries((user.settings.moods || []).map(({ mood, weight }) => [mood, weight]))
+        },
+        createdAt: user.createdAt
+    };
+}
+
+// Throws a 400 unless the password matches the user's current password
+async function checkPassword(user, password) {
+    if (!password || !(await bcrypt.compare(String(password), user.password))) {
+        throw new UserInputError('Password is incorrect.');
+    }
+}
+
+// Validates the art preference fields present in input ({ style, colors, moods }); null clears a field.
+// Returns the fields to set on user.settings.
+function parseSettings(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new UserInputError('settings must be an object with style, colors and/or moods.');
+    }
+    const settings = {};
+    if (input.style !== undefined) {
+        if (input.style !== null && (typeof input.style !== 'string' || input.style.trim().length > 40)) {
+            throw new UserInputError('style must be a style name of at most 40 characters.');
+        }
+        settings.style = input.style ? input.style.trim() : null;
+    }
+    if (input.colors !== undefined) {
+        const colors = input.colors === null ? [] : input.colors;
+        if (!Array.isArray(colors) || colors.length > MAX_COLORS || colors.some(color => typeof color !== 'string' || color.trim() === '' || color.length > 30)) {
+            throw new UserInputError(`colors must be a list of at most ${MAX_COLORS} color names or hex values.`);
+        }
+        settings.colors = colors.map(color => color.trim());
+    }
+    if (input.moods !== undefined) {
+        settings.moods = normalizeMoods(input.moods); // MoodInputError for unknown moods
+    }
+    return settings;
+}
+
+// Applies a PUT /api/users/me body: displayName, avatar, avatarMode and settings. Returns the saved user.
+async function updateProfile(user, { displayName, avatar, avatarMode, settings }) {
+    if (displayName !== undefined) {
+        if (displayName !== null && typeof displayName !== 'string') {
+            throw new UserInputError('displayName must be a string.');
+        }
+        user.displayName = displayName || '';
+    }
+    if (avatar !== undefined) {
+        if (typeof avatar !== 'string' || !/^[a-z0-9_-]{1,40}$/i.test(avatar)) {
+            throw new UserInputError('avatar must be an avatar identifier such as "happy_emoji".');
+        }
+        user.avatar = avatar;
+        user.avatarMode = 'fixed'; // Picking an avatar stops it from following the mood (unless avatarMode says otherwise)
+    }
+    if (avatarMode !== undefined) {
+        if (!['fixed', 'mood'].includes(avatarMode)) {
+            throw new UserInputError('avatarMode must be "fixed" or "mood".');
+        }
+        user.avatarMode = avatarMode;
+    }
+    if (settings !== undefined) {
+        Object.entries(parseSettings(settings)).forEach(([key, value]) => user.set(`settings.${key}`, value));
+    }
+
+    await user.save();
+    if (user.avatarMode === 'mood') {
+        return (await refreshMoodAvatar(user.id)) || user;
+    }
+    return user;
+}
+
+// The user's stored art defaults: { style, colors, moods } (moods as [{ mood, weight }]), or {} for anonymous requests
+async function getArtDefaults(userId) {
+    if (!userId) return {};
+    const user = await User.findById(userId).select('settings');
+    if (!user) return {};
+    return {
+        style: user.settings.style || undefined,
+        colors: user.settings.colors && user.settings.colors.length > 0 ? user.settings.colors : undefined,
+        moods: user.settings.moods && user.settings.moods.length > 0 ? user.settings.moods.map(({ mood, weight }) => ({ mood, weight })) : undefined
+    };
+}
+
+// For users with a mood-driven avatar, sets the avatar to the dominant mood of their latest pieces
+// (weights summed over the last MOOD_AVATAR_WINDOW pieces). Returns the updated user, or null if nothing changed.
+async function refreshMoodAvatar(userId) {
+    const user = await User.findById(userId);
+    if (!user || user.avatarMode !== 'mood') return null;
+
+    const recent = await Art.find(historyFilter(user._id, { includeHidden: true }))
+        .sort({ createdAt: -1 })
+        .limit(MOOD_AVATAR_WINDOW)
+        .select('mood moods');
+    const totals = {};
+    recent.forEach(art => {
+        const blend = art.moods && art.moods.length > 0 ? art.moods : normalizeMoods(art.mood);
+        blend.forEach(({ mood, weight }) => {
+            totals[mood] = (totals[mood] || 0) + weight;
+        });
+    });
+    const mood = dominantMood(normalizeMoods(totals));
+    const avatar = mood === 'Mixed' ? 'default_avatar' : moodAvatar(mood);
+    if (avatar === user.avatar) return null;
+
+    user.avatar = avatar;
+    return user.save();
+}
+
+// Starts an email change: stores the new address as pendingEmail and emails a verification link to it.
+// The address only changes once the link is used (confirmEmailChange).
+async function requestEmailChange(user, { email, password }) {
+    await checkPassword(user, password);
+    const newEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!/.+@.+\..+/.test(newEmail)) {
+        throw new UserInputError('Please enter a valid email address');
+    }
+    if (newEmail === user.email) {
+        throw new UserInputError('This is already your email address.');
+    }
+    if (await User.exists({ email: newEmail })) {
+        throw new UserInputError('User with this email already exists. Please use a different email.', 409);
+    }
+
+    const token = await createUserToken(user.id, 'email_change', EMAIL_CHANGE_TTL_MINUTES, { email: newEmail });
+    user.pendingEmail = newEmail;
+    await user.save();
+
+    const link = appLink('/verify-email', { token });
+    await sendMail({
+        to: newEmail,
+        subject: 'Confirm your new Mood Art Generator email address',
+        text: [
+            'You asked to use this address for your Mood Art Generator account.',
+            '',
+            'Open this link to confirm it:',
+            link,
+            '',
+            'If you did not ask for this, you can ignore this email.'
+        ].join('\n'),
+        html: '<p>You asked to use this address for your Mood Art Generator account.</p>'
+            + `<p><a href="${link}">Confirm your new email address</a></p>`
+            + '<p>If you did not ask for this, you can ignore this email.</p>'
+    });
+    return user;
+}
+
+// Completes an email change with the token from the verification link. Returns the updated user.
+async function confirmEmailChange(token) {
+    const userToken = await consumeUserToken(token, 'email_change'); // AuthError (400) for bad links
+    const user = await User.findById(userToken.userId);
+    const email = userToken.data && userToken.data.email;
+    if (!user || !email || user.pendingEmail !== email) {
+        throw new UserInputError('This link is no longer valid. Please request the email change again.');
+    }
+
+    user.email = email;
+    user.pendingEmail = null;
+    try {
+        await user.save();
+    } catch (err) {
+        if (err.code === 11000) {
+            throw new UserInputError('User with this email already exists. Please use a different email.', 409);
+        }
+        throw err;
+    }
+    await linkInvitations(user);
+    return user;
+}
+
+// Deletes the account and everything tied to it. Art pieces:
+// - art 'anonymize' (default): public solo pieces stay in the gallery without an owner; private and
+//   unlisted ones are deleted, since nobody could reach them anymore
+// - art 'delete': solo pieces are deleted with their images
+// Shared pieces always stay with the other participants. Ratings the user gave are kept anonymously.
+async function deleteAccount(user, { password, art = 'anonymize' } = {}) {
+    if (!['anonymize', 'delete'].includes(art)) {
+        throw new UserInputError('art must be "anonymize" or "delete".');
+    }
+    await checkPassword(user, password);
+
+    const pieces = await Art.find(historyFilter(user._id, { includeHidden: true })).setOptions({ includeModerated: true });
+    for (const piece of pieces) {
+        const solo = (piece.collaborators || []).every(id => id.equals(user._id));
+        const isPublic = !['private', 'unlisted'].includes(piece.visibility); // Like PUBLIC_FILTER
+        if (solo && art === 'anonymize' && isPublic) {
+            await Art.updateOne({ _id: piece._id }, { $unset: { userId: 1 }, $set: { collaborators: [], hiddenBy: [] } }, { includeModerated: true });
+        } else {
+            await removeForUser(piece, user._id);
+        }
+    }
+
+    await Invitation.updateMany(
+        { $or: [{ inviterId: user._id }, { inviteeId: user._id }], state: 'pending' },
+        { $set: { state: 'cancelled', respondedAt: new Date() } }
+    );
+    await Rating.updateMany({ userId: user._id }, { $unset: { userId: 1 } });
+    await Session.deleteMany({ userId: user._id });
+    await UserToken.deleteMany({ userId: user._id });
+    await removeExports({ userId: user._id });
+    await removeAlbums(user._id);
+    await user.deleteOne();
+    return { pieces: pieces.length };
+}
+
+module.exports = {
+    UserInputError,
+    toProfile,
+    updateProfile,
+    getArtDefaults,
+    refreshMoodAvatar,
+    requestEmailChange,
+    confirmEmailChange,
+    deleteAccount
+};
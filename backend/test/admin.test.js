@@ -0,0 +1,238 @@
+// The moderation API through its routes: who may use /api/admin, the report queue, suspensions, roles
+// and the audit log. Sessions, users, pieces, reports and audit entries live in memory here.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const express = require('express');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const { createSession } = require('../services/tokens');
+const { listen, fakeQuery, memorySessions } = require('./helpers');
+
+const PASSWORD = 'correct horse battery';
+
+describe('/api/admin', () => {
+    const env = { ...process.env };
+    const stubbed = [
+        [User, ['findById', 'findOne', 'find']], [User.prototype, ['save']],
+        [Art, ['findById', 'find', 'updateOne']], [Art.prototype, ['save']],
+        [Report, ['create', 'find', 'findById', 'findOneAndUpdate', 'updateMany']],
+        [AuditLog, ['create', 'find']]
+    ];
+    const original = stubbed.map(([target, names]) => [target, Object.fromEntries(names.map(name => [name, target[name]]))]);
+    const users = new Map();
+    const pieces = new Map();
+    let reports;
+    let audit;
+    let artUpdates;
+    let reportSorts;
+    let store;
+    let server;
+    let people; // { alice, bob: users; mia, max: moderators; ada: admin } as { user, token, refreshToken }
+
+    const byId = (map, id) => map.get(String(id)) || null;
+    const inList = (map, filter) => [...map.values()].filter(doc => filter._id.$in.some(id => String(id) === String(doc._id)));
+
+    async function addUser(name, role) {
+        const user = new User({ email: `${name}@example.com`, password: await bcrypt.hash(PASSWORD, 4), displayName: name, role });
+        users.set(user.id, user);
+        return { user, ...await createSession(user.id, { get: () => '', ip: '127.0.0.1' }) };
+    }
+
+    // Sends a request with the person's access token; resolves { status, body }
+    async function call(method, url, person, body) {
+        const headers = { 'Content-Type': 'application/json', ...(person && { 'x-auth-token': person.token }) };
+        const response = await fetch(`${server.url}${url}`, { method, headers, body: body && JSON.stringify(body) });
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        store = memorySessions();
+        User.findById = id => fakeQuery(() => byId(users, id));
+        User.findOne = ({ email }) => fakeQuery(() => [...users.values()].find(user => user.email === email) || null);
+        User.find = filter => fakeQuery(() => inList(users, filter));
+        User.prototype.save = async function () {
+            return this;
+        };
+        Art.findById = id => fakeQuery(() => byId(pieces, id));
+        Art.find = filter => fakeQuery(() => inList(pieces, filter));
+        Art.updateOne = async (filter, update) => {
+            artUpdates.push([String(filter._id), update]);
+            return { modifiedCount: 1 };
+        };
+        Art.prototype.save = async function () {
+            return this;
+        };
+        Report.create = async (fields) => {
+            if (reports.some(report => String(report.artId) === String(fields.artId) && String(report.reporterId) === String(fields.reporterId) && report.status === 'open')) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const report = new Report({ ...fields, createdAt: new Date(Date.now() + reports.length) });
+            reports.push(report);
+            return report;
+        };
+        Report.find = filter => {
+            const query = fakeQuery(() => reports.filter(report => report.status === filter.status));
+            query.sort = (spec) => {
+                reportSorts.push(spec);
+                return query;
+            };
+            return query;
+        };
+        Report.findById = async id => reports.find(report => String(report._id) === String(id)) || null;
+        Report.findOneAndUpdate = async (filter, update) => {
+            const report = reports.find(doc => String(doc._id) === String(filter._id) && doc.status === filter.status);
+            if (report) report.set(update.$set);
+            return report || null;
+        };
+        Report.updateMany = async (filter, update) => {
+            const matched = reports.filter(report => String(report.artId) === String(filter.artId) && report.status === 'open');
+            matched.forEach(report => report.set(update.$set));
+            return { modifiedCount: matched.length };
+        };
+        AuditLog.create = async (fields) => {
+            const entry = new AuditLog({ ...fields, createdAt: new Date(Date.now() + audit.length) });
+            audit.push(entry);
+            return entry;
+        };
+        AuditLog.find = filter => fakeQuery(() => audit.filter(entry => !filter.action || entry.action === filter.action).reverse());
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/auth', require('../routes/authRoutes'));
+        app.use('/api/art', require('../routes/artRoutes'));
+        app.use('/api/admin', require('../routes/adminRoutes'));
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        users.clear();
+        pieces.clear();
+        store.sessions.length = 0;
+        reports = [];
+        audit = [];
+        artUpdates = [];
+        reportSorts = [];
+        people = {
+            alice: await addUser('alice', 'user'),
+            bob: await addUser('bob', 'user'),
+            mia: await addUser('mia', 'moderator'),
+            max: await addUser('max', 'moderator'),
+            ada: await addUser('ada', 'admin')
+        };
+    });
+
+    after(async () => {
+        await server.close();
+        store.restore();
+        original.forEach(([target, methods]) => Object.assign(target, methods));
+        process.env = env;
+    });
+
+    test('needs a token and the moderator role; roles and the audit log need an admin', async () => {
+        const { alice, mia, ada } = people;
+        assert.equal((await call('GET', '/api/admin/reports')).status, 401);
+        assert.deepEqual(await call('GET', '/api/admin/reports', alice), { status: 403, body: { msg: 'Moderator access required.' } });
+        assert.equal((await call('GET', '/api/admin/reports', mia)).status, 200);
+        assert.equal((await call('GET', '/api/admin/reports', ada)).status, 200); // Admins are moderators too
+
+        assert.deepEqual(await call('GET', '/api/admin/audit', mia), { status: 403, body: { msg: 'Admin access required.' } });
+        assert.equal((await call('PUT', `/api/admin/users/${alice.user.id}/role`, mia, { role: 'moderator' })).status, 403);
+        assert.equal(alice.user.role, 'user');
+        assert.equal((await call('GET', '/api/admin/audit', ada)).status, 200);
+    });
+
+    test('reports wait in the queue, oldest first, until a moderator dismisses them or hides the piece', async () => {
+        const { alice, bob, mia } = people;
+        const art = new Art({ userId: bob.user._id, mood: 'Happy', imageUrl: 'https://img.example/a.png' });
+        pieces.set(art.id, art);
+
+        assert.equal((await call('POST', `/api/art/${art.id}/report`, alice, { reason: 'spam' })).status, 201);
+        assert.deepEqual(artUpdates, [[art.id, { $inc: { reportCount: 1 } }]]);
+        assert.equal((await call('POST', `/api/art/${art.id}/report`, alice, { reason: 'spam' })).status, 409); // Already reported
+        assert.equal((await call('POST', `/api/art/${art.id}/report`, bob, { reason: 'spam' })).status, 400); // Their own piece
+        assert.equal((await call('POST', `/api/art/${art.id}/report`, mia, { reason: 'hate', details: 'Slur in the title' })).status, 201);
+
+        const queue = await call('GET', '/api/admin/reports', mia);
+        assert.deepEqual(queue.body.items.map(report => [report.reason, report.reporter.email, String(report.art._id)]), [
+            ['spam', 'alice@example.com', art.id],
+            ['hate', 'mia@example.com', art.id]
+        ]);
+        assert.equal(queue.body.nextCursor, null);
+        assert.deepEqual(reportSorts, [{ createdAt: 1, _id: 1 }]);
+
+        const dismissed = await call('POST', `/api/admin/reports/${reports[0].id}/dismiss`, mia, { reason: 'Not spam' });
+        assert.equal(dismissed.status, 200);
+        assert.equal(dismissed.body.status, 'dismissed');
+        assert.equal((await call('POST', `/api/admin/reports/${reports[0].id}/dismiss`, mia)).status, 409);
+
+        const hidden = await call('POST', `/api/admin/art/${art.id}/hide`, mia, { reason: 'Hateful' });
+        assert.equal(hidden.status, 200);
+        assert.equal(hidden.body.moderation.hidden, true);
+        assert.equal(reports[1].status, 'resolved');
+        assert.equal(reports[1].resolution.action, 'hidden');
+        assert.equal((await call('POST', `/api/admin/art/${art.id}/hide`, mia)).status, 409);
+
+        assert.deepEqual(audit.map(entry => [entry.action, entry.reason, String(entry.actorId)]), [
+            ['report.dismiss', 'Not spam', mia.user.id],
+            ['art.hide', 'Hateful', mia.user.id]
+        ]);
+        assert.equal(audit[1].details.resolvedReports, 1);
+    });
+
+    test('a suspended user is logged out and refused until the suspension is lifted', async () => {
+        const { alice, mia } = people;
+        const suspended = await call('POST', `/api/admin/users/${alice.user.id}/suspend`, mia, { reason: 'Spamming', days: 3 });
+        assert.equal(suspended.status, 200);
+        assert.equal(suspended.body.suspended, true);
+        assert.deepEqual(audit.map(entry => [entry.action, entry.details.sessions]), [['user.suspend', 1]]);
+
+        // The session they had is gone, and they can't start a new one
+        assert.equal((await call('POST', '/api/auth/logout', alice)).status, 401);
+        assert.equal((await call('POST', '/api/auth/refresh', null, { refreshToken: alice.refreshToken })).status, 401);
+        const login = await call('POST', '/api/auth/login', null, { email: 'alice@example.com', password: PASSWORD });
+        assert.equal(login.status, 403);
+        assert.match(login.body.msg, /suspended until/);
+
+        assert.equal((await call('POST', `/api/admin/users/${alice.user.id}/unsuspend`, mia, { reason: 'Appealed' })).status, 200);
+        assert.equal((await call('POST', `/api/admin/users/${alice.user.id}/unsuspend`, mia)).status, 409);
+        assert.equal((await call('POST', '/api/auth/login', null, { email: 'alice@example.com', password: PASSWORD })).status, 200);
+    });
+
+    test('moderators only act on accounts below their role, and never on themselves', async () => {
+        const { alice, mia, max, ada } = people;
+        assert.equal((await call('POST', `/api/admin/users/${max.user.id}/suspend`, mia)).status, 403);
+        assert.equal((await call('POST', `/api/admin/users/${mia.user.id}/suspend`, mia)).status, 403);
+        assert.equal((await call('POST', `/api/admin/users/${ada.user.id}/suspend`, mia)).status, 403);
+        assert.equal((await call('POST', `/api/admin/users/${alice.user.id}/suspend`, mia, { days: 0 })).status, 400);
+        assert.equal((await call('POST', `/api/admin/users/${new mongoose.Types.ObjectId()}/suspend`, mia)).status, 404);
+        assert.equal((await call('POST', `/api/admin/users/${max.user.id}/suspend`, ada)).status, 200); // Admins outrank moderators
+        assert.deepEqual(audit.map(entry => entry.action), ['user.suspend']);
+    });
+
+    test('admins change roles; a demotion logs the account out and everything lands in the audit log', async () => {
+        const { alice, mia, ada } = people;
+        const promoted = await call('PUT', `/api/admin/users/${alice.user.id}/role`, ada, { role: 'moderator', reason: 'Helping out' });
+        assert.equal(promoted.status, 200);
+        assert.equal(promoted.body.role, 'moderator');
+        assert.equal((await call('POST', '/api/auth/logout', alice)).status, 200); // Promotions keep sessions
+
+        assert.equal((await call('PUT', `/api/admin/users/${mia.user.id}/role`, ada, { role: 'user' })).status, 200);
+        assert.equal((await call('GET', '/api/admin/reports', mia)).status, 401); // Logged out everywhere
+        const login = await call('POST', '/api/auth/login', null, { email: 'mia@example.com', password: PASSWORD });
+        assert.equal((await call('GET', '/api/admin/reports', login.body)).status, 403); // And a user from now on
+
+        assert.equal((await call('PUT', `/api/admin/users/${ada.user.id}/role`, ada, { role: 'user' })).status, 403);
+        assert.equal((await call('PUT', `/api/admin/users/${alice.user.id}/role`, ada, { role: 'owner' })).status, 400);
+
+        const log = await call('GET', '/api/admin/audit?action=user.role', ada);
+        assert.deepEqual(log.body.items.map(entry => [entry.details.previousRole, entry.details.role, entry.reason]), [
+            ['moderator', 'user', ''],
+            ['user', 'moderator', 'Helping out']
+        ]);
+    });
+});
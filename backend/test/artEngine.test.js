@@ -0,0 +1,97 @@
+// The procedural art engine: reproducible renders, every style, and untrusted color input
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { renderArtSvg, generateProceduralArt } = require('../services/artEngine');
+const { STYLES } = require('../services/artEngine/styles');
+const { resolveColor, buildPalette } = require('../services/artEngine/palettes');
+const { normalizeSeed, createRandom } = require('../services/artEngine/random');
+
+const STYLE_NAMES = ['Abstract', 'Impressionist', 'Cubist', 'Minimalist', 'Surreal', 'Pop Art', 'Watercolor'];
+
+describe('determinism', () => {
+    test('the same seed and options render the same SVG and PNG bytes', async () => {
+        const options = { mood: 'Happy', style: 'Surreal', colors: ['Sky Blue', '#ff8800'], seed: 12345 };
+        const first = await generateProceduralArt(options);
+        const second = await generateProceduralArt(options);
+
+        assert.equal(first.svg, second.svg);
+        assert.ok(first.png.equals(second.png));
+        assert.equal(first.seed, 12345);
+    });
+
+    test('string seeds are hashed consistently and numeric strings keep their value', () => {
+        assert.equal(normalizeSeed('sunrise'), normalizeSeed(' sunrise '));
+        assert.equal(normalizeSeed('42'), 42);
+        assert.equal(renderArtSvg({ mood: 'Calm', seed: 'sunrise' }).svg, renderArtSvg({ mood: 'Calm', seed: 'sunrise' }).svg);
+    });
+
+    test('different seeds render different pieces', () => {
+        assert.notEqual(renderArtSvg({ mood: 'Calm', seed: 1 }).svg, renderArtSvg({ mood: 'Calm', seed: 2 }).svg);
+    });
+
+    test('the random generator repeats its sequence for a seed', () => {
+        const a = createRandom(7);
+        const b = createRandom(7);
+        const draws = rng => Array.from({ length: 20 }, () => rng.next());
+        assert.deepEqual(draws(a), draws(b));
+    });
+
+    test('a missing seed picks a fresh one and reports it', () => {
+        const rendered = renderArtSvg({ mood: 'Calm' });
+        assert.ok(Number.isInteger(rendered.seed));
+        assert.equal(renderArtSvg({ mood: 'Calm', seed: rendered.seed }).svg, rendered.svg);
+    });
+});
+
+describe('styles', () => {
+    test('every style name maps to a registered style', () => {
+        const keys = STYLE_NAMES.map(name => renderArtSvg({ style: name, seed: 1 }).style);
+        assert.deepEqual(keys.sort(), Object.keys(STYLES).sort());
+    });
+
+    for (const style of STYLE_NAMES) {
+        test(`${style} renders a valid image of the requested size`, async () => {
+            const art = await generateProceduralArt({ mood: 'Energetic', style, seed: 99, width: 320, height: 240 });
+            const { format, width, height } = await sharp(art.png).metadata();
+
+            assert.match(art.svg, /^<svg [^>]*width="320" height="240"/);
+            assert.equal(format, 'png');
+            assert.deepEqual([width, height], [320, 240]);
+        });
+    }
+
+    test('unknown styles fall back to abstract', () => {
+        assert.equal(renderArtSvg({ style: 'Baroque', seed: 1 }).style, 'abstract');
+        assert.equal(renderArtSvg({ style: 42, seed: 1 }).style, 'abstract');
+    });
+});
+
+describe('color sanitizing', () => {
+    test('resolves names and hex colors and rejects anything else', () => {
+        assert.equal(resolveColor('#f00'), '#FF0000');
+        assert.equal(resolveColor('sky_blue'), resolveColor('Sky Blue'));
+        assert.equal(resolveColor('not-a-color'), null);
+        assert.equal(resolveColor('#12345'), null);
+        assert.equal(resolveColor({ toString: () => '#fff' }), null);
+        assert.equal(resolveColor(null), null);
+    });
+
+    test('drops bad colors from the palette and keeps the good ones first', () => {
+        const { colors } = buildPalette('Calm', ['#00ff00', 'nonsense', 7, '"/><script>alert(1)</script>']);
+        assert.equal(colors[0], '#00FF00');
+        assert.ok(colors.length > 1);
+        assert.ok(colors.every(color => /^#[0-9A-F]{6}$/.test(color)));
+    });
+
+    test('markup in colors never reaches the SVG', async () => {
+        const art = await generateProceduralArt({ mood: 'Sad', colors: ['red"/><script>alert(1)</script>', 'url(#x)'], seed: 5 });
+        assert.doesNotMatch(art.svg, /script|url\(#x\)/);
+        assert.ok(art.png.length > 0);
+    });
+
+    test('unknown moods and empty color lists still render', () => {
+        const rendered = renderArtSvg({ mood: 'Perplexed', colors: [], seed: 3 });
+        assert.ok(rendered.palette.length > 0);
+    });
+});
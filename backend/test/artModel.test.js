@@ -0,0 +1,67 @@
+// The Art model's moderation filter and the fields it sends to clients (no database: queries run their
+// middleware and then fail to reach MongoDB, which is all these tests need)
+const { test, before } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+
+before(() => mongoose.set('bufferCommands', false));
+
+// Runs a query's middleware and returns its filter
+async function filterAfterHooks(query) {
+    await query.exec().catch(() => {});
+    return query.getFilter();
+}
+
+const id = new mongoose.Types.ObjectId();
+
+for (const [name, query] of [
+    ['find', () => Art.find({ _id: id })],
+    ['findOne', () => Art.findOne({ _id: id })],
+    ['findOneAndUpdate', () => Art.findOneAndUpdate({ _id: id }, { $inc: { votes: 1 } })],
+    ['findByIdAndUpdate', () => Art.findByIdAndUpdate(id, { $inc: { votes: 1 } })],
+    ['updateOne', () => Art.updateOne({ _id: id }, { $inc: { remixCount: 1 } })]
+]) {
+    test(`${name} skips pieces hidden by a moderator`, async () => {
+        assert.deepEqual((await filterAfterHooks(query()))['moderation.hidden'], { $ne: true });
+    });
+}
+
+test('includeModerated lets updates reach hidden pieces', async () => {
+    const filter = await filterAfterHooks(Art.updateOne({ _id: id }, { $set: { reportCount: 0 } }, { includeModerated: true }));
+    assert.equal(filter['moderation.hidden'], undefined);
+});
+
+test('toJSON leaves out moderation details, report counts and who hid the piece', () => {
+    const art = new Art({
+        mood: 'Happy',
+        imageUrl: 'https://img.example/a.png',
+        reportCount: 3,
+        hiddenBy: [new mongoose.Types.ObjectId()],
+        moderation: { hidden: false }
+    });
+    const json = art.toJSON();
+
+    for (const field of ['moderation', 'reportCount', 'hiddenBy', 'shareToken', 'claim']) {
+        assert.ok(!(field in json), `${field} should not be sent`);
+    }
+    assert.equal(json.imageUrl, 'https://img.example/a.png');
+});
+
+test('toJSON sends the largest variant instead of the original of a watermarked piece', () => {
+    const variants = [
+        { width: 320, height: 320, format: 'webp', url: 'https://img.example/320.webp' },
+        { width: 320, height: 320, format: 'avif', url: 'https://img.example/320.avif' },
+        { width: 1024, height: 1024, format: 'avif', url: 'https://img.example/1024.avif' },
+        { width: 1024, height: 1024, format: 'webp', url: 'https://img.example/1024.webp' }
+    ];
+    const original = { imageUrl: 'https://img.example/original.png', storage: { driver: 'local', key: 'mood_art_generator/original.png' } };
+
+    const marked = new Art({ mood: 'Happy', ...original, variants, watermarked: true }).toJSON();
+    assert.equal(marked.imageUrl, 'https://img.example/1024.webp');
+    assert.ok(!('storage' in marked), 'the key of the original should not be sent');
+    assert.ok(!JSON.stringify(marked).includes('original.png'));
+
+    const plain = new Art({ mood: 'Happy', imageUrl: original.imageUrl, variants }).toJSON();
+    assert.equal(plain.imageUrl, 'https://img.example/original.png');
+});
@@ -0,0 +1,225 @@
+// The export ZIP and PDF writers, read back: entries of the ZIP and pages of the PDF; and the frames
+// picked for an animation export (Art, Export and Job live in memory here)
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const Export = require('../models/Export');
+const Job = require('../models/Job');
+const { enqueueJob, jobEvents } = require('../services/jobQueue');
+const { TINY_PNG, fakeQuery } = require('./helpers');
+const { crc32, createZipWriter } = require('../services/exports/zip');
+const { createPdfWriter } = require('../services/exports/pdf');
+
+// Reads a ZIP through its central directory: [{ name, data, crc, method }]
+function unzip(archive) {
+    const end = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    assert.ok(end >= 0, 'end of central directory record');
+    const count = archive.readUInt16LE(end + 10);
+    let pos = archive.readUInt32LE(end + 16);
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        assert.equal(archive.readUInt32LE(pos), 0x02014b50);
+        const method = archive.readUInt16LE(pos + 10);
+        const crc = archive.readUInt32LE(pos + 16);
+        const compressedSize = archive.readUInt32LE(pos + 20);
+        const nameLength = archive.readUInt16LE(pos + 28);
+        const localOffset = archive.readUInt32LE(pos + 42);
+        const name = archive.toString('utf8', pos + 46, pos + 46 + nameLength);
+
+        assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+        const dataStart = localOffset + 30 + archive.readUInt16LE(localOffset + 26) + archive.readUInt16LE(localOffset + 28);
+        const stored = archive.subarray(dataStart, dataStart + compressedSize);
+        entries.push({ name, method, crc, data: method === 8 ? zlib.inflateRawSync(stored) : Buffer.from(stored) });
+        pos += 46 + nameLength;
+    }
+    return entries;
+}
+
+// The objects of a PDF found through its cross-reference table, by object number
+function readPdf(file) {
+    const text = file.toString('latin1');
+    const startxref = Number(/startxref\n(\d+)\n%%EOF\n$/.exec(text)[1]);
+    const [, size] = /^xref\n0 (\d+)\n/.exec(text.slice(startxref));
+    const objects = {};
+    const rows = text.slice(startxref).split('\n').slice(3, 2 + Number(size));
+    rows.forEach((row, index) => {
+        const offset = Number(row.slice(0, 10));
+        const id = index + 1;
+        assert.ok(text.startsWith(`${id} 0 obj\n`, offset), `object ${id} at its xref offset`);
+        objects[id] = text.slice(offset, text.indexOf('\nendobj\n', offset));
+    });
+    const root = Number(/\/Root (\d+) 0 R/.exec(text.slice(startxref))[1]);
+    return { text, objects, root };
+}
+
+describe('export writers', () => {
+    let dir;
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mood-art-exports-'));
+    });
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('crc32 matches the standard check value', () => {
+        assert.equal(crc32(Buffer.from('123456789')), 0xcbf43926);
+    });
+
+    test('a ZIP reads back with the same names, contents and checksums', async () => {
+        const filePath = path.join(dir, 'export.zip');
+        const manifest = JSON.stringify([{ id: 'a', mood: 'Happy', prompt: 'Sunny día' }], null, 2);
+        const zip = await createZipWriter(filePath);
+        await zip.add({ name: 'images/2025-01-31-happy-a.png', data: TINY_PNG, date: new Date(2025, 0, 31) });
+        await zip.add({ name: 'manifest.json', data: manifest });
+        const size = await zip.close();
+
+        const archive = await fs.readFile(filePath);
+        assert.equal(size, archive.length);
+        const entries = unzip(archive);
+        assert.deepEqual(entries.map(entry => entry.name), ['images/2025-01-31-happy-a.png', 'manifest.json']);
+        assert.equal(entries[0].method, 0); // Images are stored as they are
+        assert.deepEqual(entries[0].data, TINY_PNG);
+        assert.equal(entries[1].method, 8); // Text is deflated
+        assert.equal(entries[1].data.toString('utf8'), manifest);
+        entries.forEach(entry => assert.equal(entry.crc, crc32(entry.data)));
+    });
+
+    test('an empty ZIP is still a valid archive', async () => {
+        const filePath = path.join(dir, 'empty.zip');
+        const zip = await createZipWriter(filePath);
+        assert.equal(await zip.close(), 22);
+        assert.deepEqual(unzip(await fs.readFile(filePath)), []);
+    });
+
+    test('a PDF has one page per page added, each with its own image', async () => {
+        const { data, info } = await sharp({ create: { width: 40, height: 20, channels: 3, background: '#3366cc' } })
+            .jpeg()
+            .toBuffer({ resolveWithObject: true });
+        const filePath = path.join(dir, 'journal.pdf');
+        const pdf = await createPdfWriter(filePath, { title: 'Mood Journal', author: 'Ana (test)' });
+        await pdf.addPage({ heading: 'Mood Journal', lines: [{ text: 'Ana', bold: true, size: 14 }] });
+        await pdf.addPage({ heading: 'Happy', image: { data, width: info.width, height: info.height }, lines: [{ text: 'Style: Abstract' }] });
+        await pdf.addPage({ heading: 'Sad', image: null, lines: [{ text: 'Mood Diary', bold: true }, { text: 'A long day.' }] });
+        const size = await pdf.close();
+
+        const file = await fs.readFile(filePath);
+        assert.equal(size, file.length);
+        assert.ok(file.toString('latin1').startsWith('%PDF-1.4\n'));
+        const { text, objects, root } = readPdf(file);
+
+        const pagesId = Number(/\/Pages (\d+) 0 R/.exec(objects[root])[1]);
+        assert.match(objects[pagesId], /\/Type \/Pages .*\/Count 3 >>/);
+        const kids = [...objects[pagesId].matchAll(/(\d+) 0 R/g)].map(match => Number(match[1]));
+        assert.equal(kids.length, 3);
+        kids.forEach(id => assert.match(objects[id], /^\d+ 0 obj\n<< \/Type \/Page /));
+
+        const images = Object.values(objects).filter(body => body.includes('/Subtype /Image'));
+        assert.equal(images.length, 1);
+        assert.match(images[0], /\/Width 40 \/Height 20 /);
+        assert.ok(file.includes(data), 'the JPEG is embedded as is');
+
+        const content = objects[Number(/\/Contents (\d+) 0 R/.exec(objects[kids[2]])[1])];
+        const stream = Buffer.from(content.slice(content.indexOf('stream\n') + 7, content.lastIndexOf('\nendstream')), 'latin1');
+        assert.match(zlib.inflateSync(stream).toString('latin1'), /\(A long day\.\) Tj/);
+        assert.match(text, /\/Author \(Ana \\\(test\\\)\)/);
+    });
+});
+
+describe('animation exports', () => {
+    const env = { ...process.env };
+    const original = { artFind: Art.find, exportFindById: Export.findById, jobCreate: Job.create, jobFindById: Job.findById, jobSave: Job.prototype.save };
+    const jobs = new Map();
+    const queries = [];
+    let dir;
+    let pieces;
+
+    // Runs an animation export of `count` pieces (each its own color) as a job and resolves with the export and its final job event
+    async function runExport(count) {
+        pieces = await Promise.all(Array.from({ length: count }, async (_, index) => {
+            const _id = new mongoose.Types.ObjectId();
+            const image = await sharp({ create: { width: 4, height: 4, channels: 3, background: { r: index * 20, g: 0, b: 0 } } }).png().toBuffer();
+            return { _id, id: _id.toHexString(), index, imageUrl: `data:image/png;base64,${image.toString('base64')}` };
+        }));
+        const exp = {
+            _id: new mongoose.Types.ObjectId(),
+            userId: new mongoose.Types.ObjectId(),
+            kind: 'animation',
+            format: 'gif',
+            options: { mood: 'Happy', frameDelay: 100 },
+            save: async function () {
+                return this;
+            }
+        };
+        exp.id = exp._id.toHexString();
+        Export.findById = async () => exp;
+        const job = await enqueueJob('export', { exportId: exp.id });
+        const event = await new Promise(resolve => jobEvents.on(`job:${job.id}`, function listener(update) {
+            if (update.state === 'done' || update.state === 'failed') {
+                jobEvents.off(`job:${job.id}`, listener);
+                resolve(update);
+            }
+        }));
+        return { exp, event };
+    }
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mood-art-animations-'));
+        Object.assign(process.env, { EXPORT_DIR: dir, EXPORT_MAX_FRAMES: '5', EXPORT_FRAME_SIZE: '8' });
+        Art.find = filter => {
+            queries.push(filter);
+            if (filter._id) {
+                const picked = filter._id.$in.map(String);
+                return fakeQuery(() => pieces.filter(art => picked.includes(art.id)));
+            }
+            return fakeQuery(() => pieces.map(({ _id }) => ({ _id })));
+        };
+        Job.create = async fields => {
+            const job = new Job(fields);
+            jobs.set(job.id, job);
+            return job;
+        };
+        Job.findById = async id => jobs.get(String(id)) || null;
+        Job.prototype.save = async function () {
+            return this;
+        };
+        require('../services/exports').registerExportJobHandler(); // Reads the settings above
+    });
+
+    after(async () => {
+        Art.find = original.artFind;
+        Export.findById = original.exportFindById;
+        Job.create = original.jobCreate;
+        Job.findById = original.jobFindById;
+        Job.prototype.save = original.jobSave;
+        process.env = env;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('uses every piece when there are no more than EXPORT_MAX_FRAMES', async () => {
+        const { exp, event } = await runExport(4);
+        assert.equal(event.state, 'done');
+        assert.equal(exp.itemCount, 4);
+        assert.equal((await sharp(exp.filePath).metadata()).pages, 4);
+    });
+
+    test('samples EXPORT_MAX_FRAMES frames evenly from the first piece to the last', async () => {
+        queries.length = 0;
+        const { exp, event } = await runExport(12);
+        assert.equal(event.state, 'done');
+        assert.equal(queries.length, 2); // The ids of the whole timeline, then the picked pieces
+        const picked = queries[1]._id.$in.map(id => pieces.find(art => art._id.equals(id)).index);
+        assert.deepEqual(picked, [0, 3, 6, 8, 11]);
+        assert.equal(exp.itemCount, 5);
+        const metadata = await sharp(exp.filePath).metadata();
+        assert.equal(metadata.pages, 5);
+        assert.equal(metadata.width, 8);
+    });
+});
@@ -0,0 +1,62 @@
+// Gallery query parameters and pagination cursors (the filters are built without a database)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { buildGalleryFilter, listGallery } = require('../services/gallery');
+const { QueryError, encodeCursor, keysetFilter } = require('../services/pagination');
+
+test('builds filters from single-valued parameters', () => {
+    const filter = buildGalleryFilter({ style: ' Pop Art ', colors: 'red, blue', color: 'blue' });
+    const [, style, colors, color] = filter.$and;
+
+    assert.ok(style.style.test('pop art'));
+    assert.equal(colors.colors.$in.length, 2);
+    assert.equal(color.palette.$elemMatch.family, 'blue');
+});
+
+test('accepts repeated colors, which is a list parameter', () => {
+    const filter = buildGalleryFilter({ colors: ['red', 'blue'] });
+    assert.equal(filter.$and[1].colors.$in.length, 2);
+});
+
+test('refuses repeated or nested single-valued parameters with a QueryError', () => {
+    for (const query of [{ style: ['a', 'b'] }, { mood: ['Happy', 'Sad'] }, { color: { x: 'blue' } }, { q: ['a', 'b'] }, { from: ['2025-01-01'] }]) {
+        assert.throws(() => buildGalleryFilter(query), err => err instanceof QueryError && err.status === 400 && /must be given once/.test(err.message));
+    }
+});
+
+test('refuses repeated paging parameters before querying', async () => {
+    await assert.rejects(listGallery({ sort: ['top', 'newest'] }), QueryError);
+    await assert.rejects(listGallery({ limit: ['10', '20'] }), QueryError);
+});
+
+test('keysetFilter continues after the cursor and refuses values of the wrong type', () => {
+    const id = new mongoose.Types.ObjectId();
+    const at = new Date('2025-01-31T00:00:00Z');
+    assert.deepEqual(keysetFilter('createdAt', -1, { value: at, id }, 'Date'), {
+        $or: [{ createdAt: { $lt: at } }, { createdAt: at, _id: { $lt: id } }]
+    });
+    assert.deepEqual(keysetFilter('createdAt', -1, null, 'Date'), {});
+    for (const [cursor, type] of [
+        [{ value: { $ne: null }, id }, 'Date'],
+        [{ value: { $ne: null }, id }, undefined],
+        [{ value: '2025-01-31', id }, 'Date'],
+        [{ value: new Date('nope'), id }, 'Date'],
+        [{ value: 3, id }, 'String'],
+        [{ value: Infinity, id }, 'Number'],
+        [{ value: 3, id: { $gt: '' } }, 'Number'],
+        [{ value: 3, id: id.toHexString() }, 'Number']
+    ]) {
+        assert.throws(() => keysetFilter('field', 1, cursor, type), QueryError);
+    }
+});
+
+test('answers cursors with injected values with a QueryError before querying', async () => {
+    const id = new mongoose.Types.ObjectId().toHexString();
+    const forged = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+    await assert.rejects(listGallery({ cursor: forged({ value: { $ne: null }, id: { $o: id } }) }), QueryError);
+    await assert.rejects(listGallery({ sort: 'top', cursor: forged({ value: { $gt: '' }, id: { $o: id } }) }), QueryError);
+    await assert.rejects(listGallery({ sort: 'top', cursor: forged({ value: 4, id: { $ne: null } }) }), QueryError);
+    await assert.rejects(listGallery({ sort: 'trending', cursor: forged({ value: 1, id: { $o: id }, asOf: { $literal: 0 } }) }), QueryError);
+    await assert.rejects(listGallery({ sort: 'trending', cursor: encodeCursor({ value: 'x', id: new mongoose.Types.ObjectId() }) }), QueryError);
+});
@@ -0,0 +1,143 @@
+// test/helpers.js
+// Shared helpers for the backend tests (node --test).
+const http = require('http');
+const mongoose = require('mongoose');
+
+// Starts a local HTTP server standing in for an external API. handler(req, res, body, raw) answers each
+// request (body as text, raw as a Buffer); every request is also recorded in 'requests' ({ method, url, headers, body }).
+// Resolves { url, requests, close }.
+function startStubServer(handler) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const raw = Buffer.concat(chunks);
+            const body = raw.toString('utf8');
+            requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+            handler(req, res, body, raw);
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                requests,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Serves an Express app (or any request handler) on a free local port. Resolves { url, close }.
+function listen(app) {
+    const server = http.createServer(app);
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+    });
+}
+
+// Sends a JSON response
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+// A valid 1x1 PNG, for stub servers that return images
+const TINY_PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==', 'base64');
+
+// A stand-in for a Mongoose query: chainable like one (sort, select, lean, limit, setOptions) and
+// resolving with result() when awaited
+function fakeQuery(result) {
+    const query = {};
+    ['sort', 'select', 'lean', 'limit', 'setOptions'].forEach(name => {
+        query[name] = () => query;
+    });
+    query.then = (resolve, reject) => Promise.resolve().then(result).then(resolve, reject);
+    return query;
+}
+
+// Whether a stored document matches a filter, for the parts of MongoDB's filters the in-memory
+// stores below need (equality, array membership, null, $ne and $gt)
+function matchesFilter(doc, filter) {
+    return Object.entries(filter).every(([key, condition]) => {
+        const value = doc[key];
+        if (condition && condition.$ne !== undefined) return String(value) !== String(condition.$ne);
+        if (condition && condition.$gt !== undefined) return value > condition.$gt;
+        if (Array.isArray(value)) return value.some(item => String(item) === String(condition));
+        if (condition === null) return value == null;
+        return String(value) === String(condition);
+    });
+}
+
+// Applies $set and $push (with $each and $slice) to a stored document
+function applyUpdate(doc, { $set = {}, $push = {} }) {
+    Object.assign(doc, $set);
+    for (const [key, { $each, $slice }] of Object.entries($push)) {
+        doc[key] = [...doc[key], ...$each].slice($slice);
+    }
+}
+
+// Replaces the Session model's queries with an in-memory store, so services/tokens.js (logins,
+// refreshes, revocations and the auth middleware) works without a database. Returns { sessions, restore }.
+function memorySessions() {
+    const Session = require('../models/Session');
+    const original = ['create', 'findOneAndUpdate', 'updateOne', 'updateMany', 'findById'].map(name => [name, Session[name]]);
+    const sessions = [];
+    const isActive = session => !session.revokedAt && session.expiresAt > new Date();
+    Object.assign(Session, {
+        create: async (doc) => {
+            const session = { _id: new mongoose.Types.ObjectId(), previousTokenHashes: [], revokedAt: null, ...doc };
+            sessions.push(session);
+            return session;
+        },
+        findOneAndUpdate: async (filter, update) => {
+            const session = sessions.find(doc => matchesFilter(doc, filter));
+            if (session) applyUpdate(session, update);
+            return session || null;
+        },
+        updateOne: async (filter, update) => {
+            const session = sessions.find(doc => matchesFilter(doc, filter));
+            if (session) applyUpdate(session, update);
+            return { modifiedCount: session ? 1 : 0 };
+        },
+        updateMany: async (filter, update) => {
+            const matched = sessions.filter(doc => matchesFilter(doc, filter));
+            matched.forEach(doc => applyUpdate(doc, update));
+            return { modifiedCount: matched.length };
+        },
+        findById: id => fakeQuery(() => {
+            const session = sessions.find(doc => String(doc._id) === String(id));
+            return session && { ...session, isActive: () => isActive(session) };
+        })
+    });
+    return { sessions, restore: () => Object.assign(Session, Object.fromEntries(original)) };
+}
+
+// Silences console.error and console.warn while fn runs (for code paths that log expected failures)
+async function quietly(fn) {
+    const { error, warn } = console;
+    console.error = () => {};
+    console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.error = error;
+        console.warn = warn;
+    }
+}
+
+module.exports = {
+    startStubServer,
+    listen,
+    sendJson,
+    TINY_PNG,
+    fakeQuery,
+    memorySessions,
+    quietly
+};
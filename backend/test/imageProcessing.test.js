@@ -0,0 +1,134 @@
+// The image pipeline on small fixture images: variant sizes and formats, the palette and colorMatch,
+// and the watermark of public pieces
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { processImage, shouldWatermark } = require('../services/imageProcessing');
+const { colorFamily, toColorFamily, colorMatch } = require('../services/imageProcessing/palette');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', name));
+const RED_BLUE = fixture('red-blue-400x200.png'); // Left three quarters red, right quarter blue
+const GREEN = fixture('green-120x80.png');
+
+const SETTINGS = ['IMAGE_VARIANT_WIDTHS', 'IMAGE_VARIANT_FORMATS', 'IMAGE_PALETTE_SIZE', 'IMAGE_WATERMARK_TEXT'];
+
+// Mean absolute difference of two same-sized images' pixels in a region
+async function difference(a, b, region) {
+    const pixels = buffer => sharp(buffer).extract(region).removeAlpha().raw().toBuffer();
+    const [left, right] = await Promise.all([pixels(a), pixels(b)]);
+    return left.reduce((sum, value, index) => sum + Math.abs(value - right[index]), 0) / left.length;
+}
+
+describe('processImage', () => {
+    const env = {};
+
+    beforeEach(() => {
+        SETTINGS.forEach(name => {
+            env[name] = process.env[name];
+            delete process.env[name];
+        });
+    });
+
+    afterEach(() => {
+        SETTINGS.forEach(name => {
+            if (env[name] === undefined) delete process.env[name];
+            else process.env[name] = env[name];
+        });
+    });
+
+    test('makes every format at each width below the original, plus the original width, smallest first', async () => {
+        const processed = await processImage(RED_BLUE);
+        assert.equal(processed.width, 400);
+        assert.equal(processed.height, 200);
+        assert.deepEqual(
+            processed.variants.map(({ width, height, format, contentType }) => ({ width, height, format, contentType })),
+            [
+                { width: 320, height: 160, format: 'webp', contentType: 'image/webp' },
+                { width: 320, height: 160, format: 'avif', contentType: 'image/avif' },
+                { width: 400, height: 200, format: 'webp', contentType: 'image/webp' },
+                { width: 400, height: 200, format: 'avif', contentType: 'image/avif' }
+            ]
+        );
+        for (const variant of processed.variants) {
+            const metadata = await sharp(variant.buffer).metadata();
+            assert.equal(metadata.width, variant.width);
+            assert.equal(metadata.height, variant.height);
+            assert.equal(metadata.format === 'heif' ? 'avif' : metadata.format, variant.format);
+        }
+    });
+
+    test('follows IMAGE_VARIANT_WIDTHS and IMAGE_VARIANT_FORMATS', async () => {
+        process.env.IMAGE_VARIANT_WIDTHS = '50, 100, 9000, nope';
+        process.env.IMAGE_VARIANT_FORMATS = 'WEBP,gif';
+        const processed = await processImage(GREEN);
+        assert.deepEqual(processed.variants.map(({ width, height, format }) => [width, height, format]), [
+            [50, 33, 'webp'],
+            [100, 67, 'webp'],
+            [120, 80, 'webp']
+        ]);
+    });
+
+    test('finds the rendered palette, most common color first', async () => {
+        const { palette } = await processImage(RED_BLUE);
+        assert.deepEqual(palette.map(entry => entry.family), ['red', 'blue']);
+        assert.equal(palette[0].color, '#FF0000');
+        assert.equal(palette[0].share, 0.75);
+        assert.equal(palette[1].share, 0.25);
+    });
+
+    test('limits the palette to IMAGE_PALETTE_SIZE colors', async () => {
+        process.env.IMAGE_PALETTE_SIZE = '1';
+        const { palette } = await processImage(RED_BLUE);
+        assert.deepEqual(palette.map(entry => entry.color), ['#FF0000']);
+    });
+
+    test('scores how close the rendered colors came to the requested ones', async () => {
+        process.env.IMAGE_VARIANT_FORMATS = 'webp';
+        assert.equal((await processImage(RED_BLUE, { colors: ['#FF0000', '#0000ff'] })).colorMatch, 1);
+        const named = (await processImage(RED_BLUE, { colors: ['red'] })).colorMatch; // 'red' is #E63946
+        assert.ok(named > 0.7 && named < 1, `colorMatch ${named}`);
+        const missed = (await processImage(RED_BLUE, { colors: ['green'] })).colorMatch;
+        assert.ok(missed > 0 && missed < named, `colorMatch ${missed}`);
+        assert.equal((await processImage(RED_BLUE)).colorMatch, null);
+        assert.equal((await processImage(RED_BLUE, { colors: ['not a color'] })).colorMatch, null);
+        assert.equal(colorMatch(['red'], []), null);
+    });
+
+    test('watermarks the variants only when asked and IMAGE_WATERMARK_TEXT is set', async () => {
+        process.env.IMAGE_VARIANT_FORMATS = 'webp';
+        const plain = await processImage(RED_BLUE, { watermark: false });
+        assert.equal(plain.watermarked, false);
+
+        const unset = await processImage(RED_BLUE, { watermark: true });
+        assert.equal(unset.watermarked, false); // No text configured
+
+        process.env.IMAGE_WATERMARK_TEXT = 'Mood Art';
+        const marked = await processImage(RED_BLUE, { watermark: true });
+        assert.equal(marked.watermarked, true);
+        const [plainVariant, markedVariant] = [plain.variants[1], marked.variants[1]]; // 400 x 200
+        const corner = { left: 280, top: 170, width: 120, height: 30 };
+        const topLeft = { left: 0, top: 0, width: 120, height: 30 };
+        assert.ok(await difference(plainVariant.buffer, markedVariant.buffer, corner) > 5, 'the bottom right corner changed');
+        assert.ok(await difference(plainVariant.buffer, markedVariant.buffer, topLeft) < 1, 'the rest did not');
+    });
+
+    test('shouldWatermark only picks public pieces', () => {
+        assert.equal(shouldWatermark({ visibility: 'public' }), false); // No text configured
+        process.env.IMAGE_WATERMARK_TEXT = 'Mood Art';
+        assert.equal(shouldWatermark({ visibility: 'public' }), true);
+        assert.equal(shouldWatermark({}), true);
+        assert.equal(shouldWatermark({ visibility: 'unlisted' }), false);
+        assert.equal(shouldWatermark({ visibility: 'private' }), false);
+    });
+});
+
+test('color families and search terms', () => {
+    assert.equal(colorFamily('#1D4ED8'), 'blue');
+    assert.equal(colorFamily('#000000'), 'black');
+    assert.equal(colorFamily('#808080'), 'gray');
+    assert.equal(colorFamily('nope'), null);
+    assert.equal(toColorFamily('Blue'), 'blue');
+    assert.equal(toColorFamily('navy'), 'blue');
+});
@@ -0,0 +1,27 @@
+// What an invitation tells its sender about the invitee (built without a database)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Invitation = require('../models/Invitation');
+
+const invitation = fields => new Invitation({ inviterId: new mongoose.Types.ObjectId(), inviterMood: 'Happy', ...fields });
+
+test('looks the same whether or not the address belongs to an account', () => {
+    const registered = invitation({ inviteeId: new mongoose.Types.ObjectId(), inviteeEmail: ' Alan@Example.com ' }).toJSON();
+    const unknown = invitation({ inviteeEmail: 'nobody@example.com' }).toJSON();
+
+    assert.deepEqual(Object.keys(registered).sort(), Object.keys(unknown).sort());
+    assert.equal(registered.inviteeEmail, 'alan@example.com');
+    assert.equal(unknown.inviteeEmail, 'nobody@example.com');
+    assert.ok(!('inviteeId' in registered));
+});
+
+test('falls back to the populated invitee for invitations without a stored address', () => {
+    const older = invitation({ inviteeId: new mongoose.Types.ObjectId() });
+    const json = older.toJSON();
+    assert.equal(json.inviteeEmail, null);
+
+    const populated = { ...json, inviteeId: { email: 'grace@example.com' } };
+    const transform = Invitation.schema.get('toJSON').transform;
+    assert.equal(transform(older, populated).inviteeEmail, 'grace@example.com');
+});
@@ -0,0 +1,106 @@
+// The job queue's resume path. Jobs live in memory here: Job.findById and save are replaced, so no
+// database is needed.
+const { test, describe, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const { registerJobHandler, enqueueJob, resumePendingJobs, jobEvents } = require('../services/jobQueue');
+
+// Resolves with the final event of a job ('done' or 'failed')
+const finished = jobId => new Promise(resolve => {
+    const listener = (event) => {
+        if (event.state === 'done' || event.state === 'failed') {
+            jobEvents.off(`job:${jobId}`, listener);
+            resolve(event);
+        }
+    };
+    jobEvents.on(`job:${jobId}`, listener);
+});
+
+describe('job queue', () => {
+    const jobs = new Map();
+    const saved = new Map(); // The "Art" documents handlers saved, by id
+    const original = { find: Job.find, findById: Job.findById, create: Job.create, save: Job.prototype.save };
+
+    beforeEach(() => {
+        jobs.clear();
+        saved.clear();
+        Job.find = () => ({ sort: async () => [...jobs.values()].filter(job => job.state !== 'done' && job.state !== 'failed') });
+        Job.findById = async id => jobs.get(id) || null;
+        Job.create = async fields => {
+            const job = new Job(fields);
+            jobs.set(job.id, job);
+            return job;
+        };
+        Job.prototype.save = async function () {
+            return this;
+        };
+    });
+    afterEach(() => {
+        const { save, ...statics } = original;
+        Object.assign(Job, statics);
+        Job.prototype.save = save;
+    });
+
+    // Resumes a job left behind by a stopped server
+    const resume = async (fields) => {
+        const job = new Job({ type: 'art', ...fields });
+        jobs.set(job.id, job);
+        const event = finished(job.id);
+        await resumePendingJobs();
+        return event;
+    };
+
+    const findResult = async id => saved.get(String(id)) || null;
+
+    test('records the result id before the handler saves it', async () => {
+        let recordedBeforeSave = null;
+        registerJobHandler('art', async (job, reportProgress, recordResult) => {
+            const art = { _id: new mongoose.Types.ObjectId() };
+            await recordResult(art);
+            recordedBeforeSave = job.artId;
+            saved.set(String(art._id), art);
+            return art;
+        }, { findResult });
+
+        const job = await enqueueJob('art', {});
+        const event = await finished(job.id);
+
+        assert.equal(event.state, 'done');
+        assert.ok(recordedBeforeSave);
+        assert.equal(String(event.artId), String(recordedBeforeSave));
+        assert.equal(event.art, saved.get(String(recordedBeforeSave)));
+    });
+
+    test('finishes a resumed job with the document an earlier attempt saved', async () => {
+        let calls = 0;
+        registerJobHandler('art', async () => {
+            calls++;
+            throw new Error('should not run');
+        }, { findResult });
+        const art = { _id: new mongoose.Types.ObjectId() };
+        saved.set(String(art._id), art);
+
+        // What a crash between saving the piece and marking the job done leaves behind
+        const event = await resume({ state: 'generating', attempts: 1, artId: art._id });
+
+        assert.equal(event.state, 'done');
+        assert.equal(event.art, art);
+        assert.equal(calls, 0);
+    });
+
+    test('generates again when the recorded document was never saved', async () => {
+        const orphanId = new mongoose.Types.ObjectId();
+        registerJobHandler('art', async (job, reportProgress, recordResult) => {
+            const art = { _id: new mongoose.Types.ObjectId() };
+            await recordResult(art);
+            saved.set(String(art._id), art);
+            return art;
+        }, { findResult });
+
+        const event = await resume({ state: 'uploading', attempts: 1, artId: orphanId });
+
+        assert.equal(event.state, 'done');
+        assert.notEqual(String(event.artId), String(orphanId));
+    });
+});
@@ -0,0 +1,64 @@
+// The local storage driver's upload/serve round trip and its /uploads middleware
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { TINY_PNG } = require('./helpers');
+const createLocalDriver = require('../services/storage/local');
+
+describe('local storage driver', () => {
+    let rootDir;
+    let server;
+    let baseUrl;
+    let driver;
+    const env = { ...process.env };
+
+    before(async () => {
+        rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mood-art-uploads-'));
+        process.env.STORAGE_LOCAL_DIR = rootDir;
+        process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+        const app = express();
+        await new Promise(resolve => {
+            server = app.listen(0, '127.0.0.1', resolve);
+        });
+        baseUrl = `http://127.0.0.1:${server.address().port}/uploads`;
+        process.env.STORAGE_PUBLIC_URL = baseUrl;
+        driver = createLocalDriver();
+        app.use('/uploads', driver.middleware());
+    });
+    after(async () => {
+        process.env = env;
+        await new Promise(resolve => server.close(resolve));
+        await fs.rm(rootDir, { recursive: true, force: true });
+    });
+
+    test('serves uploaded files with their content type', async () => {
+        const { key, url } = await driver.upload(TINY_PNG, { contentType: 'image/png', folder: 'art' });
+        const response = await fetch(url);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get('content-type'), 'image/png');
+        assert.ok(Buffer.from(await response.arrayBuffer()).equals(TINY_PNG));
+        assert.ok((await driver.download(key)).buffer.equals(TINY_PNG));
+    });
+
+    test('checks signatures on signed URLs', async () => {
+        const { key } = await driver.upload(TINY_PNG, { contentType: 'image/png' });
+        const signed = driver.getUrl(key, { signed: true });
+
+        assert.equal((await fetch(signed)).status, 200);
+        assert.equal((await fetch(signed.replace(/signature=[0-9a-f]/, 'signature=x'))).status, 403);
+    });
+
+    test('answers malformed paths with 400 instead of failing', async () => {
+        const response = await fetch(`${baseUrl}/%E0%A4%A`);
+        assert.equal(response.status, 400);
+        assert.deepEqual(await response.json(), { msg: 'Invalid image path.' });
+    });
+
+    test('refuses keys outside the storage directory', async () => {
+        await assert.rejects(driver.download('../secret.png'), /Invalid storage key/);
+    });
+});
@@ -0,0 +1,133 @@
+// Prompt moderation: blocked terms and rules, personal data scrubbing, and the 422 of a rejected generation
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const ModerationRule = require('../models/ModerationRule');
+const ModerationLog = require('../models/ModerationLog');
+const { ModerationError, checkArtParams, moderateArtParams, scrubPii, invalidateRules } = require('../services/moderation');
+const { listen, quietly } = require('./helpers');
+
+describe('scrubPii', () => {
+    test('leaves bare numbers, years and dates alone', () => {
+        for (const text of ['I ran 5 km in 2024 and scored 1234567', 'On 2024-05-01 at 12:30 I met 3 friends', 'Room 101, 42 steps']) {
+            assert.deepEqual(scrubPii(text), { text, found: [] });
+        }
+    });
+
+    test('replaces phone numbers that look like phone numbers with a placeholder', () => {
+        assert.deepEqual(scrubPii('Call +44 20 7946 0958 or (555) 123-4567, or text 555.123.4567!'), {
+            text: 'Call [phone] or [phone], or text [phone]!',
+            found: ['phone']
+        });
+        assert.equal(scrubPii('My number is 030 1234 5678.').text, 'My number is [phone].');
+    });
+
+    test('replaces card numbers that pass the Luhn check', () => {
+        assert.deepEqual(scrubPii('Paid with 4111 1111 1111 1111 today'), { text: 'Paid with [card] today', found: ['card'] });
+        assert.equal(scrubPii('Card 4111-1111-1111-1111.').text, 'Card [card].');
+        assert.equal(scrubPii('Order 5500000000000004').text, 'Order [card]');
+        assert.deepEqual(scrubPii('Ticket 4111 1111 1111 1112').found, []); // Fails the checksum
+    });
+
+    test('replaces emails and street addresses, keeping the sentence readable', () => {
+        assert.deepEqual(scrubPii('Write to ana@example.com, then visit 221B Baker Street, Apt 4 in London.'), {
+            text: 'Write to [email], then visit [address] in London.',
+            found: ['email', 'address']
+        });
+        assert.equal(scrubPii('Wir wohnen in der Hauptstraße 5.').text, 'Wir wohnen in der [address].');
+        assert.equal(scrubPii('5 miles down the road').text, '5 miles down the road');
+    });
+
+    test('passes through empty and non-string input', () => {
+        assert.deepEqual(scrubPii(''), { text: '', found: [] });
+        assert.deepEqual(scrubPii(undefined), { text: undefined, found: [] });
+    });
+});
+
+describe('moderation rules', () => {
+    const env = { ...process.env };
+    const original = { find: ModerationRule.find, create: ModerationLog.create };
+    let storedRules = [];
+    const logged = [];
+
+    before(() => {
+        process.env.MODERATION_BLOCKLIST = 'forbidden thing, hate';
+        ModerationRule.find = () => ({ sort: () => ({ lean: async () => storedRules }) });
+        ModerationLog.create = async (doc) => {
+            logged.push(doc);
+            return doc;
+        };
+        invalidateRules();
+    });
+
+    after(() => {
+        ModerationRule.find = original.find;
+        ModerationLog.create = original.create;
+        process.env = env;
+        invalidateRules();
+    });
+
+    test('blocks blocklist terms as whole words, in any case or width', async () => {
+        assert.equal(await checkArtParams({ prompt: 'Whatever happens, I feel fine' }), null);
+        const problem = await checkArtParams({ prompt: 'I HATE rainy days' });
+        assert.equal(problem.field, 'prompt');
+        assert.equal(problem.violation.rule.name, 'blocklist');
+        assert.equal(problem.violation.matched, 'HATE');
+        assert.ok(await checkArtParams({ terms: [{ term: 'ｈａｔｅ', weight: 1 }] }), 'full-width letters match too');
+        assert.ok(await checkArtParams({ style: 'Forbidden   Thing' }), 'multi-word terms match across spaces');
+    });
+
+    test('applies stored rules to the fields they name', async () => {
+        storedRules = [{ _id: new mongoose.Types.ObjectId(), type: 'regex', name: 'no-urls', value: 'https?://', fields: ['prompt'] }];
+        invalidateRules();
+        try {
+            assert.equal((await checkArtParams({ prompt: 'see http://x.example' })).violation.rule.name, 'no-urls');
+            assert.equal(await checkArtParams({ negativePrompt: 'http://x.example' }), null);
+        } finally {
+            storedRules = [];
+            invalidateRules();
+        }
+    });
+
+    test('refuses overlong text, too many colors and invisible characters', async () => {
+        assert.equal((await checkArtParams({ prompt: 'a'.repeat(1001) })).violation.rule.name, 'max-length');
+        assert.equal((await checkArtParams({ colors: Array(11).fill('red') })).violation.rule.name, 'max-length');
+        assert.equal((await checkArtParams({ prompt: 'hi\u200bthere' })).violation.rule.name, 'characters');
+    });
+
+    test('throws a logged 422 ModerationError, with personal data scrubbed from the log', async () => {
+        logged.length = 0;
+        const err = await moderateArtParams({ prompt: 'I hate it, call 555-123-4567' }, { userId: null, ip: '127.0.0.1', source: 'test' }).catch(e => e);
+        assert.ok(err instanceof ModerationError);
+        assert.equal(err.status, 422);
+        assert.deepEqual(err.toResponse(), { msg: err.message, code: 'prompt_rejected', rule: err.rule, field: 'prompt', matched: 'hate' });
+        assert.equal(logged.length, 1);
+        assert.equal(logged[0].text, 'I hate it, call [phone]');
+        assert.equal(logged[0].source, 'test');
+    });
+
+    test('POST /api/art answers a rejected prompt with 422', async () => {
+        mongoose.set('bufferCommands', false);
+        const artRoutes = require('../routes/artRoutes');
+        const app = express();
+        app.use(express.json());
+        app.use('/api/art', artRoutes);
+        const server = await listen(app);
+        try {
+            const response = await quietly(() => fetch(`${server.url}/api/art`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ mood: 'Happy', prompt: 'A forbidden thing at dawn' })
+            }));
+            assert.equal(response.status, 422);
+            const body = await response.json();
+            assert.equal(body.code, 'prompt_rejected');
+            assert.equal(body.field, 'prompt');
+            assert.equal(body.matched, 'forbidden thing');
+        } finally {
+            await server.close();
+            mongoose.set('bufferCommands', true);
+        }
+    });
+});
@@ -0,0 +1,88 @@
+// The Mood Diary analyzer: negation, intensity modifiers, emphasis and what neutral text falls back to
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { MOODS, analyzeMood } = require('../services/moodAnalyzer');
+const { planArt } = require('../services/artJobs');
+
+const factorOf = (result, term) => result.matches.find(match => match.term === term).factor;
+
+describe('analyzeMood', () => {
+    test('scores every mood and picks the strongest', () => {
+        const result = analyzeMood('What a wonderful, happy day');
+        assert.equal(result.mood, 'Happy');
+        assert.deepEqual(Object.keys(result.scores), MOODS);
+        assert.equal(Object.values(result.scores).reduce((sum, score) => sum + score, 0), 1);
+        assert.ok(result.confidence > 0.5 && result.confidence <= 1, `confidence ${result.confidence}`);
+    });
+
+    test('flips negated words to the opposite side', () => {
+        const result = analyzeMood('I am not happy');
+        assert.equal(result.mood, 'Sad');
+        assert.equal(result.scores.Happy, 0);
+        assert.deepEqual(result.matches, [{ term: 'not happy', factor: 1 }]);
+
+        assert.equal(analyzeMood("I don't feel calm at all").scores.Calm, 0);
+        assert.equal(analyzeMood('Never been this sad').scores.Sad, 0);
+    });
+
+    test('keeps negation within its clause and sentence', () => {
+        const clause = analyzeMood('I am not happy but I am excited');
+        assert.equal(clause.mood, 'Excited');
+        assert.ok(clause.matches.some(match => match.term === 'excited'), 'excited is not negated');
+
+        assert.equal(analyzeMood("I can't believe how happy I am").mood, 'Happy');
+        assert.equal(analyzeMood('I am not sad. I am happy').mood, 'Happy');
+        assert.equal(analyzeMood('Not happy, not at all; that was one long, dull lunch with people I hardly know').mood, 'Sad');
+    });
+
+    test('scales words after intensifiers and softeners', () => {
+        const plain = analyzeMood('I am happy');
+        const very = analyzeMood('I am very happy');
+        const slightly = analyzeMood('I am slightly happy');
+        assert.equal(factorOf(very, 'happy'), 1.5);
+        assert.equal(factorOf(slightly, 'happy'), 0.5);
+        assert.equal(factorOf(analyzeMood('I am really very happy'), 'happy'), 2.25);
+        assert.ok(very.confidence > plain.confidence && plain.confidence > slightly.confidence);
+
+        // An intensifier only carries to the next word or two
+        assert.equal(factorOf(analyzeMood('So much rain today, honestly I feel calm'), 'calm'), 1);
+        // And tips the balance between two moods
+        assert.equal(analyzeMood('I am extremely angry and a little sad').mood, 'Angry');
+        assert.equal(analyzeMood('I am a little angry and extremely sad').mood, 'Sad');
+    });
+
+    test('counts shouted words, exclamation marks and emoji', () => {
+        assert.equal(factorOf(analyzeMood('I am HAPPY'), 'happy'), 1.5);
+        const excited = analyzeMood('Party tonight!!!');
+        assert.ok(excited.scores.Excited > analyzeMood('Party tonight').scores.Excited);
+        assert.equal(analyzeMood('😭💔').mood, 'Sad');
+        assert.equal(analyzeMood('over the moon').mood, 'Happy');
+    });
+
+    test('falls back to Mixed, with zero scores and confidence, for neutral text', () => {
+        for (const text of ['I took the bus to work and had lunch.', '', '   ', undefined]) {
+            const result = analyzeMood(text);
+            assert.equal(result.mood, 'Mixed');
+            assert.ok(Object.values(result.scores).every(score => score === 0));
+            assert.equal(result.confidence, 0);
+            assert.deepEqual(result.matches, []);
+        }
+        assert.equal(analyzeMood('I am happy and calm').mood, 'Mixed'); // A tie is no clear signal either
+    });
+});
+
+test('planArt infers the blend from diary text, and keeps neutral text as Mixed', () => {
+    const inferred = planArt({ prompt: 'I am not happy at all' });
+    assert.equal(inferred.inferred, true);
+    assert.equal(inferred.mood, 'Sad');
+    assert.deepEqual(inferred.moods, [{ mood: 'Sad', weight: 1 }]);
+
+    const neutral = planArt({ prompt: 'I took the bus to work and had lunch.' });
+    assert.equal(neutral.inferred, false);
+    assert.equal(neutral.mood, 'Mixed');
+    assert.deepEqual(neutral.moods, []);
+
+    const chosen = planArt({ mood: 'Calm', prompt: 'I am furious' }); // Explicit moods win over the text
+    assert.equal(chosen.inferred, false);
+    assert.equal(chosen.mood, 'Calm');
+});
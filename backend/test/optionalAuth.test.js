@@ -0,0 +1,64 @@
+// optionalAuth: anonymous without a token, 401 for a token that is expired, invalid or revoked
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const optionalAuth = require('../middleware/optionalAuth');
+const { listen } = require('./helpers');
+
+describe('optionalAuth', () => {
+    let app;
+    let revoked = false;
+    const env = { ...process.env };
+    const findById = Session.findById;
+    const userId = new mongoose.Types.ObjectId().toString();
+    const sid = new mongoose.Types.ObjectId().toString();
+    const sign = (options = {}) => jwt.sign({ user: { id: userId, role: 'user' }, sid }, process.env.JWT_SECRET, options);
+
+    const get = async (token) => {
+        const response = await fetch(`${app.url}/whoami`, { headers: token ? { 'x-auth-token': token } : {} });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        Session.findById = () => ({ select: async () => ({ isActive: () => !revoked }) });
+        const router = express();
+        router.get('/whoami', optionalAuth, (req, res) => res.json({ user: req.user ? req.user.id : null }));
+        app = await listen(router);
+    });
+
+    after(async () => {
+        Session.findById = findById;
+        process.env = env;
+        await app.close();
+    });
+
+    test('lets requests without a token through anonymously', async () => {
+        assert.deepEqual(await get(), { status: 200, body: { user: null } });
+    });
+
+    test('attaches the user of a valid token', async () => {
+        assert.deepEqual(await get(sign()), { status: 200, body: { user: userId } });
+    });
+
+    test('refuses an expired token with 401 instead of treating the request as anonymous', async () => {
+        const { status, body } = await get(sign({ expiresIn: -60 }));
+        assert.equal(status, 401);
+        assert.match(body.msg, /expired/);
+    });
+
+    test('refuses tampered tokens and tokens of revoked sessions with 401', async () => {
+        assert.equal((await get(jwt.sign({ user: { id: userId }, sid }, 'other-secret'))).status, 401);
+        revoked = true;
+        try {
+            const { status, body } = await get(sign());
+            assert.equal(status, 401);
+            assert.match(body.msg, /logged out/);
+        } finally {
+            revoked = false;
+        }
+    });
+});
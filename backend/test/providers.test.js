@@ -0,0 +1,208 @@
+// Provider adapters against local stub servers, and the registry's fallback to the procedural engine
+const { test, describe, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStubServer, sendJson, TINY_PNG, quietly } = require('./helpers');
+const createHuggingFaceProvider = require('../services/providers/huggingface');
+const createJsonBase64Provider = require('../services/providers/jsonBase64');
+const createHttpProvider = require('../services/providers/http');
+const { registerProvider, generateImage, ProviderError } = require('../services/providers');
+
+// Answers each path with a fixed status: /ok with the image, anything else with an error body
+const statusFromPath = url => Number(url.split('/').pop()) || 200;
+
+describe('huggingface provider', () => {
+    let stub;
+    before(async () => {
+        stub = await startStubServer((req, res) => {
+            const status = statusFromPath(req.url);
+            if (status !== 200) return sendJson(res, status, { error: 'nope' });
+            res.writeHead(200, { 'Content-Type': 'image/png' });
+            res.end(TINY_PNG);
+        });
+    });
+    after(() => stub.close());
+
+    test('posts the prompt with generation parameters and returns the image bytes', async () => {
+        const provider = createHuggingFaceProvider({ url: `${stub.url}/models/org/model`, token: 'secret' });
+        const result = await provider.generate('a calm lake', { negativePrompt: 'blurry', seed: 42 });
+
+        assert.deepEqual(result.buffer, TINY_PNG);
+        assert.equal(result.contentType, 'image/png');
+        assert.equal(result.metadata.model, 'org/model');
+        const request = stub.requests.at(-1);
+        assert.equal(request.headers.authorization, 'Bearer secret');
+        assert.deepEqual(JSON.parse(request.body), { inputs: 'a calm lake', parameters: { negative_prompt: 'blurry', seed: 42 } });
+    });
+
+    test('maps 401 to a non-retryable authentication error', async () => {
+        const provider = createHuggingFaceProvider({ url: `${stub.url}/models/org/401`, token: 'bad' });
+        const error = await quietly(() => provider.generate('x').catch(err => err));
+
+        assert.ok(error instanceof ProviderError);
+        assert.equal(error.status, 401);
+        assert.equal(error.retryable, false);
+    });
+
+    test('maps 429 and 5xx to retryable errors', async () => {
+        const limited = await quietly(() => createHuggingFaceProvider({ url: `${stub.url}/models/org/429`, token: 't' }).generate('x').catch(err => err));
+        assert.equal(limited.status, 429);
+        assert.equal(limited.retryable, true);
+
+        const down = await quietly(() => createHuggingFaceProvider({ url: `${stub.url}/models/org/502`, token: 't' }).generate('x').catch(err => err));
+        assert.equal(down.status, 503);
+        assert.equal(down.retryable, true);
+    });
+
+    test('maps other 4xx to a non-retryable rejection', async () => {
+        const error = await quietly(() => createHuggingFaceProvider({ url: `${stub.url}/models/org/400`, token: 't' }).generate('x').catch(err => err));
+        assert.equal(error.status, 502);
+        assert.equal(error.retryable, false);
+    });
+
+    test('is not configured without a URL and token', () => {
+        assert.equal(createHuggingFaceProvider({ url: '', token: '' }).isConfigured(), false);
+    });
+});
+
+describe('json provider', () => {
+    let stub;
+    before(async () => {
+        stub = await startStubServer((req, res, body) => {
+            const status = statusFromPath(req.url);
+            if (status !== 200) return sendJson(res, status, { error: 'nope' });
+            const { seed } = JSON.parse(body);
+            if (req.url.startsWith('/openai')) return sendJson(res, 200, { data: [{ b64_json: TINY_PNG.toString('base64') }] });
+            if (req.url.startsWith('/empty')) return sendJson(res, 200, { data: [] });
+            return sendJson(res, 200, { artifacts: [{ base64: TINY_PNG.toString('base64'), seed: seed + 1 }] });
+        });
+    });
+    after(() => stub.close());
+
+    test('reads Stability-style artifacts and the seed the API used', async () => {
+        const provider = createJsonBase64Provider({ url: `${stub.url}/stability`, token: 't', model: 'sdxl' });
+        const result = await provider.generate('a storm', { seed: 7, width: 512, height: 512 });
+
+        assert.deepEqual(result.buffer, TINY_PNG);
+        assert.deepEqual(result.metadata, { provider: 'json', model: 'sdxl', seed: 8 });
+        assert.deepEqual(JSON.parse(stub.requests.at(-1).body), { prompt: 'a storm', n: 1, response_format: 'b64_json', model: 'sdxl', seed: 7, size: '512x512' });
+    });
+
+    test('reads OpenAI-style responses', async () => {
+        const result = await createJsonBase64Provider({ url: `${stub.url}/openai`, token: 't' }).generate('a storm');
+        assert.deepEqual(result.buffer, TINY_PNG);
+    });
+
+    test('rejects responses without an image', async () => {
+        const error = await quietly(() => createJsonBase64Provider({ url: `${stub.url}/empty`, token: 't' }).generate('x').catch(err => err));
+        assert.equal(error.status, 502);
+        assert.match(error.message, /did not contain a base64 image/);
+    });
+
+    test('maps 5xx to a retryable error', async () => {
+        const error = await quietly(() => createJsonBase64Provider({ url: `${stub.url}/x/500`, token: 't' }).generate('x').catch(err => err));
+        assert.equal(error.status, 503);
+        assert.equal(error.retryable, true);
+    });
+});
+
+describe('http provider', () => {
+    let stub;
+    before(async () => {
+        stub = await startStubServer((req, res) => {
+            const status = statusFromPath(req.url.split('?')[0]);
+            if (status !== 200) return sendJson(res, status, { error: 'nope' });
+            if (req.url.startsWith('/binary')) {
+                res.writeHead(200, { 'Content-Type': 'image/png' });
+                return res.end(TINY_PNG);
+            }
+            if (req.url.startsWith('/link')) return sendJson(res, 200, { output: [{ url: `${stub.url}/binary` }] });
+            if (req.url.startsWith('/html')) {
+                res.writeHead(200, { 'Content-Type': 'text/html' });
+                return res.end('<html></html>');
+            }
+            return sendJson(res, 200, { result: { image: `data:image/webp;base64,${TINY_PNG.toString('base64')}` }, model: 'local-sd' });
+        });
+    });
+    after(() => stub.close());
+
+    test('fills the body template and reads a data URI at imageField', async () => {
+        const provider = createHttpProvider({
+            url: `${stub.url}/json`,
+            body: { input: { text: '{{prompt}}', seed: '{{seed}}', note: 'mood: {{mood}}' } },
+            imageField: 'result.image'
+        });
+        const result = await provider.generate('sunset', { seed: 3, mood: 'Calm' });
+
+        assert.deepEqual(result.buffer, TINY_PNG);
+        assert.equal(result.contentType, 'image/webp');
+        assert.equal(result.metadata.model, 'local-sd');
+        assert.deepEqual(JSON.parse(stub.requests.at(-1).body), { input: { text: 'sunset', seed: 3, note: 'mood: Calm' } });
+    });
+
+    test('uses binary image responses as they are', async () => {
+        const result = await createHttpProvider({ url: `${stub.url}/binary` }).generate('sunset');
+        assert.deepEqual(result.buffer, TINY_PNG);
+        assert.equal(result.contentType, 'image/png');
+    });
+
+    test('downloads the image when imageField holds a URL', async () => {
+        const result = await createHttpProvider({ url: `${stub.url}/link`, imageField: 'output.0.url' }).generate('sunset');
+        assert.deepEqual(result.buffer, TINY_PNG);
+        assert.equal(result.metadata.sourceUrl, `${stub.url}/binary`);
+    });
+
+    test('rejects responses that are neither an image nor JSON', async () => {
+        const error = await quietly(() => createHttpProvider({ url: `${stub.url}/html` }).generate('x').catch(err => err));
+        assert.equal(error.status, 502);
+    });
+
+    test('maps 4xx and 5xx responses', async () => {
+        const forbidden = await quietly(() => createHttpProvider({ url: `${stub.url}/x/403` }).generate('x').catch(err => err));
+        assert.equal(forbidden.status, 401);
+        assert.equal(forbidden.retryable, false);
+
+        const down = await quietly(() => createHttpProvider({ url: `${stub.url}/x/503` }).generate('x').catch(err => err));
+        assert.equal(down.status, 503);
+        assert.equal(down.retryable, true);
+    });
+});
+
+describe('provider fallback', () => {
+    let stub;
+    const env = { ...process.env };
+    before(async () => {
+        stub = await startStubServer((req, res) => sendJson(res, statusFromPath(req.url), { error: 'nope' }));
+        process.env.MOCK_ART_DELAY_MS = '0';
+        process.env.ART_PROVIDERS = 'huggingface,procedural';
+    });
+    afterEach(() => registerProvider('huggingface', createHuggingFaceProvider));
+    after(async () => {
+        process.env = env;
+        await stub.close();
+    });
+
+    test('falls back to the procedural engine when the remote provider is down', async () => {
+        registerProvider('huggingface', () => createHuggingFaceProvider({ url: `${stub.url}/models/org/503`, token: 't' }));
+        const image = await quietly(() => generateImage('Happy, bright', { mood: 'Happy', seed: 1 }));
+
+        assert.equal(image.metadata.provider, 'procedural');
+        assert.equal(image.contentType, 'image/png');
+        assert.deepEqual(image.failures.map(({ provider, status }) => ({ provider, status })), [{ provider: 'huggingface', status: 503 }]);
+    });
+
+    test('does not fall back on errors that another provider would not fix', async () => {
+        registerProvider('huggingface', () => createHuggingFaceProvider({ url: `${stub.url}/models/org/401`, token: 't' }));
+        const error = await quietly(() => generateImage('Happy', { mood: 'Happy' }).catch(err => err));
+
+        assert.equal(error.status, 401);
+        assert.equal(error.failures.length, 1);
+    });
+
+    test('tries only the requested provider when fallback is off', async () => {
+        registerProvider('huggingface', () => createHuggingFaceProvider({ url: `${stub.url}/models/org/503`, token: 't' }));
+        const error = await quietly(() => generateImage('Happy', { mood: 'Happy', provider: 'huggingface', fallback: false }).catch(err => err));
+
+        assert.equal(error.status, 503);
+        assert.deepEqual(error.failures.map(({ provider }) => provider), ['huggingface']);
+    });
+});
@@ -0,0 +1,113 @@
+// Token bucket math, the in-memory limit store and the per-request limits built on them
+const { test, describe, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { refillBucket, msUntil } = require('../services/rateLimit/bucket');
+const createMemoryStore = require('../services/rateLimit/memory');
+const { parseLimitSpec, setStore, takeToken, peekToken } = require('../services/rateLimit');
+
+describe('bucket', () => {
+    const limit = { capacity: 5, refillPerMs: 5 / 60000 }; // 5 per minute
+
+    test('refills in proportion to the time passed', () => {
+        assert.equal(refillBucket({ tokens: 0, updatedAt: 0 }, { ...limit, now: 12000 }), 1);
+        assert.equal(refillBucket({ tokens: 2, updatedAt: 1000 }, { ...limit, now: 1000 }), 2);
+    });
+
+    test('never holds more than its capacity', () => {
+        assert.equal(refillBucket({ tokens: 4, updatedAt: 0 }, { ...limit, now: 10 * 60000 }), 5);
+    });
+
+    test('ignores clocks that went backwards', () => {
+        assert.equal(refillBucket({ tokens: 3, updatedAt: 5000 }, { ...limit, now: 1000 }), 3);
+    });
+
+    test('works out how long until enough tokens are back', () => {
+        assert.equal(msUntil(3, 1, limit.refillPerMs), 0);
+        assert.equal(msUntil(0, 1, limit.refillPerMs), 12000);
+        assert.equal(msUntil(0.5, 1, limit.refillPerMs), 6000);
+        assert.equal(msUntil(0, 5, limit.refillPerMs), 60000);
+    });
+});
+
+describe('memory store', () => {
+    let now;
+    beforeEach(() => {
+        now = 1_000_000;
+        mock.method(Date, 'now', () => now);
+    });
+    afterEach(() => mock.restoreAll());
+
+    test('allows a burst up to the capacity, then refuses until tokens refill', async () => {
+        const store = createMemoryStore();
+        const limit = { capacity: 3, refillPerMs: 3 / 60000 };
+
+        const results = [];
+        for (let i = 0; i < 4; i++) results.push(await store.take('k', limit));
+        assert.deepEqual(results.map(r => r.allowed), [true, true, true, false]);
+        assert.equal(results[3].tokens, 0);
+
+        now += 20000; // One token back
+        assert.deepEqual(await store.take('k', limit), { allowed: true, tokens: 0 });
+        assert.equal((await store.take('k', limit)).allowed, false);
+    });
+
+    test('takes several tokens at once and keeps buckets apart', async () => {
+        const store = createMemoryStore();
+        const limit = { capacity: 5, refillPerMs: 5 / 60000 };
+
+        assert.deepEqual(await store.take('a', { ...limit, cost: 4 }), { allowed: true, tokens: 1 });
+        assert.equal((await store.take('a', { ...limit, cost: 2 })).allowed, false);
+        assert.deepEqual(await store.peek('a', limit), { tokens: 1 });
+        assert.deepEqual(await store.peek('b', limit), { tokens: 5 });
+    });
+
+    test('starts a full bucket again once the old one expired', async () => {
+        const store = createMemoryStore();
+        const limit = { capacity: 2, refillPerMs: 2 / 1000 };
+        await store.take('k', { ...limit, cost: 2 });
+
+        now += 60000;
+        assert.deepEqual(await store.peek('k', limit), { tokens: 2 });
+    });
+
+    test('counts up to the expiry of the counter', async () => {
+        const store = createMemoryStore();
+        assert.equal(await store.increment('day', 1, 1000), 1);
+        assert.equal(await store.increment('day', 2, 1000), 3);
+        assert.equal(await store.get('day'), 3);
+
+        now += 1000;
+        assert.equal(await store.get('day'), 0);
+        assert.equal(await store.increment('day', 1, 1000), 1);
+    });
+});
+
+describe('limits', () => {
+    beforeEach(() => setStore(createMemoryStore()));
+
+    test('parses limit specs', () => {
+        assert.deepEqual(parseLimitSpec('5/1m'), { capacity: 5, periodMs: 60000, refillPerMs: 5 / 60000 });
+        assert.deepEqual(parseLimitSpec('100 / d'), { capacity: 100, periodMs: 86400000, refillPerMs: 100 / 86400000 });
+        assert.throws(() => parseLimitSpec('0/1m'), /Invalid rate limit/);
+        assert.throws(() => parseLimitSpec('5 per minute'), /Invalid rate limit/);
+    });
+
+    test('limits each client separately and reports the headers values', async () => {
+        const alice = { user: { id: 'alice' }, ip: '10.0.0.1' };
+        const anonymous = { ip: '10.0.0.1' };
+
+        const first = await takeToken('password', alice);
+        assert.deepEqual({ ...first, resetSeconds: undefined }, {
+            allowed: true, limit: 5, remaining: 4, resetSeconds: undefined, retryAfterSeconds: 1, policy: '5;w=3600'
+        });
+        assert.equal(first.resetSeconds, 720);
+
+        for (let i = 0; i < 4; i++) await takeToken('password', alice);
+        const refused = await takeToken('password', alice);
+        assert.equal(refused.allowed, false);
+        assert.equal(refused.retryAfterSeconds, 720);
+
+        assert.equal((await takeToken('password', anonymous)).allowed, true);
+        assert.deepEqual(await peekToken('password', alice), { limit: 5, remaining: 0, resetSeconds: 3600 });
+    });
+});
@@ -0,0 +1,188 @@
+// POST /api/art/:id/regenerate end to end with the offline art engine: the copy is made from the
+// recorded provenance and says whether it came out identical (Art, Job and Session answer from memory)
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const Job = require('../models/Job');
+const Session = require('../models/Session');
+const ModerationRule = require('../models/ModerationRule');
+const { jobEvents } = require('../services/jobQueue');
+const { planArt, registerArtJobHandlers } = require('../services/artJobs');
+const { generateArtFromAPI } = require('../services/artGeneration');
+const { listen, quietly } = require('./helpers');
+
+describe('POST /api/art/:id/regenerate', () => {
+    const env = { ...process.env };
+    const original = {
+        artFindById: Art.findById,
+        artSave: Art.prototype.save,
+        jobCreate: Job.create,
+        jobFindById: Job.findById,
+        jobSave: Job.prototype.save,
+        sessionFindById: Session.findById,
+        ruleFind: ModerationRule.find
+    };
+    const [owner, stranger] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+    const pieces = new Map();
+    const jobs = new Map();
+    let server;
+    let dir;
+
+    const tokenFor = userId => jwt.sign({ user: { id: String(userId), role: 'user' }, sid: String(new mongoose.Types.ObjectId()) }, process.env.JWT_SECRET);
+
+    const planned = planArt({ moods: [{ mood: 'Happy', weight: 0.7 }, { mood: 'Calm', weight: 0.3 }], style: 'Abstract', colors: ['#ff8800'], template: 'v1' });
+    let generated; // The image fields of a piece the offline engine made, as an 'art' job saves them
+
+    // A stored piece of the owner's with the generated image
+    function addPiece() {
+        const { moods, mood, built } = planned;
+        const art = new Art({
+            userId: owner,
+            mood,
+            moods,
+            style: built.style,
+            colors: built.colors,
+            finalPrompt: built.prompt,
+            negativePrompt: built.negativePrompt,
+            promptTemplate: built.template,
+            visibility: 'private'
+        });
+        art.set(structuredClone(generated));
+        pieces.set(art.id, art);
+        return art;
+    }
+
+    // Sends the request as userId; for a 202, resolves with the piece the job made as well (the job's
+    // failed avatar update is logged, so the console is quiet meanwhile)
+    const regenerate = (art, userId = owner) => quietly(async () => {
+        const response = await fetch(`${server.url}/api/art/${art.id}/regenerate`, {
+            method: 'POST',
+            headers: { 'x-auth-token': tokenFor(userId) }
+        });
+        const body = await response.json();
+        if (response.status !== 202) {
+            return { status: response.status, body };
+        }
+        const event = await new Promise(resolve => jobEvents.on(`job:${body.jobId}`, function listener(update) {
+            if (update.state === 'done' || update.state === 'failed') {
+                jobEvents.off(`job:${body.jobId}`, listener);
+                resolve(update);
+            }
+        }));
+        assert.equal(event.state, 'done', event.error);
+        return { status: response.status, body, copy: event.art };
+    });
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mood-art-regenerate-'));
+        Object.assign(process.env, {
+            JWT_SECRET: 'test-secret',
+            ART_PROVIDERS: 'procedural',
+            STORAGE_DRIVER: 'local',
+            STORAGE_LOCAL_DIR: dir,
+            IMAGE_VARIANT_WIDTHS: '64',
+            IMAGE_VARIANT_FORMATS: 'webp'
+        });
+        mongoose.set('bufferCommands', false); // Quota and avatar lookups fail fast and are skipped
+        Art.findById = async id => pieces.get(String(id)) || null;
+        Art.prototype.save = async function () {
+            pieces.set(this.id, this);
+            return this;
+        };
+        Job.create = async fields => {
+            const job = new Job(fields);
+            jobs.set(job.id, job);
+            return job;
+        };
+        Job.findById = async id => jobs.get(String(id)) || null;
+        Job.prototype.save = async function () {
+            return this;
+        };
+        Session.findById = () => ({ select: async () => ({ isActive: () => true }) });
+        ModerationRule.find = () => ({ sort: () => ({ lean: async () => [] }) });
+        registerArtJobHandlers();
+        const { moods, mood, built } = planned;
+        generated = await generateArtFromAPI(built.prompt, {
+            mood, moods, style: built.style, colors: built.colors, seed: 'regenerate me', negativePrompt: built.negativePrompt, width: 128, height: 128, provider: 'procedural'
+        });
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/art', require('../routes/artRoutes'));
+        server = await listen(app);
+    });
+
+    beforeEach(() => {
+        pieces.clear();
+    });
+
+    after(async () => {
+        await server.close();
+        Art.findById = original.artFindById;
+        Art.prototype.save = original.artSave;
+        Job.create = original.jobCreate;
+        Job.findById = original.jobFindById;
+        Job.prototype.save = original.jobSave;
+        Session.findById = original.sessionFindById;
+        ModerationRule.find = original.ruleFind;
+        mongoose.set('bufferCommands', true);
+        process.env = env;
+        await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    test('makes the piece again with the recorded seed, template and provider, byte for byte', async () => {
+        const source = addPiece();
+        const { status, copy } = await regenerate(source);
+        assert.equal(status, 202);
+
+        const saved = pieces.get(String(copy._id));
+        assert.notEqual(saved.id, source.id);
+        assert.equal(saved.provenance.provider, 'procedural');
+        assert.equal(saved.provenance.seed, source.provenance.seed);
+        assert.equal(saved.provenance.finalPrompt, source.provenance.finalPrompt);
+        assert.equal(saved.promptTemplate, 'v1');
+        assert.deepEqual(saved.provenance.params, source.provenance.params);
+        assert.equal(saved.visibility, 'private');
+        assert.equal(saved.provenance.contentHash, source.provenance.contentHash);
+        assert.deepEqual(saved.regeneratedFrom.toObject(), { artId: source._id, identical: true });
+
+        // The stored image really is the same
+        const read = art => fs.readFile(path.join(dir, art.storage.key));
+        const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+        assert.equal(sha256(await read(saved)), source.provenance.contentHash);
+        assert.deepEqual(await read(saved), await read(source));
+    });
+
+    test('reports a different image with identical: false', async () => {
+        const source = addPiece();
+        source.provenance.contentHash = '0'.repeat(64); // As if the provider had drawn something else last time
+        const { copy } = await regenerate(source);
+        const saved = pieces.get(String(copy._id));
+        assert.equal(saved.regeneratedFrom.identical, false);
+        assert.notEqual(saved.provenance.contentHash, source.provenance.contentHash);
+    });
+
+    test("answers 404 for someone else's piece and 409 for pieces that can't be reproduced", async () => {
+        const source = addPiece();
+        assert.equal((await regenerate(source, stranger)).status, 404);
+
+        const unrecorded = addPiece();
+        unrecorded.provenance = undefined;
+        const before = await regenerate(unrecorded);
+        assert.equal(before.status, 409);
+        assert.match(before.body.msg, /before generation details were recorded/);
+
+        const elsewhere = addPiece();
+        elsewhere.provenance.provider = 'huggingface';
+        const unavailable = await regenerate(elsewhere);
+        assert.equal(unavailable.status, 409);
+        assert.match(unavailable.body.msg, /"huggingface" .* not available/);
+    });
+});
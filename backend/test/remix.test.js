@@ -0,0 +1,163 @@
+// Remix plans and lineages: credits, who may remix, root and depth, and what the family tree shows to
+// a viewer (Art.findById and Art.aggregate answer from memory)
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Art = require('../models/Art');
+const { RemixError, planRemix, getLineage } = require('../services/remix');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+describe('remix', () => {
+    const original = { findById: Art.findById, aggregate: Art.aggregate };
+    const [alice, bob, carol] = [newId(), newId(), newId()];
+    let pieces;
+    let pipelines;
+
+    // Stores a piece; raw documents are what $graphLookup returns
+    const add = (fields) => {
+        const art = new Art({ mood: 'Happy', imageUrl: 'https://img.example/a.png', style: 'Abstract', ...fields });
+        pieces.set(art.id, art);
+        return art;
+    };
+    const raw = (art, distance) => ({ ...art.toObject({ depopulate: true }), distance });
+
+    before(() => {
+        Art.findById = async id => pieces.get(String(id)) || null;
+    });
+
+    beforeEach(() => {
+        pieces = new Map();
+        pipelines = [];
+    });
+
+    after(() => {
+        Art.findById = original.findById;
+        Art.aggregate = original.aggregate;
+    });
+
+    describe('planRemix', () => {
+        test('starts from the parent and applies the changes on top', async () => {
+            const parent = add({ userId: alice, moods: [{ mood: 'Happy', weight: 0.6 }, { mood: 'Calm', weight: 0.4 }], prompt: 'Sunny walk', colors: ['#ff0000'] });
+            const { params } = await planRemix(parent.id, { style: 'Watercolor' }, bob);
+            assert.deepEqual(params.moods, [{ mood: 'Happy', weight: 0.6 }, { mood: 'Calm', weight: 0.4 }]);
+            assert.equal(params.prompt, 'Sunny walk');
+            assert.equal(params.style, 'Watercolor');
+
+            const { params: single } = await planRemix(parent.id, { mood: 'Sad' }, bob);
+            assert.equal(single.mood, 'Sad');
+            assert.equal(single.moods, undefined); // A single new mood replaces the blend
+        });
+
+        test('credits every earlier author once, never the remixer', async () => {
+            const root = add({ userId: alice });
+            const middle = add({ userId: bob, parentId: root._id, rootId: root._id, depth: 1, credits: [{ userId: alice, artId: root._id }] });
+            const parent = add({ userId: carol, parentId: middle._id, rootId: root._id, depth: 2, credits: [{ userId: alice, artId: root._id }, { userId: bob, artId: middle._id }] });
+
+            const byOutsider = await planRemix(parent.id, {}, newId());
+            assert.deepEqual(byOutsider.lineage.credits.map(({ userId, artId }) => [String(userId), String(artId)]), [
+                [String(alice), root.id],
+                [String(bob), middle.id],
+                [String(carol), parent.id]
+            ]);
+
+            const byAlice = await planRemix(parent.id, {}, alice);
+            assert.deepEqual(byAlice.lineage.credits.map(({ userId }) => String(userId)), [String(bob), String(carol)]);
+
+            const ownRemix = await planRemix(add({ userId: alice, credits: [{ userId: alice, artId: root._id }] }).id, {}, alice);
+            assert.deepEqual(ownRemix.lineage.credits, []);
+        });
+
+        test('records the parent, the root of the lineage and the next depth', async () => {
+            const root = add({ userId: alice });
+            const first = await planRemix(root.id, {}, bob);
+            assert.deepEqual(first.lineage.parentId, root._id);
+            assert.deepEqual(first.lineage.rootId, root._id); // An original is its own root
+            assert.equal(first.lineage.depth, 1);
+
+            const child = add({ userId: bob, parentId: root._id, rootId: root._id, depth: 1 });
+            const second = await planRemix(child.id, {}, carol);
+            assert.deepEqual(second.lineage.parentId, child._id);
+            assert.deepEqual(second.lineage.rootId, root._id);
+            assert.equal(second.lineage.depth, 2);
+        });
+
+        test("answers 404 for someone else's private or unlisted piece, and for unknown ids", async () => {
+            for (const visibility of ['private', 'unlisted']) {
+                const hidden = add({ userId: alice, visibility, shareToken: 'a'.repeat(24) });
+                await assert.rejects(planRemix(hidden.id, {}, bob), err => err instanceof RemixError && err.status === 404);
+                await assert.rejects(planRemix(hidden.id, {}, null), err => err.status === 404);
+                assert.equal((await planRemix(hidden.id, {}, alice)).lineage.depth, 1); // The owner may
+            }
+            await assert.rejects(planRemix(newId().toHexString(), {}, bob), err => err.status === 404);
+            await assert.rejects(planRemix('nope', {}, bob), err => err.status === 404);
+        });
+    });
+
+    describe('getLineage', () => {
+        let family;
+
+        beforeEach(() => {
+            // root (public) -> middle (private to bob) -> piece (public) -> [child (public), hidden (moderated)]
+            const root = add({ userId: alice, createdAt: new Date('2025-01-01') });
+            const middle = add({ userId: bob, visibility: 'private', parentId: root._id, rootId: root._id, depth: 1, createdAt: new Date('2025-01-02') });
+            const piece = add({ userId: carol, parentId: middle._id, rootId: root._id, depth: 2, createdAt: new Date('2025-01-03') });
+            const child = add({ userId: alice, parentId: piece._id, rootId: root._id, depth: 3, createdAt: new Date('2025-01-05') });
+            const hidden = add({ userId: bob, parentId: piece._id, rootId: root._id, depth: 3, createdAt: new Date('2025-01-04'), moderation: { hidden: true, reason: 'spam' } });
+            family = { root, middle, piece, child, hidden };
+            Art.aggregate = async (pipeline) => {
+                pipelines.push(pipeline);
+                return [{
+                    ancestors: [raw(middle, 0), raw(root, 1)],
+                    descendants: [raw(child, 0), raw(hidden, 0)]
+                }];
+            };
+        });
+
+        test('lists the ancestors oldest first and nests the descendants, oldest remix first', async () => {
+            const lineage = await getLineage(family.piece.id, { viewerId: bob });
+            assert.deepEqual(lineage.ancestors.map(node => String(node._id)), [family.root.id, family.middle.id]);
+            assert.equal(lineage.descendantCount, 2);
+            assert.deepEqual(lineage.descendants.map(node => String(node._id)), [family.hidden.id, family.child.id]);
+            assert.ok(lineage.descendants.every(node => Array.isArray(node.remixes)));
+        });
+
+        test('reduces pieces the viewer may not see and moderated ones to { _id, parentId, restricted }', async () => {
+            const { ancestors, descendants } = await getLineage(family.piece.id, { viewerId: carol });
+            const [root, middle] = ancestors;
+            assert.equal(root.restricted, undefined);
+            assert.equal(root.imageUrl, 'https://img.example/a.png');
+
+            const restricted = [middle, descendants[0]];
+            restricted.forEach(node => {
+                assert.equal(node.restricted, true);
+                assert.deepEqual(Object.keys(node).filter(key => key !== 'createdAt' && key !== 'remixes').sort(), ['_id', 'parentId', 'restricted']);
+            });
+            assert.deepEqual(middle.parentId, family.root._id);
+            assert.equal(middle.prompt, undefined);
+            assert.equal(descendants[0].moderation, undefined);
+            assert.equal(descendants[1].restricted, undefined);
+
+            // Bob owns the private middle piece, but a moderated piece stays restricted even for its owner
+            const forBob = await getLineage(family.piece.id, { viewerId: bob });
+            assert.equal(forBob.ancestors[1].restricted, undefined);
+            assert.equal(forBob.descendants[0].restricted, true);
+        });
+
+        test('limits the descendants to maxDepth generations, within bounds', async () => {
+            await getLineage(family.piece.id, { maxDepth: 3 });
+            await getLineage(family.piece.id, { maxDepth: 500 });
+            await getLineage(family.piece.id, { maxDepth: 'nope' });
+            const depths = pipelines.map(pipeline => pipeline[2].$graphLookup.maxDepth);
+            assert.deepEqual(depths, [2, 49, 9]);
+        });
+
+        test('answers 404 when the piece itself is hidden from the viewer, unless they have its share link', async () => {
+            await assert.rejects(getLineage(family.middle.id, { viewerId: carol }), err => err instanceof RemixError && err.status === 404);
+            family.middle.visibility = 'unlisted';
+            family.middle.shareToken = 'b'.repeat(24);
+            await assert.rejects(getLineage(family.middle.id, { viewerId: carol, shareToken: 'c'.repeat(24) }), RemixError);
+            assert.equal((await getLineage(family.middle.id, { viewerId: carol, shareToken: 'b'.repeat(24) })).art, family.middle);
+        });
+    });
+});
@@ -0,0 +1,114 @@
+// The room socket endpoint's handshake and message handling (sessions are looked up in memory)
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const net = require('net');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const WebSocket = require('ws');
+const Session = require('../models/Session');
+const { attachRoomSockets, ROOM_SOCKET_PATH } = require('../services/realtime/roomSocket');
+
+// Sends a raw upgrade request and resolves with the first line of the response
+function rawUpgrade(port, target, { hangUp = false } = {}) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => {
+            socket.write(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: Upgrade\r\nUpgrade: websocket\r\n`
+                + 'Sec-WebSocket-Version: 13\r\nSec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n\r\n');
+            if (hangUp) {
+                socket.destroy();
+                resolve(null);
+            }
+        });
+        socket.once('data', data => {
+            resolve(data.toString('utf8').split('\r\n')[0]);
+            socket.destroy();
+        });
+        socket.on('error', reject);
+    });
+}
+
+// Opens a room socket and resolves with { ws, next }, next() resolving with the next message
+function connect(port, token) {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${ROOM_SOCKET_PATH}?token=${token}`);
+    const queue = [];
+    const waiting = [];
+    ws.on('message', data => {
+        const message = JSON.parse(data.toString('utf8'));
+        if (waiting.length > 0) waiting.shift()(message);
+        else queue.push(message);
+    });
+    const next = () => (queue.length > 0 ? Promise.resolve(queue.shift()) : new Promise(resolve => waiting.push(resolve)));
+    return new Promise((resolve, reject) => {
+        ws.once('open', () => resolve({ ws, next }));
+        ws.once('error', reject);
+    });
+}
+
+describe('room socket', () => {
+    let server;
+    let port;
+    let sessionDelayMs = 0;
+    const env = { ...process.env };
+    const findById = Session.findById;
+    const userId = new mongoose.Types.ObjectId().toString();
+    let token;
+
+    before(async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        token = jwt.sign({ user: { id: userId }, sid: new mongoose.Types.ObjectId().toString() }, process.env.JWT_SECRET);
+        Session.findById = () => ({
+            select: () => new Promise(resolve => setTimeout(() => resolve({ isActive: () => true }), sessionDelayMs))
+        });
+        server = http.createServer((req, res) => res.end());
+        attachRoomSockets(server);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        port = server.address().port;
+    });
+    after(async () => {
+        Session.findById = findById;
+        process.env = env;
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    test('answers unknown paths with 404 and bad tokens with 401', async () => {
+        assert.equal(await rawUpgrade(port, '/api/other'), 'HTTP/1.1 404 Not Found');
+        assert.equal(await rawUpgrade(port, `${ROOM_SOCKET_PATH}?token=nope`), 'HTTP/1.1 401 Unauthorized');
+    });
+
+    test('answers request targets that are not URLs with 400 and keeps running', async () => {
+        assert.equal(await rawUpgrade(port, '//'), 'HTTP/1.1 400 Bad Request');
+        assert.equal(await rawUpgrade(port, '/api/other'), 'HTTP/1.1 404 Not Found');
+    });
+
+    test('survives clients hanging up while their token is checked', async () => {
+        sessionDelayMs = 50;
+        await rawUpgrade(port, `${ROOM_SOCKET_PATH}?token=${token}`, { hangUp: true });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        sessionDelayMs = 0;
+        assert.equal(await rawUpgrade(port, '/api/other'), 'HTTP/1.1 404 Not Found');
+    });
+
+    test('greets the user and refuses messages that are not valid requests', async () => {
+        const { ws, next } = await connect(port, token);
+        assert.deepEqual(await next(), { type: 'hello', userId });
+
+        ws.send('not json');
+        assert.deepEqual(await next(), { type: 'error', code: 'bad_message', msg: 'Messages must be JSON.' });
+
+        ws.send(JSON.stringify({ type: 'dance' }));
+        assert.equal((await next()).msg, 'Unknown message type "dance".');
+
+        ws.send(JSON.stringify({ type: 'leave' }));
+        assert.deepEqual(await next(), { type: 'error', request: 'leave', code: 'room_error', msg: 'Join a room first.' });
+        ws.close();
+    });
+
+    test('closes the connection on binary messages', async () => {
+        const { ws, next } = await connect(port, token);
+        await next();
+        const closed = new Promise(resolve => ws.once('close', code => resolve(code)));
+        ws.send(Buffer.from([1, 2, 3]));
+        assert.equal(await closed, 1003);
+    });
+});
@@ -0,0 +1,151 @@
+// Sessions and refresh tokens against an in-memory Session store: rotation, reuse detection, logout and
+// revocation; and the mail transport check at startup
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const {
+    AuthError,
+    hashToken,
+    createSession,
+    refreshSession,
+    revokeSession,
+    revokeAllSessions,
+    verifyAccessToken
+} = require('../services/tokens');
+const { checkMailConfig, getTransport } = require('../services/mailer');
+const { fakeQuery, memorySessions, quietly } = require('./helpers');
+
+describe('session tokens', () => {
+    const env = { ...process.env };
+    const userFindById = User.findById;
+    const req = { get: () => 'test-agent', ip: '127.0.0.1' };
+    const user = { _id: new mongoose.Types.ObjectId(), role: 'user', suspension: {}, isSuspended: () => false };
+    let store;
+    let sessions;
+
+    before(() => {
+        process.env.JWT_SECRET = 'test-secret';
+        User.findById = () => fakeQuery(() => user);
+        store = memorySessions();
+        sessions = store.sessions;
+    });
+
+    beforeEach(() => {
+        sessions.length = 0;
+        user.isSuspended = () => false;
+    });
+
+    after(() => {
+        store.restore();
+        User.findById = userFindById;
+        process.env = env;
+    });
+
+    test('createSession stores only the hash of the refresh token and signs an access token for the session', async () => {
+        const pair = await createSession(user._id, req);
+        const [sessionId, secret] = pair.refreshToken.split('.');
+        assert.equal(sessions.length, 1);
+        assert.equal(String(sessions[0]._id), sessionId);
+        assert.equal(sessions[0].tokenHash, hashToken(secret));
+        assert.equal(sessions[0].userAgent, 'test-agent');
+        const decoded = jwt.verify(pair.token, process.env.JWT_SECRET);
+        assert.deepEqual(decoded.user, { id: String(user._id), role: 'user' });
+        assert.equal(decoded.sid, sessionId);
+        assert.deepEqual(await verifyAccessToken(pair.token), { user: { id: String(user._id), role: 'user' }, sessionId });
+    });
+
+    test('refreshSession rotates the refresh token and keeps the session', async () => {
+        const first = await createSession(user._id, req);
+        const second = await refreshSession(first.refreshToken, req);
+        assert.notEqual(second.refreshToken, first.refreshToken);
+        assert.equal(second.refreshToken.split('.')[0], first.refreshToken.split('.')[0]);
+        assert.deepEqual(sessions[0].previousTokenHashes, [hashToken(first.refreshToken.split('.')[1])]);
+
+        const third = await refreshSession(second.refreshToken, req);
+        assert.equal(sessions[0].tokenHash, hashToken(third.refreshToken.split('.')[1]));
+        assert.equal(sessions[0].revokedAt, null);
+        await verifyAccessToken(third.token);
+    });
+
+    test('replaying a rotated refresh token revokes the session', async () => {
+        const first = await createSession(user._id, req);
+        const second = await refreshSession(first.refreshToken, req);
+
+        await quietly(() => assert.rejects(refreshSession(first.refreshToken, req), AuthError));
+        assert.ok(sessions[0].revokedAt instanceof Date);
+        assert.equal(sessions[0].revokedReason, 'refresh_token_reuse');
+        // The thief's and the owner's tokens both stop working
+        await assert.rejects(refreshSession(second.refreshToken, req), AuthError);
+        await assert.rejects(verifyAccessToken(second.token), /logged out/);
+    });
+
+    test('refuses malformed and unknown refresh tokens without revoking anything', async () => {
+        const pair = await createSession(user._id, req);
+        for (const token of [undefined, 'nope', 'not-an-id.secret', `${pair.refreshToken.split('.')[0]}.wrong`]) {
+            await assert.rejects(refreshSession(token, req), err => err instanceof AuthError && err.status === 401);
+        }
+        assert.equal(sessions[0].revokedAt, null);
+        await refreshSession(pair.refreshToken, req);
+    });
+
+    test('logout revokes the session, locking out its access and refresh tokens', async () => {
+        const pair = await createSession(user._id, req);
+        const other = await createSession(user._id, req);
+        await revokeSession(pair.refreshToken.split('.')[0]);
+
+        assert.equal(sessions[0].revokedReason, 'logout');
+        await assert.rejects(verifyAccessToken(pair.token), AuthError);
+        await assert.rejects(refreshSession(pair.refreshToken, req), AuthError);
+        await verifyAccessToken(other.token); // Other devices stay logged in
+    });
+
+    test('revokeAllSessions logs out every session except the one kept', async () => {
+        const kept = await createSession(user._id, req);
+        const others = [await createSession(user._id, req), await createSession(user._id, req)];
+        const keptId = kept.refreshToken.split('.')[0];
+
+        assert.equal(await revokeAllSessions(user._id, { except: keptId, reason: 'password_change' }), 2);
+        for (const pair of others) {
+            await assert.rejects(verifyAccessToken(pair.token), AuthError);
+        }
+        assert.deepEqual(sessions.map(session => session.revokedReason), [undefined, 'password_change', 'password_change']);
+        await verifyAccessToken(kept.token);
+        assert.equal(await revokeAllSessions(user._id), 1);
+    });
+
+    test('a suspended user cannot log in, and refreshing revokes their session', async () => {
+        const pair = await createSession(user._id, req);
+        user.isSuspended = () => true;
+        await assert.rejects(createSession(user._id, req), err => err instanceof AuthError && err.status === 403);
+        await assert.rejects(refreshSession(pair.refreshToken, req), err => err.status === 403);
+        assert.equal(sessions[0].revokedReason, 'suspended');
+    });
+});
+
+describe('mail transport check', () => {
+    const env = { ...process.env };
+
+    after(() => {
+        process.env = env;
+    });
+
+    test('refuses to fall back to the console transport in production', () => {
+        process.env.NODE_ENV = 'production';
+        delete process.env.MAIL_TRANSPORT;
+        assert.throws(() => checkMailConfig(), /MAIL_TRANSPORT must be set/);
+        assert.throws(() => getTransport(), /MAIL_TRANSPORT must be set/);
+
+        process.env.MAIL_TRANSPORT = 'console';
+        assert.doesNotThrow(() => checkMailConfig());
+        assert.equal(getTransport().name, 'console');
+    });
+
+    test('uses the console transport by default outside production', () => {
+        process.env.NODE_ENV = 'development';
+        delete process.env.MAIL_TRANSPORT;
+        assert.doesNotThrow(() => checkMailConfig());
+        assert.equal(getTransport().name, 'console');
+    });
+});
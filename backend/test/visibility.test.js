@@ -0,0 +1,262 @@
+// Who sees what, through the routes: share links of unlisted pieces, unlisted vs private, albums that
+// only take and show pieces their viewers may see, and claiming anonymous pieces after signing up.
+// Sessions, users, pieces, albums and jobs live in memory here.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const Album = require('../models/Album');
+const Art = require('../models/Art');
+const Job = require('../models/Job');
+const ModerationRule = require('../models/ModerationRule');
+const User = require('../models/User');
+const { createSession, hashToken } = require('../services/tokens');
+const { claimFor } = require('../services/claims');
+const { registerJobHandler } = require('../services/jobQueue');
+const { listen, fakeQuery, memorySessions } = require('./helpers');
+
+describe('visibility and share links', () => {
+    const env = { ...process.env };
+    const stubbed = [
+        [User, ['findById']],
+        [Art, ['findById', 'findOne', 'find', 'updateMany']], [Art.prototype, ['save']],
+        [Album, ['findById', 'findOne', 'find', 'findOneAndUpdate', 'countDocuments']], [Album.prototype, ['save']],
+        [Job, ['create', 'findById']], [Job.prototype, ['save']],
+        [ModerationRule, ['find']]
+    ];
+    const original = stubbed.map(([target, names]) => [target, Object.fromEntries(names.map(name => [name, target[name]]))]);
+    const users = new Map();
+    const pieces = new Map();
+    const albums = new Map();
+    const jobs = new Map();
+    let store;
+    let server;
+    let people; // { owner, friend, stranger } as { user, token }
+
+    const byId = (map, id) => map.get(String(id)) || null;
+
+    async function addUser(name) {
+        const user = new User({ email: `${name}@example.com`, password: 'x', displayName: name });
+        users.set(user.id, user);
+        return { user, ...await createSession(user.id, { get: () => '', ip: '127.0.0.1' }) };
+    }
+
+    function addArt(fields) {
+        const art = new Art({ mood: 'Calm', imageUrl: 'https://img.example/a.png', ...fields });
+        pieces.set(art.id, art);
+        return art;
+    }
+
+    // Sends a request, with the person's access token when given; resolves { status, body }
+    async function call(method, url, person, body, headers = {}) {
+        const response = await fetch(`${server.url}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', ...(person && { 'x-auth-token': person.token }), ...headers },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    }
+
+    before(async () => {
+        process.env.JWT_SECRET = 'test-secret';
+        mongoose.set('bufferCommands', false); // Quota lookups fail fast and are skipped
+        store = memorySessions();
+        User.findById = id => fakeQuery(() => byId(users, id));
+        Art.findById = id => fakeQuery(() => byId(pieces, id));
+        Art.findOne = filter => fakeQuery(() => [...pieces.values()]
+            .find(art => art.shareToken === filter.shareToken && art.visibility === filter.visibility) || null);
+        Art.find = filter => fakeQuery(() => [...pieces.values()].filter(art => filter._id.$in.some(id => art._id.equals(id))));
+        Art.updateMany = async (filter, update) => { // Claiming: see services/claims.js
+            const matched = [...pieces.values()].filter(art => art.claim && art.claim.tokenHash === filter['claim.tokenHash']
+                && art.claim.expiresAt > filter['claim.expiresAt'].$gt && !art.userId);
+            matched.forEach(art => {
+                art.set(update.$set);
+                art.claim = undefined;
+            });
+            return { modifiedCount: matched.length };
+        };
+        Art.prototype.save = async function () {
+            return this;
+        };
+        Album.findById = async id => byId(albums, id);
+        Album.findOne = async ({ shareToken }) => [...albums.values()].find(album => album.shareToken === shareToken) || null;
+        Album.find = ({ userId }) => fakeQuery(() => [...albums.values()].filter(album => album.userId.equals(userId)));
+        Album.countDocuments = async () => albums.size;
+        Album.findOneAndUpdate = async (filter, update) => {
+            const album = byId(albums, filter._id);
+            const { $each: [item] } = update.$push.items;
+            if (!album || album.items.some(entry => entry.artId.equals(item.artId))) return null;
+            album.items.push(item);
+            return album;
+        };
+        Album.prototype.save = async function () {
+            albums.set(this.id, this);
+            return this;
+        };
+        Job.create = async fields => {
+            const job = new Job(fields);
+            jobs.set(job.id, job);
+            return job;
+        };
+        Job.findById = async id => byId(jobs, id);
+        Job.prototype.save = async function () {
+            return this;
+        };
+        ModerationRule.find = () => fakeQuery(() => []);
+        // Queued anonymous generations become pieces carrying the claim from their job params
+        registerJobHandler('art', async (job) => addArt({ userId: job.userId, claim: job.params.claim }));
+
+        const app = express();
+        app.use(express.json());
+        app.use('/api/art', require('../routes/artRoutes'));
+        app.use('/api/albums', require('../routes/albumRoutes'));
+        server = await listen(app);
+    });
+
+    beforeEach(async () => {
+        users.clear();
+        pieces.clear();
+        albums.clear();
+        store.sessions.length = 0;
+        people = { owner: await addUser('owner'), friend: await addUser('friend'), stranger: await addUser('stranger') };
+    });
+
+    after(async () => {
+        await server.close();
+        store.restore();
+        original.forEach(([target, methods]) => Object.assign(target, methods));
+        mongoose.set('bufferCommands', true);
+        process.env = env;
+    });
+
+    test('an unlisted piece opens only with its share link; a private one never does', async () => {
+        const { owner, friend, stranger } = people;
+        const unlisted = addArt({ userId: owner.user._id, collaborators: [friend.user._id], visibility: 'unlisted', shareToken: 'u'.repeat(24) });
+        const secret = addArt({ userId: owner.user._id, visibility: 'private', shareToken: 'p'.repeat(24) });
+
+        assert.equal((await call('GET', `/api/art/${unlisted.id}`, stranger)).status, 404);
+        assert.equal((await call('GET', `/api/art/${unlisted.id}?share=${'x'.repeat(24)}`, stranger)).status, 404);
+        assert.equal((await call('GET', `/api/art/${unlisted.id}?share=${'u'.repeat(24)}`, stranger)).status, 200);
+        assert.equal((await call('GET', `/api/art/${unlisted.id}?share=${'u'.repeat(24)}`)).status, 200); // Anonymously too
+        const shared = await call('GET', `/api/art/shared/${'u'.repeat(24)}`);
+        assert.equal(shared.status, 200);
+        assert.equal(shared.body._id, unlisted.id);
+        assert.equal(shared.body.shareToken, undefined); // Visitors don't get the link itself
+
+        // Private pieces ignore share tokens, even one left over from when they were unlisted
+        assert.equal((await call('GET', `/api/art/${secret.id}?share=${'p'.repeat(24)}`, stranger)).status, 404);
+        assert.equal((await call('GET', `/api/art/shared/${'p'.repeat(24)}`)).status, 404);
+
+        // Participants see both; only the owner manages the link
+        assert.equal((await call('GET', `/api/art/${secret.id}`, owner)).status, 200);
+        const forOwner = await call('GET', `/api/art/${unlisted.id}`, owner);
+        assert.equal(forOwner.body.sharePath, `/api/art/shared/${'u'.repeat(24)}`);
+        const forFriend = await call('GET', `/api/art/${unlisted.id}`, friend);
+        assert.equal(forFriend.body.myRole, 'collaborator');
+        assert.equal(forFriend.body.sharePath, undefined);
+    });
+
+    test('a new share link replaces the old one, and only the owner can change who sees a piece', async () => {
+        const { owner, friend, stranger } = people;
+        const art = addArt({ userId: owner.user._id, collaborators: [friend.user._id], visibility: 'private' });
+
+        assert.equal((await call('PATCH', `/api/art/${art.id}`, friend, { visibility: 'public' })).status, 403);
+        assert.equal((await call('POST', `/api/art/${art.id}/share`, owner)).status, 409); // Private pieces have no link
+
+        const unlisted = await call('PATCH', `/api/art/${art.id}`, owner, { visibility: 'unlisted' });
+        const first = unlisted.body.shareToken;
+        assert.match(first, /^[\w-]{24}$/);
+        assert.equal((await call('GET', `/api/art/${art.id}?share=${first}`, stranger)).status, 200);
+
+        const rotated = await call('POST', `/api/art/${art.id}/share`, owner);
+        assert.notEqual(rotated.body.shareToken, first);
+        assert.equal((await call('GET', `/api/art/${art.id}?share=${first}`, stranger)).status, 404);
+        assert.equal((await call('GET', `/api/art/shared/${rotated.body.shareToken}`)).status, 200);
+
+        await call('PATCH', `/api/art/${art.id}`, owner, { visibility: 'private' });
+        assert.equal((await call('GET', `/api/art/shared/${rotated.body.shareToken}`)).status, 404);
+    });
+
+    test('albums refuse pieces their owner cannot see', async () => {
+        const { owner, stranger } = people;
+        const album = (await call('POST', '/api/albums', stranger, { name: 'Favorites' })).body;
+        const add = art => call('POST', `/api/albums/${album.id}/items`, stranger, { artId: art.id });
+
+        for (const visibility of ['private', 'unlisted']) {
+            const others = addArt({ userId: owner.user._id, visibility, shareToken: visibility === 'unlisted' ? 'u'.repeat(24) : undefined });
+            assert.deepEqual(await add(others), { status: 404, body: { msg: 'Art piece not found.' } });
+        }
+        assert.equal((await add(addArt({ userId: owner.user._id, visibility: 'public' }))).status, 201);
+        const own = await add(addArt({ userId: stranger.user._id, visibility: 'private' }));
+        assert.equal(own.status, 201);
+        assert.equal(own.body.itemCount, 2);
+
+        // Nor can anyone else add to it
+        assert.equal((await call('POST', `/api/albums/${album.id}/items`, owner, { artId: [...pieces.keys()][0] })).status, 404);
+    });
+
+    test('an album shows each viewer only the pieces they may see, unlisted ones of its owner included', async () => {
+        const { owner, friend, stranger } = people;
+        const shown = addArt({ userId: owner.user._id, visibility: 'public' });
+        const unlisted = addArt({ userId: owner.user._id, visibility: 'unlisted', shareToken: 'u'.repeat(24) });
+        const secret = addArt({ userId: owner.user._id, visibility: 'private' });
+        const created = (await call('POST', '/api/albums', owner, { name: 'Spring', visibility: 'unlisted' })).body;
+        for (const art of [shown, unlisted, secret]) {
+            await call('POST', `/api/albums/${created.id}/items`, owner, { artId: art.id });
+        }
+
+        const forOwner = await call('GET', `/api/albums/${created.id}`, owner);
+        assert.equal(forOwner.body.itemCount, 3);
+        assert.match(forOwner.body.sharePath, /^\/api\/albums\/shared\//);
+
+        assert.equal((await call('GET', `/api/albums/${created.id}`, stranger)).status, 404); // Unlisted: the link is needed
+        const viaLink = await call('GET', forOwner.body.sharePath, stranger);
+        assert.equal(viaLink.status, 200);
+        assert.deepEqual(viaLink.body.items.map(item => item.artId), [shown.id, unlisted.id]);
+        assert.equal(viaLink.body.shareToken, undefined);
+        assert.equal((await call('GET', `/api/albums/shared/${'z'.repeat(24)}`)).status, 404);
+
+        await call('PATCH', `/api/albums/${created.id}`, owner, { visibility: 'private' });
+        assert.equal((await call('GET', forOwner.body.sharePath, stranger)).status, 404);
+        assert.equal((await call('GET', `/api/albums/${created.id}`, friend)).status, 404);
+
+        await call('PATCH', `/api/albums/${created.id}`, owner, { visibility: 'public' });
+        const publicAlbum = await call('GET', `/api/albums/${created.id}`);
+        assert.deepEqual(publicAlbum.body.items.map(item => item.artId), [shown.id, unlisted.id]); // The album shares them; private ones stay hidden
+        assert.equal(publicAlbum.body.itemCount, 2);
+
+        // A piece of someone else's that turns private drops out of the album
+        const borrowed = addArt({ userId: friend.user._id, visibility: 'public' });
+        await call('POST', `/api/albums/${created.id}/items`, owner, { artId: borrowed.id });
+        borrowed.visibility = 'private';
+        assert.equal((await call('GET', `/api/albums/${created.id}`, owner)).body.itemCount, 3);
+        assert.equal((await call('GET', `/api/albums/${created.id}`, friend)).body.itemCount, 3); // Their own piece
+    });
+
+    test('anonymous pieces are claimed once, with the claim token of their generation', async () => {
+        const { owner, stranger } = people;
+        const generate = (headers = {}) => call('POST', '/api/art', null, { mood: 'Calm' }, headers);
+
+        const first = await generate();
+        assert.equal(first.status, 202);
+        const { claimToken } = first.body;
+        assert.match(claimToken, /^claim_[\w-]{43}$/);
+        const second = await generate({ 'x-claim-token': claimToken });
+        assert.equal(second.body.claimToken, claimToken); // One token for all of the browser's pieces
+        const otherBrowser = await generate();
+        assert.notEqual(otherBrowser.body.claimToken, claimToken);
+        const expired = addArt({ userId: null, claim: { ...claimFor(claimToken), expiresAt: new Date(Date.now() - 1000) } });
+        await new Promise(resolve => setTimeout(resolve, 50)); // Let the queued jobs finish
+
+        const anonymous = [...pieces.values()].filter(art => art.claim && art.claim.tokenHash === hashToken(claimToken));
+        assert.equal(anonymous.length, 3);
+        assert.equal((await call('POST', '/api/art/claim', owner, { claimToken: 'claim_nope' })).body.claimed, 0);
+        assert.deepEqual(await call('POST', '/api/art/claim', owner, { claimToken }), { status: 200, body: { claimed: 2 } });
+        assert.equal(anonymous.filter(art => art.userId && art.userId.equals(owner.user._id)).length, 2);
+        assert.equal(expired.userId, null);
+
+        // Claimed pieces are the owner's now; the token is used up
+        assert.deepEqual((await call('POST', '/api/art/claim', stranger, {}, { 'x-claim-token': claimToken })).body, { claimed: 0 });
+        assert.equal((await call('POST', '/api/art/claim', null, { claimToken })).status, 401);
+    });
+});
@@ -0,0 +1,32 @@
+// components/ArtCard.js
+// One art piece: its image, title (or mood and style) and average rating. Extra controls go in children.
+import ArtImage from './ArtImage';
+import StarRating from './StarRating';
+
+// The caption of a piece without a title, e.g. 'Happy · Watercolor'
+export const artCaption = (art) => art.title || [art.mood, art.style].filter(Boolean).join(' · ');
+
+function ArtCard({ art, children }) {
+  const rating = art.rating || {};
+  return (
+    <article className="overflow-hidden rounded-lg border bg-white shadow-sm">
+      <ArtImage
+        art={art}
+        alt={art.title || `${art.mood} art`}
+        sizes="(min-width: 1024px) 320px, (min-width: 640px) 50vw, 100vw"
+        className="aspect-square w-full object-cover"
+      />
+      <div className="space-y-1 p-3">
+        <h3 className="font-medium">{artCaption(art)}</h3>
+        {art.prompt && <p className="line-clamp-2 text-sm text-gray-600">{art.prompt}</p>}
+        <p className="flex items-center gap-2 text-sm">
+          <StarRating value={rating.average || 0} label="Average rating" />
+          <span className="text-gray-500">({rating.count || 0})</span>
+        </p>
+        {children}
+      </div>
+    </article>
+  );
+}
+
+export default ArtCard;
@@ -0,0 +1,20 @@
+// components/ArtGrid.js
+// Grid of ArtCards; renderExtra(art) adds controls (e.g., voting) to each card
+import ArtCard from './ArtCard';
+
+function ArtGrid({ items, renderExtra, emptyMessage = 'Nothing here yet.' }) {
+  if (items.length === 0) {
+    return <p className="text-gray-600">{emptyMessage}</p>;
+  }
+  return (
+    <ul className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
+      {items.map((art) => (
+        <li key={art._id}>
+          <ArtCard art={art}>{renderExtra && renderExtra(art)}</ArtCard>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default ArtGrid;
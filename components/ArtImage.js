@@ -0,0 +1,33 @@
+// components/ArtImage.js
+// The image of a piece. Pieces run through the backend's image pipeline come with resized AVIF and WebP
+// variants, offered as srcsets so the browser loads the smallest one that fits; older pieces only have
+// the full-size imageUrl.
+const FORMATS = [
+  { format: 'avif', type: 'image/avif' },
+  { format: 'webp', type: 'image/webp' },
+];
+
+// The srcset of one format, e.g. 'https://…/a.webp 320w, https://…/b.webp 600w'
+export const srcSetOf = (variants, format) => variants
+  .filter((variant) => variant.format === format)
+  .map((variant) => `${variant.url} ${variant.width}w`)
+  .join(', ');
+
+// sizes: how wide the image is shown (the img sizes attribute), so the browser can pick a variant
+function ArtImage({ art, alt, sizes = '100vw', className }) {
+  const variants = art.variants || [];
+  const image = <img src={art.imageUrl} alt={alt} loading="lazy" className={className} />;
+  if (variants.length === 0) return image;
+
+  return (
+    <picture>
+      {FORMATS.map(({ format, type }) => {
+        const srcSet = srcSetOf(variants, format);
+        return srcSet ? <source key={format} type={type} srcSet={srcSet} sizes={sizes} /> : null;
+      })}
+      {image}
+    </picture>
+  );
+}
+
+export default ArtImage;
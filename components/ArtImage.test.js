@@ -0,0 +1,31 @@
+import { render, screen } from '@testing-library/react';
+import ArtImage, { srcSetOf } from './ArtImage';
+
+const variants = [
+  { width: 320, height: 240, format: 'webp', url: 'https://img.example/a-320.webp' },
+  { width: 320, height: 240, format: 'avif', url: 'https://img.example/a-320.avif' },
+  { width: 600, height: 450, format: 'webp', url: 'https://img.example/a-600.webp' },
+  { width: 600, height: 450, format: 'avif', url: 'https://img.example/a-600.avif' },
+];
+
+test('builds a srcset per format', () => {
+  expect(srcSetOf(variants, 'webp')).toBe('https://img.example/a-320.webp 320w, https://img.example/a-600.webp 600w');
+  expect(srcSetOf(variants, 'png')).toBe('');
+});
+
+test('offers the variants with the original as fallback', () => {
+  const { container } = render(<ArtImage art={{ imageUrl: 'https://img.example/a.png', variants }} alt="Sunrise" sizes="320px" />);
+
+  expect(screen.getByAltText('Sunrise')).toHaveAttribute('src', 'https://img.example/a.png');
+  const sources = container.querySelectorAll('source');
+  expect([...sources].map((source) => source.getAttribute('type'))).toEqual(['image/avif', 'image/webp']);
+  expect(sources[0]).toHaveAttribute('srcset', srcSetOf(variants, 'avif'));
+  expect(sources[0]).toHaveAttribute('sizes', '320px');
+});
+
+test('shows older pieces without variants as a plain image', () => {
+  const { container } = render(<ArtImage art={{ imageUrl: 'https://img.example/old.png' }} alt="Old piece" />);
+
+  expect(screen.getByAltText('Old piece')).toHaveAttribute('src', 'https://img.example/old.png');
+  expect(container.querySelector('picture')).toBeNull();
+});
@@ -0,0 +1,41 @@
+// components/ColorPicker.js
+// Picks the colors of a piece: a color input with an Add button, and the chosen colors as removable chips
+import { useState } from 'react';
+import { MAX_COLORS } from '../constants';
+
+function ColorPicker({ colors, onChange, max = MAX_COLORS }) {
+  const [draft, setDraft] = useState('#6366f1');
+  const full = colors.length >= max;
+
+  const add = () => {
+    if (!full && !colors.includes(draft)) onChange([...colors, draft]);
+  };
+
+  return (
+    <fieldset>
+      <legend className="mb-2 font-medium">Colors</legend>
+      <div className="flex items-center gap-2">
+        <input type="color" aria-label="Color to add" value={draft} onChange={(e) => setDraft(e.target.value)} />
+        <button type="button" onClick={add} disabled={full} className="rounded border px-2 py-1 disabled:opacity-50">
+          Add color
+        </button>
+        {full && <span className="text-sm text-gray-500">Up to {max} colors</span>}
+      </div>
+      {colors.length > 0 && (
+        <ul className="mt-2 flex flex-wrap gap-2">
+          {colors.map((color) => (
+            <li key={color} className="flex items-center gap-1 rounded-full border px-2 py-0.5 text-sm">
+              <span className="inline-block h-3 w-3 rounded-full" style={{ backgroundColor: color }} aria-hidden="true" />
+              {color}
+              <button type="button" aria-label={`Remove ${color}`} onClick={() => onChange(colors.filter((c) => c !== color))}>
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </fieldset>
+  );
+}
+
+export default ColorPicker;
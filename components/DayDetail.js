@@ -0,0 +1,28 @@
+// components/DayDetail.js
+// The pieces of one day, opened from the calendar, the timeline or the playback. Escape closes it.
+import { useEffect } from 'react';
+import { parseDayKey } from '../utils/timeline';
+import ArtGrid from './ArtGrid';
+
+function DayDetail({ day, pieces, onClose }) {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const title = parseDayKey(day).toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+  return (
+    <section role="dialog" aria-labelledby="day-detail-title" className="space-y-3 rounded-lg border bg-white p-4 shadow">
+      <div className="flex items-center justify-between">
+        <h2 id="day-detail-title" className="text-xl font-semibold">{title}</h2>
+        <button type="button" onClick={onClose} className="rounded border px-2 py-1">Close</button>
+      </div>
+      <ArtGrid items={pieces} emptyMessage="No art on this day." />
+    </section>
+  );
+}
+
+export default DayDetail;
@@ -0,0 +1,12 @@
+// components/ErrorMessage.js
+// Shows an error from the API client (or any Error) as an alert; renders nothing without one
+function ErrorMessage({ error }) {
+  if (!error) return null;
+  return (
+    <p role="alert" className="rounded border border-red-300 bg-red-50 px-3 py-2 text-sm text-red-700">
+      {typeof error === 'string' ? error : error.message}
+    </p>
+  );
+}
+
+export default ErrorMessage;
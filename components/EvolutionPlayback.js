@@ -0,0 +1,85 @@
+// components/EvolutionPlayback.js
+// Slideshow through the pieces, oldest first, to watch the moods change over time
+import { useEffect, useState } from 'react';
+import { MOODS } from '../constants';
+import { dayKey, moodColor } from '../utils/timeline';
+import { artCaption } from './ArtCard';
+import ArtImage from './ArtImage';
+
+export const SPEEDS = [
+  { label: 'Slow', ms: 3000 },
+  { label: 'Normal', ms: 1500 },
+  { label: 'Fast', ms: 500 },
+];
+
+const emojiOf = (mood) => (MOODS.find(({ name }) => name === mood) || {}).emoji || '';
+
+function EvolutionPlayback({ items, onSelectDay }) {
+  const [index, setIndex] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(SPEEDS[1].ms);
+  const last = items.length - 1;
+  const current = Math.min(index, last);
+
+  useEffect(() => {
+    if (!playing) return undefined;
+    if (current >= last) {
+      setPlaying(false);
+      return undefined;
+    }
+    const timer = setTimeout(() => setIndex(current + 1), speed);
+    return () => clearTimeout(timer);
+  }, [playing, current, last, speed]);
+
+  if (items.length === 0) return null;
+  const piece = items[current];
+
+  const togglePlaying = () => {
+    if (!playing && current >= last) setIndex(0); // Play again from the start
+    setPlaying(!playing);
+  };
+
+  return (
+    <section aria-label="Evolution playback" className="space-y-3">
+      <figure className="mx-auto max-w-md overflow-hidden rounded-lg border-4" style={{ borderColor: moodColor(piece.mood) }}>
+        <ArtImage art={piece} alt={artCaption(piece)} sizes="448px" className="aspect-square w-full object-cover" />
+        <figcaption className="flex justify-between p-2 text-sm">
+          <span>{emojiOf(piece.mood)} {artCaption(piece)}</span>
+          <time dateTime={piece.createdAt}>{new Date(piece.createdAt).toLocaleDateString()}</time>
+        </figcaption>
+      </figure>
+      <input
+        type="range"
+        aria-label="Position"
+        min={0}
+        max={last}
+        value={current}
+        onChange={(e) => setIndex(Number(e.target.value))}
+        className="w-full"
+      />
+      <div className="flex flex-wrap items-center gap-2">
+        <button type="button" onClick={() => setIndex(Math.max(0, current - 1))} disabled={current === 0} className="rounded border px-2 py-1 disabled:opacity-50">
+          Previous
+        </button>
+        <button type="button" onClick={togglePlaying} className="rounded bg-indigo-600 px-3 py-1 text-white">
+          {playing ? 'Pause' : 'Play'}
+        </button>
+        <button type="button" onClick={() => setIndex(Math.min(last, current + 1))} disabled={current === last} className="rounded border px-2 py-1 disabled:opacity-50">
+          Next
+        </button>
+        <label className="text-sm">
+          Speed{' '}
+          <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} className="rounded border px-1">
+            {SPEEDS.map(({ label, ms }) => <option key={ms} value={ms}>{label}</option>)}
+          </select>
+        </label>
+        <span className="text-sm text-gray-600">{current + 1} / {items.length}</span>
+        <button type="button" onClick={() => onSelectDay(dayKey(piece.createdAt))} className="ml-auto text-sm text-indigo-700 underline">
+          Open this day
+        </button>
+      </div>
+    </section>
+  );
+}
+
+export default EvolutionPlayback;
@@ -0,0 +1,38 @@
+// components/GenerationProgress.js
+// Progress of a generation job (GET /api/art/jobs/:id), and the piece once it is done
+import ArtCard from './ArtCard';
+
+const STATE_LABELS = {
+  queued: 'Waiting in line…',
+  generating: 'Painting your mood…',
+  uploading: 'Saving your piece…',
+  done: 'Your art is ready!',
+};
+
+function GenerationProgress({ job }) {
+  if (job.state === 'failed') {
+    return (
+      <p role="alert" className="text-red-700">
+        Generation failed{job.error ? `: ${job.error}` : '.'}
+      </p>
+    );
+  }
+  const progress = job.state === 'done' ? 100 : job.progress || 0;
+  return (
+    <section aria-label="Generation progress" className="space-y-3">
+      <p>{STATE_LABELS[job.state] || 'Working…'}</p>
+      <div
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress}
+        className="h-2 overflow-hidden rounded bg-gray-200"
+      >
+        <div className="h-full bg-indigo-600 transition-all" style={{ width: `${progress}%` }} />
+      </div>
+      {job.state === 'done' && job.art && <ArtCard art={job.art} />}
+    </section>
+  );
+}
+
+export default GenerationProgress;
@@ -0,0 +1,83 @@
+// components/MoodCalendar.js
+// GitHub-style calendar heatmap of a year: one square per day, colored by the day's dominant mood
+// and shaded by how many pieces were made. Days with art open their pieces when clicked.
+import { useMemo } from 'react';
+import { MOODS } from '../constants';
+import { calendarWeeks, dominantMood, moodColor } from '../utils/timeline';
+
+const CELL = 12;
+const GAP = 3;
+
+// Fuller squares for busier days
+const shadeFor = (count) => Math.min(1, 0.35 + count * 0.2);
+
+const longDate = (date) => date.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+
+function MoodCalendar({ days, year, years, onYearChange, onSelectDay }) {
+  const weeks = useMemo(() => calendarWeeks(year), [year]);
+  const total = weeks.flat().reduce((sum, { key, inYear }) => sum + (inYear && days.has(key) ? days.get(key).length : 0), 0);
+
+  return (
+    <section aria-label="Mood calendar" className="space-y-2">
+      <div className="flex items-center gap-3">
+        <label>
+          Year{' '}
+          <select value={year} onChange={(e) => onYearChange(Number(e.target.value))} className="rounded border px-2 py-1">
+            {years.map((y) => <option key={y} value={y}>{y}</option>)}
+          </select>
+        </label>
+        <span className="text-sm text-gray-600">{total} piece{total === 1 ? '' : 's'} in {year}</span>
+      </div>
+      <div className="overflow-x-auto">
+        <div className="flex" style={{ gap: GAP }}>
+          {weeks.map((week) => {
+            const monthStart = week.find(({ date, inYear }) => inYear && date.getDate() === 1);
+            return (
+              <div key={week[0].key} className="flex flex-col" style={{ gap: GAP }}>
+                <span className="h-4 whitespace-nowrap text-xs text-gray-500" style={{ width: CELL }}>
+                  {monthStart && monthStart.date.toLocaleDateString(undefined, { month: 'short' })}
+                </span>
+                {week.map(({ key, date, inYear }) => {
+                  const pieces = inYear ? days.get(key) : null;
+                  if (!pieces) {
+                    return (
+                      <span
+                        key={key}
+                        title={inYear ? `${longDate(date)}: no art` : undefined}
+                        className={inYear ? 'rounded-sm bg-gray-100' : ''}
+                        style={{ width: CELL, height: CELL }}
+                      />
+                    );
+                  }
+                  const mood = dominantMood(pieces);
+                  const label = `${longDate(date)}: ${pieces.length} piece${pieces.length === 1 ? '' : 's'}, mostly ${mood}`;
+                  return (
+                    <button
+                      key={key}
+                      type="button"
+                      aria-label={label}
+                      title={label}
+                      onClick={() => onSelectDay(key)}
+                      className="rounded-sm"
+                      style={{ width: CELL, height: CELL, backgroundColor: moodColor(mood), opacity: shadeFor(pieces.length) }}
+                    />
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      <ul className="flex flex-wrap gap-3 text-xs text-gray-600" aria-label="Mood colors">
+        {MOODS.map(({ name, color }) => (
+          <li key={name} className="flex items-center gap-1">
+            <span className="inline-block rounded-sm" style={{ width: CELL, height: CELL, backgroundColor: color }} aria-hidden="true" />
+            {name}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export default MoodCalendar;
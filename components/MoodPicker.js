@@ -0,0 +1,26 @@
+// components/MoodPicker.js
+// Row of mood buttons; clicking the selected mood again clears it
+import { MOODS } from '../constants';
+
+function MoodPicker({ value, onChange, label = 'How are you feeling?' }) {
+  return (
+    <fieldset>
+      <legend className="mb-2 font-medium">{label}</legend>
+      <div className="flex flex-wrap gap-2">
+        {MOODS.map(({ name, emoji }) => (
+          <button
+            key={name}
+            type="button"
+            aria-pressed={value === name}
+            onClick={() => onChange(value === name ? '' : name)}
+            className={`rounded-full border px-3 py-1 ${value === name ? 'border-indigo-600 bg-indigo-600 text-white' : 'border-gray-300 bg-white'}`}
+          >
+            <span aria-hidden="true">{emoji}</span> {name}
+          </button>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+export default MoodPicker;
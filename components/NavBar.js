@@ -0,0 +1,42 @@
+// components/NavBar.js
+import { NavLink, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+const linkClass = ({ isActive }) => (isActive ? 'font-semibold text-indigo-700' : 'text-gray-700 hover:text-indigo-700');
+
+function NavBar() {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+
+  const handleLogout = async () => {
+    await logout();
+    navigate('/');
+  };
+
+  return (
+    <nav aria-label="Main" className="flex flex-wrap items-center gap-4 border-b bg-white px-4 py-3">
+      <NavLink to="/" end className="mr-4 text-lg font-bold">
+        Mood Art
+      </NavLink>
+      <NavLink to="/" end className={linkClass}>Create</NavLink>
+      <NavLink to="/gallery" className={linkClass}>Gallery</NavLink>
+      {user && <NavLink to="/history" className={linkClass}>My art</NavLink>}
+      {user && <NavLink to="/timeline" className={linkClass}>Timeline</NavLink>}
+      {user && <NavLink to="/collaborate" className={linkClass}>Collaborate</NavLink>}
+      <span className="ml-auto flex gap-4">
+        {user ? (
+          <button type="button" onClick={handleLogout} className="text-gray-700 hover:text-indigo-700">
+            Log out
+          </button>
+        ) : (
+          <>
+            <NavLink to="/login" className={linkClass}>Log in</NavLink>
+            <NavLink to="/signup" className={linkClass}>Sign up</NavLink>
+          </>
+        )}
+      </span>
+    </nav>
+  );
+}
+
+export default NavBar;
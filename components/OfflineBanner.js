@@ -0,0 +1,37 @@
+// components/OfflineBanner.js
+// Says when the app is offline, and what happened to the generation requests queued meanwhile
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import useGenerationQueue from '../hooks/useGenerationQueue';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+
+const requests = (count) => `${count} generation request${count === 1 ? '' : 's'}`;
+
+function OfflineBanner() {
+  const online = useOnlineStatus();
+  const { user } = useAuth();
+  const { waiting, failed, sent, dismiss, dismissSent } = useGenerationQueue(user ? user.userId : null);
+
+  if (online && waiting.length === 0 && failed.length === 0 && sent.length === 0) return null;
+  return (
+    <div role="status" className="space-y-1 border-b bg-amber-50 px-4 py-2 text-sm">
+      {!online && <p>You're offline. Your saved art is still here, and new requests are sent once you're back online.</p>}
+      {waiting.length > 0 && <p>{requests(waiting.length)} waiting to be sent.</p>}
+      {failed.map((entry) => (
+        <p key={entry.key}>
+          A queued request couldn't be generated: {entry.error}{' '}
+          <button type="button" onClick={() => dismiss(entry.key)} className="underline">Dismiss</button>
+        </p>
+      ))}
+      {sent.length > 0 && (
+        <p>
+          Sent {requests(sent.length)} from while you were offline.{' '}
+          {user ? <Link to="/history" className="underline">See them in My art</Link> : 'They will appear in your history once you sign up.'}{' '}
+          <button type="button" onClick={dismissSent} className="underline">Dismiss</button>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default OfflineBanner;
@@ -0,0 +1,15 @@
+// components/RequireAuth.js
+// Sends logged-out visitors to the login page, which brings them back here afterwards
+import { Navigate, useLocation } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+
+function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+  if (!user) {
+    return <Navigate to="/login" replace state={{ from: location.pathname }} />;
+  }
+  return children;
+}
+
+export default RequireAuth;
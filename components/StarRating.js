@@ -0,0 +1,31 @@
+// components/StarRating.js
+// Five stars. With onRate the stars are buttons for voting; without it they only show the value.
+function StarRating({ value = 0, onRate, disabled = false, label = 'Rating' }) {
+  const stars = [1, 2, 3, 4, 5];
+  if (!onRate) {
+    return (
+      <span role="img" aria-label={`${label}: ${value ? value.toFixed(1) : 'no ratings'} out of 5`} className="text-amber-500">
+        {stars.map((n) => (n <= Math.round(value) ? '★' : '☆')).join('')}
+      </span>
+    );
+  }
+  return (
+    <div role="group" aria-label={label} className="flex text-xl text-amber-500">
+      {stars.map((n) => (
+        <button
+          key={n}
+          type="button"
+          aria-label={`${n} star${n > 1 ? 's' : ''}`}
+          aria-pressed={n <= value}
+          disabled={disabled}
+          onClick={() => onRate(n)}
+          className="px-0.5 disabled:opacity-50"
+        >
+          {n <= value ? '★' : '☆'}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default StarRating;
@@ -0,0 +1,189 @@
+// components/TimeAxis.js
+// Zoomable, horizontally scrolling time axis with one lane per mood. Only the part of the axis in and
+// near the view is rendered, and pieces closer together than a marker are drawn as one cluster, so
+// thousands of pieces stay cheap to scroll through.
+import { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { MOODS } from '../constants';
+import { DAY_MS, dayKey, lowerBound, moodColor, startOfDay, ticksBetween } from '../utils/timeline';
+import { artCaption } from './ArtCard';
+import ArtImage from './ArtImage';
+
+export const ZOOM_LEVELS = [
+  { label: 'Years', unit: 'year', pxPerDay: 1 },
+  { label: 'Months', unit: 'month', pxPerDay: 6 },
+  { label: 'Weeks', unit: 'week', pxPerDay: 30 },
+  { label: 'Days', unit: 'day', pxPerDay: 160 },
+];
+const DEFAULT_ZOOM = 1;
+const LANE_HEIGHT = 36;
+const AXIS_HEIGHT = 28;
+const PADDING = 40; // Room before the first and after the last day
+const FALLBACK_WIDTH = 800; // Until the scroller has been laid out
+const THUMBNAIL_ZOOM = 2; // From this zoom level on markers show the image
+
+const laneOf = (mood) => {
+  const lane = MOODS.findIndex(({ name }) => name === mood);
+  return lane === -1 ? MOODS.length - 1 : lane;
+};
+
+const shortDate = (time) => new Date(time).toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+
+// Groups the visible pieces of each lane into clusters at least `gap` pixels apart
+function clusterPieces(pieces, times, xOf, gap) {
+  const open = new Map(); // lane -> cluster still accepting pieces
+  const clusters = [];
+  pieces.forEach((piece, i) => {
+    const lane = laneOf(piece.mood);
+    const x = xOf(times[i]);
+    const cluster = open.get(lane);
+    if (cluster && x - cluster.x < gap) {
+      cluster.pieces.push(piece);
+      cluster.lastTime = times[i];
+    } else {
+      const created = { lane, x, pieces: [piece], firstTime: times[i], lastTime: times[i] };
+      open.set(lane, created);
+      clusters.push(created);
+    }
+  });
+  return clusters;
+}
+
+const clusterLabel = ({ pieces, firstTime, lastTime }) => {
+  if (pieces.length === 1) return `${artCaption(pieces[0])}, ${shortDate(firstTime)}`;
+  const mood = pieces[0].mood;
+  const range = dayKey(firstTime) === dayKey(lastTime) ? shortDate(firstTime) : `${shortDate(firstTime)} to ${shortDate(lastTime)}`;
+  return `${pieces.length} ${mood} pieces, ${range}`;
+};
+
+function TimeAxis({ items, onSelectDay }) {
+  const scroller = useRef(null);
+  const pendingScroll = useRef(null); // Scroll position to restore after zooming
+  const [zoom, setZoom] = useState(DEFAULT_ZOOM);
+  const [view, setView] = useState({ scrollLeft: 0, width: FALLBACK_WIDTH });
+
+  const times = useMemo(() => items.map((item) => new Date(item.createdAt).getTime()), [items]);
+  const start = times.length > 0 ? startOfDay(times[0]).getTime() : startOfDay(Date.now()).getTime();
+  const end = times.length > 0 ? startOfDay(times[times.length - 1]).getTime() + DAY_MS : start + DAY_MS;
+  const { pxPerDay, unit, label } = ZOOM_LEVELS[zoom];
+  const xOf = (time) => PADDING + ((time - start) / DAY_MS) * pxPerDay;
+  const timeAt = (x) => start + ((x - PADDING) / pxPerDay) * DAY_MS;
+  const totalWidth = xOf(end) + PADDING;
+
+  const measure = useCallback(() => {
+    const el = scroller.current;
+    if (el) setView({ scrollLeft: el.scrollLeft, width: el.clientWidth || FALLBACK_WIDTH });
+  }, []);
+
+  useEffect(() => {
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [measure]);
+
+  // Opens on the most recent pieces
+  useLayoutEffect(() => {
+    const el = scroller.current;
+    if (el) el.scrollLeft = el.scrollWidth;
+    measure();
+  }, [measure]);
+
+  useLayoutEffect(() => {
+    const el = scroller.current;
+    if (el && pendingScroll.current !== null) {
+      el.scrollLeft = pendingScroll.current;
+      pendingScroll.current = null;
+    }
+    measure();
+  }, [zoom, measure]);
+
+  // Zooms in or out around the time at the center of the view
+  const changeZoom = (next) => {
+    if (next < 0 || next >= ZOOM_LEVELS.length) return;
+    const center = timeAt(view.scrollLeft + view.width / 2);
+    const nextPxPerDay = ZOOM_LEVELS[next].pxPerDay;
+    const maxScroll = 2 * PADDING + ((end - start) / DAY_MS) * nextPxPerDay - view.width; // Past the last day there is nothing to show
+    pendingScroll.current = Math.max(0, Math.min(maxScroll, PADDING + ((center - start) / DAY_MS) * nextPxPerDay - view.width / 2));
+    setZoom(next);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === '+' || e.key === '=') changeZoom(zoom + 1);
+    if (e.key === '-') changeZoom(zoom - 1);
+  };
+
+  // What is in (or half a screen next to) the view
+  const overscan = view.width / 2;
+  const from = timeAt(view.scrollLeft - overscan);
+  const to = timeAt(view.scrollLeft + view.width + overscan);
+  const first = lowerBound(times, from);
+  const last = lowerBound(times, to);
+  const thumbnails = zoom >= THUMBNAIL_ZOOM;
+  const markerSize = thumbnails ? 28 : 12;
+  const clusters = clusterPieces(items.slice(first, last), times.slice(first, last), xOf, markerSize + 2);
+  const ticks = ticksBetween(Math.max(start, from), Math.min(end, to), unit);
+
+  return (
+    <section aria-label="Timeline" className="space-y-2">
+      <div className="flex items-center gap-2">
+        <button type="button" onClick={() => changeZoom(zoom - 1)} disabled={zoom === 0} className="rounded border px-2 disabled:opacity-50">
+          Zoom out
+        </button>
+        <button type="button" onClick={() => changeZoom(zoom + 1)} disabled={zoom === ZOOM_LEVELS.length - 1} className="rounded border px-2 disabled:opacity-50">
+          Zoom in
+        </button>
+        <span className="text-sm text-gray-600" aria-live="polite">Showing: {label}</span>
+      </div>
+      <div className="flex">
+        <ul className="shrink-0 pr-2 text-sm" style={{ paddingTop: AXIS_HEIGHT }} aria-hidden="true">
+          {MOODS.map(({ name, emoji }) => (
+            <li key={name} style={{ height: LANE_HEIGHT, lineHeight: `${LANE_HEIGHT}px` }}>{emoji} {name}</li>
+          ))}
+        </ul>
+        <div
+          ref={scroller}
+          data-testid="timeline-scroller"
+          tabIndex={0}
+          onScroll={measure}
+          onKeyDown={handleKeyDown}
+          className="overflow-x-auto rounded border bg-white"
+        >
+          <div className="relative" style={{ width: totalWidth, height: AXIS_HEIGHT + LANE_HEIGHT * MOODS.length }}>
+            {ticks.map((tick) => (
+              <span
+                key={tick.time}
+                className="absolute top-0 h-full border-l border-gray-200 pl-1 text-xs text-gray-500"
+                style={{ left: xOf(tick.time) }}
+              >
+                {tick.label}
+              </span>
+            ))}
+            {clusters.map((cluster) => {
+              const piece = cluster.pieces[0];
+              const size = cluster.pieces.length > 1 && !thumbnails ? markerSize + 4 : markerSize;
+              return (
+                <button
+                  key={`${cluster.lane}-${piece._id}`}
+                  type="button"
+                  aria-label={clusterLabel(cluster)}
+                  title={clusterLabel(cluster)}
+                  onClick={() => onSelectDay(dayKey(cluster.firstTime))}
+                  className="absolute overflow-hidden rounded-full border-2 border-white shadow"
+                  style={{
+                    left: cluster.x - size / 2,
+                    top: AXIS_HEIGHT + cluster.lane * LANE_HEIGHT + (LANE_HEIGHT - size) / 2,
+                    width: size,
+                    height: size,
+                    backgroundColor: moodColor(piece.mood),
+                  }}
+                >
+                  {thumbnails && <ArtImage art={piece} alt="" sizes={`${size}px`} className="h-full w-full object-cover" />}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+}
+
+export default TimeAxis;
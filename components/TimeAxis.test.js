@@ -0,0 +1,29 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TimeAxis from './TimeAxis';
+
+// One piece a day for about ten years
+const manyPieces = (count) => Array.from({ length: count }, (_, i) => ({
+  _id: `art-${i}`,
+  mood: ['Happy', 'Calm', 'Sad'][i % 3],
+  imageUrl: `https://img.example/${i}.png`,
+  createdAt: new Date(2016, 0, 1 + i, 12).toISOString(),
+}));
+
+test('only renders the pieces near the view', () => {
+  render(<TimeAxis items={manyPieces(4000)} onSelectDay={() => {}} />);
+  const markers = screen.getAllByRole('button', { name: /\d{4}/ });
+  expect(markers.length).toBeGreaterThan(0);
+  expect(markers.length).toBeLessThan(400);
+});
+
+test('zooms in to single pieces and opens their day', () => {
+  const onSelectDay = jest.fn();
+  const items = manyPieces(3);
+  render(<TimeAxis items={items} onSelectDay={onSelectDay} />);
+
+  userEvent.click(screen.getByRole('button', { name: 'Zoom in' }));
+  expect(screen.getByText('Showing: Weeks')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: /^Sad/ }));
+  expect(onSelectDay).toHaveBeenCalledWith('2016-01-03');
+});
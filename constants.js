@@ -0,0 +1,25 @@
+// constants.js
+// Choices offered by the generator, matching what the backend accepts
+
+// The moods the backend knows (services/moodAnalyzer.js), with an emoji for the picker and a color
+// for the timeline and calendar
+export const MOODS = [
+  { name: 'Happy', emoji: '😊', color: '#eab308' },
+  { name: 'Sad', emoji: '😢', color: '#3b82f6' },
+  { name: 'Calm', emoji: '😌', color: '#14b8a6' },
+  { name: 'Excited', emoji: '🤩', color: '#f97316' },
+  { name: 'Angry', emoji: '😠', color: '#dc2626' },
+  { name: 'Inspired', emoji: '💡', color: '#a855f7' },
+];
+
+// Art styles of the built-in engine (services/artEngine/styles.js)
+export const STYLES = ['Abstract', 'Impressionist', 'Cubist', 'Minimalist', 'Surreal', 'Pop Art', 'Watercolor'];
+
+// Color families the gallery can search the rendered colors by (services/imageProcessing/palette.js)
+export const COLOR_FAMILIES = ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'brown', 'black', 'gray', 'white'];
+
+// Most colors a piece can be asked for
+export const MAX_COLORS = 10;
+
+// Longest Mood Diary text the backend accepts (MODERATION_MAX_PROMPT_LENGTH)
+export const MAX_DIARY_LENGTH = 1000;
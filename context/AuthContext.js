@@ -0,0 +1,46 @@
+// context/AuthContext.js
+// Who is logged in, for every screen: { user, login, signup, logout }. user is { userId, avatar },
+// or null when logged out. The session itself lives in api/session.js.
+import { createContext, useCallback, useContext, useEffect, useMemo, useState } from 'react';
+import * as authApi from '../api/auth';
+import { onSessionEnd } from '../api/client';
+import { getSession } from '../api/session';
+
+const AuthContext = createContext(null);
+
+const userOf = (session) => (session ? { userId: session.userId, avatar: session.avatar } : null);
+
+export function AuthProvider({ children }) {
+  const [user, setUser] = useState(() => userOf(getSession()));
+
+  // The API client ends the session when the refresh token stops working
+  useEffect(() => onSessionEnd(() => setUser(null)), []);
+
+  const login = useCallback(async (credentials) => {
+    const result = await authApi.login(credentials);
+    setUser(userOf(result));
+    return result;
+  }, []);
+
+  const signup = useCallback(async (details) => {
+    const result = await authApi.signup(details);
+    setUser(userOf(result));
+    return result;
+  }, []);
+
+  const logout = useCallback(async () => {
+    await authApi.logout();
+    setUser(null);
+  }, []);
+
+  const value = useMemo(() => ({ user, login, signup, logout }), [user, login, signup, logout]);
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
+
+export function useAuth() {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used inside an AuthProvider');
+  }
+  return context;
+}
@@ -0,0 +1,46 @@
+// hooks/useCursorList.js
+// Loads a cursor-paginated list ({ items, nextCursor }) one page at a time. fetchPage(cursor) must be
+// memoized (useCallback); when it changes, e.g. with new filters, the list starts over.
+import { useCallback, useEffect, useRef, useState } from 'react';
+
+function useCursorList(fetchPage) {
+  const [items, setItems] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const latest = useRef(0); // Responses of superseded requests are dropped
+
+  const load = useCallback(async (cursor) => {
+    const request = ++latest.current;
+    setLoading(true);
+    setError(null);
+    try {
+      const page = await fetchPage(cursor);
+      if (request !== latest.current) return;
+      setItems((previous) => (cursor ? [...previous, ...page.items] : page.items));
+      setNextCursor(page.nextCursor);
+    } catch (err) {
+      if (request === latest.current) setError(err);
+    } finally {
+      if (request === latest.current) setLoading(false);
+    }
+  }, [fetchPage]);
+
+  useEffect(() => {
+    load(null);
+    return () => {
+      latest.current += 1;
+    };
+  }, [load]);
+
+  const loadMore = useCallback(() => nextCursor && load(nextCursor), [load, nextCursor]);
+
+  // Replaces a loaded item with a newer copy (e.g., after a vote)
+  const updateItem = useCallback((updated) => {
+    setItems((previous) => previous.map((item) => (item._id === updated._id ? { ...item, ...updated } : item)));
+  }, []);
+
+  return { items, nextCursor, loading, error, loadMore, updateItem };
+}
+
+export default useCursorList;
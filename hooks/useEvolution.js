@@ -0,0 +1,49 @@
+// hooks/useEvolution.js
+// Loads all of the logged-in user's pieces, oldest first, for the timeline. GET /api/art/evolution/:mood
+// serves one mood at a time, so every mood is paged through (in parallel) and the pages are merged as
+// they arrive: { items, loading, error }. Each piece has one dominant mood, so nothing is loaded twice.
+import { useEffect, useState } from 'react';
+import { getEvolution } from '../api/art';
+import { MOODS } from '../constants';
+import { sortByDate } from '../utils/timeline';
+
+const PAGE_SIZE = 100; // The backend's largest page
+
+function useEvolution() {
+  const [items, setItems] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = [];
+
+    const loadMood = async (mood) => {
+      let cursor = null;
+      do {
+        const page = await getEvolution(mood, { cursor, limit: PAGE_SIZE });
+        if (cancelled) return;
+        loaded = loaded.concat(page.items);
+        setItems(sortByDate(loaded));
+        cursor = page.nextCursor;
+      } while (cursor);
+    };
+
+    setLoading(true);
+    setError(null);
+    Promise.all(MOODS.map(({ name }) => loadMood(name)))
+      .catch((err) => {
+        if (!cancelled) setError(err);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return { items, loading, error };
+}
+
+export default useEvolution;
@@ -0,0 +1,48 @@
+// hooks/useGenerationJob.js
+// Runs a generation request that answers with a job (POST /api/art, accepting an invitation) and
+// follows the job until it finishes: { job, error, running, start, reset }.
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { waitForJob } from '../api/art';
+
+function useGenerationJob() {
+  const [job, setJob] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+  const current = useRef(0); // Polling stops once a newer run starts or the component unmounts
+
+  useEffect(() => () => {
+    current.current += 1;
+  }, []);
+
+  // queue() sends the request and resolves with the 202 response ({ jobId, job }), or with null when
+  // there is no job to follow (e.g., the request was saved to send later)
+  const start = useCallback(async (queue) => {
+    const run = ++current.current;
+    const isCancelled = () => run !== current.current;
+    setJob(null);
+    setError(null);
+    setRunning(true);
+    try {
+      const accepted = await queue();
+      if (isCancelled() || !accepted) return;
+      setJob(accepted.job);
+      const finished = await waitForJob(accepted.jobId, { onUpdate: setJob, isCancelled });
+      if (!isCancelled() && finished) setJob(finished);
+    } catch (err) {
+      if (!isCancelled()) setError(err);
+    } finally {
+      if (!isCancelled()) setRunning(false);
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    current.current += 1;
+    setJob(null);
+    setError(null);
+    setRunning(false);
+  }, []);
+
+  return { job, error, running, start, reset };
+}
+
+export default useGenerationJob;
@@ -0,0 +1,30 @@
+// hooks/useGenerationQueue.js
+// The offline generation queue of the current account: { waiting, failed, sent, dismiss, dismissSent }.
+// Keeps the queue replaying while mounted (on load, on login and when the connection comes back),
+// so mount it once.
+import { useEffect, useState } from 'react';
+import { dismiss, dismissSent, loadQueue, replayQueue, startQueueSync, subscribe } from '../offline/generationQueue';
+
+function useGenerationQueue(userId) {
+  const [queue, setQueue] = useState({ entries: [], sent: [] });
+
+  useEffect(() => subscribe(setQueue), []);
+
+  useEffect(() => startQueueSync(), []);
+
+  // A login can make other queued requests sendable
+  useEffect(() => {
+    loadQueue().then(() => replayQueue()).catch(() => {});
+  }, [userId]);
+
+  const mine = queue.entries.filter((entry) => entry.ownerId === userId);
+  return {
+    waiting: mine.filter((entry) => entry.state === 'queued'),
+    failed: mine.filter((entry) => entry.state === 'failed'),
+    sent: queue.sent,
+    dismiss,
+    dismissSent,
+  };
+}
+
+export default useGenerationQueue;
@@ -0,0 +1,21 @@
+// hooks/useOnlineStatus.js
+// Whether the browser thinks it has a connection, updated on the online/offline events
+import { useEffect, useState } from 'react';
+
+function useOnlineStatus() {
+  const [online, setOnline] = useState(() => window.navigator.onLine !== false);
+
+  useEffect(() => {
+    const update = () => setOnline(window.navigator.onLine !== false);
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  return online;
+}
+
+export default useOnlineStatus;
@@ -0,0 +1,71 @@
+// offline/db.js
+// Small promise wrapper around the app's IndexedDB database. Stores:
+// - history: the logged-in user's pieces, for browsing them offline (key: _id)
+// - queue: generation requests made offline, waiting to be sent (key: the request's dedupe key)
+// Every function rejects when IndexedDB isn't available (e.g., some private browsing modes).
+
+const DB_NAME = 'mood-art';
+const DB_VERSION = 1;
+
+let opening = null;
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+function openDb() {
+  if (!opening) {
+    if (typeof window === 'undefined' || !window.indexedDB) {
+      return Promise.reject(new Error('IndexedDB is not available.'));
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const history = db.createObjectStore('history', { keyPath: '_id' });
+      history.createIndex('ownerId', 'ownerId');
+      db.createObjectStore('queue', { keyPath: 'key' });
+    };
+    opening = promisify(request).catch((err) => {
+      opening = null;
+      throw err;
+    });
+  }
+  return opening;
+}
+
+// Runs fn(store) in a transaction and resolves with its result once the transaction completes
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    let result;
+    Promise.resolve(fn(transaction.objectStore(name))).then((value) => {
+      result = value;
+    }, reject);
+    transaction.oncomplete = () => resolve(result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+export const getAll = (name) => withStore(name, 'readonly', (store) => promisify(store.getAll()));
+
+export const getAllByIndex = (name, index, value) =>
+  withStore(name, 'readonly', (store) => promisify(store.index(index).getAll(value)));
+
+export const get = (name, key) => withStore(name, 'readonly', (store) => promisify(store.get(key)));
+
+export const putMany = (name, values) => withStore(name, 'readwrite', (store) => {
+  values.forEach((value) => store.put(value));
+});
+
+export const put = (name, value) => putMany(name, [value]);
+
+export const remove = (name, key) => withStore(name, 'readwrite', (store) => {
+  store.delete(key);
+});
+
+export const clear = (name) => withStore(name, 'readwrite', (store) => {
+  store.clear();
+});
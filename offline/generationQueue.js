@@ -0,0 +1,143 @@
+// offline/generationQueue.js
+// Generation requests made without a connection wait in IndexedDB and are sent to POST /api/art once
+// the connection is back. Every request gets a dedupe key when it is made, sent as the Idempotency-Key
+// header on every try, so the backend creates at most one piece per request: also when a response got
+// lost on the way, when a replay is retried, or when two tabs replay at the same time.
+//
+// A queued request belongs to whoever made it (the logged-in user, or nobody), and is only sent while
+// that same account is logged in. After a long time offline the stored access token has expired: the
+// backend answers 401, api/client refreshes the session and sends the request again with the same
+// dedupe key, so the piece still goes to the account. When the session can't be refreshed the request
+// stays queued until that account logs in again.
+import { generateArt } from '../api/art';
+import { getSession } from '../api/session';
+import { getAll, put, remove } from './db';
+
+const LOCK_NAME = 'mood-art-generation-queue';
+
+// Failures after which a request stays queued for the next try: no connection, logged out, the
+// first try still being processed (409), rate limits and server errors
+const retryLater = (err) => [0, 401, 408, 409, 429].includes(err.status) || err.status >= 500;
+
+// { entries: queued and failed requests (oldest first), sent: requests sent since the page loaded }
+let state = { entries: [], sent: [] };
+const listeners = new Set();
+
+const setState = (changes) => {
+  state = { ...state, ...changes };
+  listeners.forEach((listener) => listener(state));
+};
+
+// Calls listener with the queue now and on every change; returns a function that stops that
+export function subscribe(listener) {
+  listeners.add(listener);
+  listener(state);
+  return () => listeners.delete(listener);
+}
+
+const ownerId = () => {
+  const session = getSession();
+  return session ? session.userId : null;
+};
+
+// A random key for one generation request
+export function newDedupeKey() {
+  const { crypto } = window;
+  if (crypto && crypto.randomUUID) return crypto.randomUUID();
+  if (crypto && crypto.getRandomValues) {
+    return Array.from(crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Reads the queue from IndexedDB (an empty queue when it can't be read)
+export async function loadQueue() {
+  let entries = [];
+  try {
+    entries = (await getAll('queue')).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  } catch (err) {
+    // No IndexedDB: nothing can have been queued
+  }
+  setState({ entries });
+  return entries;
+}
+
+// Saves a request to send later; resolves with the queue entry
+export async function queueGeneration(params, dedupeKey = newDedupeKey()) {
+  const entry = { key: dedupeKey, params, ownerId: ownerId(), state: 'queued', error: null, createdAt: new Date().toISOString() };
+  try {
+    await put('queue', entry);
+  } catch (err) {
+    throw new Error("You're offline, and this browser can't keep the request for later. Please try again once you're back online.");
+  }
+  await loadQueue();
+  return entry;
+}
+
+// Sends a request now, or queues it when there is no connection (also when the connection drops
+// while sending; the dedupe key makes the later try safe). Resolves with { accepted } (the 202
+// response of POST /api/art) or { queued } (the queue entry).
+export async function generateOrQueue(params) {
+  const dedupeKey = newDedupeKey();
+  if (window.navigator.onLine === false) {
+    return { queued: await queueGeneration(params, dedupeKey) };
+  }
+  try {
+    return { accepted: await generateArt(params, { dedupeKey }) };
+  } catch (err) {
+    if (err.status !== 0) throw err;
+    return { queued: await queueGeneration(params, dedupeKey) };
+  }
+}
+
+// Drops a failed request from the queue
+export async function dismiss(key) {
+  await remove('queue', key);
+  await loadQueue();
+}
+
+export function dismissSent() {
+  setState({ sent: [] });
+}
+
+async function sendQueued() {
+  const owner = ownerId();
+  for (const entry of await loadQueue()) {
+    if (entry.state !== 'queued' || entry.ownerId !== owner) continue;
+    try {
+      const accepted = await generateArt(entry.params, { dedupeKey: entry.key });
+      await remove('queue', entry.key);
+      setState({ sent: [...state.sent, { ...entry, jobId: accepted.jobId }] });
+    } catch (err) {
+      if (err.status === undefined) throw err; // Not an API error (e.g., IndexedDB failed)
+      if (retryLater(err)) break;
+      await put('queue', { ...entry, state: 'failed', error: err.message });
+    }
+  }
+  await loadQueue();
+}
+
+// Sends the queued requests of the logged-in account (or anonymous ones when logged out), oldest first.
+// Stops at the first request that should be tried again later. Only one replay runs at a time, also
+// across tabs where the Web Locks API is available.
+let replaying = null;
+export function replayQueue() {
+  if (!replaying) {
+    const { locks } = window.navigator;
+    replaying = (locks && locks.request ? locks.request(LOCK_NAME, sendQueued) : sendQueued())
+      .finally(() => {
+        replaying = null;
+      });
+  }
+  return replaying;
+}
+
+// Replays the queue now and whenever the connection comes back; returns a function that stops that
+export function startQueueSync() {
+  const replay = () => {
+    replayQueue().catch((err) => console.error('Could not send the queued requests:', err.message));
+  };
+  window.addEventListener('online', replay);
+  replay();
+  return () => window.removeEventListener('online', replay);
+}
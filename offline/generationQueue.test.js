@@ -0,0 +1,122 @@
+import { generateArt } from '../api/art';
+import { saveSession } from '../api/session';
+import { stores } from './db';
+import { dismissSent, generateOrQueue, loadQueue, queueGeneration, replayQueue, subscribe } from './generationQueue';
+
+jest.mock('../api/art', () => ({ generateArt: jest.fn() }));
+jest.mock('./db', () => {
+  const mockStores = { queue: new Map() };
+  return {
+    stores: mockStores,
+    getAll: async (name) => [...mockStores[name].values()],
+    put: async (name, value) => {
+      mockStores[name].set(value.key, value);
+    },
+    remove: async (name, key) => {
+      mockStores[name].delete(key);
+    },
+  };
+});
+
+const apiError = (status, message = 'Request failed') => Object.assign(new Error(message), { status });
+
+// The queue state as the app sees it
+const current = () => {
+  let state;
+  subscribe((value) => { state = value; })();
+  return state;
+};
+
+beforeEach(async () => {
+  stores.queue.clear();
+  dismissSent();
+  await loadQueue();
+});
+
+test('queues a request that could not reach the server and sends it again with the same key', async () => {
+  generateArt.mockRejectedValueOnce(apiError(0)).mockResolvedValueOnce({ jobId: 'job-1' });
+
+  const { queued } = await generateOrQueue({ mood: 'Calm' });
+  expect(queued).toMatchObject({ params: { mood: 'Calm' }, state: 'queued', ownerId: null });
+  expect(current().entries).toHaveLength(1);
+
+  await replayQueue();
+  expect(generateArt).toHaveBeenCalledTimes(2);
+  expect(generateArt.mock.calls[0][1].dedupeKey).toBe(queued.key);
+  expect(generateArt.mock.calls[1]).toEqual([{ mood: 'Calm' }, { dedupeKey: queued.key }]);
+  expect(current()).toMatchObject({ entries: [], sent: [{ key: queued.key, jobId: 'job-1' }] });
+});
+
+test('queues right away when the browser is offline', async () => {
+  const onLine = jest.spyOn(window.navigator, 'onLine', 'get').mockReturnValue(false);
+  try {
+    const { queued } = await generateOrQueue({ mood: 'Sad' });
+    expect(queued.state).toBe('queued');
+    expect(generateArt).not.toHaveBeenCalled();
+  } finally {
+    onLine.mockRestore();
+  }
+});
+
+test('sends nothing twice when replays overlap', async () => {
+  await queueGeneration({ mood: 'Happy' });
+  let respond;
+  generateArt.mockReturnValue(new Promise((resolve) => { respond = resolve; }));
+
+  const first = replayQueue();
+  const second = replayQueue();
+  expect(second).toBe(first);
+  await Promise.resolve();
+  respond({ jobId: 'job-1' });
+  await first;
+  expect(generateArt).toHaveBeenCalledTimes(1);
+});
+
+test('keeps requests for later while the connection is still down', async () => {
+  await queueGeneration({ mood: 'Happy' });
+  await queueGeneration({ mood: 'Sad' });
+  generateArt.mockRejectedValue(apiError(0));
+
+  await replayQueue();
+  expect(generateArt).toHaveBeenCalledTimes(1);
+  expect(current().entries.map((entry) => entry.state)).toEqual(['queued', 'queued']);
+});
+
+test('marks requests the backend refuses as failed and goes on with the rest', async () => {
+  await queueGeneration({ mood: 'Angry', prompt: 'something rejected' });
+  await queueGeneration({ mood: 'Calm' });
+  generateArt
+    .mockRejectedValueOnce(apiError(422, 'This prompt is not allowed.'))
+    .mockResolvedValueOnce({ jobId: 'job-2' });
+
+  await replayQueue();
+  const { entries, sent } = current();
+  expect(entries).toEqual([expect.objectContaining({ state: 'failed', error: 'This prompt is not allowed.' })]);
+  expect(sent).toEqual([expect.objectContaining({ params: { mood: 'Calm' }, jobId: 'job-2' })]);
+});
+
+test('only sends the requests of the account that made them', async () => {
+  await queueGeneration({ mood: 'Happy' }); // Logged out
+  saveSession({ token: 'access-token', refreshToken: 'refresh-token', userId: 'user-1' });
+  const mine = await queueGeneration({ mood: 'Inspired' });
+  generateArt.mockResolvedValue({ jobId: 'job-3' });
+
+  await replayQueue();
+  expect(generateArt).toHaveBeenCalledTimes(1);
+  expect(generateArt).toHaveBeenCalledWith({ mood: 'Inspired' }, { dedupeKey: mine.key });
+  expect(current().entries).toEqual([expect.objectContaining({ params: { mood: 'Happy' }, ownerId: null })]);
+});
+
+test('keeps a request queued when the session could not be refreshed, and sends it once its account is back', async () => {
+  saveSession({ token: 'expired-token', refreshToken: 'revoked', userId: 'user-1' });
+  const mine = await queueGeneration({ mood: 'Calm' });
+  generateArt.mockRejectedValueOnce(apiError(401, 'Please log in again.')).mockResolvedValueOnce({ jobId: 'job-4' });
+
+  await replayQueue();
+  expect(current().entries).toEqual([expect.objectContaining({ key: mine.key, state: 'queued', ownerId: 'user-1' })]);
+
+  saveSession({ token: 'new-token', refreshToken: 'new-refresh', userId: 'user-1' }); // Logged in again
+  await replayQueue();
+  expect(generateArt).toHaveBeenLastCalledWith({ mood: 'Calm' }, { dedupeKey: mine.key });
+  expect(current()).toMatchObject({ entries: [], sent: [{ key: mine.key, jobId: 'job-4' }] });
+});
@@ -0,0 +1,18 @@
+// offline/historyCache.js
+// Copy of the logged-in user's history in IndexedDB, so My art can be browsed offline. Every page
+// loaded online is saved; the copy is dropped on logout.
+import { clear, getAllByIndex, putMany } from './db';
+
+// Saves loaded pieces for the user
+export const cacheHistory = (userId, items) =>
+  putMany('history', items.map((item) => ({ ...item, ownerId: userId })));
+
+// The user's saved pieces, newest first
+export async function cachedHistory(userId) {
+  const items = await getAllByIndex('history', 'ownerId', userId);
+  return items
+    .map(({ ownerId, ...item }) => item)
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+export const clearHistoryCache = () => clear('history');
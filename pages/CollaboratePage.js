@@ -0,0 +1,193 @@
+// pages/CollaboratePage.js
+// Collaborative pieces: invite a partner by email with your mood, and answer the invitations you got.
+// The piece is generated when the partner accepts with their own mood.
+import { useCallback, useEffect, useState } from 'react';
+import { acceptInvitation, cancelInvitation, declineInvitation, inviteCollaborator, listInvitations } from '../api/collaborations';
+import useGenerationJob from '../hooks/useGenerationJob';
+import { MOODS, STYLES } from '../constants';
+import ErrorMessage from '../components/ErrorMessage';
+import GenerationProgress from '../components/GenerationProgress';
+import MoodPicker from '../components/MoodPicker';
+
+// Email of the other participant of an invitation (populated by the backend)
+const emailOf = (user) => (user && user.email) || 'someone';
+
+function InviteForm({ onInvited }) {
+  const [partnerEmail, setPartnerEmail] = useState('');
+  const [mood, setMood] = useState('');
+  const [message, setMessage] = useState('');
+  const [style, setStyle] = useState('');
+  const [error, setError] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!mood) {
+      setError('Pick your mood for the piece.');
+      return;
+    }
+    setSending(true);
+    setError(null);
+    try {
+      await inviteCollaborator({ partnerEmail, mood, message: message || undefined, style: style || undefined });
+      setPartnerEmail('');
+      setMood('');
+      setMessage('');
+      onInvited();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} aria-label="Invite a partner" className="space-y-3">
+      <label className="block">
+        Partner's email
+        <input type="email" required value={partnerEmail} onChange={(e) => setPartnerEmail(e.target.value)} className="mt-1 w-full rounded border px-2 py-1" />
+      </label>
+      <MoodPicker value={mood} onChange={setMood} label="Your mood" />
+      <label className="block">
+        Message (optional)
+        <textarea value={message} maxLength={500} rows={2} onChange={(e) => setMessage(e.target.value)} className="mt-1 w-full rounded border px-2 py-1" />
+      </label>
+      <label className="block">
+        Style
+        <select value={style} onChange={(e) => setStyle(e.target.value)} className="mt-1 block rounded border px-2 py-1">
+          <option value="">My default style</option>
+          {STYLES.map((name) => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <ErrorMessage error={error} />
+      <button type="submit" disabled={sending} className="rounded bg-indigo-600 px-4 py-2 text-white disabled:opacity-50">
+        {sending ? 'Sending…' : 'Send invitation'}
+      </button>
+    </form>
+  );
+}
+
+// A pending invitation you got: pick your mood, then accept or decline
+function IncomingInvitation({ invitation, busy, onAccept, onDecline }) {
+  const [mood, setMood] = useState('');
+  const from = emailOf(invitation.inviterId);
+  return (
+    <li className="space-y-2 rounded border p-3">
+      <p>
+        <strong>{from}</strong> is feeling {invitation.inviterMood} and wants to make art with you.
+      </p>
+      {invitation.message && <p className="italic">“{invitation.message}”</p>}
+      <label>
+        Your mood{' '}
+        <select aria-label={`Your mood for ${from}'s invitation`} value={mood} onChange={(e) => setMood(e.target.value)} className="rounded border px-2 py-1">
+          <option value="">Choose…</option>
+          {MOODS.map(({ name }) => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <div className="flex gap-2">
+        <button type="button" disabled={busy || !mood} onClick={() => onAccept(invitation, mood)} className="rounded bg-indigo-600 px-3 py-1 text-white disabled:opacity-50">
+          Accept
+        </button>
+        <button type="button" disabled={busy} onClick={() => onDecline(invitation)} className="rounded border px-3 py-1 disabled:opacity-50">
+          Decline
+        </button>
+      </div>
+    </li>
+  );
+}
+
+function CollaboratePage() {
+  const [incoming, setIncoming] = useState([]);
+  const [outgoing, setOutgoing] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const generation = useGenerationJob();
+
+  const refresh = useCallback(async () => {
+    try {
+      const [received, sent] = await Promise.all([listInvitations('incoming'), listInvitations('outgoing')]);
+      setIncoming(received);
+      setOutgoing(sent);
+    } catch (err) {
+      setError(err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Runs an invitation action, then reloads both lists
+  const act = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+      await refresh();
+    } catch (err) {
+      setError(err);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleAccept = (invitation, mood) => {
+    generation.start(() => acceptInvitation(invitation._id, mood)).then(refresh);
+  };
+
+  const pendingIncoming = incoming.filter((invitation) => invitation.state === 'pending');
+
+  return (
+    <main className="mx-auto max-w-2xl space-y-8 p-4">
+      <h1 className="text-2xl font-bold">Collaborate</h1>
+      <section className="space-y-3">
+        <h2 className="text-xl font-semibold">Invite a partner</h2>
+        <InviteForm onInvited={refresh} />
+      </section>
+
+      <ErrorMessage error={error || generation.error} />
+      {generation.job && <GenerationProgress job={generation.job} />}
+
+      <section className="space-y-3">
+        <h2 className="text-xl font-semibold">Invitations for you</h2>
+        {loading && <p>Loading…</p>}
+        {!loading && pendingIncoming.length === 0 && <p className="text-gray-600">No invitations waiting for you.</p>}
+        <ul className="space-y-3">
+          {pendingIncoming.map((invitation) => (
+            <IncomingInvitation
+              key={invitation._id}
+              invitation={invitation}
+              busy={busy || generation.running}
+              onAccept={handleAccept}
+              onDecline={(declined) => act(() => declineInvitation(declined._id))}
+            />
+          ))}
+        </ul>
+      </section>
+
+      <section className="space-y-3">
+        <h2 className="text-xl font-semibold">Invitations you sent</h2>
+        {!loading && outgoing.length === 0 && <p className="text-gray-600">You haven't invited anyone yet.</p>}
+        <ul className="space-y-2">
+          {outgoing.map((invitation) => (
+            <li key={invitation._id} className="flex items-center justify-between rounded border p-3">
+              <span>
+                {invitation.inviteeEmail} · you felt {invitation.inviterMood} · <em>{invitation.state}</em>
+              </span>
+              {invitation.state === 'pending' && (
+                <button type="button" disabled={busy} onClick={() => act(() => cancelInvitation(invitation._id))} className="text-sm text-red-700 underline">
+                  Cancel
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      </section>
+    </main>
+  );
+}
+
+export default CollaboratePage;
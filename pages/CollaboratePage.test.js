@@ -0,0 +1,89 @@
+import { screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { waitForJob } from '../api/art';
+import { acceptInvitation, cancelInvitation, declineInvitation, inviteCollaborator, listInvitations } from '../api/collaborations';
+import { logIn, renderWithProviders } from '../test-utils';
+import CollaboratePage from './CollaboratePage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+jest.mock('../api/art', () => ({ waitForJob: jest.fn() }));
+jest.mock('../api/collaborations', () => ({
+  inviteCollaborator: jest.fn(),
+  listInvitations: jest.fn(),
+  acceptInvitation: jest.fn(),
+  declineInvitation: jest.fn(),
+  cancelInvitation: jest.fn(),
+}));
+
+const incoming = { _id: 'inv-1', state: 'pending', inviterMood: 'Excited', message: 'Paint with me!', inviterId: { email: 'grace@example.com' } };
+const outgoing = { _id: 'inv-2', state: 'pending', inviterMood: 'Calm', inviteeEmail: 'alan@example.com' };
+
+beforeEach(() => {
+  logIn();
+  listInvitations.mockImplementation((box) => Promise.resolve(box === 'incoming' ? [incoming] : [outgoing]));
+});
+
+test('lists the invitations you got and sent', async () => {
+  renderWithProviders(<CollaboratePage />);
+  expect(await screen.findByText('grace@example.com')).toBeInTheDocument();
+  expect(screen.getByText('“Paint with me!”')).toBeInTheDocument();
+  expect(screen.getByText(/alan@example\.com/)).toBeInTheDocument();
+});
+
+test('invites a partner with your mood', async () => {
+  inviteCollaborator.mockResolvedValue({ _id: 'inv-3', state: 'pending' });
+  renderWithProviders(<CollaboratePage />);
+  const form = screen.getByRole('form', { name: 'Invite a partner' });
+
+  userEvent.type(within(form).getByLabelText("Partner's email"), 'alan@example.com');
+  userEvent.click(within(form).getByRole('button', { name: /inspired/i }));
+  userEvent.type(within(form).getByLabelText(/message/i), 'Let us make something');
+  userEvent.click(within(form).getByRole('button', { name: 'Send invitation' }));
+
+  await waitFor(() => expect(within(form).getByLabelText("Partner's email")).toHaveValue(''));
+  expect(inviteCollaborator).toHaveBeenCalledWith({ partnerEmail: 'alan@example.com', mood: 'Inspired', message: 'Let us make something', style: undefined });
+});
+
+test('accepts an invitation with your own mood and follows the generation', async () => {
+  acceptInvitation.mockResolvedValue({ jobId: 'job-1', job: { id: 'job-1', state: 'queued' } });
+  waitForJob.mockImplementation((jobId, { onUpdate }) => {
+    const done = { id: 'job-1', state: 'done', art: { _id: 'art-1', mood: 'Excited', imageUrl: 'https://img.example/art-1.png' } };
+    onUpdate(done);
+    return Promise.resolve(done);
+  });
+  renderWithProviders(<CollaboratePage />);
+
+  const accept = await screen.findByRole('button', { name: 'Accept' });
+  expect(accept).toBeDisabled();
+  userEvent.selectOptions(screen.getByLabelText("Your mood for grace@example.com's invitation"), 'Calm');
+  userEvent.click(accept);
+
+  expect(await screen.findByText('Your art is ready!')).toBeInTheDocument();
+  expect(acceptInvitation).toHaveBeenCalledWith('inv-1', 'Calm');
+});
+
+test('declines and cancels invitations', async () => {
+  declineInvitation.mockResolvedValue({ ...incoming, state: 'declined' });
+  cancelInvitation.mockResolvedValue({ ...outgoing, state: 'cancelled' });
+  renderWithProviders(<CollaboratePage />);
+
+  userEvent.click(await screen.findByRole('button', { name: 'Decline' }));
+  expect(declineInvitation).toHaveBeenCalledWith('inv-1');
+
+  const cancel = screen.getByRole('button', { name: 'Cancel' });
+  await waitFor(() => expect(cancel).toBeEnabled()); // Enabled again once the lists are reloaded
+  userEvent.click(cancel);
+  expect(cancelInvitation).toHaveBeenCalledWith('inv-2');
+});
+
+test('shows the message of a refused invitation', async () => {
+  inviteCollaborator.mockRejectedValue(new Error('You already have a pending invitation with this user.'));
+  renderWithProviders(<CollaboratePage />);
+  const form = screen.getByRole('form', { name: 'Invite a partner' });
+
+  userEvent.type(within(form).getByLabelText("Partner's email"), 'alan@example.com');
+  userEvent.click(within(form).getByRole('button', { name: /happy/i }));
+  userEvent.click(within(form).getByRole('button', { name: 'Send invitation' }));
+
+  expect(await within(form).findByRole('alert')).toHaveTextContent('You already have a pending invitation with this user.');
+});
@@ -0,0 +1,88 @@
+// pages/GalleryPage.js
+// The public gallery with mood, color and sort filters; every piece can be rated with 1-5 stars
+import { useCallback, useState } from 'react';
+import { getGallery, voteArt } from '../api/art';
+import useCursorList from '../hooks/useCursorList';
+import { COLOR_FAMILIES, MOODS } from '../constants';
+import ArtGrid from '../components/ArtGrid';
+import ErrorMessage from '../components/ErrorMessage';
+import StarRating from '../components/StarRating';
+
+const SORTS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'top', label: 'Top rated' },
+  { value: 'trending', label: 'Trending' },
+];
+
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+function GalleryPage() {
+  const [mood, setMood] = useState('');
+  const [color, setColor] = useState(''); // A color family the pieces are rendered in
+  const [sort, setSort] = useState('newest');
+  const [voting, setVoting] = useState(null); // id of the piece whose vote is being sent
+  const [voteError, setVoteError] = useState(null);
+  const fetchPage = useCallback((cursor) => getGallery({ cursor, mood, color, sort }), [mood, color, sort]);
+  const { items, nextCursor, loading, error, loadMore, updateItem } = useCursorList(fetchPage);
+
+  const handleRate = async (art, stars) => {
+    setVoting(art._id);
+    setVoteError(null);
+    try {
+      updateItem(await voteArt(art._id, stars));
+    } catch (err) {
+      setVoteError(err);
+    } finally {
+      setVoting(null);
+    }
+  };
+
+  return (
+    <main className="mx-auto max-w-5xl space-y-4 p-4">
+      <h1 className="text-2xl font-bold">Gallery</h1>
+      <div className="flex flex-wrap gap-4">
+        <label>
+          Mood{' '}
+          <select value={mood} onChange={(e) => setMood(e.target.value)} className="rounded border px-2 py-1">
+            <option value="">All moods</option>
+            {MOODS.map(({ name }) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <label>
+          Color{' '}
+          <select value={color} onChange={(e) => setColor(e.target.value)} className="rounded border px-2 py-1">
+            <option value="">Any color</option>
+            {COLOR_FAMILIES.map((name) => <option key={name} value={name}>{capitalize(name)}</option>)}
+          </select>
+        </label>
+        <label>
+          Sort by{' '}
+          <select value={sort} onChange={(e) => setSort(e.target.value)} className="rounded border px-2 py-1">
+            {SORTS.map(({ value, label }) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </label>
+      </div>
+      <ErrorMessage error={error || voteError} />
+      {!(loading && items.length === 0) && (
+        <ArtGrid
+          items={items}
+          emptyMessage="No art matches these filters yet."
+          renderExtra={(art) => (
+            <StarRating
+              value={art.myRating || 0}
+              label={`Rate ${art.title || `this ${art.mood} piece`}`}
+              disabled={voting === art._id}
+              onRate={(stars) => handleRate(art, stars)}
+            />
+          )}
+        />
+      )}
+      {loading && <p>Loading…</p>}
+      {nextCursor && !loading && (
+        <button type="button" onClick={loadMore} className="rounded border px-4 py-2">Load more</button>
+      )}
+    </main>
+  );
+}
+
+export default GalleryPage;
@@ -0,0 +1,48 @@
+import { screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { getGallery, voteArt } from '../api/art';
+import { renderWithProviders } from '../test-utils';
+import GalleryPage from './GalleryPage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+jest.mock('../api/art', () => ({ getGallery: jest.fn(), voteArt: jest.fn() }));
+
+const art = { _id: 'a1', title: 'Sunrise', mood: 'Happy', imageUrl: 'https://img.example/a1.png', rating: { average: 4, count: 2 } };
+
+test('rates a piece with stars', async () => {
+  getGallery.mockResolvedValue({ items: [art], nextCursor: null });
+  voteArt.mockResolvedValue({ ...art, rating: { average: 3.7, count: 3 }, myRating: 3 });
+  renderWithProviders(<GalleryPage />);
+
+  const stars = await screen.findByRole('group', { name: 'Rate Sunrise' });
+  userEvent.click(within(stars).getByRole('button', { name: '3 stars' }));
+
+  expect(voteArt).toHaveBeenCalledWith('a1', 3);
+  expect(await within(stars).findByRole('button', { name: '3 stars' })).toHaveAttribute('aria-pressed', 'true');
+  expect(within(stars).getByRole('button', { name: '4 stars' })).toHaveAttribute('aria-pressed', 'false');
+  expect(screen.getByText('(3)')).toBeInTheDocument();
+});
+
+test('reloads the gallery when the filters change', async () => {
+  getGallery.mockResolvedValue({ items: [art], nextCursor: null });
+  renderWithProviders(<GalleryPage />);
+  await screen.findByText('Sunrise');
+  expect(getGallery).toHaveBeenCalledWith({ cursor: null, mood: '', color: '', sort: 'newest' });
+
+  getGallery.mockResolvedValue({ items: [], nextCursor: null });
+  userEvent.selectOptions(screen.getByLabelText('Mood'), 'Calm');
+  userEvent.selectOptions(screen.getByLabelText('Color'), 'blue');
+  userEvent.selectOptions(screen.getByLabelText('Sort by'), 'top');
+
+  expect(await screen.findByText('No art matches these filters yet.')).toBeInTheDocument();
+  expect(getGallery).toHaveBeenLastCalledWith({ cursor: null, mood: 'Calm', color: 'blue', sort: 'top' });
+});
+
+test('shows why a vote was refused', async () => {
+  getGallery.mockResolvedValue({ items: [art], nextCursor: null });
+  voteArt.mockRejectedValue(new Error('Too many votes. Please try again later.'));
+  renderWithProviders(<GalleryPage />);
+
+  userEvent.click(await screen.findByRole('button', { name: '5 stars' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Too many votes');
+});
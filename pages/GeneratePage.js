@@ -0,0 +1,100 @@
+// pages/GeneratePage.js
+// The generator: pick a mood and/or write in the Mood Diary, choose a style and colors, then follow
+// the generation until the piece is ready. Without a connection the request is queued and sent later.
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import useGenerationJob from '../hooks/useGenerationJob';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import { generateOrQueue } from '../offline/generationQueue';
+import { MAX_DIARY_LENGTH, STYLES } from '../constants';
+import ColorPicker from '../components/ColorPicker';
+import ErrorMessage from '../components/ErrorMessage';
+import GenerationProgress from '../components/GenerationProgress';
+import MoodPicker from '../components/MoodPicker';
+
+function GeneratePage() {
+  const { user } = useAuth();
+  const [mood, setMood] = useState('');
+  const [diary, setDiary] = useState('');
+  const [style, setStyle] = useState('');
+  const [colors, setColors] = useState([]);
+  const [formError, setFormError] = useState(null);
+  const [queued, setQueued] = useState(false);
+  const online = useOnlineStatus();
+  const { job, error, running, start, reset } = useGenerationJob();
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!mood && !diary.trim()) {
+      setFormError('Pick a mood or write a few words in your Mood Diary.');
+      return;
+    }
+    setFormError(null);
+    setQueued(false);
+    // Style and colors left empty come from the user's settings on the backend
+    const params = {
+      mood: mood || undefined,
+      prompt: diary.trim() || undefined,
+      style: style || undefined,
+      colors: colors.length > 0 ? colors : undefined,
+    };
+    start(async () => {
+      const { accepted } = await generateOrQueue(params);
+      if (!accepted) setQueued(true);
+      return accepted || null;
+    });
+  };
+
+  const finished = job && ['done', 'failed'].includes(job.state);
+
+  return (
+    <main className="mx-auto max-w-2xl space-y-6 p-4">
+      <h1 className="text-2xl font-bold">Turn your mood into art</h1>
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <MoodPicker value={mood} onChange={setMood} />
+        <label className="block">
+          Mood Diary
+          <textarea
+            value={diary}
+            maxLength={MAX_DIARY_LENGTH}
+            rows={4}
+            placeholder="How was your day? We'll read the mood from your words."
+            onChange={(e) => setDiary(e.target.value)}
+            className="mt-1 w-full rounded border px-2 py-1"
+          />
+          <span className="text-sm text-gray-500">{diary.length}/{MAX_DIARY_LENGTH}</span>
+        </label>
+        <label className="block">
+          Style
+          <select value={style} onChange={(e) => setStyle(e.target.value)} className="mt-1 block rounded border px-2 py-1">
+            <option value="">{user ? 'My default style' : 'Any style'}</option>
+            {STYLES.map((name) => <option key={name} value={name}>{name}</option>)}
+          </select>
+        </label>
+        <ColorPicker colors={colors} onChange={setColors} />
+        <ErrorMessage error={formError || error} />
+        {!online && <p className="text-sm text-gray-600">You're offline: your request will be sent once you're back online.</p>}
+        <button type="submit" disabled={running} className="rounded bg-indigo-600 px-4 py-2 text-white disabled:opacity-50">
+          {running ? 'Generating…' : 'Generate art'}
+        </button>
+      </form>
+      {queued && (
+        <p role="status" className="rounded border border-amber-300 bg-amber-50 px-3 py-2">
+          Saved! Your piece will be generated as soon as you're back online.
+        </p>
+      )}
+      {job && <GenerationProgress job={job} />}
+      {finished && (
+        <p className="flex gap-4 text-sm">
+          <button type="button" onClick={reset} className="text-indigo-700 underline">Start over</button>
+          {user
+            ? <Link to="/history" className="text-indigo-700 underline">See all my art</Link>
+            : <Link to="/signup" className="text-indigo-700 underline">Sign up to keep this piece</Link>}
+        </p>
+      )}
+    </main>
+  );
+}
+
+export default GeneratePage;
@@ -0,0 +1,110 @@
+import { act, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { generateArt, waitForJob } from '../api/art';
+import { renderWithProviders } from '../test-utils';
+import GeneratePage from './GeneratePage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+jest.mock('../api/art', () => ({ generateArt: jest.fn(), waitForJob: jest.fn() }));
+jest.mock('../offline/db', () => {
+  const mockQueue = new Map();
+  return {
+    getAll: async () => [...mockQueue.values()],
+    put: async (name, value) => {
+      mockQueue.set(value.key, value);
+    },
+    remove: async (name, key) => {
+      mockQueue.delete(key);
+    },
+  };
+});
+
+const art = { _id: 'art-1', mood: 'Happy', style: 'Watercolor', imageUrl: 'https://img.example/art-1.png', rating: { average: 0, count: 0 } };
+
+test('generates art from a mood, diary text and style and shows the progress', async () => {
+  generateArt.mockResolvedValue({ jobId: 'job-1', job: { id: 'job-1', state: 'queued', progress: 0 } });
+  let update;
+  let finish;
+  waitForJob.mockImplementation((jobId, { onUpdate }) => {
+    update = onUpdate;
+    return new Promise((resolve) => { finish = resolve; });
+  });
+  renderWithProviders(<GeneratePage />);
+
+  userEvent.click(screen.getByRole('button', { name: /happy/i }));
+  userEvent.type(screen.getByLabelText(/mood diary/i), 'A sunny walk by the sea');
+  userEvent.selectOptions(screen.getByLabelText('Style'), 'Watercolor');
+  userEvent.click(screen.getByRole('button', { name: 'Generate art' }));
+
+  expect(await screen.findByText('Waiting in line…')).toBeInTheDocument();
+  expect(generateArt).toHaveBeenCalledWith(
+    { mood: 'Happy', prompt: 'A sunny walk by the sea', style: 'Watercolor', colors: undefined },
+    { dedupeKey: expect.any(String) }
+  );
+  expect(waitForJob).toHaveBeenCalledWith('job-1', expect.any(Object));
+
+  act(() => update({ id: 'job-1', state: 'generating', progress: 40 }));
+  expect(await screen.findByRole('progressbar')).toHaveAttribute('aria-valuenow', '40');
+
+  const done = { id: 'job-1', state: 'done', progress: 100, art };
+  await act(async () => {
+    update(done);
+    finish(done);
+  });
+  expect(await screen.findByText('Your art is ready!')).toBeInTheDocument();
+  expect(screen.getByAltText('Happy art')).toHaveAttribute('src', art.imageUrl);
+  expect(screen.getByRole('link', { name: /sign up to keep this piece/i })).toBeInTheDocument();
+});
+
+test('sends the chosen colors', async () => {
+  generateArt.mockResolvedValue({ jobId: 'job-1', job: { id: 'job-1', state: 'queued' } });
+  waitForJob.mockResolvedValue({ id: 'job-1', state: 'done', art });
+  renderWithProviders(<GeneratePage />);
+
+  userEvent.click(screen.getByRole('button', { name: /calm/i }));
+  userEvent.click(screen.getByRole('button', { name: 'Add color' }));
+  userEvent.click(screen.getByRole('button', { name: 'Generate art' }));
+
+  expect(await screen.findByText('Your art is ready!')).toBeInTheDocument();
+  expect(generateArt).toHaveBeenCalledWith(expect.objectContaining({ mood: 'Calm', colors: ['#6366f1'] }), expect.any(Object));
+});
+
+test('asks for a mood or diary text before generating', () => {
+  renderWithProviders(<GeneratePage />);
+  userEvent.click(screen.getByRole('button', { name: 'Generate art' }));
+  expect(screen.getByRole('alert')).toHaveTextContent(/pick a mood/i);
+  expect(generateArt).not.toHaveBeenCalled();
+});
+
+test('shows the message of a rejected request', async () => {
+  generateArt.mockRejectedValue(new Error('Your daily generation quota is used up.'));
+  renderWithProviders(<GeneratePage />);
+  userEvent.click(screen.getByRole('button', { name: /sad/i }));
+  userEvent.click(screen.getByRole('button', { name: 'Generate art' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('quota is used up');
+});
+
+test('shows why a job failed', async () => {
+  generateArt.mockResolvedValue({ jobId: 'job-1', job: { id: 'job-1', state: 'queued' } });
+  waitForJob.mockImplementation((jobId, { onUpdate }) => {
+    const failed = { id: 'job-1', state: 'failed', error: 'The art provider is unavailable.' };
+    onUpdate(failed);
+    return Promise.resolve(failed);
+  });
+  renderWithProviders(<GeneratePage />);
+  userEvent.click(screen.getByRole('button', { name: /angry/i }));
+  userEvent.click(screen.getByRole('button', { name: 'Generate art' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Generation failed: The art provider is unavailable.');
+});
+
+test('saves the request for later when the connection is down', async () => {
+  generateArt.mockRejectedValue(Object.assign(new Error('Could not reach the server.'), { status: 0 }));
+  renderWithProviders(<GeneratePage />);
+  userEvent.type(screen.getByLabelText(/mood diary/i), 'Stuck on a train without signal');
+  userEvent.click(screen.getByRole('button', { name: 'Generate art' }));
+
+  expect(await screen.findByText(/will be generated as soon as you're back online/i)).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  expect(waitForJob).not.toHaveBeenCalled();
+  expect(screen.getByRole('button', { name: 'Generate art' })).toBeEnabled();
+});
@@ -0,0 +1,51 @@
+// pages/HistoryPage.js
+// The logged-in user's pieces, collaborations included, newest first. Every page loaded is also saved
+// on the device, and shown from there when there is no connection.
+import { useCallback, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { getHistory } from '../api/art';
+import { useAuth } from '../context/AuthContext';
+import useCursorList from '../hooks/useCursorList';
+import { cacheHistory, cachedHistory } from '../offline/historyCache';
+import ArtGrid from '../components/ArtGrid';
+import ErrorMessage from '../components/ErrorMessage';
+
+function HistoryPage() {
+  const { user } = useAuth();
+  const [offline, setOffline] = useState(false);
+  const fetchPage = useCallback(async (cursor) => {
+    try {
+      const page = await getHistory({ cursor });
+      setOffline(false);
+      cacheHistory(user.userId, page.items).catch(() => {}); // Saving is best effort
+      return page;
+    } catch (err) {
+      if (err.status !== 0) throw err;
+      // No connection: everything saved on the device, in one page
+      const items = await cachedHistory(user.userId).catch(() => []);
+      setOffline(true);
+      return { items: cursor ? [] : items, nextCursor: null };
+    }
+  }, [user]);
+  const { items, nextCursor, loading, error, loadMore } = useCursorList(fetchPage);
+
+  return (
+    <main className="mx-auto max-w-5xl space-y-4 p-4">
+      <h1 className="text-2xl font-bold">My art</h1>
+      {offline && <p role="status" className="text-sm text-gray-600">You're offline. Showing the art saved on this device.</p>}
+      <ErrorMessage error={error} />
+      {!(loading && items.length === 0) && (
+        <ArtGrid
+          items={items}
+          emptyMessage={<>You haven't made any art yet. <Link to="/" className="text-indigo-700 underline">Create your first piece</Link>.</>}
+        />
+      )}
+      {loading && <p>Loading…</p>}
+      {nextCursor && !loading && (
+        <button type="button" onClick={loadMore} className="rounded border px-4 py-2">Load more</button>
+      )}
+    </main>
+  );
+}
+
+export default HistoryPage;
@@ -0,0 +1,58 @@
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { getHistory } from '../api/art';
+import { cacheHistory, cachedHistory } from '../offline/historyCache';
+import { logIn, renderWithProviders } from '../test-utils';
+import HistoryPage from './HistoryPage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+jest.mock('../api/art', () => ({ getHistory: jest.fn() }));
+jest.mock('../offline/historyCache', () => ({ cacheHistory: jest.fn(), cachedHistory: jest.fn() }));
+
+const piece = (id, fields) => ({ _id: id, imageUrl: `https://img.example/${id}.png`, rating: { average: 0, count: 0 }, ...fields });
+
+beforeEach(() => {
+  logIn();
+  cacheHistory.mockResolvedValue();
+  cachedHistory.mockResolvedValue([]);
+});
+
+test('shows the pieces one page at a time', async () => {
+  getHistory
+    .mockResolvedValueOnce({ items: [piece('a1', { mood: 'Happy', style: 'Cubist' })], nextCursor: 'cursor-1' })
+    .mockResolvedValueOnce({ items: [piece('a2', { title: 'Rainy Tuesday', mood: 'Sad' })], nextCursor: null });
+  renderWithProviders(<HistoryPage />);
+
+  expect(await screen.findByText('Happy · Cubist')).toBeInTheDocument();
+  expect(getHistory).toHaveBeenCalledWith({ cursor: null });
+
+  userEvent.click(screen.getByRole('button', { name: 'Load more' }));
+  expect(await screen.findByText('Rainy Tuesday')).toBeInTheDocument();
+  expect(getHistory).toHaveBeenLastCalledWith({ cursor: 'cursor-1' });
+  expect(screen.getByText('Happy · Cubist')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Load more' })).not.toBeInTheDocument();
+  expect(cacheHistory).toHaveBeenCalledWith('user-1', [expect.objectContaining({ _id: 'a1' })]);
+});
+
+test('shows the art saved on the device when offline', async () => {
+  getHistory.mockRejectedValue(Object.assign(new Error('Could not reach the server.'), { status: 0 }));
+  cachedHistory.mockResolvedValue([piece('a9', { title: 'Saved for the train' })]);
+  renderWithProviders(<HistoryPage />);
+
+  expect(await screen.findByText('Saved for the train')).toBeInTheDocument();
+  expect(screen.getByRole('status')).toHaveTextContent(/offline/i);
+  expect(cachedHistory).toHaveBeenCalledWith('user-1');
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('points to the generator when there is nothing yet', async () => {
+  getHistory.mockResolvedValue({ items: [], nextCursor: null });
+  renderWithProviders(<HistoryPage />);
+  expect(await screen.findByRole('link', { name: /create your first piece/i })).toHaveAttribute('href', '/');
+});
+
+test('shows the message of a failed request', async () => {
+  getHistory.mockRejectedValue(new Error('Server error fetching art history.'));
+  renderWithProviders(<HistoryPage />);
+  expect(await screen.findByRole('alert')).toHaveTextContent('Server error fetching art history.');
+});
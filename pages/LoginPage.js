@@ -0,0 +1,53 @@
+// pages/LoginPage.js
+import { useState } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import ErrorMessage from '../components/ErrorMessage';
+
+function LoginPage() {
+  const { login } = useAuth();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      await login({ email, password });
+      navigate((location.state && location.state.from) || '/', { replace: true });
+    } catch (err) {
+      setError(err);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <main className="mx-auto max-w-sm space-y-4 p-4">
+      <h1 className="text-2xl font-bold">Log in</h1>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <label className="block">
+          Email
+          <input type="email" required value={email} onChange={(e) => setEmail(e.target.value)} className="mt-1 w-full rounded border px-2 py-1" />
+        </label>
+        <label className="block">
+          Password
+          <input type="password" required value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 w-full rounded border px-2 py-1" />
+        </label>
+        <ErrorMessage error={error} />
+        <button type="submit" disabled={submitting} className="w-full rounded bg-indigo-600 py-2 text-white disabled:opacity-50">
+          {submitting ? 'Logging in…' : 'Log in'}
+        </button>
+      </form>
+      <p className="text-sm">
+        New here? <Link to="/signup" className="text-indigo-700 underline">Create an account</Link>
+      </p>
+    </main>
+  );
+}
+
+export default LoginPage;
@@ -0,0 +1,46 @@
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Route, Routes } from 'react-router-dom';
+import { login } from '../api/auth';
+import { renderWithProviders } from '../test-utils';
+import LoginPage from './LoginPage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+
+const renderLogin = (route = '/login') => renderWithProviders(
+  <Routes>
+    <Route path="/login" element={<LoginPage />} />
+    <Route path="/" element={<p>Generator screen</p>} />
+    <Route path="/history" element={<p>History screen</p>} />
+  </Routes>,
+  { route }
+);
+
+const fillIn = () => {
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), 'secret123');
+  userEvent.click(screen.getByRole('button', { name: 'Log in' }));
+};
+
+test('logs in and goes back to the page that asked for it', async () => {
+  login.mockResolvedValue({ userId: 'user-1', avatar: 'happy_emoji', claimed: 0 });
+  renderLogin({ pathname: '/login', state: { from: '/history' } });
+  fillIn();
+  expect(await screen.findByText('History screen')).toBeInTheDocument();
+  expect(login).toHaveBeenCalledWith({ email: 'ada@example.com', password: 'secret123' });
+});
+
+test('goes to the generator by default', async () => {
+  login.mockResolvedValue({ userId: 'user-1', avatar: 'happy_emoji', claimed: 0 });
+  renderLogin();
+  fillIn();
+  expect(await screen.findByText('Generator screen')).toBeInTheDocument();
+});
+
+test('shows the message from the backend when the login fails', async () => {
+  login.mockRejectedValue(new Error('Invalid Credentials. Please check your email and password.'));
+  renderLogin();
+  fillIn();
+  expect(await screen.findByRole('alert')).toHaveTextContent('Invalid Credentials');
+  expect(screen.getByRole('button', { name: 'Log in' })).toBeEnabled();
+});
@@ -0,0 +1,61 @@
+// pages/SignupPage.js
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import ErrorMessage from '../components/ErrorMessage';
+import MoodPicker from '../components/MoodPicker';
+
+const MIN_PASSWORD_LENGTH = 6; // Same as the backend
+
+function SignupPage() {
+  const { signup } = useAuth();
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [mood, setMood] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      setError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long.`);
+      return;
+    }
+    setSubmitting(true);
+    setError(null);
+    try {
+      await signup({ email, password, mood });
+      navigate('/', { replace: true });
+    } catch (err) {
+      setError(err);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <main className="mx-auto max-w-md space-y-4 p-4">
+      <h1 className="text-2xl font-bold">Create an account</h1>
+      <form onSubmit={handleSubmit} className="space-y-3">
+        <label className="block">
+          Email
+          <input type="email" required value={email} onChange={(e) => setEmail(e.target.value)} className="mt-1 w-full rounded border px-2 py-1" />
+        </label>
+        <label className="block">
+          Password
+          <input type="password" required value={password} onChange={(e) => setPassword(e.target.value)} className="mt-1 w-full rounded border px-2 py-1" />
+        </label>
+        <MoodPicker value={mood} onChange={setMood} label="Pick a mood for your avatar (optional)" />
+        <ErrorMessage error={error} />
+        <button type="submit" disabled={submitting} className="w-full rounded bg-indigo-600 py-2 text-white disabled:opacity-50">
+          {submitting ? 'Creating account…' : 'Sign up'}
+        </button>
+      </form>
+      <p className="text-sm">
+        Already have an account? <Link to="/login" className="text-indigo-700 underline">Log in</Link>
+      </p>
+    </main>
+  );
+}
+
+export default SignupPage;
@@ -0,0 +1,48 @@
+import { screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { Route, Routes } from 'react-router-dom';
+import { signup } from '../api/auth';
+import { renderWithProviders } from '../test-utils';
+import SignupPage from './SignupPage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+
+const renderSignup = () => renderWithProviders(
+  <Routes>
+    <Route path="/signup" element={<SignupPage />} />
+    <Route path="/" element={<p>Generator screen</p>} />
+  </Routes>,
+  { route: '/signup' }
+);
+
+test('creates an account with the chosen avatar mood', async () => {
+  signup.mockResolvedValue({ userId: 'user-1', avatar: 'calm_emoji', claimed: 2 });
+  renderSignup();
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), 'secret123');
+  userEvent.click(screen.getByRole('button', { name: /calm/i }));
+  userEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+
+  expect(await screen.findByText('Generator screen')).toBeInTheDocument();
+  expect(signup).toHaveBeenCalledWith({ email: 'ada@example.com', password: 'secret123', mood: 'Calm' });
+});
+
+test('checks the password length before sending anything', () => {
+  renderSignup();
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), '123');
+  userEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+
+  expect(screen.getByRole('alert')).toHaveTextContent('at least 6 characters');
+  expect(signup).not.toHaveBeenCalled();
+});
+
+test('shows the message from the backend when the signup fails', async () => {
+  signup.mockRejectedValue(new Error('User with this email already exists.'));
+  renderSignup();
+  userEvent.type(screen.getByLabelText('Email'), 'ada@example.com');
+  userEvent.type(screen.getByLabelText('Password'), 'secret123');
+  userEvent.click(screen.getByRole('button', { name: 'Sign up' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('already exists');
+});
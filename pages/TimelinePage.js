@@ -0,0 +1,68 @@
+// pages/TimelinePage.js
+// The logged-in user's mood evolution: a calendar heatmap of a year, and all pieces either on a
+// zoomable time axis or as a slideshow. Clicking a day opens its pieces.
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import useEvolution from '../hooks/useEvolution';
+import { groupByDay } from '../utils/timeline';
+import DayDetail from '../components/DayDetail';
+import ErrorMessage from '../components/ErrorMessage';
+import EvolutionPlayback from '../components/EvolutionPlayback';
+import MoodCalendar from '../components/MoodCalendar';
+import TimeAxis from '../components/TimeAxis';
+
+const VIEWS = [
+  { value: 'axis', label: 'Timeline' },
+  { value: 'playback', label: 'Playback' },
+];
+
+function TimelinePage() {
+  const { items, loading, error } = useEvolution();
+  const [year, setYear] = useState(null);
+  const [view, setView] = useState('axis');
+  const [selectedDay, setSelectedDay] = useState(null);
+
+  const days = useMemo(() => groupByDay(items), [items]);
+  const years = useMemo(
+    () => [...new Set(items.map((item) => new Date(item.createdAt).getFullYear()))].sort((a, b) => b - a),
+    [items]
+  );
+  const shownYear = year || years[0] || new Date().getFullYear();
+
+  return (
+    <main className="mx-auto max-w-5xl space-y-6 p-4">
+      <h1 className="text-2xl font-bold">My mood evolution</h1>
+      <ErrorMessage error={error} />
+      {loading && <p>Loading your art… {items.length > 0 && `(${items.length} pieces so far)`}</p>}
+      {!loading && items.length === 0 && !error && (
+        <p className="text-gray-600">
+          Your timeline is empty. <Link to="/" className="text-indigo-700 underline">Create your first piece</Link>.
+        </p>
+      )}
+      {!loading && items.length > 0 && (
+        <>
+          <MoodCalendar days={days} year={shownYear} years={years} onYearChange={setYear} onSelectDay={setSelectedDay} />
+          <div className="flex gap-2" role="group" aria-label="View">
+            {VIEWS.map(({ value, label }) => (
+              <button
+                key={value}
+                type="button"
+                aria-pressed={view === value}
+                onClick={() => setView(value)}
+                className={`rounded px-3 py-1 ${view === value ? 'bg-indigo-600 text-white' : 'border'}`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {view === 'axis'
+            ? <TimeAxis items={items} onSelectDay={setSelectedDay} />
+            : <EvolutionPlayback items={items} onSelectDay={setSelectedDay} />}
+        </>
+      )}
+      {selectedDay && <DayDetail day={selectedDay} pieces={days.get(selectedDay) || []} onClose={() => setSelectedDay(null)} />}
+    </main>
+  );
+}
+
+export default TimelinePage;
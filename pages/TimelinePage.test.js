@@ -0,0 +1,84 @@
+import { act, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { getEvolution } from '../api/art';
+import { logIn, renderWithProviders } from '../test-utils';
+import TimelinePage from './TimelinePage';
+
+jest.mock('../api/auth', () => ({ login: jest.fn(), signup: jest.fn(), logout: jest.fn() }));
+jest.mock('../api/art', () => ({ getEvolution: jest.fn() }));
+
+const piece = (id, mood, month, day, hour = 12) => ({
+  _id: id,
+  mood,
+  title: `Piece ${id}`,
+  imageUrl: `https://img.example/${id}.png`,
+  createdAt: new Date(2026, month - 1, day, hour).toISOString(),
+});
+
+const byMood = {
+  Happy: [piece('h1', 'Happy', 3, 2, 9), piece('h2', 'Happy', 3, 2, 15)],
+  Calm: [piece('c1', 'Calm', 3, 2, 20), piece('c2', 'Calm', 4, 10)],
+};
+
+beforeEach(() => {
+  logIn();
+  // Calm comes in two pages
+  getEvolution.mockImplementation((mood, { cursor }) => {
+    const items = byMood[mood] || [];
+    if (mood === 'Calm') {
+      return Promise.resolve(cursor ? { items: items.slice(1), nextCursor: null } : { items: items.slice(0, 1), nextCursor: 'calm-2' });
+    }
+    return Promise.resolve({ items, nextCursor: null });
+  });
+});
+
+test('loads every mood, page by page', async () => {
+  renderWithProviders(<TimelinePage />);
+  expect(await screen.findByText('4 pieces in 2026')).toBeInTheDocument();
+  expect(getEvolution).toHaveBeenCalledWith('Inspired', { cursor: null, limit: 100 });
+  expect(getEvolution).toHaveBeenCalledWith('Calm', { cursor: 'calm-2', limit: 100 });
+});
+
+test('colors calendar days by their dominant mood and opens a day', async () => {
+  renderWithProviders(<TimelinePage />);
+  const day = await screen.findByRole('button', { name: /March 2, 2026: 3 pieces, mostly Happy/ });
+  userEvent.click(day);
+
+  const dialog = screen.getByRole('dialog', { name: /March 2, 2026/ });
+  expect(within(dialog).getAllByAltText(/^Piece/)).toHaveLength(3);
+  expect(within(dialog).getByText('Piece c1')).toBeInTheDocument();
+
+  userEvent.click(within(dialog).getByRole('button', { name: 'Close' }));
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+});
+
+test('plays the evolution back as a slideshow', async () => {
+  renderWithProviders(<TimelinePage />);
+  userEvent.click(await screen.findByRole('button', { name: 'Playback' }));
+  expect(screen.getByRole('img', { name: 'Piece h1' })).toBeInTheDocument();
+  expect(screen.getByText('1 / 4')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Next' }));
+  expect(screen.getByRole('img', { name: 'Piece h2' })).toBeInTheDocument();
+
+  jest.useFakeTimers();
+  try {
+    userEvent.click(screen.getByRole('button', { name: 'Play' }));
+    act(() => jest.advanceTimersByTime(1500));
+    expect(screen.getByRole('img', { name: 'Piece c1' })).toBeInTheDocument();
+    act(() => jest.advanceTimersByTime(1500));
+    expect(screen.getByText('4 / 4')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Play' })).toBeInTheDocument(); // Stopped at the end
+  } finally {
+    jest.useRealTimers();
+  }
+
+  userEvent.click(screen.getByRole('button', { name: 'Open this day' }));
+  expect(screen.getByRole('dialog', { name: /April 10, 2026/ })).toBeInTheDocument();
+});
+
+test('points to the generator when there is no art yet', async () => {
+  getEvolution.mockResolvedValue({ items: [], nextCursor: null });
+  renderWithProviders(<TimelinePage />);
+  expect(await screen.findByRole('link', { name: /create your first piece/i })).toBeInTheDocument();
+});
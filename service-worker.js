@@ -0,0 +1,94 @@
+/* eslint-disable no-restricted-globals */
+// service-worker.js
+// Offline support for the installed app:
+// - the app shell (index.html, the built scripts and styles, icons) is cached, so the app opens offline
+// - art images are cached as they are viewed, keeping the most recently viewed MAX_IMAGES
+// API requests are left to the network: the app keeps the history in IndexedDB and queues
+// generation requests itself (see offline/).
+const VERSION = 'v1';
+const SHELL_CACHE = `mood-art-shell-${VERSION}`;
+const IMAGE_CACHE = `mood-art-images-${VERSION}`;
+const MAX_IMAGES = 200;
+const SHELL_FILES = ['./', './index.html', './manifest.json', './favicon.ico', './logo192.png', './logo512.png'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then((cache) => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+// Drops the caches of older versions
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then((keys) => Promise.all(keys
+        .filter((key) => key.startsWith('mood-art-') && key !== SHELL_CACHE && key !== IMAGE_CACHE)
+        .map((key) => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Pages: the network first, so deploys show up right away; the cached shell when offline
+async function handleNavigation(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put('./index.html', response.clone());
+    return response;
+  } catch (err) {
+    return (await cache.match('./index.html')) || Response.error();
+  }
+}
+
+// Built scripts and styles have hashed names, so a cached copy is always right
+async function handleAsset(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+  const response = await fetch(request);
+  if (response.ok) cache.put(request, response.clone());
+  return response;
+}
+
+// Images are keyed without their query string, so a fresh signed URL finds the copy of an older one
+async function handleImage(request) {
+  const url = new URL(request.url);
+  const key = `${url.origin}${url.pathname}`;
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(key);
+  if (cached) {
+    // Store it again so it counts as recently viewed
+    await cache.delete(key);
+    await cache.put(key, cached.clone());
+    return cached;
+  }
+  const response = await fetch(request);
+  // Images from other origins come back opaque; they can be cached, just not inspected
+  if (response.ok || response.type === 'opaque') {
+    await cache.put(key, response.clone());
+    await trimImages(cache);
+  }
+  return response;
+}
+
+// Keeps the MAX_IMAGES most recently viewed images (the cache lists entries oldest first)
+async function trimImages(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_IMAGES)).map((key) => cache.delete(key)));
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(handleImage(request));
+  } else if (url.origin === self.location.origin && url.pathname.includes('/static/')) {
+    event.respondWith(handleAsset(request));
+  }
+});
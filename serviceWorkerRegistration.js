@@ -0,0 +1,19 @@
+// serviceWorkerRegistration.js
+// Registers service-worker.js (served from the public folder) in production builds. The development
+// server is left alone, since a cached app shell would hide code changes there.
+
+export function register() {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((err) => console.error('Service worker registration failed:', err));
+  });
+}
+
+export function unregister() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch((err) => console.error(err.message));
+}
@@ -3,3 +3,12 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { TextDecoder, TextEncoder } from 'util';
+
+// jsdom leaves out TextEncoder, which react-router needs
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// Every test starts logged out, with no claim token
+afterEach(() => {
+  window.localStorage.clear();
+});
@@ -0,0 +1,22 @@
+// test-utils.js
+// Helpers for the screen tests: render inside a router and the auth provider, optionally logged in
+import { render } from '@testing-library/react';
+import { MemoryRouter } from 'react-router-dom';
+import { AuthProvider } from './context/AuthContext';
+import { saveSession } from './api/session';
+
+export const TEST_SESSION = { token: 'access-token', refreshToken: 'refresh-token', userId: 'user-1', avatar: 'happy_emoji' };
+
+// Stores a session so the next render starts logged in
+export function logIn(session = TEST_SESSION) {
+  saveSession(session);
+}
+
+// Renders ui at the given route (a path, or { pathname, state })
+export function renderWithProviders(ui, { route = '/' } = {}) {
+  return render(
+    <MemoryRouter initialEntries={[route]}>
+      <AuthProvider>{ui}</AuthProvider>
+    </MemoryRouter>
+  );
+}
@@ -0,0 +1,107 @@
+// utils/timeline.js
+// Date helpers for the evolution timeline and the mood calendar. Days are local calendar days,
+// keyed 'YYYY-MM-DD'.
+import { MOODS } from '../constants';
+
+export const DAY_MS = 24 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// 'YYYY-MM-DD' of a date in the local time zone
+export const dayKey = (date) => {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+};
+
+// Local midnight of a day key
+export const parseDayKey = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+export const startOfDay = (date) => parseDayKey(dayKey(date));
+
+// The color of a mood (gray for unknown moods)
+export const moodColor = (mood) => {
+  const found = MOODS.find(({ name }) => name === mood);
+  return found ? found.color : '#9ca3af';
+};
+
+// Sorts pieces oldest first (ties by id, so the order is stable across reloads)
+export const sortByDate = (items) => [...items].sort((a, b) => (
+  new Date(a.createdAt) - new Date(b.createdAt) || String(a._id).localeCompare(String(b._id))
+));
+
+// Groups pieces sorted oldest first by day: Map of day key -> pieces, in chronological order
+export function groupByDay(items) {
+  const days = new Map();
+  items.forEach((item) => {
+    const key = dayKey(item.createdAt);
+    if (!days.has(key)) days.set(key, []);
+    days.get(key).push(item);
+  });
+  return days;
+}
+
+// The most frequent mood of a day's pieces; ties go to the mood of the later piece
+export function dominantMood(pieces) {
+  const counts = new Map();
+  let best = null;
+  pieces.forEach(({ mood }) => {
+    counts.set(mood, (counts.get(mood) || 0) + 1);
+    if (best === null || counts.get(mood) >= counts.get(best)) best = mood;
+  });
+  return best;
+}
+
+// Weeks (Sunday to Saturday) covering a year, for the calendar heatmap: arrays of 7
+// { key, date, inYear } days. The first and last weeks spill into the neighbouring years.
+export function calendarWeeks(year) {
+  const start = new Date(year, 0, 1);
+  start.setDate(start.getDate() - start.getDay());
+  const end = new Date(year, 11, 31);
+  const weeks = [];
+  const day = start;
+  while (day <= end || day.getDay() !== 0) {
+    if (day.getDay() === 0) weeks.push([]);
+    weeks[weeks.length - 1].push({ key: dayKey(day), date: new Date(day), inYear: day.getFullYear() === year });
+    day.setDate(day.getDate() + 1);
+  }
+  return weeks;
+}
+
+// Index of the first value >= target in an ascending array (array.length when there is none)
+export function lowerBound(values, target) {
+  let low = 0;
+  let high = values.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (values[mid] < target) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+const tickLabel = (date, unit) => {
+  if (unit === 'year') return String(date.getFullYear());
+  if (unit === 'month') return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+// Axis ticks between two times for a zoom unit ('year', 'month', 'week' or 'day'): [{ time, label }]
+export function ticksBetween(from, to, unit) {
+  const tick = startOfDay(from);
+  if (unit === 'year') tick.setMonth(0, 1);
+  if (unit === 'month') tick.setDate(1);
+  if (unit === 'week') tick.setDate(tick.getDate() - tick.getDay());
+  const ticks = [];
+  while (tick.getTime() <= to) {
+    if (tick.getTime() >= from) {
+      ticks.push({ time: tick.getTime(), label: tickLabel(tick, unit) });
+    }
+    if (unit === 'year') tick.setFullYear(tick.getFullYear() + 1);
+    else if (unit === 'month') tick.setMonth(tick.getMonth() + 1);
+    else tick.setDate(tick.getDate() + (unit === 'week' ? 7 : 1));
+  }
+  return ticks;
+}
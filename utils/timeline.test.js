@@ -0,0 +1,44 @@
+import { calendarWeeks, dayKey, dominantMood, groupByDay, lowerBound, sortByDate, ticksBetween } from './timeline';
+
+const at = (year, month, day, hour = 12) => new Date(year, month - 1, day, hour).toISOString();
+
+test('groups pieces by local day, oldest first', () => {
+  const items = sortByDate([
+    { _id: 'b', createdAt: at(2026, 3, 2, 18) },
+    { _id: 'a', createdAt: at(2026, 3, 1) },
+    { _id: 'c', createdAt: at(2026, 3, 2, 9) },
+  ]);
+  const days = groupByDay(items);
+  expect([...days.keys()]).toEqual(['2026-03-01', '2026-03-02']);
+  expect(days.get('2026-03-02').map((piece) => piece._id)).toEqual(['c', 'b']);
+  expect(dayKey(at(2026, 12, 31, 23))).toBe('2026-12-31');
+});
+
+test('picks the most frequent mood of a day, the later one on ties', () => {
+  expect(dominantMood([{ mood: 'Calm' }, { mood: 'Happy' }, { mood: 'Calm' }])).toBe('Calm');
+  expect(dominantMood([{ mood: 'Sad' }, { mood: 'Happy' }, { mood: 'Happy' }, { mood: 'Sad' }])).toBe('Sad');
+});
+
+test('lays a year out in full weeks from Sunday to Saturday', () => {
+  const weeks = calendarWeeks(2026);
+  expect(weeks).toHaveLength(53);
+  expect(weeks.every((week) => week.length === 7)).toBe(true);
+  expect(weeks[0][0]).toMatchObject({ key: '2025-12-28', inYear: false });
+  expect(weeks[0][4]).toMatchObject({ key: '2026-01-01', inYear: true });
+  expect(weeks[52][6]).toMatchObject({ key: '2027-01-02', inYear: false });
+  expect(weeks.flat().filter((day) => day.inYear)).toHaveLength(365);
+});
+
+test('finds the first value at or after a target', () => {
+  expect(lowerBound([1, 3, 3, 5], 3)).toBe(1);
+  expect(lowerBound([1, 3, 3, 5], 4)).toBe(3);
+  expect(lowerBound([1, 3], 9)).toBe(2);
+  expect(lowerBound([], 1)).toBe(0);
+});
+
+test('places axis ticks on month and year boundaries', () => {
+  const from = new Date(2025, 10, 20).getTime();
+  const to = new Date(2026, 2, 3).getTime();
+  expect(ticksBetween(from, to, 'month').map((tick) => dayKey(tick.time))).toEqual(['2025-12-01', '2026-01-01', '2026-02-01', '2026-03-01']);
+  expect(ticksBetween(from, to, 'year').map((tick) => tick.label)).toEqual(['2026']);
+});